@@ -7,12 +7,16 @@ try {
 
 // Libs - Core, standalone utilities
 const axiosClient = require('./lib/axiosClient');
+const cache = require('./lib/cache');
 const catalog = require('./lib/catalog');
+const config = require('./lib/config');
 const constants = require('./lib/constants');
 const crypt = require('./lib/crypt');
+const jwt = require('./lib/jwt');
 const logger = require('./lib/logger');
 const mongoDBService = require('./lib/mongoDBService');
 const redisService = require('./lib/redisService');
+const StreamConsumer = require('./lib/streamConsumer');
 
 // Source Modules - Application logic grouped by domain
 // This assumes each directory has an index.js file that exports its public members.
@@ -25,12 +29,16 @@ const validators = require('./src/validators');
 module.exports = {
   // Libs
   axiosClient,
+  cache,
   catalog,
+  config,
   constants,
   crypt,
+  jwt,
   logger,
   mongoDBService,
   redisService,
+  StreamConsumer,
 
   // Namespaced modules
   controllers,
@@ -0,0 +1,216 @@
+/**
+ * @module cache
+ * @description Caché de lectura (read-through) sobre redisService.
+ *
+ * `wrap(key, ttl, loader)` devuelve el valor cacheado o lo carga con `loader`, lo guarda y lo devuelve. Incluye:
+ * - Protección contra estampidas: las llamadas concurrentes a la misma clave en el proceso comparten la misma carga,
+ *   y entre instancias solo la que obtiene el lock (`SET NX`) ejecuta el loader; el resto espera a que aparezca el valor.
+ * - Caché negativa: los resultados null/undefined se guardan con `negativeTtl` para no repetir búsquedas vacías.
+ * - Invalidación por etiquetas: cada clave puede asociarse a etiquetas (sets en Redis) y `invalidateTags` borra
+ *   todas las claves de una etiqueta.
+ *
+ * Si Redis no está disponible, `wrap` ejecuta el loader directamente: la caché nunca impide responder.
+ *
+ * Ejemplo:
+ *    const settings = await cache.wrap(`settings:${companyId}`, 300, () => Settings.findOne({ company: companyId }).lean(),
+ *        { tags: [`company:${companyId}`] });
+ *    await cache.invalidateTags([`company:${companyId}`]);
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const redisService = require('./redisService');
+const { redisKeyPrefix } = require('./constants');
+
+const DEFAULT_LOCK_TTL_MS = 10 * 1000;
+const DEFAULT_LOCK_WAIT_MS = 3 * 1000;
+const LOCK_POLL_INTERVAL_MS = 50;
+
+// Libera el lock solo si sigue siendo nuestro (otro proceso pudo tomarlo si expiró).
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// KEYS[1]: clave del valor, KEYS[2..n]: sets de las etiquetas. ARGV: valor serializado, vigencia (s).
+// Cada set de etiqueta vive al menos tanto como la clave más duradera que contiene.
+const WRITE_ENTRY_SCRIPT = `
+local seconds = tonumber(ARGV[2])
+redis.call('SET', KEYS[1], ARGV[1], 'EX', seconds)
+for i = 2, #KEYS do
+  redis.call('SADD', KEYS[i], KEYS[1])
+  if redis.call('TTL', KEYS[i]) < seconds then
+    redis.call('EXPIRE', KEYS[i], seconds)
+  end
+end
+return 1
+`;
+
+// Cargas en curso en este proceso, por clave (coalescencia de peticiones).
+const pendingLoads = new Map();
+
+const getReadyClient = () => {
+    const client = redisService.client;
+    return client && client.status === 'ready' ? client : null;
+};
+
+const dataKey = (key) => `${redisKeyPrefix.CACHE}:${key}`;
+const lockKey = (key) => `${redisKeyPrefix.CACHE_LOCK}:${key}`;
+const tagKey = (tag) => `${redisKeyPrefix.CACHE_TAG}:${tag}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Los valores se guardan en un sobre para distinguir un resultado vacío cacheado de una clave inexistente.
+const serialize = (value) => JSON.stringify(value === null || value === undefined ? { empty: true } : { value });
+
+const readEntry = async (client, key) => {
+    const raw = await client.get(dataKey(key));
+    if (raw === null) return null;
+    const entry = JSON.parse(raw);
+    return { value: entry.empty ? null : entry.value };
+};
+
+const writeEntry = async (client, key, value, { ttl, negativeTtl, tags }) => {
+    const seconds = value === null || value === undefined ? negativeTtl : ttl;
+    if (!(seconds > 0)) return;
+    await client.eval(WRITE_ENTRY_SCRIPT, 1 + tags.length, dataKey(key), ...tags.map(tagKey), serialize(value), seconds);
+};
+
+const loadWithLock = async (client, key, loader, options) => {
+    const { lockTtlMs = DEFAULT_LOCK_TTL_MS, lockWaitMs = DEFAULT_LOCK_WAIT_MS } = options;
+    const token = crypto.randomBytes(16).toString('hex');
+    const acquired = await client.set(lockKey(key), token, 'PX', lockTtlMs, 'NX');
+
+    if (!acquired) {
+        // Otra instancia está cargando el valor: se espera a que lo guarde y, si tarda demasiado, se carga sin cachear.
+        const deadline = Date.now() + lockWaitMs;
+        while (Date.now() < deadline) {
+            await sleep(LOCK_POLL_INTERVAL_MS);
+            const entry = await readEntry(client, key);
+            if (entry) return entry.value;
+        }
+        logger.verbose(`[cache] Tiempo de espera agotado para el lock de '${key}'; se carga sin cachear.`);
+        return loader();
+    }
+
+    try {
+        const value = await loader();
+        await writeEntry(client, key, value, options)
+            .catch(error => logger.error(`[cache] Error al guardar '${key}' -> error:${error.message}`));
+        return value;
+    } finally {
+        await client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey(key), token)
+            .catch(error => logger.error(`[cache] Error al liberar el lock de '${key}' -> error:${error.message}`));
+    }
+};
+
+/**
+ * Devuelve el valor cacheado de `key` o lo carga con `loader` y lo guarda por `ttl` segundos.
+ * Los errores del loader se propagan y no se cachean.
+ *
+ * @async
+ * @param {string} key - La clave (sin prefijo).
+ * @param {number} ttl - Vigencia en segundos.
+ * @param {Function} loader - Función async que obtiene el valor. Debe devolver algo serializable a JSON.
+ * @param {object} [options={}] - Opciones.
+ * @param {number} [options.negativeTtl=ttl] - Vigencia en segundos de los resultados null/undefined. 0 para no cachearlos.
+ * @param {string[]} [options.tags=[]] - Etiquetas para invalidar la clave con `invalidateTags`.
+ * @param {number} [options.lockTtlMs=10000] - Vigencia del lock de carga entre instancias.
+ * @param {number} [options.lockWaitMs=3000] - Cuánto espera una instancia sin lock antes de cargar el valor por su cuenta.
+ * @returns {Promise<*>} El valor (los valores leídos de Redis vuelven deserializados de JSON).
+ */
+const wrap = async (key, ttl, loader, options = {}) => {
+    const client = getReadyClient();
+    if (!client) return loader();
+
+    if (pendingLoads.has(key)) return pendingLoads.get(key);
+
+    const settings = { negativeTtl: ttl, tags: [], ...options, ttl };
+    const load = (async () => {
+        try {
+            const entry = await readEntry(client, key);
+            if (entry) return entry.value;
+        } catch (error) {
+            logger.error(`[cache] Error al leer '${key}' -> error:${error.message}`);
+            return loader();
+        }
+        return loadWithLock(client, key, loader, settings);
+    })();
+
+    pendingLoads.set(key, load);
+    try {
+        return await load;
+    } finally {
+        pendingLoads.delete(key);
+    }
+};
+
+/**
+ * Obtiene un valor cacheado.
+ * @async
+ * @param {string} key - La clave (sin prefijo).
+ * @returns {Promise<*|undefined>} El valor, null si se cacheó un resultado vacío, o undefined si no está en caché.
+ */
+const get = async (key) => {
+    const client = getReadyClient();
+    if (!client) return undefined;
+    const entry = await readEntry(client, key);
+    return entry ? entry.value : undefined;
+};
+
+/**
+ * Guarda un valor en la caché.
+ * @async
+ * @param {string} key - La clave (sin prefijo).
+ * @param {*} value - El valor, serializable a JSON.
+ * @param {number} ttl - Vigencia en segundos.
+ * @param {object} [options={}] - Opciones.
+ * @param {string[]} [options.tags=[]] - Etiquetas de la clave.
+ */
+const set = async (key, value, ttl, { tags = [] } = {}) => {
+    const client = getReadyClient();
+    if (!client) return;
+    await writeEntry(client, key, value, { ttl, negativeTtl: ttl, tags });
+};
+
+/**
+ * Elimina una o más claves de la caché.
+ * @async
+ * @param {string|string[]} keys - La(s) clave(s) (sin prefijo).
+ * @returns {Promise<number>} Cantidad de claves eliminadas.
+ */
+const del = async (keys) => {
+    const client = getReadyClient();
+    if (!client) return 0;
+    return client.del([].concat(keys).map(dataKey));
+};
+
+/**
+ * Elimina todas las claves asociadas a las etiquetas indicadas.
+ * @async
+ * @param {string|string[]} tags - La(s) etiqueta(s).
+ * @returns {Promise<number>} Cantidad de claves eliminadas.
+ */
+const invalidateTags = async (tags) => {
+    const client = getReadyClient();
+    if (!client) return 0;
+    let removed = 0;
+    for (const tag of [].concat(tags)) {
+        const keys = await client.smembers(tagKey(tag));
+        const [[, deleted]] = await client.multi().del(...keys, tagKey(tag)).exec();
+        // El conteo incluye el set de la etiqueta, que existe si tenía claves.
+        removed += keys.length > 0 ? deleted - 1 : 0;
+        logger.verbose(`[cache] Etiqueta '${tag}' invalidada (${keys.length} clave(s)).`);
+    }
+    return removed;
+};
+
+module.exports = {
+    del,
+    get,
+    invalidateTags,
+    set,
+    wrap,
+};
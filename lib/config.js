@@ -0,0 +1,184 @@
+/**
+ * @module config
+ * @description Validación de la configuración de arranque de la librería. Revisa las variables de entorno de cada
+ * subsistema habilitado (crypt, mongo, redis, logging), rechaza los valores por defecto inseguros fuera de los entornos
+ * de desarrollo y reporta todos los problemas juntos, para que el servicio decida cómo terminar.
+ *
+ * Ejemplo (al iniciar el servicio, antes de conectar a Mongo/Redis):
+ *    const { config } = require('nodejslib');
+ *    config.assertConfig({ subsystems: ['crypt', 'mongo', 'redis'] });
+ */
+
+const logger = require('./logger');
+const crypt = require('./crypt');
+const { environments } = require('./constants');
+
+const SUBSYSTEMS = Object.freeze({
+    CRYPT: 'crypt',
+    MONGO: 'mongo',
+    REDIS: 'redis',
+    LOGGING: 'logging',
+});
+
+// Valores de ENVIRONMENT en los que se aceptan los valores por defecto (ver constants.environments).
+const DEV_ENVIRONMENTS = environments.DEV;
+const DEFAULT_ENVIRONMENT = environments.DEFAULT;
+
+const LOG_LEVELS = Object.freeze(['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly']);
+const HEX_KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Error con todos los problemas de configuración encontrados (`errors`).
+ */
+class ConfigError extends Error {
+    constructor(errors, warnings = []) {
+        super(`Configuración inválida (${errors.length} error(es)):\n - ${errors.join('\n - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+        this.warnings = warnings;
+    }
+}
+
+const isDevEnvironment = (environment) => DEV_ENVIRONMENTS.includes(String(environment).toLowerCase());
+
+const validateCrypt = (env, isDev, report) => {
+    // Si falta una clave o se usa la de ejemplo: en desarrollo es una advertencia, en otros entornos un error.
+    const insecure = isDev ? report.warn : report.error;
+
+    if (!env.ENCRYPTION_KEY) {
+        insecure('ENCRYPTION_KEY no está definida: se usa la clave de ejemplo de la librería.');
+    } else if (!HEX_KEY_PATTERN.test(env.ENCRYPTION_KEY)) {
+        report.error('ENCRYPTION_KEY debe ser una cadena hexadecimal de 64 caracteres.');
+        return validateBlindIndexKey(env, insecure, report);
+    } else if (env.ENCRYPTION_KEY.toLowerCase() === crypt.DEFAULT_ENCRYPTION_KEY) {
+        insecure('ENCRYPTION_KEY tiene el valor de ejemplo de la librería.');
+    }
+
+    try {
+        const { keys } = crypt.buildKeyring(crypt.keyringConfigFromEnv(env));
+        for (const [keyId, key] of keys) {
+            if (keyId !== crypt.LEGACY_KEY_ID && key.toString('hex') === crypt.DEFAULT_ENCRYPTION_KEY) {
+                insecure(`ENCRYPTION_KEYS: la clave '${keyId}' tiene el valor de ejemplo de la librería.`);
+            }
+        }
+    } catch (error) {
+        report.error(`ENCRYPTION_KEYS / ENCRYPTION_ACTIVE_KEY_ID: ${error.message}`);
+    }
+    validateBlindIndexKey(env, insecure, report);
+};
+
+const validateBlindIndexKey = (env, insecure, report) => {
+    if (!env.BLIND_INDEX_KEY) {
+        insecure('BLIND_INDEX_KEY no está definida: se usa el secreto de ejemplo de la librería para los índices ciegos.');
+    } else if (!HEX_KEY_PATTERN.test(env.BLIND_INDEX_KEY)) {
+        report.error('BLIND_INDEX_KEY debe ser una cadena hexadecimal de 64 caracteres.');
+    } else if (env.BLIND_INDEX_KEY.toLowerCase() === crypt.DEFAULT_BLIND_INDEX_KEY) {
+        insecure('BLIND_INDEX_KEY tiene el valor de ejemplo de la librería.');
+    } else if (env.ENCRYPTION_KEY && env.BLIND_INDEX_KEY.toLowerCase() === env.ENCRYPTION_KEY.toLowerCase()) {
+        report.error('BLIND_INDEX_KEY debe ser distinta de ENCRYPTION_KEY.');
+    }
+};
+
+const validateMongo = (env, isDev, report) => {
+    if (!env.DATABASE_URL) {
+        report.error('DATABASE_URL no está definida.');
+    } else if (!/^mongodb(\+srv)?:\/\//.test(env.DATABASE_URL)) {
+        report.error("DATABASE_URL debe comenzar con 'mongodb://' o 'mongodb+srv://'.");
+    }
+};
+
+const validateRedis = (env, isDev, report) => {
+    if (env.REDIS_URL) {
+        if (!/^rediss?:\/\//.test(env.REDIS_URL)) {
+            report.error("REDIS_URL debe comenzar con 'redis://' o 'rediss://'.");
+        }
+    } else if (!env.REDIS_HOST) {
+        (isDev ? report.warn : report.error)('REDIS_URL / REDIS_HOST no están definidas: se usa Redis en 127.0.0.1.');
+    }
+    if (env.REDIS_PORT && !/^\d+$/.test(env.REDIS_PORT)) {
+        report.error('REDIS_PORT debe ser un número.');
+    }
+    if (!isDev && !env.REDIS_PASSWORD && !/^rediss?:\/\/[^/]*@/.test(env.REDIS_URL || '')) {
+        report.warn('Redis sin contraseña (REDIS_PASSWORD) fuera de desarrollo.');
+    }
+};
+
+const validateLogging = (env, isDev, report) => {
+    if (env.LOG_LEVEL && !LOG_LEVELS.includes(env.LOG_LEVEL)) {
+        report.error(`LOG_LEVEL '${env.LOG_LEVEL}' no es válido. Valores permitidos: ${LOG_LEVELS.join(', ')}.`);
+    }
+    if (!isDev && ['debug', 'silly'].includes(env.LOG_LEVEL)) {
+        report.warn(`LOG_LEVEL '${env.LOG_LEVEL}' fuera de desarrollo puede registrar datos sensibles (headers, tokens).`);
+    }
+    if (!env.API_NAME) {
+        report.warn('API_NAME no está definida: los logs no identifican el servicio.');
+    }
+};
+
+const validators = {
+    [SUBSYSTEMS.CRYPT]: validateCrypt,
+    [SUBSYSTEMS.MONGO]: validateMongo,
+    [SUBSYSTEMS.REDIS]: validateRedis,
+    [SUBSYSTEMS.LOGGING]: validateLogging,
+};
+
+/**
+ * Valida la configuración de los subsistemas indicados, sin lanzar errores.
+ *
+ * @param {object} [options={}] - Opciones.
+ * @param {string[]} [options.subsystems] - Subsistemas a validar (SUBSYSTEMS). Por defecto, todos.
+ * @param {object} [options.env=process.env] - Variables de entorno a validar.
+ * @returns {{ valid: boolean, environment: string, errors: string[], warnings: string[] }} El resultado de la validación.
+ * @throws {Error} Si se indica un subsistema desconocido.
+ */
+const validateConfig = ({ subsystems = Object.values(SUBSYSTEMS), env = process.env } = {}) => {
+    const environment = env.ENVIRONMENT || DEFAULT_ENVIRONMENT;
+    const isDev = isDevEnvironment(environment);
+    const errors = [];
+    const warnings = [];
+    const report = {
+        error: (message) => errors.push(message),
+        warn: (message) => warnings.push(message),
+    };
+
+    for (const subsystem of subsystems) {
+        const validate = validators[subsystem];
+        if (!validate) {
+            throw new Error(`[config] Subsistema desconocido: '${subsystem}'. Valores permitidos: ${Object.values(SUBSYSTEMS).join(', ')}.`);
+        }
+        validate(env, isDev, report);
+    }
+
+    return { valid: errors.length === 0, environment, errors, warnings };
+};
+
+/**
+ * Valida la configuración y registra las advertencias. Si hay errores, los registra todos y lanza un ConfigError.
+ *
+ * @param {object} [options={}] - Las opciones de `validateConfig`.
+ * @returns {{ valid: boolean, environment: string, errors: string[], warnings: string[] }} El resultado de la validación.
+ * @throws {ConfigError} Si la configuración tiene errores.
+ */
+const assertConfig = (options = {}) => {
+    const result = validateConfig(options);
+    for (const warning of result.warnings) {
+        logger.warn(`[config] ${warning}`);
+    }
+    if (!result.valid) {
+        for (const error of result.errors) {
+            logger.error(`[config] ${error}`);
+        }
+        throw new ConfigError(result.errors, result.warnings);
+    }
+    logger.info(`[config] Configuración válida para el entorno '${result.environment}'.`);
+    return result;
+};
+
+module.exports = {
+    ConfigError,
+    DEV_ENVIRONMENTS,
+    SUBSYSTEMS,
+    assertConfig,
+    isDevEnvironment,
+    validateConfig,
+};
@@ -1,11 +1,29 @@
 const SUPPORTED_META_CHANNELS = Object.freeze(['whatsapp', 'instagram', 'messenger']);
 const WEBHOOK_SOURCE_TYPE = "webhook";
 
+// Valores de ENVIRONMENT en los que se aceptan los valores por defecto (claves de ejemplo, Redis local, etc.).
+// Si ENVIRONMENT no está definido se asume producción, igual que en errorHandler.
+const environments = Object.freeze({
+    DEFAULT: 'prd',
+    DEV: Object.freeze(['development', 'dev', 'local', 'test']),
+});
+
 const redisKeyPrefix = Object.freeze({
     COMPANY_SETTINGS: 'company_settings',
     WAP_PHONE_NUMBER_ID: 'wapPhoneNumberId',
     MSN_PAGE_ID: 'msnPageId',
     IGM_BUSINESS_ACCOUNT_ID: 'igmBusinessAccountId',
+    WEBHOOK_VERIFY_TOKEN: 'webhookVerifyToken',
+    CUSTOMER_AUTOCOMPLETE: 'customer_autocomplete',
+    CUSTOMER_AUTOCOMPLETE_DATA: 'customer_autocomplete_data',
+    RATE_LIMIT: 'rate_limit',
+    USAGE: 'usage',
+    USAGE_DIRTY: 'usage_dirty',
+    USAGE_LIMIT: 'usage_limit',
+    CACHE: 'cache',
+    CACHE_LOCK: 'cache_lock',
+    CACHE_TAG: 'cache_tag',
+    CHANGE_STREAM_RESUME: 'change_stream_resume',
 });
 
 const rol = Object.freeze({
@@ -42,13 +60,18 @@ const headers = Object.freeze({
     USER_ID: 'X-User-Id',
     USER_NAME: 'X-User-Name',
     USER_ROLES: 'X-User-Roles',
+    HUB_SIGNATURE_256: 'X-Hub-Signature-256',
     CONSUMER_USERNAME: 'X-Consumer-Username'
 });
 
 const messagesRedisStream = Object.freeze({
     INCOMING_STREAM_KEY: 'incoming_meta_messages',
     OUTGOING_STREAM_KEY: 'outgoing_meta_messages',
-    GROUP_NAME: 'messages_processors_group'
+    GROUP_NAME: 'messages_processors_group',
+    // Retención por defecto de cada stream al publicar con redisService.publishToStream (opcional, por clave de stream).
+    // Cada servicio configura la suya con redisService.setStreamRetention(streamKey, { maxLen | minId | maxAgeMs }).
+    // Sin retención el stream no se recorta: el recorte borra entradas aunque un grupo atrasado no las haya leído.
+    STREAM_RETENTION: Object.freeze({}),
 });
 
 const redisChannels = Object.freeze({
@@ -95,8 +118,23 @@ const deliveryType = Object.freeze({
     FAILED: 'failed'
 });
 
+// Destinos de los eventos del outbox (outboxService): un stream, un canal Pub/Sub o un handler registrado.
+const outboxDestinationType = Object.freeze({
+    STREAM: 'stream',
+    CHANNEL: 'channel',
+    HANDLER: 'handler'
+});
+
+const outboxEventStatus = Object.freeze({
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    SENT: 'sent',
+    FAILED: 'failed'
+});
+
 module.exports = {
     chatSources,
+    environments,
     headers,
     metaChannels,
     redisKeyPrefix,
@@ -110,5 +148,7 @@ module.exports = {
     senderType,
     contentType,
     deliveryType,
-    redisChannels
+    redisChannels,
+    outboxDestinationType,
+    outboxEventStatus
 }
\ No newline at end of file
@@ -7,26 +7,194 @@
 
 const logger = require('./logger');
 const crypto = require('crypto');
+const { environments } = require('./constants');
 
 // --- CONFIGURACIÓN DE SEGURIDAD ---
 
 // Variable de entorno que contiene la clave de encriptación.
 // DEBE ser una cadena hexadecimal de 64 caracteres, que representa 32 bytes de datos.
-// el valor '9fc8ebc4932969ef4c626add7a36a58db892c1698d44cae8ba326e2e97bb5fb8' es para que al no tener la variable no se caiga la carga. 
-// cuando no se tiene el ENCRYPTION_KEY como variable es porque el modulo que usa la libreria no va a usar encriptacion
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '9fc8ebc4932969ef4c626add7a36a58db892c1698d44cae8ba326e2e97bb5fb8';
-
-// Verificación crítica al inicio de la aplicación.
-// Si la clave no está definida o no tiene el formato correcto, la aplicación no debe continuar.
-if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 64) {
-    logger.error('CRITICAL: La variable de entorno ENCRYPTION_KEY no está definida o no es una cadena hexadecimal de 64 caracteres.');
-    // En un entorno de producción, es crucial detener la ejecución para evitar que la
-    // aplicación se inicie en un estado inseguro. Ver la explicación en la segunda parte.
-    process.exit(1);
+// La clave por defecto solo existe para que la carga no falle en los módulos que no usan encriptación o en desarrollo.
+// Fuera de los entornos de desarrollo (ENVIRONMENT, ver constants.environments) no se usa: si falta ENCRYPTION_KEY
+// o tiene el valor de ejemplo, el keyring queda inválido. lib/config (validateConfig) lo informa al arrancar.
+// Este módulo no detiene el proceso: si la configuración es inválida, encrypt/decrypt/blindIndex lanzan el error al usarse.
+const DEFAULT_ENCRYPTION_KEY = '9fc8ebc4932969ef4c626add7a36a58db892c1698d44cae8ba326e2e97bb5fb8';
+
+// Como las claves, el entorno se lee al cargar el módulo.
+const IS_DEV_ENVIRONMENT = environments.DEV.includes(String(process.env.ENVIRONMENT || environments.DEFAULT).toLowerCase());
+
+// --- KEYRING ---
+// Para poder rotar la clave, el texto cifrado lleva el id de la clave con la que se generó:
+//   v1:<keyId>:<iv>.<authTag>.<encryptedText>
+// Los textos cifrados antes del keyring ('iv.authTag.encryptedText', sin prefijo) se desencriptan con la clave `legacy`.
+//
+// Variables de entorno:
+// - ENCRYPTION_KEYS: claves adicionales, como JSON ('{"2025-01":"<hex64>"}') o lista 'id:hex64,id:hex64'.
+// - ENCRYPTION_ACTIVE_KEY_ID: id de la clave con la que se encripta. Por defecto 'legacy' (ENCRYPTION_KEY).
+const CIPHERTEXT_VERSION = 'v1';
+const LEGACY_KEY_ID = 'legacy';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HEX_KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Convierte la variable ENCRYPTION_KEYS en un objeto { keyId: hexKey }.
+ * @param {string|undefined} value - JSON o lista 'id:hex,id:hex'.
+ * @returns {object} Las claves por id.
+ */
+const parseKeysEnv = (value) => {
+    if (!value) return {};
+    const raw = String(value).trim();
+    if (raw.startsWith('{')) return JSON.parse(raw);
+    return Object.fromEntries(raw.split(',').map(entry => entry.trim().split(':').map(part => part.trim())));
+};
+
+/**
+ * Valida y construye el keyring.
+ * @param {object} config - Configuración del keyring.
+ * @param {object} config.keys - Claves hexadecimales de 64 caracteres indexadas por id.
+ * @param {string} config.activeKeyId - Id de la clave activa (la usada para encriptar).
+ * @returns {{ keys: Map<string, Buffer>, activeKeyId: string }} El keyring.
+ * @throws {Error} Si algún id o clave es inválido o la clave activa no existe.
+ */
+const buildKeyring = ({ keys, activeKeyId }) => {
+    const keyMap = new Map();
+    for (const [keyId, hexKey] of Object.entries(keys || {})) {
+        if (!KEY_ID_PATTERN.test(keyId)) {
+            throw new Error(`Id de clave de encriptación inválido: '${keyId}'. Solo se permiten letras, números, '_' y '-'.`);
+        }
+        if (!HEX_KEY_PATTERN.test(String(hexKey))) {
+            throw new Error(`La clave de encriptación '${keyId}' no es una cadena hexadecimal de 64 caracteres.`);
+        }
+        keyMap.set(keyId, Buffer.from(hexKey, 'hex'));
+    }
+    if (!keyMap.has(activeKeyId)) {
+        throw new Error(`La clave de encriptación activa '${activeKeyId}' no está en el keyring.`);
+    }
+    return { keys: keyMap, activeKeyId };
+};
+
+/**
+ * Rechaza la clave de ejemplo de la librería fuera de los entornos de desarrollo.
+ * @param {object} keys - Claves hexadecimales indexadas por id.
+ * @throws {Error} Si alguna clave es la de ejemplo y el entorno no es de desarrollo.
+ */
+const assertNoDefaultKeys = (keys) => {
+    if (IS_DEV_ENVIRONMENT) return;
+    for (const [keyId, hexKey] of Object.entries(keys || {})) {
+        if (String(hexKey).toLowerCase() === DEFAULT_ENCRYPTION_KEY) {
+            throw new Error(`La clave '${keyId}' es la clave de ejemplo de la librería (ENCRYPTION_KEY sin definir o con el valor de ejemplo). Solo se acepta con ENVIRONMENT de desarrollo.`);
+        }
+    }
+};
+
+/**
+ * Lee la configuración del keyring desde las variables de entorno.
+ * @param {object} [env=process.env] - Las variables de entorno.
+ * @returns {{ keys: object, activeKeyId: string }} La configuración para `buildKeyring`.
+ * @throws {Error} Si ENCRYPTION_KEYS no se puede interpretar.
+ */
+const keyringConfigFromEnv = (env = process.env) => ({
+    keys: { [LEGACY_KEY_ID]: env.ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY, ...parseKeysEnv(env.ENCRYPTION_KEYS) },
+    activeKeyId: env.ENCRYPTION_ACTIVE_KEY_ID || LEGACY_KEY_ID,
+});
+
+let keyring = null;
+// Error de configuración del keyring. Lo informa lib/config al validar el arranque y se lanza al encriptar o desencriptar.
+let keyringError = null;
+try {
+    const config = keyringConfigFromEnv();
+    assertNoDefaultKeys(config.keys);
+    keyring = buildKeyring(config);
+} catch (error) {
+    keyringError = new Error(`Configuración de claves de encriptación inválida (ENCRYPTION_KEY / ENCRYPTION_KEYS / ENCRYPTION_ACTIVE_KEY_ID): ${error.message}`);
+    logger.error(`CRITICAL: ${keyringError.message}`);
+}
+
+const getKeyring = () => {
+    if (!keyring) throw keyringError;
+    return keyring;
+};
+
+/**
+ * Reemplaza el keyring en tiempo de ejecución (ej. claves leídas de un gestor de secretos).
+ * La clave `legacy` se conserva si no se indica otra, para seguir leyendo los textos cifrados sin prefijo.
+ *
+ * @param {object} config - Configuración del keyring.
+ * @param {object} config.keys - Claves hexadecimales de 64 caracteres indexadas por id.
+ * @param {string} config.activeKeyId - Id de la clave activa.
+ * @throws {Error} Si la configuración es inválida o, fuera de desarrollo, incluye la clave de ejemplo.
+ * En ese caso se mantiene el keyring anterior.
+ */
+const configureKeyring = ({ keys, activeKeyId }) => {
+    assertNoDefaultKeys(keys);
+    const legacyKey = keyring ? keyring.keys.get(LEGACY_KEY_ID).toString('hex') : undefined;
+    keyring = buildKeyring({ keys: { ...(legacyKey && { [LEGACY_KEY_ID]: legacyKey }), ...keys }, activeKeyId });
+    keyringError = null;
+    logger.info(`[Encryption] Keyring actualizado: ${keyring.keys.size} clave(s), activa '${activeKeyId}'.`);
+};
+
+/**
+ * Devuelve el id de la clave con la que se encripta actualmente.
+ * @returns {string} El id de la clave activa.
+ */
+const getActiveKeyId = () => getKeyring().activeKeyId;
+
+/**
+ * Separa un texto cifrado en el id de su clave y el cuerpo 'iv.authTag.encryptedText'.
+ * @param {*} text - El texto a analizar.
+ * @returns {{ keyId: string, body: string }|null} null si el texto no tiene formato de texto cifrado.
+ */
+const parseCiphertext = (text) => {
+    if (text === null || typeof text === 'undefined' || text === '') return null;
+    const value = String(text);
+    if (value.startsWith(`${CIPHERTEXT_VERSION}:`)) {
+        const separator = value.indexOf(':', CIPHERTEXT_VERSION.length + 1);
+        if (separator === -1) return null;
+        return { keyId: value.slice(CIPHERTEXT_VERSION.length + 1, separator), body: value.slice(separator + 1) };
+    }
+    return value.split('.').length === 3 ? { keyId: LEGACY_KEY_ID, body: value } : null;
+};
+
+/**
+ * Indica con qué clave fue encriptado un texto.
+ * @param {*} text - El texto cifrado.
+ * @returns {string|null} El id de la clave ('legacy' para el formato sin prefijo), o null si no es un texto cifrado.
+ */
+const getCiphertextKeyId = (text) => parseCiphertext(text)?.keyId ?? null;
+
+// --- BLIND INDEX ---
+// Secreto de los índices ciegos (HMAC-SHA256). Es independiente de las claves de encriptación: si se filtra uno,
+// el otro sigue protegido. Debe ser una cadena hexadecimal de 64 caracteres (32 bytes).
+// Como ENCRYPTION_KEY, el valor por defecto solo se acepta en desarrollo: en otro entorno blindIndex lanza el error.
+const DEFAULT_BLIND_INDEX_KEY = 'c6a1b6d8e2f04a7d9b3e5c1f8a2d4b6e0f7c9a3d5b1e8f2a4c6d0b9e7f3a5c1d';
+const BLIND_INDEX_KEY = process.env.BLIND_INDEX_KEY || DEFAULT_BLIND_INDEX_KEY;
+let blindIndexKeyError = null;
+if (!HEX_KEY_PATTERN.test(BLIND_INDEX_KEY)) {
+    blindIndexKeyError = new Error('La variable de entorno BLIND_INDEX_KEY no es una cadena hexadecimal de 64 caracteres.');
+} else if (BLIND_INDEX_KEY.toLowerCase() === DEFAULT_BLIND_INDEX_KEY && !IS_DEV_ENVIRONMENT) {
+    blindIndexKeyError = new Error('BLIND_INDEX_KEY no está definida o tiene el valor de ejemplo de la librería. Solo se acepta con ENVIRONMENT de desarrollo.');
 }
+if (blindIndexKeyError) {
+    logger.error(`CRITICAL: ${blindIndexKeyError.message}`);
+}
+const blindIndexKey = blindIndexKeyError ? null : Buffer.from(BLIND_INDEX_KEY, 'hex');
+
+/**
+ * Reglas de normalización de los índices ciegos por tipo de campo. Normalizar antes del HMAC hace que
+ * variantes del mismo dato ('Juan@Mail.com ' y 'juan@mail.com', '20-123456-7' y '201234567') generen el mismo índice.
+ */
+const BLIND_INDEX_TYPES = Object.freeze({
+    EMAIL: 'email', // sin espacios y en minúsculas
+    DOCUMENT: 'document', // solo letras y números, en mayúsculas
+    PHONE: 'phone', // solo dígitos (y el '+' inicial)
+    TEXT: 'text', // sin espacios en los extremos, NFC y en minúsculas
+});
 
-// Convierte la clave de formato hexadecimal a un Buffer, que es el formato requerido por la API de crypto.
-const key = Buffer.from(ENCRYPTION_KEY, 'hex');
+const blindIndexNormalizers = {
+    [BLIND_INDEX_TYPES.EMAIL]: (value) => value.trim().toLowerCase(),
+    [BLIND_INDEX_TYPES.DOCUMENT]: (value) => value.replace(/[^0-9A-Za-z]/g, '').toUpperCase(),
+    [BLIND_INDEX_TYPES.PHONE]: (value) => value.trim().replace(/(?!^\+)[^0-9]/g, ''),
+    [BLIND_INDEX_TYPES.TEXT]: (value) => value.trim().normalize('NFC').toLowerCase(),
+};
 
 // Constantes para el algoritmo de encriptación.
 const ALGORITHM = 'aes-256-gcm'; // Algoritmo robusto que incluye autenticación (GCM).
@@ -34,12 +202,12 @@ const IV_LENGTH = 16; // Longitud del Vector de Inicialización (IV) en bytes. 1
 
 
 /**
- * Encripta un texto utilizando el algoritmo AES-256-GCM.
- * El resultado es una cadena que contiene el IV, el tag de autenticación y el texto cifrado,
- * separados por puntos, para facilitar su posterior desencriptación.
+ * Encripta un texto utilizando el algoritmo AES-256-GCM y la clave activa del keyring.
+ * El resultado es una cadena que contiene la versión del formato, el id de la clave, el IV,
+ * el tag de autenticación y el texto cifrado, para facilitar su posterior desencriptación.
  *
  * @param {string | null | undefined} text - El texto a encriptar. Si es nulo, indefinido o vacío, se devuelve tal cual.
- * @returns {string | null | undefined} El texto encriptado en formato 'iv.authTag.encryptedText' o el texto original si no era válido.
+ * @returns {string | null | undefined} El texto encriptado en formato 'v1:keyId:iv.authTag.encryptedText' o el texto original si no era válido.
  */
 const encrypt = (text) => {
     // Si el texto de entrada no es válido, no hay nada que encriptar.
@@ -51,8 +219,9 @@ const encrypt = (text) => {
     // Esto asegura que encriptar el mismo texto varias veces produzca resultados diferentes.
     const iv = crypto.randomBytes(IV_LENGTH);
 
-    // 2. Crear un objeto 'cipher' con el algoritmo, la clave y el IV.
-    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    // 2. Crear un objeto 'cipher' con el algoritmo, la clave activa y el IV.
+    const { activeKeyId, keys } = getKeyring();
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
 
     // 3. Encriptar el texto. Se actualiza con el texto y se finaliza.
     let encrypted = cipher.update(String(text), 'utf8', 'hex');
@@ -63,18 +232,20 @@ const encrypt = (text) => {
     const authTag = cipher.getAuthTag();
 
     // 5. Devolver una cadena estructurada con todos los componentes necesarios para la desencriptación.
-    // Formato: [iv en hex].[authTag en hex].[texto encriptado en hex]
-    return `${iv.toString('hex')}.${authTag.toString('hex')}.${encrypted}`;
+    // Formato: v1:[id de la clave]:[iv en hex].[authTag en hex].[texto encriptado en hex]
+    return `${CIPHERTEXT_VERSION}:${activeKeyId}:${iv.toString('hex')}.${authTag.toString('hex')}.${encrypted}`;
 }
 
 /**
  * Desencripta un texto que fue encriptado previamente con la función `encrypt`.
  * Falla de forma segura si el texto ha sido manipulado o si la clave de encriptación es incorrecta.
  *
- * @param {string | null | undefined} text - El texto encriptado en formato 'iv.authTag.encryptedText'.
+ * Usa la clave del keyring indicada en el prefijo del texto ('v1:keyId:'); los textos sin prefijo usan la clave `legacy`.
+ *
+ * @param {string | null | undefined} text - El texto encriptado en formato 'v1:keyId:iv.authTag.encryptedText' o 'iv.authTag.encryptedText'.
  * @returns {string} El texto original desencriptado.
  * @throws {Error} Lanza un error si la desencriptación falla (ej. tag de autenticación inválido),
- * lo que indica posible corrupción o manipulación de datos.
+ * lo que indica posible corrupción o manipulación de datos, o si la clave del texto no está en el keyring.
  */
 const decrypt = (text) => {
     // Si el texto de entrada no es válido o no tiene el formato esperado, devolverlo sin intentar desencriptar.
@@ -82,27 +253,39 @@ const decrypt = (text) => {
         return text;
     }
 
+    // 1. Obtener la clave con la que se encriptó (prefijo 'v1:keyId:' o 'legacy' si no tiene prefijo).
+    const ciphertext = parseCiphertext(text);
+    if (!ciphertext) {
+        logger.warn("[Encryption] Formato de texto cifrado inválido. Se esperaban 3 partes separadas por '.'");
+        return text; // Devolver el texto original si el formato es incorrecto.
+    }
+    const key = getKeyring().keys.get(ciphertext.keyId);
+    if (!key) {
+        logger.error(`[Encryption] No se encontró la clave '${ciphertext.keyId}' en el keyring para desencriptar.`);
+        throw new Error(`Decryption failed. Unknown encryption key '${ciphertext.keyId}'.`);
+    }
+
     try {
-        // 1. Separar las tres partes del texto encriptado: IV, tag de autenticación y el cifrado.
-        const parts = String(text).split('.');
+        // 2. Separar las tres partes del texto encriptado: IV, tag de autenticación y el cifrado.
+        const parts = ciphertext.body.split('.');
         if (parts.length !== 3) {
-            console.warn(`[Encryption] Formato de texto cifrado inválido para: ${text}. Se esperaban 3 partes separadas por '.'`);
+            logger.warn("[Encryption] Formato de texto cifrado inválido. Se esperaban 3 partes separadas por '.'");
             return text; // Devolver el texto original si el formato es incorrecto.
         }
 
-        // 2. Convertir las partes de hexadecimal a Buffers.
+        // 3. Convertir las partes de hexadecimal a Buffers.
         const iv = Buffer.from(parts[0], 'hex');
         const authTag = Buffer.from(parts[1], 'hex');
         const encryptedText = parts[2];
 
-        // 3. Crear el objeto 'decipher' con los mismos parámetros (algoritmo, clave, IV).
+        // 4. Crear el objeto 'decipher' con los mismos parámetros (algoritmo, clave, IV).
         const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
 
-        // 4. Establecer el tag de autenticación. Este es el paso de verificación de integridad.
+        // 5. Establecer el tag de autenticación. Este es el paso de verificación de integridad.
         // Si el tag no coincide, la llamada a `decipher.final()` lanzará un error.
         decipher.setAuthTag(authTag);
 
-        // 5. Desencriptar el texto.
+        // 6. Desencriptar el texto.
         let decrypted = decipher.update(encryptedText, 'hex', 'utf8');
         decrypted += decipher.final('utf8');
         return decrypted;
@@ -117,7 +300,8 @@ const decrypt = (text) => {
 
 /**
  * Genera un hash SHA-256 de una entrada dada. Es un proceso de un solo sentido.
- * Útil para almacenar contraseñas o verificar la integridad de datos sin necesidad de revertirlos.
+ * Útil para verificar la integridad de datos o guardar tokens aleatorios sin necesidad de revertirlos.
+ * No usar para buscar datos personales de espacio pequeño (DNI, RUC, emails): para eso usar `blindIndex`.
  *
  * @param {*} text - La entrada a hashear. Será convertida a string.
  * @returns {string} El hash SHA-256 resultante, codificado en hexadecimal.
@@ -128,5 +312,72 @@ const hash = (text) => {
     return crypto.createHash('sha256').update(stringToHash).digest('hex');
 }
 
+/**
+ * Normaliza un valor según las reglas del tipo de índice ciego.
+ * @param {*} value - El valor a normalizar. Será convertido a string.
+ * @param {string} type - Tipo de campo (BLIND_INDEX_TYPES).
+ * @returns {string} El valor normalizado.
+ * @throws {Error} Si el tipo no existe.
+ */
+const normalizeForBlindIndex = (value, type) => {
+    const normalizer = blindIndexNormalizers[type];
+    if (!normalizer) {
+        throw new Error(`Tipo de índice ciego desconocido: '${type}'.`);
+    }
+    return normalizer(String(value));
+};
+
+/**
+ * Genera un índice ciego (blind index): HMAC-SHA256 del valor normalizado con el secreto BLIND_INDEX_KEY.
+ * Permite buscar y garantizar unicidad sobre campos encriptados sin que el índice pueda revertirse por fuerza bruta
+ * sin conocer el secreto (a diferencia de `hash`, que es un SHA-256 sin clave).
+ *
+ * @param {*} value - El valor a indexar.
+ * @param {string} type - Tipo de campo (BLIND_INDEX_TYPES), define la normalización.
+ * @returns {string|null} El índice en hexadecimal, o null si el valor es vacío (antes o después de normalizar).
+ */
+const blindIndex = (value, type) => {
+    if (value === null || typeof value === 'undefined' || value === '') return null;
+    const normalized = normalizeForBlindIndex(value, type);
+    if (!normalized) return null;
+    if (blindIndexKeyError) throw blindIndexKeyError;
+    return crypto.createHmac('sha256', blindIndexKey).update(`${type}:${normalized}`).digest('hex');
+};
+
+/**
+ * Indica si un texto cifrado fue encriptado con una clave distinta de la activa y debe re-encriptarse.
+ * @param {*} text - El valor a evaluar.
+ * @returns {boolean} true si es un texto cifrado con otra clave o con el formato sin prefijo.
+ */
+const needsReEncryption = (text) => {
+    const ciphertext = parseCiphertext(text);
+    return Boolean(ciphertext) && (ciphertext.keyId !== getKeyring().activeKeyId || !String(text).startsWith(`${CIPHERTEXT_VERSION}:`));
+};
+
+/**
+ * Desencripta un texto con su clave y lo vuelve a encriptar con la clave activa.
+ * @param {string} text - El texto cifrado.
+ * @returns {string} El texto cifrado con la clave activa (o el mismo texto si no requiere re-encriptación).
+ * @throws {Error} Si la desencriptación falla.
+ */
+const reEncrypt = (text) => needsReEncryption(text) ? encrypt(decrypt(text)) : text;
+
 // Exporta las funciones para que puedan ser utilizadas en otras partes de la aplicación.
-module.exports = { encrypt, decrypt, hash };
\ No newline at end of file
+module.exports = {
+    encrypt,
+    decrypt,
+    hash,
+    buildKeyring,
+    configureKeyring,
+    keyringConfigFromEnv,
+    getActiveKeyId,
+    getCiphertextKeyId,
+    needsReEncryption,
+    reEncrypt,
+    blindIndex,
+    normalizeForBlindIndex,
+    BLIND_INDEX_TYPES,
+    LEGACY_KEY_ID,
+    DEFAULT_ENCRYPTION_KEY,
+    DEFAULT_BLIND_INDEX_KEY,
+};
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * @module jwt
+ * @description Verificación de JSON Web Tokens firmados con HS256 (secreto compartido) o RS256
+ * (clave pública tomada de un archivo JWKS local). Usa solo el módulo `crypto` de Node.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+
+const SUPPORTED_ALGORITHMS = Object.freeze(['HS256', 'RS256']);
+// Tolerancia por defecto (en segundos) para diferencias de reloj entre servicios al validar exp/nbf.
+const DEFAULT_CLOCK_TOLERANCE = 30;
+
+// Cache de claves públicas por ruta del archivo JWKS, para no leerlo en cada request.
+const jwksCache = new Map();
+
+/**
+ * Error de verificación de un JWT. `code` identifica la causa (ej. 'TOKEN_EXPIRED', 'INVALID_SIGNATURE').
+ */
+class JwtError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'JwtError';
+        this.code = code;
+    }
+}
+
+const decodeSegment = (segment) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new JwtError('MALFORMED_TOKEN', 'El token no tiene un formato JWT válido');
+    }
+};
+
+/**
+ * Carga las claves públicas de un archivo JWKS (`{ "keys": [ { "kid", "kty", "n", "e", ... } ] }`).
+ *
+ * @param {string} jwksPath - Ruta al archivo JWKS.
+ * @returns {Map<string, crypto.KeyObject>} Claves indexadas por `kid` (o por '' si la clave no tiene `kid`).
+ */
+const loadJwks = (jwksPath) => {
+    if (jwksCache.has(jwksPath)) return jwksCache.get(jwksPath);
+
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+    const publicKeys = new Map();
+    for (const jwk of keys) {
+        if (jwk.use && jwk.use !== 'sig') continue;
+        publicKeys.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+    logger.verbose(`[jwt] ${publicKeys.size} clave(s) pública(s) cargada(s) desde ${jwksPath}`);
+    jwksCache.set(jwksPath, publicKeys);
+    return publicKeys;
+};
+
+const verifySignature = (header, signingInput, signature, options) => {
+    if (header.alg === 'HS256') {
+        if (!options.secret) throw new JwtError('MISSING_KEY', 'No hay secreto configurado para verificar tokens HS256');
+        const expected = crypto.createHmac('sha256', options.secret).update(signingInput).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+
+    // RS256
+    if (!options.jwksPath) throw new JwtError('MISSING_KEY', 'No hay archivo JWKS configurado para verificar tokens RS256');
+    const publicKeys = loadJwks(options.jwksPath);
+    const publicKey = header.kid !== undefined
+        ? publicKeys.get(header.kid)
+        : (publicKeys.size === 1 ? [...publicKeys.values()][0] : undefined);
+    if (!publicKey) throw new JwtError('UNKNOWN_KEY', `No se encontró la clave pública para el kid '${header.kid}'`);
+    return crypto.verify('RSA-SHA256', Buffer.from(signingInput), publicKey, signature);
+};
+
+const matchesClaim = (value, expected) => {
+    const values = Array.isArray(value) ? value : [value];
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    return values.some(v => accepted.includes(v));
+};
+
+/**
+ * Verifica la firma y los claims estándar de un JWT y devuelve su payload.
+ *
+ * @param {string} token - El JWT (`header.payload.signature`).
+ * @param {object} options - Opciones de verificación.
+ * @param {string[]} [options.algorithms=['HS256','RS256']] - Algoritmos aceptados. Evita que el emisor elija uno no esperado.
+ * @param {string} [options.secret] - Secreto compartido para HS256.
+ * @param {string} [options.jwksPath] - Ruta al archivo JWKS con las claves públicas para RS256.
+ * @param {string|string[]} [options.audience] - Audiencia(s) aceptada(s) en `aud`.
+ * @param {string|string[]} [options.issuer] - Emisor(es) aceptado(s) en `iss`.
+ * @param {number} [options.clockTolerance=30] - Tolerancia en segundos para `exp` y `nbf`.
+ * @returns {object} El payload del token.
+ * @throws {JwtError} Si el token es inválido, está expirado o no cumple audiencia/emisor.
+ */
+const verify = (token, options = {}) => {
+    const algorithms = options.algorithms || SUPPORTED_ALGORITHMS;
+    const clockTolerance = options.clockTolerance ?? DEFAULT_CLOCK_TOLERANCE;
+
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw new JwtError('MALFORMED_TOKEN', 'El token no tiene un formato JWT válido');
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+    const header = decodeSegment(encodedHeader);
+    if (!SUPPORTED_ALGORITHMS.includes(header.alg) || !algorithms.includes(header.alg)) {
+        throw new JwtError('INVALID_ALGORITHM', `Algoritmo de firma no permitido: ${header.alg}`);
+    }
+
+    const signature = Buffer.from(encodedSignature, 'base64url');
+    if (!verifySignature(header, `${encodedHeader}.${encodedPayload}`, signature, options)) {
+        throw new JwtError('INVALID_SIGNATURE', 'La firma del token es inválida');
+    }
+
+    const payload = decodeSegment(encodedPayload);
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number') {
+        throw new JwtError('MISSING_EXPIRATION', 'El token no tiene fecha de expiración (exp)');
+    }
+    if (now > payload.exp + clockTolerance) {
+        throw new JwtError('TOKEN_EXPIRED', 'El token ha expirado');
+    }
+    if (typeof payload.nbf === 'number' && now + clockTolerance < payload.nbf) {
+        throw new JwtError('TOKEN_NOT_ACTIVE', 'El token aún no es válido (nbf)');
+    }
+    if (options.audience && !matchesClaim(payload.aud, options.audience)) {
+        throw new JwtError('INVALID_AUDIENCE', 'La audiencia (aud) del token no es válida');
+    }
+    if (options.issuer && !matchesClaim(payload.iss, options.issuer)) {
+        throw new JwtError('INVALID_ISSUER', 'El emisor (iss) del token no es válido');
+    }
+    return payload;
+};
+
+module.exports = { JwtError, loadJwks, verify };
@@ -1,9 +1,30 @@
 const mongoose = require('mongoose');
 const logger = require('./logger');
+const redisService = require('./redisService');
+const { redisKeyPrefix } = require('./constants');
 
 let isConnected = false; // Variable para rastrear el estado de la conexión
 let isClosing = false; // Variable para evitar múltiples cierres
 
+// Códigos de error de MongoDB que indican que el resume token ya no sirve (el oplog no conserva ese punto).
+const RESUME_TOKEN_LOST_CODES = [
+    260, // InvalidResumeToken
+    280, // ChangeStreamFatalError
+    286, // ChangeStreamHistoryLost
+];
+const WATCH_RETRY_BASE_DELAY_MS = 1000;
+const WATCH_RETRY_MAX_DELAY_MS = 30 * 1000;
+const WATCH_MAX_CHANGE_ATTEMPTS = 5;
+
+// Cliente Redis para los resume tokens. Lanza si no está disponible: abrir el stream sin token perdería cambios.
+const getResumeTokenClient = () => {
+    const client = redisService.client;
+    if (!client || client.status !== 'ready') {
+        throw new Error('Cliente Redis no disponible para leer o guardar el resume token.');
+    }
+    return client;
+};
+
 const mongoDBService = {
     /**
      * @property {mongoose.Connection} connection - La instancia de conexión de Mongoose.
@@ -101,6 +122,136 @@ const mongoDBService = {
             logger.info('La conexión a MongoDB no estaba activa para cerrar.');
         }
         isClosing = false; // Resetear el estado de cierre
+    },
+
+    /**
+     * Observa los cambios de una colección con un change stream (requiere un replica set) y llama a `onChange`
+     * por cada uno, en orden. Tras procesar cada cambio guarda su resume token en Redis, de modo que al reiniciar
+     * el servicio (o tras un error de red) se retoma desde el último cambio procesado: la entrega es al menos una vez.
+     * Si el resume token ya no está en el oplog, se descarta, se llama a `onResumeLost` para resincronizar
+     * y se sigue desde el momento actual. Si Redis no está disponible, el stream no se abre (se reintenta con backoff)
+     * para no retomar desde el momento actual y saltarse cambios.
+     *
+     * Ejemplo:
+     *    const watcher = mongoDBService.watchCollection(Company, { name: 'companies', onChange: (change) => sync(change) });
+     *    await watcher.close();
+     *
+     * @param {mongoose.Model|mongoose.Collection} source - El modelo o la colección a observar.
+     * @param {object} options - Opciones.
+     * @param {string} options.name - Nombre del watcher; identifica su resume token en Redis.
+     * @param {Function} options.onChange - Función async `(change) => {}`. Si lanza, se reintenta con backoff hasta
+     * `maxAttempts` veces; después el cambio se descarta (se registra y se pasa a `onFailedChange`) y se sigue con el siguiente.
+     * @param {number} [options.maxAttempts=5] - Intentos de `onChange` por cambio.
+     * @param {Function} [options.onFailedChange] - Función async `(change, error) => {}` llamada con los cambios descartados.
+     * @param {Function} [options.onResumeLost] - Función async llamada cuando se descarta el resume token.
+     * @param {Array<object>} [options.pipeline=[]] - Pipeline de agregación para filtrar los cambios.
+     * @param {string} [options.fullDocument='updateLookup'] - Opción `fullDocument` del change stream.
+     * @returns {{ close: Function }} Objeto con `close()` (async) para detener el watcher.
+     */
+    watchCollection(source, {
+        name, onChange, onFailedChange, onResumeLost, pipeline = [], fullDocument = 'updateLookup', maxAttempts = WATCH_MAX_CHANGE_ATTEMPTS,
+    }) {
+        if (!name || typeof onChange !== 'function') {
+            throw new Error('watchCollection requiere `name` y `onChange`.');
+        }
+        const collection = source.collection || source;
+        const tokenKey = `${redisKeyPrefix.CHANGE_STREAM_RESUME}:${name}`;
+        let stream = null;
+        let closed = false;
+        let retryDelay = WATCH_RETRY_BASE_DELAY_MS;
+        let wakeUp = null;
+
+        const wait = (ms) => new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            wakeUp = () => { clearTimeout(timer); resolve(); };
+        });
+
+        const readResumeToken = async () => {
+            const raw = await getResumeTokenClient().get(tokenKey);
+            return raw === null ? null : JSON.parse(raw);
+        };
+
+        const saveResumeToken = async (token) => {
+            await getResumeTokenClient().set(tokenKey, JSON.stringify(token));
+        };
+
+        // Procesa un cambio con reintentos. Un cambio que sigue fallando se descarta para no detener el watcher.
+        const processChange = async (change) => {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    await onChange(change);
+                    return;
+                } catch (error) {
+                    const documentId = change.documentKey?._id;
+                    if (attempt >= maxAttempts) {
+                        logger.error(`[watch:${name}] Cambio '${change.operationType}' del documento ${documentId} descartado tras ${attempt} intento(s) -> error:${error.message}`);
+                        if (onFailedChange) {
+                            await Promise.resolve()
+                                .then(() => onFailedChange(change, error))
+                                .catch(callbackError => logger.error(`[watch:${name}] Error en onFailedChange -> error:${callbackError.message}`));
+                        }
+                        return;
+                    }
+                    const delay = Math.min(WATCH_RETRY_MAX_DELAY_MS, WATCH_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+                    logger.warn(`[watch:${name}] Error al procesar el cambio del documento ${documentId} (intento ${attempt}/${maxAttempts}); se reintenta en ${delay} ms -> error:${error.message}`);
+                    await wait(delay);
+                    // Al cerrar durante la espera el token no avanza: el cambio se vuelve a entregar al reabrir.
+                    if (closed) throw error;
+                }
+            }
+        };
+
+        const run = async () => {
+            while (!closed) {
+                try {
+                    const resumeAfter = await readResumeToken();
+                    stream = collection.watch(pipeline, { fullDocument, ...(resumeAfter ? { resumeAfter } : {}) });
+                    logger.info(`[watch:${name}] Change stream abierto${resumeAfter ? ' desde el último resume token' : ''}.`);
+                    for await (const change of stream) {
+                        await processChange(change);
+                        await saveResumeToken(change._id);
+                        retryDelay = WATCH_RETRY_BASE_DELAY_MS;
+                    }
+                } catch (error) {
+                    if (closed) break;
+                    if (RESUME_TOKEN_LOST_CODES.includes(error.code)) {
+                        logger.warn(`[watch:${name}] El resume token ya no es válido; se descarta y se resincroniza -> error:${error.message}`);
+                        try {
+                            await getResumeTokenClient().del(tokenKey);
+                        } catch (deleteError) {
+                            logger.error(`[watch:${name}] No se pudo descartar el resume token; se reintenta en ${retryDelay} ms -> error:${deleteError.message}`);
+                            await wait(retryDelay);
+                            retryDelay = Math.min(WATCH_RETRY_MAX_DELAY_MS, retryDelay * 2);
+                            continue;
+                        }
+                        if (onResumeLost) {
+                            await Promise.resolve()
+                                .then(() => onResumeLost())
+                                .catch(resyncError => logger.error(`[watch:${name}] Error al resincronizar -> error:${resyncError.message}`));
+                        }
+                    } else {
+                        logger.error(`[watch:${name}] Error en el change stream; se reabre en ${retryDelay} ms -> error:${error.message}`);
+                        await wait(retryDelay);
+                        retryDelay = Math.min(WATCH_RETRY_MAX_DELAY_MS, retryDelay * 2);
+                    }
+                } finally {
+                    await stream?.close().catch(() => {});
+                    stream = null;
+                }
+                // Un stream terminado sin error (ej. 'invalidate' al borrar la colección) se vuelve a abrir.
+            }
+            logger.info(`[watch:${name}] Change stream cerrado.`);
+        };
+        const running = run();
+
+        return {
+            async close() {
+                closed = true;
+                if (wakeUp) wakeUp();
+                await stream?.close().catch(() => {});
+                await running;
+            }
+        };
     }
 };
 
@@ -1,7 +1,141 @@
 const Redis = require('ioredis'); // Cambiado de 'redis' a 'ioredis'
 const logger = require('./logger');
+const { messagesRedisStream } = require('./constants');
 let client = null; // Variable para almacenar el cliente Redis
 let isClosing = false; // Variable para evitar múltiples cierres
+// Conexión dedicada a Pub/Sub: en modo suscripción ioredis no permite otros comandos en la misma conexión.
+let subscriber = null;
+// Handlers registrados por canal y por patrón. Son la fuente de verdad para volver a suscribirse tras una reconexión.
+const channelHandlers = new Map();
+const patternHandlers = new Map();
+
+const DEFAULT_REPLAY_BATCH_SIZE = 100;
+
+// Retención de cada stream al publicar: la de constants.messagesRedisStream.STREAM_RETENTION más la configurada
+// con redisService.setStreamRetention. Un stream sin entrada no se recorta.
+const streamRetentions = new Map(Object.entries(messagesRedisStream.STREAM_RETENTION));
+
+// Retención configurada para un stream; {} si no se recorta.
+const getStreamRetention = (streamKey) => streamRetentions.get(streamKey) || {};
+
+/**
+ * Construye los argumentos de retención de XADD/XTRIM.
+ * @param {object} retention - `{ maxLen, minId, maxAgeMs, approximate }`. `maxAgeMs` se traduce a un MINID por tiempo.
+ * @returns {Array<string|number>} Los argumentos (vacío si no hay retención).
+ */
+const buildRetentionArgs = ({ maxLen, minId, maxAgeMs, approximate = true } = {}) => {
+    const operator = approximate ? ['~'] : [];
+    if (maxAgeMs) return ['MINID', ...operator, `${Date.now() - maxAgeMs}-0`];
+    if (minId) return ['MINID', ...operator, minId];
+    if (maxLen) return ['MAXLEN', ...operator, maxLen];
+    return [];
+};
+
+/**
+ * Convierte una respuesta plana de XINFO (`[campo, valor, campo, valor, ...]`) en un objeto.
+ * @param {Array} reply - La respuesta de ioredis.
+ * @returns {object} El objeto.
+ */
+const infoReplyToObject = (reply) => {
+    const result = {};
+    for (let i = 0; i < reply.length; i += 2) {
+        result[reply[i]] = reply[i + 1];
+    }
+    return result;
+};
+
+/**
+ * Decodifica el mensaje recibido: JSON si es posible (como lo publica `publish`), o el texto original.
+ * @param {string} message - El mensaje recibido.
+ * @returns {*} El payload.
+ */
+const decodeMessage = (message) => {
+    try {
+        return JSON.parse(message);
+    } catch (e) {
+        return message;
+    }
+};
+
+/**
+ * Ejecuta cada handler por separado: el error (síncrono o asíncrono) de uno no afecta a los demás ni a la conexión.
+ * @param {Set<Function>} handlers - Los handlers.
+ * @param {Array} args - Los argumentos de cada handler.
+ * @param {string} target - El canal o patrón, para el log.
+ */
+const dispatchToHandlers = (handlers, args, target) => {
+    for (const handler of [...(handlers || [])]) {
+        Promise.resolve()
+            .then(() => handler(...args))
+            .catch(error => logger.error(`Error en un handler de la suscripción Redis '${target}' -> error:${error.message}`));
+    }
+};
+
+/**
+ * Obtiene (o crea) la conexión de suscripción, duplicando el cliente principal.
+ * Al estar lista (también después de cada reconexión) se vuelve a suscribir a todos los canales y patrones registrados.
+ * @returns {Redis.Redis} La conexión de suscripción.
+ */
+const getSubscriber = () => {
+    if (subscriber) return subscriber;
+    if (!client) {
+        throw new Error('Cliente Redis no inicializado. Llame a connect() antes de suscribirse.');
+    }
+    subscriber = client.duplicate({ autoResubscribe: false });
+
+    subscriber.on('ready', async () => {
+        try {
+            if (channelHandlers.size > 0) await subscriber.subscribe(...channelHandlers.keys());
+            if (patternHandlers.size > 0) await subscriber.psubscribe(...patternHandlers.keys());
+            logger.info(`Suscripciones Redis activas: ${channelHandlers.size} canal(es), ${patternHandlers.size} patrón(es).`);
+        } catch (error) {
+            logger.error(`Error al restablecer las suscripciones Redis -> error:${error.message}`);
+        }
+    });
+    subscriber.on('error', (err) => {
+        logger.error('Error en la conexión de suscripción Redis:', err);
+    });
+    subscriber.on('message', (channel, message) => {
+        dispatchToHandlers(channelHandlers.get(channel), [decodeMessage(message), channel], channel);
+    });
+    subscriber.on('pmessage', (pattern, channel, message) => {
+        dispatchToHandlers(patternHandlers.get(pattern), [decodeMessage(message), channel, pattern], pattern);
+    });
+    return subscriber;
+};
+
+/**
+ * Registra un handler en un mapa de suscripciones y, si es el primero del canal/patrón, envía el comando de suscripción.
+ * Si la conexión todavía no está lista, la suscripción se hace en su evento 'ready'.
+ */
+const addSubscription = async (handlersMap, target, handler, command) => {
+    if (typeof handler !== 'function') {
+        throw new Error(`El handler de la suscripción Redis '${target}' debe ser una función.`);
+    }
+    const connection = getSubscriber();
+    const isNew = !handlersMap.has(target);
+    if (isNew) handlersMap.set(target, new Set());
+    handlersMap.get(target).add(handler);
+    if (isNew && connection.status === 'ready') {
+        await connection[command](target);
+    }
+    logger.verbose(`Handler suscrito a '${target}'.`);
+};
+
+/**
+ * Quita un handler (o todos) de un canal/patrón y, si no quedan handlers, envía el comando de desuscripción.
+ */
+const removeSubscription = async (handlersMap, target, handler, command) => {
+    const handlers = handlersMap.get(target);
+    if (!handlers) return;
+    if (handler) handlers.delete(handler);
+    if (handler && handlers.size > 0) return;
+    handlersMap.delete(target);
+    if (subscriber && subscriber.status === 'ready') {
+        await subscriber[command](target);
+    }
+    logger.verbose(`Suscripción a '${target}' eliminada.`);
+};
 
 const redisService = {
     /**
@@ -117,6 +251,16 @@ const redisService = {
         } else {
             logger.info('El cliente Redis no estaba activo o ya estaba cerrándose para cerrar.');
         }
+        if (subscriber) {
+            try {
+                await subscriber.quit();
+            } catch (err) {
+                logger.error('Error al cerrar la conexión de suscripción Redis:', err);
+            }
+            subscriber = null;
+            channelHandlers.clear();
+            patternHandlers.clear();
+        }
         isClosing = false; // Resetear el estado de cierre
         client = null; // Limpiar la referencia al cliente
     },
@@ -250,20 +394,56 @@ const redisService = {
         }
     },
 
+    /**
+     * Configura la retención con la que publishToStream (y replayStream hacia ese destino) recorta un stream.
+     * Reemplaza la de `messagesRedisStream.STREAM_RETENTION` para ese stream. Llamarla al iniciar el servicio.
+     * El recorte elimina las entradas más antiguas aunque un grupo no las haya leído: dimensionarlo según el atraso tolerable.
+     * Ej.: redisService.setStreamRetention(messagesRedisStream.INCOMING_STREAM_KEY, { maxAgeMs: 7 * 24 * 60 * 60 * 1000 });
+     * @param {string} streamKey - La clave del stream.
+     * @param {object|null} retention - `{ maxLen, minId, maxAgeMs, approximate }` (ver publishToStream), o null para no recortarlo.
+     * @throws {Error} Si la retención no indica maxLen, minId ni maxAgeMs.
+     */
+    setStreamRetention(streamKey, retention) {
+        if (retention == null) {
+            streamRetentions.delete(streamKey);
+            return;
+        }
+        if (buildRetentionArgs(retention).length === 0) {
+            throw new Error(`La retención del stream '${streamKey}' requiere maxLen, minId o maxAgeMs.`);
+        }
+        streamRetentions.set(streamKey, { ...retention });
+    },
+
+    /**
+     * Devuelve la retención configurada para un stream.
+     * @param {string} streamKey - La clave del stream.
+     * @returns {object} `{ maxLen, minId, maxAgeMs, approximate }`, o `{}` si el stream no se recorta.
+     */
+    getStreamRetention(streamKey) {
+        return { ...getStreamRetention(streamKey) };
+    },
+
     /**
      * Publica un mensaje (payload) en un stream de Redis.
+     * Por defecto no recorta el stream, salvo que tenga una retención configurada (ver setStreamRetention).
+     * El recorte elimina las entradas más antiguas aunque un grupo no las haya leído: dimensionarlo según el atraso tolerable.
      * @param {string} streamKey - La clave del stream donde publicar.
      * @param {object} messagePayload - El objeto de JavaScript que se publicará. Será serializado a JSON.
+     * @param {object} [retention] - Retención del stream. Por defecto la configurada para `streamKey`, o ninguna.
+     * @param {number} [retention.maxLen] - Cantidad máxima de entradas (MAXLEN).
+     * @param {string} [retention.minId] - ID mínimo a conservar (MINID).
+     * @param {number} [retention.maxAgeMs] - Antigüedad máxima de las entradas (MINID calculado a partir de la fecha actual).
+     * @param {boolean} [retention.approximate=true] - Recorte aproximado (`~`), mucho más eficiente que el exacto.
      * @returns {Promise<string|null>} El ID del mensaje creado, o null si hay un error.
      */
-    async publishToStream(streamKey, messagePayload) {
+    async publishToStream(streamKey, messagePayload, retention = getStreamRetention(streamKey)) {
         if (!client || client.status !== 'ready') {
             logger.error('Cliente Redis no disponible para publishToStream.');
             return null;
         }
         try {
             const payloadString = JSON.stringify(messagePayload);
-            const messageId = await client.xadd(streamKey, '*', 'payload', payloadString);
+            const messageId = await client.xadd(streamKey, ...buildRetentionArgs(retention), '*', 'payload', payloadString);
             logger.verbose(`Mensaje publicado en stream '${streamKey}' con ID: ${messageId}`);
             return messageId;
         } catch (error) {
@@ -272,6 +452,130 @@ const redisService = {
         }
     },
 
+    /**
+     * Recorta un stream según la retención indicada (XTRIM).
+     * @param {string} streamKey - La clave del stream.
+     * @param {object} retention - `{ maxLen, minId, maxAgeMs, approximate }` (ver publishToStream).
+     * @returns {Promise<number|null>} Cantidad de entradas eliminadas, o null si hay un error.
+     */
+    async trimStream(streamKey, retention) {
+        if (!client || client.status !== 'ready') {
+            logger.error('Cliente Redis no disponible para trimStream.');
+            return null;
+        }
+        const args = buildRetentionArgs(retention);
+        if (args.length === 0) {
+            logger.error(`trimStream requiere maxLen, minId o maxAgeMs para el stream '${streamKey}'.`);
+            return null;
+        }
+        try {
+            const removed = await client.xtrim(streamKey, ...args);
+            logger.verbose(`Stream '${streamKey}' recortado: ${removed} entrada(s) eliminada(s).`);
+            return removed;
+        } catch (error) {
+            logger.error(`Error al recortar el stream '${streamKey}':`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Devuelve el estado de un stream: longitud, primer/último ID y, por cada grupo de consumidores, los mensajes
+     * pendientes, el atraso (`lag`, entradas aún no entregadas al grupo; null en Redis < 7) y los pendientes de cada consumidor.
+     * @param {string} streamKey - La clave del stream.
+     * @returns {Promise<object|null>} `{ streamKey, length, firstEntryId, lastEntryId, groups: [{ name, pending, lag,
+     * lastDeliveredId, consumers: [{ name, pending, idleMs }] }] }`, o null si el stream no existe o hay un error.
+     */
+    async inspectStream(streamKey) {
+        if (!client || client.status !== 'ready') {
+            logger.error('Cliente Redis no disponible para inspectStream.');
+            return null;
+        }
+        try {
+            if (!await client.exists(streamKey)) return null;
+            const info = infoReplyToObject(await client.xinfo('STREAM', streamKey));
+            const groups = [];
+            for (const groupReply of await client.xinfo('GROUPS', streamKey)) {
+                const group = infoReplyToObject(groupReply);
+                const consumers = (await client.xinfo('CONSUMERS', streamKey, group.name)).map(infoReplyToObject);
+                groups.push({
+                    name: group.name,
+                    pending: group.pending,
+                    lag: group.lag ?? null,
+                    lastDeliveredId: group['last-delivered-id'],
+                    consumers: consumers.map(consumer => ({ name: consumer.name, pending: consumer.pending, idleMs: consumer.idle })),
+                });
+            }
+            return {
+                streamKey,
+                length: info.length,
+                firstEntryId: info['first-entry']?.[0] ?? null,
+                lastEntryId: info['last-generated-id'],
+                groups,
+            };
+        } catch (error) {
+            logger.error(`Error al inspeccionar el stream '${streamKey}':`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Vuelve a publicar las entradas de un rango de IDs de un stream, con su payload original y el campo `replayOf`.
+     * Sirve para reprocesar un rango del mismo stream o para devolver mensajes del dead-letter (StreamConsumer)
+     * a su stream original: si no se indica `targetKey`, se usa el campo `streamKey` de la entrada o, si no lo tiene,
+     * el mismo stream de origen.
+     *
+     * Ejemplo: await redisService.replayStream('incoming_meta_messages:dead_letter', { remove: true });
+     *
+     * @param {string} sourceKey - El stream de origen.
+     * @param {object} [options={}] - Opciones.
+     * @param {string} [options.start='-'] - Primer ID del rango (incluido).
+     * @param {string} [options.end='+'] - Último ID del rango (incluido).
+     * @param {number} [options.count] - Cantidad máxima de entradas a republicar.
+     * @param {string} [options.targetKey] - Stream de destino.
+     * @param {boolean} [options.remove=false] - Si se eliminan del origen las entradas republicadas (XDEL).
+     * @param {object} [options.retention] - Retención del stream de destino. Por defecto la configurada para el destino (ver publishToStream).
+     * @returns {Promise<{ replayed: number, lastId: string|null }|null>} El resumen, o null si hay un error.
+     */
+    async replayStream(sourceKey, options = {}) {
+        if (!client || client.status !== 'ready') {
+            logger.error('Cliente Redis no disponible para replayStream.');
+            return null;
+        }
+        const { start = '-', end = '+', count = Infinity, targetKey, remove = false, retention } = options;
+        const summary = { replayed: 0, lastId: null };
+        try {
+            // Se fija el final del rango al inicio: si se republica en el mismo stream, las entradas nuevas no se vuelven a leer.
+            const [[lastId] = []] = end === '+' ? await client.xrevrange(sourceKey, '+', '-', 'COUNT', 1) : [[end]];
+            if (!lastId) return summary;
+            let from = start;
+            while (summary.replayed < count) {
+                const batchSize = Math.min(DEFAULT_REPLAY_BATCH_SIZE, count - summary.replayed);
+                const entries = await client.xrange(sourceKey, from, lastId, 'COUNT', batchSize);
+                if (entries.length === 0) break;
+
+                for (const [id, fields] of entries) {
+                    const entry = infoReplyToObject(fields);
+                    const destination = targetKey || entry.streamKey || sourceKey;
+                    const pipeline = client.multi()
+                        .xadd(destination, ...buildRetentionArgs(retention || getStreamRetention(destination)), '*', 'payload', entry.payload ?? '', 'replayOf', `${sourceKey}:${id}`);
+                    if (remove) pipeline.xdel(sourceKey, id);
+                    const [failed] = (await pipeline.exec()).filter(([err]) => err);
+                    if (failed) throw failed[0];
+                    summary.replayed++;
+                    summary.lastId = id;
+                }
+                if (entries.length < batchSize) break;
+                // Rango exclusivo: continúa después del último ID procesado.
+                from = `(${summary.lastId}`;
+            }
+            logger.info(`Stream '${sourceKey}': ${summary.replayed} entrada(s) republicada(s)${summary.lastId ? ` hasta ${summary.lastId}` : ''}.`);
+            return summary;
+        } catch (error) {
+            logger.error(`Error al republicar entradas del stream '${sourceKey}' (último ID: ${summary.lastId}):`, error);
+            return null;
+        }
+    },
+
     /**
      * Lee mensajes de un stream para un grupo de consumidores específico.
      * @param {string} streamKey - La clave del stream del que se leerá.
@@ -360,6 +664,55 @@ const redisService = {
             logger.error(`Error al publicar en el canal '${channel}':`, error);
             return null;
         }
+    },
+
+    /**
+     * Suscribe un handler a un canal de Pub/Sub, usando una conexión Redis dedicada.
+     * El payload se decodifica de JSON (si no es JSON se entrega el texto). Los errores del handler se registran
+     * y no afectan a los demás handlers. Las suscripciones se restablecen automáticamente tras una reconexión.
+     *
+     * Ejemplo:
+     *    const unsubscribe = await redisService.subscribe(redisChannels.MESSAGE_UPDATE, (payload) => notify(payload));
+     *
+     * @param {string} channel - El canal.
+     * @param {Function} handler - Función `(payload, channel) => {}` (puede ser async).
+     * @returns {Promise<Function>} Función async que quita este handler del canal.
+     */
+    async subscribe(channel, handler) {
+        await addSubscription(channelHandlers, channel, handler, 'subscribe');
+        return () => redisService.unsubscribe(channel, handler);
+    },
+
+    /**
+     * Suscribe un handler a todos los canales que coinciden con un patrón (ej. 'message-updates:*').
+     * @param {string} pattern - El patrón (sintaxis glob de PSUBSCRIBE).
+     * @param {Function} handler - Función `(payload, channel, pattern) => {}` (puede ser async).
+     * @returns {Promise<Function>} Función async que quita este handler del patrón.
+     */
+    async psubscribe(pattern, handler) {
+        await addSubscription(patternHandlers, pattern, handler, 'psubscribe');
+        return () => redisService.punsubscribe(pattern, handler);
+    },
+
+    /**
+     * Quita un handler de un canal. Sin `handler` quita todos los del canal.
+     * La conexión deja de suscribirse al canal cuando no le quedan handlers.
+     * @param {string} channel - El canal.
+     * @param {Function} [handler] - El handler a quitar.
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(channel, handler) {
+        await removeSubscription(channelHandlers, channel, handler, 'unsubscribe');
+    },
+
+    /**
+     * Quita un handler de un patrón. Sin `handler` quita todos los del patrón.
+     * @param {string} pattern - El patrón.
+     * @param {Function} [handler] - El handler a quitar.
+     * @returns {Promise<void>}
+     */
+    async punsubscribe(pattern, handler) {
+        await removeSubscription(patternHandlers, pattern, handler, 'punsubscribe');
     }
 
 };
@@ -0,0 +1,285 @@
+const os = require('os');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const redisService = require('./redisService');
+
+/**
+ * @module streamConsumer
+ * @description Consumidor de Redis Streams con grupos de consumidores, para los workers de
+ * `incoming_meta_messages`/`outgoing_meta_messages`.
+ *
+ * - Lee con XREADGROUP en una conexión propia (el BLOCK no detiene al resto de comandos) y procesa hasta
+ *   `concurrency` mensajes a la vez. El handler recibe el payload ya parseado, igual que `readFromStreamGroup`.
+ * - Si el handler termina bien se hace XACK. Si falla, el mensaje queda pendiente y se reintenta con backoff
+ *   exponencial según su cantidad de entregas (XCLAIM, que la incrementa).
+ * - Al llegar a `maxDeliveries` entregas fallidas, o si el payload no es JSON válido, el mensaje se mueve al stream de dead-letter
+ *   y se confirma.
+ * - Cada `claimIntervalMs` recupera con XAUTOCLAIM los mensajes pendientes de otros consumidores que llevan más de
+ *   `claimIdleMs` sin confirmarse (ej. un worker que se cayó). `claimIdleMs` debe ser mayor que el tiempo máximo del
+ *   handler y que `retryMaxDelayMs`, para no quitarle mensajes a un consumidor que sigue trabajando en ellos.
+ * - `stop()` deja de leer, espera los mensajes en curso y cierra la conexión de lectura.
+ *
+ * Emite 'retry' `({ id, deliveries, delayMs, error })` y 'deadLetter' `({ id, deliveries, reason })`.
+ *
+ * Ejemplo:
+ *    const consumer = new StreamConsumer({
+ *        streamKey: messagesRedisStream.INCOMING_STREAM_KEY,
+ *        groupName: messagesRedisStream.GROUP_NAME,
+ *        handler: async (payload, { id, deliveries }) => processIncoming(payload),
+ *        concurrency: 20,
+ *    });
+ *    await consumer.start();
+ *    process.on('SIGTERM', () => consumer.stop());
+ */
+
+const DEFAULTS = Object.freeze({
+    concurrency: 10,
+    blockMs: 5000,
+    claimIdleMs: 5 * 60 * 1000,
+    claimIntervalMs: 30 * 1000,
+    maxDeliveries: 5,
+    retryBaseDelayMs: 1000,
+    retryMaxDelayMs: 60 * 1000,
+    stopTimeoutMs: 30 * 1000,
+});
+
+const DEAD_LETTER_SUFFIX = 'dead_letter';
+
+class StreamConsumer extends EventEmitter {
+    /**
+     * @param {object} options - Opciones del consumidor.
+     * @param {string} options.streamKey - El stream a consumir.
+     * @param {string} options.groupName - El grupo de consumidores (se crea si no existe).
+     * @param {Function} options.handler - Función async `(payload, { id, deliveries, streamKey }) => {}`. Si lanza, se reintenta.
+     * @param {string} [options.consumerName] - Nombre del consumidor dentro del grupo. Por defecto `<hostname>-<pid>`.
+     * @param {number} [options.concurrency=10] - Mensajes procesados a la vez.
+     * @param {number} [options.blockMs=5000] - Tiempo de bloqueo de cada XREADGROUP.
+     * @param {number} [options.claimIdleMs=300000] - Inactividad a partir de la cual se reclaman mensajes de otros consumidores.
+     * @param {number} [options.claimIntervalMs=30000] - Cada cuánto se buscan mensajes para reclamar.
+     * @param {number} [options.maxDeliveries=5] - Entregas máximas antes de mover el mensaje al dead-letter.
+     * @param {number} [options.retryBaseDelayMs=1000] - Espera antes del primer reintento; se duplica en cada entrega.
+     * @param {number} [options.retryMaxDelayMs=60000] - Espera máxima entre reintentos.
+     * @param {string} [options.deadLetterStreamKey] - Stream de dead-letter. Por defecto `<streamKey>:dead_letter`.
+     */
+    constructor(options = {}) {
+        super();
+        const { streamKey, groupName, handler } = options;
+        if (!streamKey || !groupName || typeof handler !== 'function') {
+            throw new Error('[StreamConsumer] `streamKey`, `groupName` y `handler` son obligatorios.');
+        }
+        this.options = {
+            ...DEFAULTS,
+            consumerName: `${os.hostname()}-${process.pid}`,
+            deadLetterStreamKey: `${streamKey}:${DEAD_LETTER_SUFFIX}`,
+            ...options,
+        };
+        this.reader = null;
+        this.running = false;
+        this.inFlight = new Set();
+        this.retryTimers = new Set();
+        this.claimTimer = null;
+        this.claiming = false;
+        this.loopPromise = null;
+        this.slotWaiter = null;
+    }
+
+    get client() {
+        return redisService.client;
+    }
+
+    /**
+     * Crea el grupo si no existe e inicia la lectura y el reclamo periódico de mensajes pendientes.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.running) return;
+        const { streamKey, groupName, consumerName, claimIntervalMs } = this.options;
+        const client = this.client;
+        if (!client || client.status !== 'ready') {
+            throw new Error(`[StreamConsumer] Cliente Redis no disponible para consumir '${streamKey}'.`);
+        }
+        if (!await redisService.setupStreamGroup(streamKey, groupName)) {
+            throw new Error(`[StreamConsumer] No se pudo crear el grupo '${groupName}' en '${streamKey}'.`);
+        }
+
+        // Conexión dedicada: XREADGROUP con BLOCK ocupa la conexión mientras espera.
+        this.reader = client.duplicate();
+        this.running = true;
+        this.claimTimer = setInterval(() => this._claimStuck(), claimIntervalMs);
+        this.loopPromise = this._readLoop();
+        logger.info(`[StreamConsumer] Consumidor '${consumerName}' iniciado en '${streamKey}' (grupo '${groupName}').`);
+    }
+
+    /**
+     * Deja de leer mensajes nuevos, cancela los reintentos programados (quedan pendientes para XAUTOCLAIM)
+     * y espera a que terminen los mensajes en curso.
+     * @param {object} [options={}] - Opciones.
+     * @param {number} [options.timeoutMs=30000] - Espera máxima por los mensajes en curso.
+     * @returns {Promise<void>}
+     */
+    async stop({ timeoutMs = this.options.stopTimeoutMs } = {}) {
+        if (!this.running) return;
+        this.running = false;
+        clearInterval(this.claimTimer);
+        for (const timer of this.retryTimers) clearTimeout(timer);
+        this.retryTimers.clear();
+        this._releaseSlot();
+        // Cierra la conexión de lectura para cortar el BLOCK en curso.
+        this.reader.disconnect();
+        await this.loopPromise;
+
+        let timeout;
+        const timedOut = new Promise(resolve => { timeout = setTimeout(() => resolve(true), timeoutMs); });
+        const stoppedByTimeout = await Promise.race([Promise.allSettled([...this.inFlight]).then(() => false), timedOut]);
+        clearTimeout(timeout);
+        if (stoppedByTimeout) {
+            logger.warn(`[StreamConsumer] ${this.inFlight.size} mensaje(s) de '${this.options.streamKey}' seguían en curso al detener; quedan pendientes.`);
+        }
+        logger.info(`[StreamConsumer] Consumidor '${this.options.consumerName}' detenido.`);
+    }
+
+    async _readLoop() {
+        const { streamKey, groupName, consumerName, concurrency, blockMs } = this.options;
+        while (this.running) {
+            if (this.inFlight.size >= concurrency) {
+                await new Promise(resolve => { this.slotWaiter = resolve; });
+                continue;
+            }
+            let response;
+            try {
+                response = await this.reader.xreadgroup(
+                    'GROUP', groupName, consumerName,
+                    'COUNT', concurrency - this.inFlight.size,
+                    'BLOCK', blockMs,
+                    'STREAMS', streamKey, '>'
+                );
+            } catch (error) {
+                if (!this.running) break;
+                logger.error(`[StreamConsumer] Error al leer de '${streamKey}' -> error:${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, this.options.retryBaseDelayMs));
+                continue;
+            }
+            if (!response) continue;
+            const [[, entries]] = response;
+            for (const [id, fields] of entries) {
+                this._dispatch(id, fields, 1);
+            }
+        }
+    }
+
+    _releaseSlot() {
+        if (this.slotWaiter) {
+            const resolve = this.slotWaiter;
+            this.slotWaiter = null;
+            resolve();
+        }
+    }
+
+    _dispatch(id, fields, deliveries) {
+        const task = this._process(id, fields, deliveries)
+            .catch(error => logger.error(`[StreamConsumer] Error inesperado con el mensaje ${id} -> error:${error.message}`))
+            .finally(() => {
+                this.inFlight.delete(task);
+                this._releaseSlot();
+            });
+        this.inFlight.add(task);
+    }
+
+    async _process(id, fields, deliveries) {
+        const { streamKey, groupName, handler, maxDeliveries } = this.options;
+        const raw = fields ? fields[fields.indexOf('payload') + 1] : null;
+        let payload;
+        try {
+            payload = JSON.parse(raw);
+        } catch (error) {
+            return this._deadLetter(id, raw, deliveries, `Payload inválido: ${error.message}`);
+        }
+
+        try {
+            await handler(payload, { id, deliveries, streamKey });
+        } catch (error) {
+            if (deliveries >= maxDeliveries) {
+                return this._deadLetter(id, raw, deliveries, error.message);
+            }
+            return this._scheduleRetry(id, deliveries, error);
+        }
+        // Si el XACK falla, el mensaje queda pendiente y se vuelve a entregar vía XAUTOCLAIM.
+        await this.client.xack(streamKey, groupName, id);
+    }
+
+    _scheduleRetry(id, deliveries, error) {
+        const { streamKey, groupName, consumerName, retryBaseDelayMs, retryMaxDelayMs } = this.options;
+        const delayMs = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (deliveries - 1));
+        logger.warn(`[StreamConsumer] Mensaje ${id} de '${streamKey}' falló (entrega ${deliveries}); reintento en ${delayMs} ms -> error:${error.message}`);
+        this.emit('retry', { id, deliveries, delayMs, error });
+
+        if (!this.running) return;
+        const timer = setTimeout(async () => {
+            this.retryTimers.delete(timer);
+            if (!this.running) return;
+            try {
+                // min-idle = delayMs: si otro consumidor reclamó el mensaje mientras tanto, XCLAIM no lo devuelve.
+                const claimed = await this.client.xclaim(streamKey, groupName, consumerName, delayMs, id);
+                for (const [claimedId, fields] of claimed) {
+                    this._dispatch(claimedId, fields, deliveries + 1);
+                }
+            } catch (claimError) {
+                logger.error(`[StreamConsumer] Error al reintentar el mensaje ${id} -> error:${claimError.message}`);
+            }
+        }, delayMs);
+        this.retryTimers.add(timer);
+    }
+
+    async _deadLetter(id, raw, deliveries, reason) {
+        const { streamKey, groupName, consumerName, deadLetterStreamKey } = this.options;
+        await this.client.multi()
+            .xadd(deadLetterStreamKey, '*',
+                'payload', raw ?? '',
+                'originalId', id,
+                'streamKey', streamKey,
+                'groupName', groupName,
+                'consumerName', consumerName,
+                'deliveries', deliveries,
+                'reason', reason,
+                'failedAt', new Date().toISOString())
+            .xack(streamKey, groupName, id)
+            .exec();
+        logger.error(`[StreamConsumer] Mensaje ${id} de '${streamKey}' movido a '${deadLetterStreamKey}' tras ${deliveries} entrega(s) -> ${reason}`);
+        this.emit('deadLetter', { id, deliveries, reason });
+    }
+
+    /**
+     * Reclama con XAUTOCLAIM los mensajes pendientes que llevan más de `claimIdleMs` sin confirmarse y los procesa
+     * con su cantidad real de entregas (XPENDING), respetando el límite de concurrencia.
+     */
+    async _claimStuck() {
+        const { streamKey, groupName, consumerName, claimIdleMs, concurrency } = this.options;
+        if (!this.running || this.claiming) return;
+        this.claiming = true;
+        try {
+            let cursor = '0-0';
+            do {
+                const available = concurrency - this.inFlight.size;
+                if (available <= 0) return;
+                const [nextCursor, entries] = await this.client.xautoclaim(streamKey, groupName, consumerName, claimIdleMs, cursor, 'COUNT', available);
+                cursor = nextCursor;
+                for (const [id, fields] of entries) {
+                    if (!fields) {
+                        // El mensaje se borró del stream (XDEL/XTRIM) pero seguía pendiente.
+                        await this.client.xack(streamKey, groupName, id);
+                        continue;
+                    }
+                    const [[, , , deliveries] = []] = await this.client.xpending(streamKey, groupName, id, id, 1);
+                    logger.warn(`[StreamConsumer] Mensaje ${id} de '${streamKey}' reclamado tras ${claimIdleMs} ms inactivo.`);
+                    this._dispatch(id, fields, deliveries || 1);
+                }
+            } while (this.running && cursor !== '0-0');
+        } catch (error) {
+            logger.error(`[StreamConsumer] Error al reclamar mensajes pendientes de '${streamKey}' -> error:${error.message}`);
+        } finally {
+            this.claiming = false;
+        }
+    }
+}
+
+module.exports = StreamConsumer;
@@ -1,4 +1,45 @@
+const crypto = require('crypto');
+const { mongo, Types, Error: MongooseError } = require('mongoose');
 const logger = require('../../lib/logger');
+const cache = require('../../lib/cache');
+const { rol } = require('../../lib/constants');
+const { authorize } = require('../middlewares/authorize');
+
+// Parámetros de la query que controlan la paginación/proyección y que no forman parte del filtro.
+const RESERVED_QUERY_PARAMS = ['fields', 'page', 'limit', 'sort', 'after', 'includeInactive'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_BATCH_SIZE = 500;
+
+// Campos que gestiona el propio controlador o el plugin de auditoría y que el cliente nunca puede asignar.
+// `company` se agrega aparte, salvo en requests con NotRequireCompanyFilter.
+const SYSTEM_FIELDS = ['_id', 'created_at', 'created_by', 'modified_at', 'modified_by', 'active', 'deleted_at', 'deleted_by'];
+
+// Operadores que pueden usarse en la query con la forma `campo[operador]=valor` y su equivalente en Mongo.
+// Cualquier otro operador (incluidos `$where`, `$function`, `$expr`, etc.) es rechazado.
+const QUERY_OPERATORS = Object.freeze({
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    in: '$in',
+    nin: '$nin',
+    regex: '$regex',
+    exists: '$exists',
+});
+const LIST_OPERATORS = ['in', 'nin'];
+const MAX_REGEX_LENGTH = 100;
+
+// Escapa los caracteres especiales de una expresión regular para buscar el texto de forma literal.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Valores que puede traer un cursor: los que guarda `_encodeCursor` para los campos de ordenamiento.
+// Cualquier objeto (ej. `{ $ne: ... }` o un BSONRegExp) se rechaza para que el cursor no pueda inyectar operadores.
+const isCursorValue = (value) =>
+    value === null || ['string', 'number', 'boolean'].includes(typeof value) ||
+    value instanceof Date || value instanceof Types.ObjectId;
 
 /**
  * BaseController
@@ -14,67 +55,645 @@ class BaseController {
      * Constructor de la clase BaseController
      * 
      * @param {mongoose.Model} model - El modelo de Mongoose que representa la colección a manipular.
+     * @param {Object} [options={}] - Opciones del controlador.
+     * @param {string} [options.resource] - Nombre del recurso para la autorización (ej. 'customers'). Ver `authorize`.
+     * @param {number} [options.defaultLimit=20] - Tamaño de página usado por `get` cuando se pagina sin `limit`.
+     * @param {number} [options.maxLimit=100] - Tamaño de página máximo permitido en `get`.
+     * @param {string[]} [options.allowedOperators] - Operadores de filtro permitidos en `get` (por defecto todos los de QUERY_OPERATORS).
+     * @param {string[]} [options.filterableFields] - Campos por los que se permite filtrar en `get`. Si no se define, se permite cualquiera.
+     * @param {number} [options.maxBatchSize=500] - Cantidad máxima de elementos aceptados por las operaciones masivas.
+     * @param {boolean} [options.requireIfMatch=false] - Si `update` debe exigir la cabecera `If-Match` (responde 428 si falta).
+     * @param {string[]} [options.writableFields] - Lista blanca de campos (de primer nivel) que el cliente puede enviar en insert/update.
+     * @param {string[]} [options.readonlyFields] - Campos que ningún rol puede asignar.
+     * @param {Object<string, string[]>} [options.protectedFields] - Campos que solo pueden asignar ciertos roles (ej. `{ roles: [rol.CUSTOMER_ADMIN_ROLE] }`).
+     *   Se suman a los declarados en el esquema con la opción `writableBy` (ej. `roles: { type: [String], writableBy: [...] }`).
+     * @param {'strip'|'reject'} [options.protectedFieldsMode='strip'] - Si los campos no permitidos se descartan o se rechaza el request con 403.
+     * @param {string[]} [options.purgeRoles] - Roles autorizados a usar `purge` (por defecto administradores del cliente y del sistema).
+     * @param {Object} [options.cache] - Cachea las respuestas de `get` en Redis (lib/cache), para endpoints de lectura frecuente.
+     *   El modelo debe usar `cacheInvalidationPlugin`, que las invalida al guardar/actualizar, y no puede tener campos encriptados
+     *   (se guardarían desencriptados en Redis).
+     * @param {number} options.cache.ttl - Vigencia de las respuestas cacheadas, en segundos.
      * 
      * Ejemplo de uso:
-     *    const userController = new BaseController(UserModel, true); // Para usuarios ligados a un company
-     *    const configController = new BaseController(ConfigModel, false); // Para configuraciones globales
+     *    const userController = new BaseController(UserModel);
+     *    const messageController = new BaseController(MessageModel, { resource: 'messages', defaultLimit: 50, maxLimit: 200 });
+     *    router.post('/', authClient, messageController.authorize(), messageController.insert.bind(messageController));
      */
-    constructor(model) {
+    constructor(model, options = {}) {
         this.model = model;
+        this.options = {
+            resource: null,
+            defaultLimit: DEFAULT_LIMIT,
+            maxLimit: MAX_LIMIT,
+            allowedOperators: Object.keys(QUERY_OPERATORS),
+            filterableFields: null,
+            maxBatchSize: MAX_BATCH_SIZE,
+            requireIfMatch: false,
+            writableFields: null,
+            readonlyFields: [],
+            protectedFields: {},
+            protectedFieldsMode: 'strip',
+            purgeRoles: [rol.CUSTOMER_ADMIN_ROLE, rol.SYSTEM_ADMIN_ROLE],
+            cache: null,
+            ...options
+        };
+        if (this.options.cache) {
+            if (typeof model.getCacheTags !== 'function') {
+                throw new Error(`${model.modelName} controller 'cache' option requires the model to use cacheInvalidationPlugin`);
+            }
+            if (model.encryptedFields?.length > 0) {
+                throw new Error(`${model.modelName} controller 'cache' option is not allowed on models with encrypted fields`);
+            }
+        }
+    }
+
+    /**
+     * Devuelve el middleware de autorización para el recurso del controlador (`options.resource`).
+     * Sin `action`, la acción se deduce del método HTTP (GET -> read, DELETE -> delete, resto -> write).
+     *
+     * @param {string} [action] - La acción requerida ('read', 'write', 'delete').
+     * @param {string[]} [roles] - Roles requeridos adicionalmente.
+     * @returns {Function} El middleware de Express.
+     */
+    authorize(action, roles) {
+        if (!this.options.resource) {
+            throw new Error(`${this.model.modelName} controller has no 'resource' option configured for authorization`);
+        }
+        return authorize({ resource: this.options.resource, action, roles });
     }
 
     async handleError(res, err, message) {
         logger.error(err);
         let cause = `Caused by: ${err.errorResponse?.errmsg || err.message}`;
         let msg = message ? `${message}. ${cause}` : cause;
-        res.status(500).json({ message: msg });
+        res.status(err.status || 500).json({ message: msg });
+    }
+
+    _badRequest(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    /**
+     * Convierte el parámetro `sort` en un array de pares [campo, dirección].
+     * Acepta campos separados por comas con prefijo '-' (`-created_at,name`) o sufijo `:asc`/`:desc`
+     * (`created_at:desc,name:asc`). Siempre agrega `_id` al final como desempate para que el orden sea estable
+     * y pueda usarse como cursor.
+     *
+     * @param {string} [sort] - El valor de `req.query.sort`.
+     * @returns {Array<[string, number]>} Los campos de ordenamiento con dirección 1 o -1.
+     */
+    _parseSort(sort) {
+        const sortFields = [];
+        if (sort) {
+            for (let item of String(sort).split(',').map(s => s.trim()).filter(Boolean)) {
+                let direction = 1;
+                if (item.startsWith('-')) {
+                    direction = -1;
+                    item = item.slice(1);
+                } else if (item.includes(':')) {
+                    const [field, dir] = item.split(':');
+                    if (!['asc', 'desc', '1', '-1'].includes(dir)) {
+                        throw this._badRequest(`Dirección de ordenamiento inválida '${dir}' para el campo '${field}'`);
+                    }
+                    direction = dir === 'desc' || dir === '-1' ? -1 : 1;
+                    item = field;
+                }
+                if (this.model.schema.pathType(item) === 'adhocOrUndefined') {
+                    throw this._badRequest(`No se puede ordenar por el campo desconocido '${item}'`);
+                }
+                if (!sortFields.some(([field]) => field === item)) sortFields.push([item, direction]);
+            }
+        }
+        if (!sortFields.some(([field]) => field === '_id')) {
+            const lastDirection = sortFields.length > 0 ? sortFields[sortFields.length - 1][1] : 1;
+            sortFields.push(['_id', lastDirection]);
+        }
+        return sortFields;
+    }
+
+    /**
+     * Lee y valida `page`, `limit` y `after` de la query.
+     *
+     * @param {Object} query - Los parámetros de la query.
+     * @returns {{ page: number, limit: number, after: string|undefined }}
+     */
+    _parsePagination(query) {
+        const { defaultLimit, maxLimit } = this.options;
+        const page = query.page !== undefined ? Number(query.page) : 1;
+        const limit = query.limit !== undefined ? Number(query.limit) : defaultLimit;
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw this._badRequest(`El parámetro 'page' debe ser un entero mayor o igual a 1`);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+            throw this._badRequest(`El parámetro 'limit' debe ser un entero entre 1 y ${maxLimit}`);
+        }
+        if (query.after !== undefined && query.page !== undefined) {
+            throw this._badRequest(`Los parámetros 'page' y 'after' no pueden usarse juntos`);
+        }
+        return { page, limit, after: query.after };
     }
 
+    /**
+     * Genera un cursor opaco a partir del último documento de la página.
+     * El cursor guarda los valores de los campos de ordenamiento (en EJSON, para conservar tipos como Date u ObjectId).
+     *
+     * @param {mongoose.Document} doc - El último documento devuelto.
+     * @param {Array<[string, number]>} sortFields - Los campos de ordenamiento.
+     * @returns {string} El cursor en base64url.
+     */
+    _encodeCursor(doc, sortFields) {
+        // Se leen los valores crudos (sin getters) porque son los que están almacenados en la base de datos.
+        const values = sortFields.map(([field]) => doc.get(field, null, { getters: false }) ?? null);
+        return Buffer.from(mongo.BSON.EJSON.stringify(values)).toString('base64url');
+    }
+
+    /**
+     * Construye el filtro que selecciona los documentos posteriores al cursor según el orden indicado.
+     * Para un orden (a, b, _id) el filtro es: a > va OR (a = va AND b > vb) OR (a = va AND b = vb AND _id > vid).
+     * El cursor lo envía el cliente: solo se aceptan valores primitivos, Date u ObjectId, y siempre dentro de
+     * `$eq`/`$gt`/`$lt`, para que no pueda agregar operadores que la gramática de filtros no permite.
+     *
+     * @param {string} cursor - El cursor recibido en `after`.
+     * @param {Array<[string, number]>} sortFields - Los campos de ordenamiento.
+     * @returns {Object} El filtro de Mongo.
+     */
+    _buildCursorFilter(cursor, sortFields) {
+        let values;
+        try {
+            values = mongo.BSON.EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (err) {
+            throw this._badRequest(`El cursor 'after' es inválido`);
+        }
+        if (!Array.isArray(values) || values.length !== sortFields.length) {
+            throw this._badRequest(`El cursor 'after' no corresponde al ordenamiento solicitado`);
+        }
+        if (!values.every(isCursorValue)) {
+            throw this._badRequest(`El cursor 'after' es inválido`);
+        }
+
+        const or = sortFields.map(([field, direction], index) => {
+            const condition = {};
+            for (let i = 0; i < index; i++) {
+                condition[sortFields[i][0]] = { $eq: values[i] };
+            }
+            condition[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+            return condition;
+        });
+        return { $or: or };
+    }
+
+    /**
+     * Convierte un valor recibido como string en la query al tipo definido en el esquema para `field`.
+     * Los campos que no están en el esquema (ej. subcampos de un Mixed) solo convierten 'true'/'false' a booleanos.
+     *
+     * @param {string} field - El path del campo en el esquema.
+     * @param {*} value - El valor recibido.
+     * @returns {*} El valor convertido.
+     * @throws {Error} Error con status 400 si el valor no es válido para el tipo del campo.
+     */
+    _coerceValue(field, value) {
+        if (typeof value !== 'string') {
+            throw this._badRequest(`Valor inválido para el campo '${field}'`);
+        }
+        const schemaType = this.model.schema.path(field);
+        // En los arrays (ej. `[Number]`) se usa el tipo de sus elementos.
+        const instance = schemaType?.instance === 'Array'
+            ? schemaType.caster?.instance
+            : schemaType?.instance;
+
+        switch (instance) {
+            case 'Number': {
+                const number = Number(value);
+                if (value.trim() === '' || Number.isNaN(number)) throw this._badRequest(`El campo '${field}' debe ser numérico`);
+                return number;
+            }
+            case 'Date': {
+                const date = new Date(value);
+                if (Number.isNaN(date.getTime())) throw this._badRequest(`El campo '${field}' debe ser una fecha válida`);
+                return date;
+            }
+            case 'Boolean':
+                if (value !== 'true' && value !== 'false') throw this._badRequest(`El campo '${field}' debe ser 'true' o 'false'`);
+                return value === 'true';
+            case 'ObjectId':
+                if (!Types.ObjectId.isValid(value)) throw this._badRequest(`El campo '${field}' no es un ObjectId válido`);
+                return new Types.ObjectId(value);
+            case 'String':
+                return value;
+            default:
+                if (value === 'true') return true;
+                if (value === 'false') return false;
+                return value;
+        }
+    }
+
+    /**
+     * Traduce un operador de la query (`gte`, `in`, `regex`, ...) a su condición de Mongo.
+     *
+     * @param {string} field - El campo filtrado.
+     * @param {string} operator - El operador recibido entre corchetes.
+     * @param {*} value - El valor recibido.
+     * @returns {[string, *]} El operador de Mongo y el valor convertido.
+     */
+    _buildCondition(field, operator, value) {
+        if (!Object.hasOwn(QUERY_OPERATORS, operator) || !this.options.allowedOperators.includes(operator)) {
+            throw this._badRequest(`Operador '${operator}' no permitido para el campo '${field}'`);
+        }
+        const mongoOperator = QUERY_OPERATORS[operator];
+
+        if (LIST_OPERATORS.includes(operator)) {
+            const values = (Array.isArray(value) ? value : String(value).split(','))
+                .map(v => String(v).trim())
+                .filter(v => v !== '');
+            return [mongoOperator, values.map(v => this._coerceValue(field, v))];
+        }
+        if (operator === 'exists') {
+            if (value !== 'true' && value !== 'false') throw this._badRequest(`El operador 'exists' del campo '${field}' debe ser 'true' o 'false'`);
+            return [mongoOperator, value === 'true'];
+        }
+        if (operator === 'regex') {
+            if (typeof value !== 'string' || value.length > MAX_REGEX_LENGTH) {
+                throw this._badRequest(`El operador 'regex' del campo '${field}' debe ser un texto de hasta ${MAX_REGEX_LENGTH} caracteres`);
+            }
+            // Búsqueda de texto parcial literal, sin distinguir mayúsculas de minúsculas. El valor se escapa para que
+            // no se interprete como patrón (evita patrones con backtracking catastrófico, ej. `(a+)+$`).
+            return [mongoOperator, new RegExp(escapeRegExp(value), 'i')];
+        }
+        return [mongoOperator, this._coerceValue(field, value)];
+    }
+
+    /**
+     * Convierte los parámetros de la query en un filtro de Mongo seguro.
+     *
+     * Gramática soportada:
+     * - `campo=valor`: igualdad. Si el parámetro se repite (`campo=a&campo=b`) equivale a `in`.
+     * - `campo[op]=valor`: con `op` en eq, ne, gt, gte, lt, lte, in, nin, regex, exists
+     *   (ej. `created_at[gte]=2024-01-01`, `status[in]=sent,read`, `name[regex]=jua`, `email[exists]=true`).
+     *   `regex` busca el texto de forma literal (no como patrón), en cualquier parte del campo y sin distinguir mayúsculas.
+     *
+     * Los valores se convierten según el tipo del campo en el esquema. Se rechaza con 400 cualquier clave
+     * que empiece con `$`, los operadores fuera de `options.allowedOperators` y los campos fuera de
+     * `options.filterableFields` (si está definido; `_id` siempre se permite). Los subcampos se indican con notación de punto
+     * (`responsible.name=...`), no con corchetes.
+     *
+     * @param {Object} match - Los parámetros de la query sin los parámetros reservados.
+     * @returns {Object} El filtro de Mongo.
+     */
     _normalizeMatch(match) {
-        for (let key in match) {
-            if (match[key] === 'true') match[key] = true;
-            if (match[key] === 'false') match[key] = false;
+        const filter = {};
+        for (const [field, value] of Object.entries(match)) {
+            if (field.startsWith('$') || field.includes('.$')) {
+                throw this._badRequest(`El campo '${field}' no está permitido en el filtro`);
+            }
+            if (this.options.filterableFields && field !== '_id' && !this.options.filterableFields.includes(field)) {
+                throw this._badRequest(`No se permite filtrar por el campo '${field}'`);
+            }
+
+            if (Array.isArray(value)) {
+                filter[field] = { $in: value.map(v => this._coerceValue(field, v)) };
+            } else if (value !== null && typeof value === 'object') {
+                const condition = {};
+                for (const [operator, operatorValue] of Object.entries(value)) {
+                    const [mongoOperator, coerced] = this._buildCondition(field, operator, operatorValue);
+                    condition[mongoOperator] = coerced;
+                }
+                filter[field] = condition;
+            } else {
+                filter[field] = this._coerceValue(field, value);
+            }
         }
-        return match;
+        return filter;
     }
 
     /**
-     * @function insert
-     * @description Inserta un nuevo documento en la base de datos.
-     * Utiliza el modelo especificado para crear un nuevo registro con los datos enviados
-     * en el cuerpo del request (`req.body`).
+     * Construye el filtro para ubicar un documento por `_id`, limitado a la company del token
+     * salvo que el request tenga `NotRequireCompanyFilter`.
      *
      * @param {Object} req - Objeto de solicitud HTTP (Express).
-     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     * @param {string} id - El `_id` del documento.
+     * @returns {Object} El filtro de Mongo.
+     */
+    _ownedFilter(req, id) {
+        const filter = { _id: id };
+        // CompanyId siempre debe agregarse a menos que no se requiera de forma explicita mediante la inyeccion del del atributo NotRequireCompanyFilter
+        // entonces si no existe en el request -> !false -> true y se agrega companyId en el filtro
+        // y si existe en el request -> !true -> false -> no se va a incluir companyId en el filtro
+        if (!req.NotRequireCompanyFilter) {
+            filter.company = req.token.companyId;
+        }
+        return filter;
+    }
+
+    /**
+     * Reúne los campos protegidos del modelo: los de sistema, los declarados en el esquema con `writableBy`
+     * y los configurados en el controlador. Se calcula una sola vez por controlador.
      *
-     * @returns {void} Responde con el documento creado o un error si ocurre.
+     * @returns {Map<string, string[]>} Path del campo -> roles que pueden asignarlo ([] si ninguno).
      */
-    async insert(req, res) {
-        // authclient sube al request al request los datos del token {companyId, userId, username}
-        if (!req.token) {
-            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+    _getProtectedFields() {
+        if (this._protectedFields) return this._protectedFields;
+
+        const protectedFields = new Map(SYSTEM_FIELDS.map(field => [field, []]));
+        this.model.schema.eachPath((path, schemaType) => {
+            if (Array.isArray(schemaType.options?.writableBy)) {
+                protectedFields.set(path, schemaType.options.writableBy);
+            }
+        });
+        for (const [field, roles] of Object.entries(this.options.protectedFields)) {
+            protectedFields.set(field, roles);
+        }
+        for (const field of this.options.readonlyFields) {
+            protectedFields.set(field, []);
         }
 
-        const { companyId, username } = req.token;
+        this._protectedFields = protectedFields;
+        return protectedFields;
+    }
+
+    /**
+     * Quita del cuerpo del request los campos que el usuario no puede asignar según sus roles (`req.token.roles`).
+     * Revisa también los subcampos: enviar `{ usageLimits: { maxMessagesPerMonth } }` equivale a asignar
+     * `usageLimits.maxMessagesPerMonth`. Un objeto que contiene campos protegidos (ej. `security`) solo se acepta como
+     * objeto con subcampos, nunca como null, valor simple u objeto vacío, y se combina con el existente (ver `_updateDocument`).
+     * Las claves con `.` o que empiezan con `$` se descartan siempre: Mongoose las interpreta como rutas u operadores.
+     *
+     * Con `protectedFieldsMode: 'reject'` lanza un error con status 403 en lugar de descartarlos.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} data - Los datos enviados por el cliente.
+     * @returns {Object} Una copia de los datos sin los campos no permitidos.
+     * @throws {Error} Error con status 403 si hay campos no permitidos y el modo es 'reject'.
+     */
+    _sanitizeBody(req, data) {
+        const roles = req.token?.roles || [];
+        const sanitized = structuredClone(data || {});
+        const { writableFields, protectedFieldsMode } = this.options;
+        const rejected = [];
+
+        // Campos protegidos que el usuario no puede asignar.
+        const blockedFields = [...this._getProtectedFields()]
+            .filter(([, allowedRoles]) => !allowedRoles.some(role => roles.includes(role)))
+            .map(([field]) => field);
+        if (!req.NotRequireCompanyFilter) blockedFields.push('company');
+
+        const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        // El campo es protegido o está dentro de uno protegido (ej. `permissions.x`).
+        const isBlocked = (path) => blockedFields.some(field => path === field || path.startsWith(`${field}.`));
+        // El campo contiene campos protegidos (ej. `security` contiene `security.lock_until`).
+        const containsBlocked = (path) => blockedFields.some(field => field.startsWith(`${path}.`));
 
-        if (!username) return res.status(401).json({ message: "username no proporcionado en el token de autenticación." });
+        const canWrite = (key, path, value, isTopLevel) => {
+            if (key.includes('.') || key.startsWith('$')) return false;
+            if (isTopLevel && writableFields && !writableFields.includes(key)) return false;
+            if (isBlocked(path)) return false;
+            // null, un valor simple o un objeto vacío reemplazarían los campos protegidos que contiene.
+            if (containsBlocked(path)) return isPlainObject(value) && Object.keys(value).length > 0;
+            return true;
+        };
+
+        const visit = (obj, prefix) => {
+            for (const key of Object.keys(obj)) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                const value = obj[key];
+                if (!prefix && key === '__v') continue; // Versión usada para el control de concurrencia
+                if (!canWrite(key, path, value, !prefix)) {
+                    rejected.push(path);
+                    delete obj[key];
+                } else if (isPlainObject(value)) {
+                    const hadKeys = Object.keys(value).length > 0;
+                    visit(value, path);
+                    // Si se descartaron todos los subcampos no se envía el objeto vacío.
+                    if (hadKeys && Object.keys(value).length === 0) delete obj[key];
+                }
+            }
+        };
+        visit(sanitized, '');
+
+        if (rejected.length > 0) {
+            if (protectedFieldsMode === 'reject') {
+                const error = new Error(`No tiene permisos para asignar los campos: ${rejected.join(', ')}`);
+                error.status = 403;
+                throw error;
+            }
+            logger.warn(`[${this.model.modelName}] Campos descartados del request de ${req.token?.username}: ${rejected.join(', ')}`);
+        }
+        return sanitized;
+    }
 
+    /**
+     * Crea y guarda un documento con los datos recibidos, agregando `created_by`/`modified_by` y la company del token.
+     * Los campos protegidos se filtran con `_sanitizeBody`. Usa .save() para que se disparen los hooks del modelo.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express). Debe contener `req.token`.
+     * @param {Object} data - Los datos del documento.
+     * @returns {Promise<mongoose.Document>} El documento guardado.
+     */
+    async _createDocument(req, data) {
+        const { companyId, username } = req.token;
         const payload = {
-            ...req.body,
+            ...this._sanitizeBody(req, data),
             created_by: username,
             modified_by: username
         };
 
-        // CompanyId siempre debe agregarse a menos que no se requiera de forma explicita mediante la inyeccion del del atributo NotRequireCompanyFilter
-        // entonces si no existe en el request -> !false -> true y se agrega companyId en el filtro
-        // y si existe en el request -> !true -> false -> no se va a incluir companyId en el filtro
         if (!req.NotRequireCompanyFilter) {
             payload.company = companyId;
         }
 
         const doc = new this.model(payload);
+        return doc.save();
+    }
+
+    /**
+     * Calcula el ETag de un documento a partir de su `_id`, su versión (`__v`) y su `modified_at`.
+     * `__v` cambia en cada `update` del controlador (ver `_updateDocument`) y `modified_at` en cualquier save o update,
+     * por lo que cualquier escritura produce un ETag distinto.
+     *
+     * @param {mongoose.Document} doc - El documento.
+     * @returns {string} El ETag entre comillas, listo para la cabecera HTTP.
+     */
+    _etag(doc) {
+        const modifiedAt = doc.get('modified_at');
+        const source = `${doc._id}:${doc.get('__v') ?? ''}:${modifiedAt ? new Date(modifiedAt).getTime() : ''}`;
+        return `"${crypto.createHash('sha1').update(source).digest('base64url')}"`;
+    }
+
+    /**
+     * Indica si el ETag del documento coincide con alguno de los valores de una cabecera `If-Match`/`If-None-Match`.
+     *
+     * @param {mongoose.Document} doc - El documento.
+     * @param {string} header - El valor de la cabecera.
+     * @returns {boolean}
+     */
+    _etagMatches(doc, header) {
+        return this._headerMatchesEtag(this._etag(doc), header);
+    }
+
+    /**
+     * Indica si un ETag coincide con alguno de los valores de una cabecera `If-Match`/`If-None-Match`.
+     * Acepta '*' y valores débiles (`W/"..."`).
+     *
+     * @param {string} etag - El ETag (entre comillas).
+     * @param {string} header - El valor de la cabecera.
+     * @returns {boolean}
+     */
+    _headerMatchesEtag(etag, header) {
+        return header.split(',')
+            .map(value => value.trim().replace(/^W\//, ''))
+            .some(value => value === '*' || value === etag);
+    }
+
+    _conflict(doc) {
+        const error = new Error(`${this.model.modelName} was modified by another request`);
+        error.status = 409;
+        error.current = doc;
+        return error;
+    }
+
+    /**
+     * Actualiza un documento de la company del token. Los campos protegidos se filtran con `_sanitizeBody`.
+     * Usa .save() para que se disparen los hooks del modelo.
+     *
+     * Control de concurrencia optimista: si se indica `ifMatch` (cabecera If-Match) o `updates.__v`, y el documento
+     * cambió desde que el cliente lo leyó, lanza un error con status 409 y el documento actual en `error.current`.
+     * También responde 409 si otro request guardó el documento entre la lectura y el save (VersionError).
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express). Debe contener `req.token`.
+     * @param {string} id - El `_id` del documento.
+     * @param {Object} updates - Los campos a actualizar. Puede incluir `__v` con la versión conocida por el cliente.
+     * @param {Object} [preconditions={}] - Precondiciones de la actualización.
+     * @param {string} [preconditions.ifMatch] - El valor de la cabecera If-Match.
+     * @returns {Promise<mongoose.Document|null>} El documento guardado, o null si no existe.
+     */
+    async _updateDocument(req, id, updates, { ifMatch } = {}) {
+        const filter = this._ownedFilter(req, id);
+        const doc = await this.model.findOne(filter);
+        if (!doc) return null;
+
+        const { __v: expectedVersion, ...changes } = this._sanitizeBody(req, updates);
+        if (ifMatch && !this._etagMatches(doc, ifMatch)) {
+            throw this._conflict(doc);
+        }
+        if (expectedVersion !== undefined && Number(expectedVersion) !== doc.__v) {
+            throw this._conflict(doc);
+        }
+
+        // Actualizar propiedades dinámicamente. Los objetos anidados se combinan con los existentes en lugar de
+        // reemplazarlos, para no borrar subcampos que el cliente no envió (o que no puede asignar).
+        doc.set(changes, undefined, { merge: true });
+        doc.modified_by = req.token.username;
+        // Versiona este save: incrementa `__v` e incluye la versión leída en el filtro, por lo que falla con
+        // VersionError si otro request guardó el documento después de leerlo.
+        doc.increment();
+
+        try {
+            return await doc.save(); // Dispara hooks como pre('save')
+        } catch (err) {
+            if (err instanceof MongooseError.VersionError) {
+                throw this._conflict(await this.model.findOne(filter));
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Desactiva lógicamente (soft delete) un documento de la company del token.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express). Debe contener `req.token`.
+     * @param {string} id - El `_id` del documento.
+     * @returns {Promise<mongoose.Document|null>} El documento guardado, o null si no existe.
+     */
+    async _softDeleteDocument(req, id) {
+        const doc = await this.model.findOne(this._ownedFilter(req, id));
+        if (!doc) return null;
+
+        doc.active = false;
+        doc.modified_by = req.token.username;
+        return doc.save(); // Dispara los hooks
+    }
+
+    /**
+     * Valida el lote recibido por una operación masiva.
+     *
+     * @param {Array} items - Los elementos recibidos.
+     * @returns {string|null} El mensaje de error, o null si el lote es válido.
+     */
+    _validateBatch(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return 'Se esperaba un array con al menos un elemento.';
+        }
+        if (items.length > this.options.maxBatchSize) {
+            return `El lote excede el máximo de ${this.options.maxBatchSize} elementos.`;
+        }
+        return null;
+    }
+
+    /**
+     * Procesa uno a uno los elementos de una operación masiva y arma el reporte por elemento.
+     * Los elementos se procesan en secuencia para que cada uno dispare sus hooks (encriptación, sincronización con Redis, etc.)
+     * y un error en uno no detiene a los demás.
+     *
+     * Responde con 200 si todos los elementos se procesaron, o 207 si alguno falló. El cuerpo es:
+     * `{ status, total, succeeded, failed, results: [{ index, _id, status, message? }] }`.
+     *
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     * @param {Array} items - Los elementos a procesar.
+     * @param {string} status - Estado reportado para los elementos exitosos (ej. 'saved').
+     * @param {Function} processItem - Función async `(item) => doc|null`. Si devuelve null el elemento se reporta como no encontrado.
+     * @param {Function} [getItemId] - Función que devuelve el `_id` del elemento, usado para el reporte cuando falla.
+     */
+    async _processBatch(res, items, status, processItem, getItemId = () => undefined) {
+        const results = [];
+        for (const [index, item] of items.entries()) {
+            try {
+                const doc = await processItem(item);
+                if (!doc) {
+                    results.push({ index, _id: getItemId(item), status: 'error', message: `${this.model.modelName} not found` });
+                } else {
+                    results.push({ index, _id: doc._id, status });
+                }
+            } catch (err) {
+                logger.warn(`[${this.model.modelName}] Error en el elemento ${index} de la operación masiva '${status}': ${err.message}`);
+                results.push({ index, _id: getItemId(item), status: 'error', message: err.errorResponse?.errmsg || err.message });
+            }
+        }
+
+        const failed = results.filter(r => r.status === 'error').length;
+        const report = {
+            status: failed === 0 ? status : 'partial',
+            total: items.length,
+            succeeded: items.length - failed,
+            failed,
+            results
+        };
+        logger.info({ model: this.model.modelName, status: report.status, total: report.total, failed });
+        res.status(failed === 0 ? 200 : 207).json(report);
+    }
+
+    /**
+     * @function insert
+     * @description Inserta un nuevo documento en la base de datos.
+     * Utiliza el modelo especificado para crear un nuevo registro con los datos enviados
+     * en el cuerpo del request (`req.body`).
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     *
+     * @returns {void} Responde con el documento creado o un error si ocurre.
+     */
+    async insert(req, res) {
+        // authclient sube al request al request los datos del token {companyId, userId, username}
+        if (!req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+        }
 
-        doc.save()
+        if (!req.token.username) return res.status(401).json({ message: "username no proporcionado en el token de autenticación." });
+
+        this._createDocument(req, req.body)
             .then(saved => {
                 res.json({ status: 'saved', _id: saved._id })
             })
@@ -84,61 +703,195 @@ class BaseController {
             });
     }
 
+    /**
+     * @function insertMany
+     * @description Inserta varios documentos enviados como array en `req.body`.
+     * Cada documento se guarda con .save() aplicando la misma company y `created_by`/`modified_by` que `insert`.
+     * Los errores de un elemento no impiden guardar los demás; la respuesta incluye el resultado de cada uno.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     *
+     * @returns {void} Responde con el reporte por elemento (200, o 207 si hubo fallos parciales).
+     */
+    async insertMany(req, res) {
+        // authclient sube al request al request los datos del token {companyId, userId, username}
+        if (!req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+        }
+        if (!req.token.username) return res.status(401).json({ message: "username no proporcionado en el token de autenticación." });
+
+        const items = req.body;
+        const invalid = this._validateBatch(items);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        try {
+            await this._processBatch(res, items, 'saved', item => this._createDocument(req, item));
+        } catch (err) {
+            this.handleError(res, err, `${this.model.modelName} not created`);
+        }
+    }
+
     /**
      * @function get
      * @description Maneja una solicitud GET para obtener elementos desde la base de datos.
-     * Retorna directamente una lista (array) con los resultados encontrados según los parámetros
-     * enviados en la query del request.
+     * Por compatibilidad, si no se envía ningún parámetro de paginación (`page`, `limit` o `after`) retorna
+     * directamente una lista (array) con los resultados. Si se envía alguno, retorna un sobre paginado:
+     * `{ data, total, page, limit, hasMore, nextCursor }`.
+     *
+     * Parámetros reservados de la query (no se usan como filtro):
+     * - `fields`: Campos a proyectar separados por comas (ej. `name,email`).
+     * - `sort`: Campos de ordenamiento separados por comas (ej. `-created_at,name` o `created_at:desc,name:asc`).
+     * - `page` / `limit`: Paginación por número de página.
+     * - `after`: Cursor devuelto en `nextCursor` de la página anterior. Es excluyente con `page`
+     *   y debe usarse con el mismo `sort` con el que se generó.
+     * - `includeInactive`: Si es 'true' incluye los documentos desactivados (`active: false`). Por defecto se excluyen,
+     *   salvo que la query filtre explícitamente por `active`.
+     *
+     * El resto de parámetros se interpreta como filtro según la gramática de `_normalizeMatch`
+     * (ej. `created_at[gte]=2024-01-01&status[in]=sent,read`).
+     *
+     * Si la query incluye `_id` se responde con el documento encontrado en lugar de una lista, con su ETag en la
+     * cabecera (usado por `update` para el control de concurrencia). Si `If-None-Match` coincide responde 304.
+     *
+     * Con la opción `cache` del controlador, la respuesta se cachea por empresa y query (ver `_getCacheKey`).
      *
      * @param {Object} req - Objeto de solicitud HTTP (Express). Contiene la query con filtros.
      * @param {Object} res - Objeto de respuesta HTTP (Express). Usado para enviar la respuesta al cliente.
      *
-     * @returns {void} Responde al cliente con un array JSON de los resultados o con un error si ocurre.
+     * @returns {void} Responde al cliente con los resultados o con un error si ocurre.
      */
     async get(req, res) {
         // Clona los parámetros del query
         let query = { ...req.query };
 
-        // CompanyId siempre debe agregarse a menos que no se requiera de forma explicita mediante la inyeccion del del atributo NotRequireCompanyFilter
-        // entonces si no existe en el request -> !false -> true y se agrega companyId en el filtro
-        // y si existe en el request -> !true -> false -> no se va a incluir companyId en el filtro
-        if (!req.NotRequireCompanyFilter) {
-            // authclient sube al request al request los datos del token {companyId, userId, username}
-            if (!req.token) {
-                return res.status(401).json({ message: "Token de autenticación no proporcionado." });
-            }
-            const { companyId } = req.token;
-            query.company = companyId;
+        // authclient sube al request al request los datos del token {companyId, userId, username}
+        if (!req.NotRequireCompanyFilter && !req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
         }
 
-        // Extrae 'fields' del query y lo elimina del objeto de filtros
-        const { fields } = query;
-        delete query.fields;
+        // Extrae los parámetros reservados del query y los elimina del objeto de filtros
+        const { fields, sort } = query;
+        const includeInactive = query.includeInactive === 'true';
+        const isPaginated = ['page', 'limit', 'after'].some(param => query[param] !== undefined);
+        const paginationParams = { page: query.page, limit: query.limit, after: query.after };
+        RESERVED_QUERY_PARAMS.forEach(param => delete query[param]);
 
         // Determinar si estamos buscando un elemento específico por ID
         const isSingleItemQuery = query._id !== undefined;
 
-        // Construye la consulta
-        let sql = this.model.find(this._normalizeMatch(query));
+        try {
+            const filter = this._normalizeMatch(query);
 
-        // Si hay campos específicos, aplica proyección
-        if (fields) {
-            const projection = fields.replace(/,/g, ' ');
-            sql = sql.select(projection);
-        }
+            // CompanyId siempre debe agregarse a menos que no se requiera de forma explicita mediante la inyeccion del del atributo NotRequireCompanyFilter
+            // entonces si no existe en el request -> !false -> true y se agrega companyId en el filtro
+            // y si existe en el request -> !true -> false -> no se va a incluir companyId en el filtro
+            // Se agrega después de normalizar para que no pueda ser reemplazado por un filtro del cliente.
+            if (!req.NotRequireCompanyFilter) {
+                filter.company = req.token.companyId;
+            }
 
-        // Ejecuta la consulta
-        sql.exec()
-            .then(result => {
-                if (isSingleItemQuery && result.length === 1) {
-                    res.json(result[0]);
-                } else {
-                    res.json(result);
+            // Los documentos desactivados (soft delete) se excluyen salvo que se pidan explícitamente.
+            if (!includeInactive && filter.active === undefined) {
+                filter.active = { $ne: false };
+            }
+            const sortFields = this._parseSort(sort);
+            const pagination = isPaginated && !isSingleItemQuery ? this._parsePagination(paginationParams) : null;
+
+            // Con cursor, la consulta solo trae los documentos posteriores al último de la página anterior.
+            const findFilter = pagination?.after !== undefined
+                ? { $and: [filter, this._buildCursorFilter(pagination.after, sortFields)] }
+                : filter;
+
+            // Construye la consulta
+            let sql = this.model.find(findFilter);
+
+            // Si hay campos específicos, aplica proyección
+            if (fields) {
+                let projection = fields.split(',').map(f => f.trim()).filter(Boolean);
+                const isInclusive = projection.every(f => !f.startsWith('-'));
+                // En una proyección inclusiva se agregan los campos de ordenamiento, necesarios para generar el cursor.
+                if (isPaginated && isInclusive) {
+                    projection = [...new Set([...projection, ...sortFields.map(([field]) => field)])];
                 }
-            })
-            .catch(err => {
-                this.handleError(res, err, `${this.model.modelName} not found`);
-            });
+                // Y los campos con los que se calcula el ETag de la respuesta de un solo elemento.
+                if (isSingleItemQuery && isInclusive) {
+                    projection = [...new Set([...projection, '__v', 'modified_at'])];
+                }
+                sql = sql.select(projection.join(' '));
+            }
+
+            if (sort || isPaginated) {
+                sql = sql.sort(Object.fromEntries(sortFields));
+            }
+
+            // Ejecuta la consulta y arma la respuesta. Devuelve { body, etag } para que pueda cachearse tal cual.
+            const load = async () => {
+                if (!pagination) {
+                    const result = await sql.exec();
+                    if (isSingleItemQuery && result.length === 1) {
+                        return { body: result[0], etag: this._etag(result[0]) };
+                    }
+                    return { body: result };
+                }
+
+                const { page, limit, after } = pagination;
+                if (after === undefined) {
+                    sql = sql.skip((page - 1) * limit);
+                }
+                // Se pide un elemento extra para saber si hay más resultados sin una segunda consulta.
+                sql = sql.limit(limit + 1);
+
+                const [result, total] = await Promise.all([
+                    sql.exec(),
+                    this.model.countDocuments(filter)
+                ]);
+
+                const hasMore = result.length > limit;
+                const data = hasMore ? result.slice(0, limit) : result;
+                const nextCursor = hasMore ? this._encodeCursor(data[data.length - 1], sortFields) : null;
+
+                return {
+                    body: {
+                        data,
+                        total,
+                        page: after !== undefined ? null : page,
+                        limit,
+                        hasMore,
+                        nextCursor
+                    }
+                };
+            };
+
+            const companyId = req.NotRequireCompanyFilter ? null : req.token.companyId;
+            const { body, etag } = this.options.cache
+                ? await cache.wrap(this._getCacheKey(req, companyId), this.options.cache.ttl, load, { tags: this.model.getCacheTags(companyId) })
+                : await load();
+
+            if (etag) {
+                res.set('ETag', etag);
+                const ifNoneMatch = req.header('If-None-Match');
+                if (ifNoneMatch && this._headerMatchesEtag(etag, ifNoneMatch)) {
+                    return res.status(304).end();
+                }
+            }
+            res.json(body);
+        } catch (err) {
+            this.handleError(res, err, `${this.model.modelName} not found`);
+        }
+    }
+
+    /**
+     * Clave de caché de una consulta de `get`: el modelo, la empresa (o 'global') y un hash de los parámetros de la query.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {string|null} companyId - La empresa por la que filtra la consulta.
+     * @returns {string} La clave.
+     */
+    _getCacheKey(req, companyId) {
+        const query = Object.fromEntries(Object.entries(req.query).sort(([a], [b]) => a.localeCompare(b)));
+        const digest = crypto.createHash('sha1').update(JSON.stringify(query)).digest('base64url');
+        return `${this.model.modelName}:get:${companyId || 'global'}:${digest}`;
     }
 
     /**
@@ -157,28 +910,12 @@ class BaseController {
             return res.status(401).json({ message: "Token de autenticación no proporcionado." });
         }
         const { id } = req.params;
-        const { companyId, username } = req.token;
-
-
-        // Construye el filtro para asegurarnos que el usuario elimina un registro para la company a la que pertence
-        const filter = { _id: id };
-
-        // CompanyId siempre debe agregarse a menos que no se requiera de forma explicita mediante la inyeccion del del atributo NotRequireCompanyFilter
-        // entonces si no existe en el request -> !false -> true y se agrega companyId en el filtro
-        // y si existe en el request -> !true -> false -> no se va a incluir companyId en el filtro
-        if (!req.NotRequireCompanyFilter) {
-            filter.company = companyId;
-        }
 
         try {
-            const doc = await this.model.findOne(filter);
-            if (!doc) {
+            const saved = await this._softDeleteDocument(req, id);
+            if (!saved) {
                 return res.status(404).json({ message: `${this.model.modelName} not found` });
             }
-
-            doc.active = false;
-            doc.modified_by = username;
-            const saved = await doc.save(); // Dispara los hooks
             logger.info({ status: 'deleted', deleted: saved._id });
             res.json({ status: 'deleted', deleted: saved._id });
         } catch (err) {
@@ -186,11 +923,42 @@ class BaseController {
         }
     }
 
+    /**
+     * @function deleteMany
+     * @description Desactiva lógicamente (soft delete) varios documentos cuyos `_id` se envían en `req.body.ids`.
+     * Cada documento se guarda con .save() para que se disparen los hooks.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     *
+     * @returns {void} Responde con el reporte por elemento (200, o 207 si hubo fallos parciales).
+     */
+    async deleteMany(req, res) {
+        // authclient sube al request al request los datos del token {companyId, userId, username}
+        if (!req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+        }
+
+        const ids = req.body?.ids;
+        const invalid = this._validateBatch(ids);
+        if (invalid) return res.status(400).json({ message: invalid });
+
+        try {
+            await this._processBatch(res, ids, 'deleted', id => this._softDeleteDocument(req, id), id => id);
+        } catch (err) {
+            this.handleError(res, err, `${this.model.modelName} not deleted`);
+        }
+    }
+
     /**
      * @function update
      * @description Actualiza un documento usando _id y company como filtro.
      * Utiliza .save() para asegurar ejecución de pre('save') hooks.
      *
+     * Para evitar sobrescribir cambios de otro usuario, el cliente puede enviar la cabecera `If-Match` con el ETag
+     * obtenido en `get`, o `__v` en el cuerpo. Si el documento cambió, responde 409 con el documento actual
+     * en `current` y su ETag en la cabecera. La respuesta exitosa incluye el nuevo ETag y `__v`.
+     *
      * @param {Object} req - Objeto de solicitud HTTP (Express).
      * @param {Object} res - Objeto de respuesta HTTP (Express).
      *
@@ -202,36 +970,176 @@ class BaseController {
             return res.status(401).json({ message: "Token de autenticación no proporcionado." });
         }
         const { id } = req.params;
-        // authclient sube al request al request los datos del token {companyId, userId, username}
-        const { companyId, username } = req.token;
         const updates = { ...req.body };
+        const ifMatch = req.header('If-Match');
 
-        const filter = { _id: id };
-        // CompanyId siempre debe agregarse a menos que no se requiera de forma explicita mediante la inyeccion del del atributo NotRequireCompanyFilter
-        // entonces si no existe en el request -> !false -> true y se agrega companyId en el filtro
-        // y si existe en el request -> !true -> false -> no se va a incluir companyId en el filtro
-        if (!req.NotRequireCompanyFilter) {
-            filter.company = companyId;
+        if (this.options.requireIfMatch && !ifMatch) {
+            return res.status(428).json({ message: "Se requiere la cabecera If-Match con el ETag del documento." });
         }
 
         try {
-            const doc = await this.model.findOne(filter);
-            if (!doc) {
+            const saved = await this._updateDocument(req, id, updates, { ifMatch });
+            if (!saved) {
                 return res.status(404).json({ message: `${this.model.modelName} not found` });
             }
+            logger.info({ status: 'updated', updated: saved._id });
+            res.set('ETag', this._etag(saved));
+            res.json({ status: 'updated', updated: saved._id, __v: saved.__v });
+        } catch (err) {
+            if (err.status === 409) {
+                logger.warn(`[${this.model.modelName}] Conflicto de concurrencia al actualizar ${id}`);
+                const current = err.current;
+                if (current) res.set('ETag', this._etag(current));
+                return res.status(409).json({ message: err.message, current });
+            }
+            this.handleError(res, err, `${this.model.modelName} not updated`);
+        }
+    }
+
+    /**
+     * @function updateMany
+     * @description Actualiza varios documentos enviados como array en `req.body`. Cada elemento debe incluir
+     * su `_id` y los campos a modificar (ej. `[{ _id, name }, { _id, phone }]`).
+     * Cada documento se guarda con .save() para que se disparen los hooks.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     *
+     * @returns {void} Responde con el reporte por elemento (200, o 207 si hubo fallos parciales).
+     */
+    async updateMany(req, res) {
+        // authclient sube al request al request los datos del token {companyId, userId, username}
+        if (!req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+        }
 
-            // Actualizar propiedades dinámicamente
-            Object.assign(doc, updates);
-            doc.modified_by = username;
+        const items = req.body;
+        const invalid = this._validateBatch(items);
+        if (invalid) return res.status(400).json({ message: invalid });
 
-            const saved = await doc.save(); // Dispara hooks como pre('save')
-            logger.info({ status: 'updated', updated: saved._id });
-            res.json({ status: 'updated', updated: saved._id });
+        try {
+            await this._processBatch(res, items, 'updated', item => {
+                const { _id, ...updates } = item || {};
+                if (!_id) throw new Error('El elemento no tiene _id');
+                return this._updateDocument(req, _id, updates);
+            }, item => item?._id);
         } catch (err) {
             this.handleError(res, err, `${this.model.modelName} not updated`);
         }
     }
 
+    /**
+     * @function restore
+     * @description Reactiva un documento desactivado lógicamente (soft delete) usando _id y company como filtro.
+     * Utiliza .save() para que se disparen los hooks (ej. re-indexar un cliente en Redis) y para que
+     * el plugin de auditoría limpie `deleted_at`/`deleted_by`.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     *
+     * @returns {void} Responde con el documento restaurado o un error.
+     */
+    async restore(req, res) {
+        // authclient sube al request al request los datos del token {companyId, userId, username}
+        if (!req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+        }
+        const { id } = req.params;
+
+        try {
+            const doc = await this.model.findOne({ ...this._ownedFilter(req, id), active: false });
+            if (!doc) {
+                return res.status(404).json({ message: `Deleted ${this.model.modelName} not found` });
+            }
+
+            doc.active = true;
+            doc.modified_by = req.token.username;
+            const saved = await doc.save(); // Dispara los hooks
+            logger.info({ status: 'restored', restored: saved._id });
+            res.json({ status: 'restored', restored: saved._id });
+        } catch (err) {
+            this.handleError(res, err, `${this.model.modelName} not restored`);
+        }
+    }
+
+    /**
+     * @function purge
+     * @description Elimina físicamente documentos que ya fueron desactivados (soft delete). Solo pueden usarlo
+     * los roles configurados en `options.purgeRoles`. Los documentos activos nunca se eliminan.
+     *
+     * - Con `req.params.id`: elimina ese documento.
+     * - Sin `id`: elimina los documentos desactivados hace más de `olderThanDays` días (query o body),
+     *   para cumplir con las políticas de retención de datos.
+     *
+     * Cada documento eliminado queda registrado en `audit_log` con la operación 'purge' y el usuario (`recordPurge`
+     * de modelAuditPlugin); el soft delete, en cambio, queda en el historial como un cambio de `active`.
+     *
+     * @param {Object} req - Objeto de solicitud HTTP (Express).
+     * @param {Object} res - Objeto de respuesta HTTP (Express).
+     *
+     * @returns {void} Responde con la cantidad de documentos eliminados o un error.
+     */
+    async purge(req, res) {
+        // authclient sube al request al request los datos del token {companyId, userId, username, roles}
+        if (!req.token) {
+            return res.status(401).json({ message: "Token de autenticación no proporcionado." });
+        }
+        const roles = req.token.roles || [];
+        if (!roles.some(role => this.options.purgeRoles.includes(role))) {
+            logger.warn(`[${this.model.modelName}] Intento de purge sin rol autorizado por el usuario ${req.token.username}`);
+            return res.status(403).json({ message: "No tiene permisos para eliminar definitivamente registros." });
+        }
+
+        const { id } = req.params;
+        let filter;
+        if (id) {
+            filter = { ...this._ownedFilter(req, id), active: false };
+        } else {
+            const olderThanDays = Number(req.query.olderThanDays ?? req.body?.olderThanDays);
+            if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+                return res.status(400).json({ message: "El parámetro 'olderThanDays' debe ser un entero mayor o igual a 0." });
+            }
+            const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+            filter = {
+                active: false,
+                $or: [
+                    { deleted_at: { $lte: cutoff } },
+                    // Documentos desactivados antes de que existiera deleted_at: se usa la última modificación.
+                    { deleted_at: null, modified_at: { $lte: cutoff } }
+                ]
+            };
+            if (!req.NotRequireCompanyFilter) {
+                filter.company = req.token.companyId;
+            }
+        }
+
+        try {
+            // Se leen primero los documentos a eliminar para registrar el purge de cada uno.
+            const candidates = await this.model.find(filter).select('_id company').lean();
+            const ids = candidates.map(doc => doc._id);
+            const result = ids.length > 0
+                ? await this.model.deleteMany({ _id: { $in: ids }, active: false })
+                : { deletedCount: 0 };
+            if (id && result.deletedCount === 0) {
+                return res.status(404).json({ message: `Deleted ${this.model.modelName} not found` });
+            }
+            let purged = candidates;
+            if (result.deletedCount < candidates.length) {
+                // Alguno se restauró entre la lectura y el borrado: solo se registran los que se eliminaron.
+                const remaining = await this.model.find({ _id: { $in: ids } }).select('_id').lean();
+                const remainingIds = new Set(remaining.map(doc => String(doc._id)));
+                purged = candidates.filter(doc => !remainingIds.has(String(doc._id)));
+            }
+            if (typeof this.model.recordPurge === 'function') {
+                await this.model.recordPurge(purged, { actor: req.token.username });
+            }
+            logger.info({ status: 'purged', model: this.model.modelName, purged: result.deletedCount, by: req.token.username });
+            res.json({ status: 'purged', purged: result.deletedCount });
+        } catch (err) {
+            this.handleError(res, err, `${this.model.modelName} not purged`);
+        }
+    }
+
     async echo(req, res) {
         // authclient sube al request al request los datos del token {companyId, userId, username}
         const { companyId, username, userId } = req.token;
@@ -1,62 +1,212 @@
 const logger = require('../../lib/logger');
+const jwt = require('../../lib/jwt');
 const { headers, WEBHOOK_SOURCE_TYPE } = require('../../lib/constants');
+const { verifyMetaWebhook } = require('./metaWebhookAuth');
 /**
  * @module authClient
  * @description Middleware de Express para autenticar y autorizar peticiones internas entre servicios.
- * Valida un token secreto y extrae información del usuario desde las cabeceras HTTP
- * para inyectarla en el objeto `req`.
+ * Tiene dos modos:
+ * - `header` (por defecto): confía en las cabeceras con datos del usuario que agrega el gateway.
+ *   Solo debe usarse cuando el servicio únicamente es accesible a través de un gateway de confianza.
+ * - `jwt`: verifica un JWT firmado recibido en `Authorization: Bearer <token>` y toma los datos del usuario de sus claims.
+ * En ambos casos inyecta la información del usuario en `req.token`.
+ * Las peticiones de webhooks de Meta (`X-Source-Type: webhook`) se autentican con `metaWebhookAuth`.
  */
 
+const AUTH_MODES = Object.freeze({
+    HEADER: 'header',
+    JWT: 'jwt',
+});
+
+// Claims del JWT de los que se toman los datos de `req.token`.
+const DEFAULT_JWT_CLAIMS = Object.freeze({
+    companyId: 'companyId',
+    userId: 'sub',
+    username: 'username',
+    roles: 'roles',
+    permissions: 'permissions',
+});
+
+const splitList = (value) => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : undefined;
+
 /**
- * Middleware para validar si una petición proviene de un servicio interno autorizado.
- *
- * 1.  Verifica la presencia y validez de una cabecera de autenticación interna (`X-Internal-Request`).
- * 2.  Si la petición no es de un Webhook, extrae y valida cabeceras con datos de usuario
- * (`X-User-Company`, `X-User-Name`, `X-User-Roles`).
- * 3.  Parsea los datos del usuario (compañía y roles) que vienen en formato JSON.
- * 4.  Inyecta un objeto `token` en el objeto `req` con la información del usuario para
- * su uso en los siguientes middlewares o controladores.
+ * Convierte el valor de la cabecera de roles en un array.
+ * Acepta un array JSON (`["admin","agent"]`) o una lista separada por comas (`admin,agent`).
  *
- * @async
- * @function authClient
- * @param {import('express').Request} req - El objeto de la petición de Express. Se espera que contenga cabeceras personalizadas.
- * @param {import('express').Response} res - El objeto de la respuesta de Express.
- * @param {import('express').NextFunction} next - La función para pasar al siguiente middleware.
- * @returns {Promise<void>} No devuelve un valor directamente, sino que finaliza la petición con un error o la pasa al siguiente middleware.
+ * @param {string|undefined} value - El valor de la cabecera `X-User-Roles`.
+ * @returns {string[]} Los roles del usuario (vacío si no se envió la cabecera o es inválida).
  */
-const authClient = async (req, res, next) => {
-    logger.debug("[authClient] INICIO de la validacion del request");
-    logger.silly({ msg: "[authClient]", headers: req.headers });
-    // const internalHeader = req.header(headers.INTERNAL_REQUEST);    
-    // // token === this.service.token está garantizado por el método start()
-    // if (internalHeader !== token) {
-    //     logger.warn(`[authClient] Intento de acceso no autorizado. Header '${headers.INTERNAL_REQUEST}' no coincide con el token esperado.`);
-    //     return res.status(401).json({ error: 'No se ha recibido el header de autenticación o es incorrecto' });
-    // }
-    // Extraer datos de usuario desde headers personalizados    
-    const sourceType = req.header(headers.SOURCE_TYPE);
-    if (sourceType && sourceType === WEBHOOK_SOURCE_TYPE) {
-        logger.verbose(`[authClient] sourceType: ${sourceType}, ignorando la validacion de seguridad de llamados internos `);
-    } else {
-        logger.verbose("[authClient] No sourceType presente por lo que se procesan cabeceras de llamados internos");
-        const companyId = req.header(headers.COMPANY_ID);
-        const userId = req.header(headers.USER_ID);
-        const username = req.header(headers.USER_NAME); // el gateway devuelve como una lista de Strings
-
-        if (!(companyId || userId || username)) {
-            return res.status(401).json({ error: 'Faltan Headers de datos del usuario' });
+const parseRoles = (value) => {
+    if (!value) return [];
+    const raw = String(value).trim();
+    if (raw.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(raw);
+            return Array.isArray(parsed) ? parsed.map(r => String(r).trim()).filter(Boolean) : [];
+        } catch (error) {
+            logger.warn(`[authClient] Cabecera '${headers.USER_ROLES}' con JSON inválido: ${raw}`);
+            return [];
         }
+    }
+    return raw.split(',').map(r => r.trim()).filter(Boolean);
+};
+
+/**
+ * Resuelve la configuración del middleware. Las opciones no indicadas se toman de las variables de entorno:
+ * AUTH_MODE, JWT_SECRET, JWT_JWKS_PATH, JWT_AUDIENCE, JWT_ISSUER y JWT_ALGORITHMS (listas separadas por comas).
+ *
+ * @param {object} options - Las opciones recibidas en `createAuthClient`.
+ * @returns {object} La configuración completa.
+ */
+const resolveConfig = (options) => {
+    const mode = options.mode || process.env.AUTH_MODE || AUTH_MODES.HEADER;
+    if (!Object.values(AUTH_MODES).includes(mode)) {
+        throw new Error(`[authClient] Modo de autenticación desconocido: ${mode}`);
+    }
+    return {
+        mode,
+        jwt: {
+            secret: options.secret || process.env.JWT_SECRET,
+            jwksPath: options.jwksPath || process.env.JWT_JWKS_PATH,
+            audience: options.audience || splitList(process.env.JWT_AUDIENCE),
+            issuer: options.issuer || splitList(process.env.JWT_ISSUER),
+            algorithms: options.algorithms || splitList(process.env.JWT_ALGORITHMS),
+            clockTolerance: options.clockTolerance,
+        },
+        claims: { ...DEFAULT_JWT_CLAIMS, ...options.claims },
+    };
+};
+
+/**
+ * Obtiene los datos del usuario desde las cabeceras agregadas por el gateway.
+ * @returns {object|null} Los datos para `req.token`, o null si faltan las cabeceras.
+ */
+const tokenFromHeaders = (req) => {
+    const companyId = req.header(headers.COMPANY_ID);
+    const userId = req.header(headers.USER_ID);
+    const username = req.header(headers.USER_NAME); // el gateway devuelve como una lista de Strings
+    const roles = parseRoles(req.header(headers.USER_ROLES));
 
-        // Agregar objeto `token` al request
-        req.token = {
-            companyId,
-            userId,
-            username,
-        };
-        logger.verbose({file:'[authClient]',token:req.token});
+    if (!(companyId || userId || username)) {
+        return null;
     }
+    return { companyId, userId, username, roles };
+};
+
+/**
+ * Verifica el JWT de la cabecera Authorization y obtiene los datos del usuario desde sus claims.
+ * @returns {object} Los datos para `req.token`.
+ * @throws {jwt.JwtError} Si falta el token o no es válido.
+ */
+const tokenFromJwt = (req, config) => {
+    const authorization = req.header('Authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        throw new jwt.JwtError('MISSING_TOKEN', 'No se recibió un token Bearer en la cabecera Authorization');
+    }
+
+    const payload = jwt.verify(token, config.jwt);
+    const { claims } = config;
+    const roles = payload[claims.roles];
+    return {
+        companyId: payload[claims.companyId],
+        userId: payload[claims.userId],
+        username: payload[claims.username],
+        roles: Array.isArray(roles) ? roles : parseRoles(roles),
+        // Si el token no trae permisos, `authorize` los lee de la base de datos
+        permissions: payload[claims.permissions],
+        claims: payload,
+    };
+};
+
+/**
+ * Crea el middleware de autenticación.
+ *
+ * @param {object} [options={}] - Opciones del middleware. Las no indicadas se toman de variables de entorno (ver resolveConfig).
+ * @param {'header'|'jwt'} [options.mode='header'] - Modo de autenticación.
+ * @param {string} [options.secret] - Secreto para verificar tokens HS256.
+ * @param {string} [options.jwksPath] - Ruta al archivo JWKS para verificar tokens RS256.
+ * @param {string|string[]} [options.audience] - Audiencia(s) aceptada(s).
+ * @param {string|string[]} [options.issuer] - Emisor(es) aceptado(s).
+ * @param {string[]} [options.algorithms] - Algoritmos aceptados (HS256, RS256).
+ * @param {number} [options.clockTolerance] - Tolerancia en segundos para exp/nbf.
+ * @param {object} [options.claims] - Nombres de los claims de companyId, userId, username, roles y permissions.
+ * @param {boolean} [options.verifyWebhooks=true] - Si se valida la firma/handshake de los webhooks de Meta.
+ *   Solo desactivar si la validación ya la hace otro componente (ej. el gateway).
+ * @returns {Function} El middleware de Express.
+ */
+const createAuthClient = (options = {}) => {
+    // La configuración se resuelve en el primer request para respetar variables de entorno cargadas después del require.
+    let config = null;
+    const verifyWebhook = options.verifyWebhooks === false ? null : verifyMetaWebhook();
+
+    /**
+     * Middleware para validar si una petición proviene de un servicio interno autorizado.
+     *
+     * 1.  Si la petición es de un Webhook (`X-Source-Type: webhook`), no aplica la validación de llamados internos:
+     * valida la firma `X-Hub-Signature-256` (POST) o el `hub.verify_token` (GET) con `metaWebhookAuth`.
+     * 2.  En modo `jwt`, verifica el token Bearer (firma, exp/nbf, aud, iss) y toma los datos del usuario de sus claims.
+     * 3.  En modo `header`, extrae y valida las cabeceras con datos de usuario
+     * (`X-Company-Id`, `X-User-Id`, `X-User-Name`, `X-User-Roles`).
+     * 4.  Inyecta un objeto `token` ({ companyId, userId, username, roles, permissions? }) en el objeto `req` para
+     * su uso en los siguientes middlewares o controladores.
+     *
+     * @async
+     * @function authClient
+     * @param {import('express').Request} req - El objeto de la petición de Express.
+     * @param {import('express').Response} res - El objeto de la respuesta de Express.
+     * @param {import('express').NextFunction} next - La función para pasar al siguiente middleware.
+     * @returns {Promise<void>} No devuelve un valor directamente, sino que finaliza la petición con un error o la pasa al siguiente middleware.
+     */
+    return async (req, res, next) => {
+        config = config || resolveConfig(options);
+        logger.debug("[authClient] INICIO de la validacion del request");
+        logger.silly({ msg: "[authClient]", headers: req.headers });
+        // const internalHeader = req.header(headers.INTERNAL_REQUEST);    
+        // // token === this.service.token está garantizado por el método start()
+        // if (internalHeader !== token) {
+        //     logger.warn(`[authClient] Intento de acceso no autorizado. Header '${headers.INTERNAL_REQUEST}' no coincide con el token esperado.`);
+        //     return res.status(401).json({ error: 'No se ha recibido el header de autenticación o es incorrecto' });
+        // }
+        // Extraer datos de usuario desde headers personalizados    
+        const sourceType = req.header(headers.SOURCE_TYPE);
+        if (sourceType && sourceType === WEBHOOK_SOURCE_TYPE) {
+            logger.verbose(`[authClient] sourceType: ${sourceType}, ignorando la validacion de seguridad de llamados internos `);
+            if (verifyWebhook) {
+                return verifyWebhook(req, res, next);
+            }
+        } else if (config.mode === AUTH_MODES.JWT) {
+            logger.verbose("[authClient] Modo jwt: verificando el token Bearer");
+            try {
+                req.token = tokenFromJwt(req, config);
+            } catch (error) {
+                if (!(error instanceof jwt.JwtError)) {
+                    logger.error(`[authClient] Error al verificar el token -> error:${error.message}`);
+                    return next(error);
+                }
+                logger.warn(`[authClient] Token rechazado (${error.code}): ${error.message}`);
+                return res.status(401).json({ error: error.message, errorCode: error.code });
+            }
+            logger.verbose({ file: '[authClient]', token: { ...req.token, claims: undefined } });
+        } else {
+            logger.verbose("[authClient] No sourceType presente por lo que se procesan cabeceras de llamados internos");
+            const token = tokenFromHeaders(req);
+            if (!token) {
+                return res.status(401).json({ error: 'Faltan Headers de datos del usuario' });
+            }
+
+            // Agregar objeto `token` al request
+            req.token = token;
+            logger.verbose({file:'[authClient]',token:req.token});
+        }
+
+        next();
+    };
+};
 
-    next();
-}
+// Middleware por defecto, configurado con variables de entorno (AUTH_MODE=header|jwt).
+const authClient = createAuthClient();
 
-module.exports = authClient;
\ No newline at end of file
+module.exports = authClient;
+module.exports.createAuthClient = createAuthClient;
+module.exports.AUTH_MODES = AUTH_MODES;
\ No newline at end of file
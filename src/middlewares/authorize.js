@@ -0,0 +1,162 @@
+const logger = require('../../lib/logger');
+const { rol } = require('../../lib/constants');
+
+/**
+ * @module authorize
+ * @description Middleware de Express para autorizar peticiones según los roles (`req.token.roles`) y el mapa
+ * de permisos del usuario (`User.permissions`, ej. `{ products: ['read', 'write'] }`).
+ * Debe usarse después de `authClient`.
+ *
+ * Una entrada del usuario para un recurso (o `*`) reemplaza a la política de sus roles para ese recurso, no se
+ * intersecta con ella: puede restringirla (`{ customers: [] }` quita el acceso que da el rol) o ampliarla
+ * (`{ products: ['read'] }` da acceso a un usuario con solo USER_ROLE). Por eso `permissions`, igual que `roles`,
+ * solo lo asignan los administradores (`writableBy` en el modelo User).
+ */
+
+const ACTIONS = Object.freeze({
+    READ: 'read',
+    WRITE: 'write',
+    DELETE: 'delete',
+});
+
+const WILDCARD = '*';
+
+// Recursos del módulo de mensajería a los que tienen acceso los agentes.
+const MESSAGING_RESOURCES = Object.freeze(['messages', 'chats', 'conversations', 'templates']);
+
+const messagingPermissions = (actions) =>
+    Object.fromEntries(MESSAGING_RESOURCES.map(resource => [resource, actions]));
+
+/**
+ * Permisos por defecto de cada rol: recurso -> acciones. `*` equivale a cualquier recurso o acción.
+ * Si el usuario tiene una entrada explícita para el recurso en su `permissions`, esa entrada reemplaza a la del rol,
+ * tanto si concede menos como si concede más.
+ */
+const DEFAULT_ROLE_PERMISSIONS = Object.freeze({
+    [rol.SYSTEM_ADMIN_ROLE]: { [WILDCARD]: [WILDCARD] },
+    [rol.CUSTOMER_ADMIN_ROLE]: { [WILDCARD]: [WILDCARD] },
+    // USER_ROLE es el rol por defecto de todo usuario (también de agentes y viewers): no concede nada por sí mismo,
+    // el acceso lo dan los otros roles o las entradas explícitas de su `permissions`.
+    [rol.USER_ROLE]: {},
+    [rol.VIEWER_ROLE]: { [WILDCARD]: [ACTIONS.READ] },
+    [rol.MESSAGES_ADMIN]: { ...messagingPermissions([WILDCARD]), customers: [ACTIONS.READ, ACTIONS.WRITE] },
+    [rol.MESSAGES_AGENT]: { ...messagingPermissions([ACTIONS.READ, ACTIONS.WRITE]), customers: [ACTIONS.READ] },
+    [rol.TRACKING_USER]: { tracking: [ACTIONS.READ, ACTIONS.WRITE] },
+});
+
+// Roles que siempre pasan la autorización, sin importar el mapa de permisos del usuario.
+const SUPER_ROLES = Object.freeze([rol.SYSTEM_ADMIN_ROLE]);
+
+/**
+ * Deduce la acción a partir del método HTTP: GET/HEAD -> read, DELETE -> delete, el resto -> write.
+ * @param {string} method - El método HTTP.
+ * @returns {string} La acción.
+ */
+const actionFromMethod = (method) => {
+    switch (String(method).toUpperCase()) {
+        case 'GET':
+        case 'HEAD':
+        case 'OPTIONS':
+            return ACTIONS.READ;
+        case 'DELETE':
+            return ACTIONS.DELETE;
+        default:
+            return ACTIONS.WRITE;
+    }
+};
+
+const grants = (actions, action) => Array.isArray(actions) && (actions.includes(WILDCARD) || actions.includes(action));
+
+/**
+ * Indica si un mapa de permisos (recurso -> acciones) permite la acción sobre el recurso.
+ * @returns {boolean|undefined} true/false si el mapa tiene una entrada para el recurso (o `*`), undefined si no la tiene.
+ */
+const checkPermissionMap = (permissions, resource, action) => {
+    if (!permissions || typeof permissions !== 'object') return undefined;
+    if (Object.hasOwn(permissions, resource)) return grants(permissions[resource], action);
+    if (Object.hasOwn(permissions, WILDCARD)) return grants(permissions[WILDCARD], action);
+    return undefined;
+};
+
+/**
+ * Obtiene el mapa de permisos del usuario. Usa `req.token.permissions` si el token ya lo trae (ej. claim del JWT);
+ * si no, lo lee de la colección de usuarios y lo deja en `req.token` para los siguientes middlewares.
+ */
+const loadUserPermissions = async (req) => {
+    if (req.token.permissions) return req.token.permissions;
+    if (!req.token.userId) return {};
+
+    // require diferido: los modelos dependen de este paquete de middlewares.
+    const { User } = require('../models');
+    const user = await User.findById(req.token.userId).select('permissions').lean();
+    req.token.permissions = user?.permissions || {};
+    return req.token.permissions;
+};
+
+/**
+ * Crea un middleware que autoriza la petición.
+ *
+ * Reglas (en orden):
+ * 1. Sin `req.token` -> 401.
+ * 2. Si se indican `roles`, el usuario debe tener al menos uno de ellos (o un rol de SUPER_ROLES) -> si no, 403.
+ * 3. Si se indica `resource`, se evalúa la acción (`action` o la deducida del método HTTP):
+ *    - los roles de SUPER_ROLES siempre pasan;
+ *    - si el mapa `permissions` del usuario tiene una entrada para el recurso (o `*`), esa entrada decide, aunque
+ *      conceda más o menos que sus roles;
+ *    - si no, decide la política de sus roles (`rolePermissions`): basta con que uno de ellos conceda la acción.
+ *
+ * Ejemplo:
+ *    router.post('/messages', authClient, authorize({ resource: 'messages' }), controller.insert.bind(controller));
+ *    router.delete('/companies/:id', authClient, authorize({ roles: [rol.SYSTEM_ADMIN_ROLE] }), ...);
+ *
+ * @param {object} [options={}] - Opciones de autorización.
+ * @param {string[]} [options.roles] - Roles aceptados.
+ * @param {string} [options.resource] - El recurso protegido (ej. 'customers', 'messages').
+ * @param {string} [options.action] - La acción ('read', 'write', 'delete'). Por defecto se deduce del método HTTP.
+ * @param {object} [options.rolePermissions=DEFAULT_ROLE_PERMISSIONS] - Política de permisos por rol.
+ * @returns {Function} El middleware de Express.
+ */
+const authorize = ({ roles, resource, action, rolePermissions = DEFAULT_ROLE_PERMISSIONS } = {}) => {
+    return async (req, res, next) => {
+        if (!req.token) {
+            return res.status(401).json({ error: 'Token de autenticación no proporcionado.' });
+        }
+        const userRoles = req.token.roles || [];
+        const isSuperUser = userRoles.some(role => SUPER_ROLES.includes(role));
+
+        if (roles && roles.length > 0 && !isSuperUser && !userRoles.some(role => roles.includes(role))) {
+            logger.warn(`[authorize] Usuario ${req.token.username} sin rol requerido (${roles.join(', ')}) para ${req.method} ${req.originalUrl}`);
+            return res.status(403).json({ error: 'No tiene el rol requerido para esta operación.' });
+        }
+
+        if (!resource || isSuperUser) {
+            return next();
+        }
+
+        const requiredAction = action || actionFromMethod(req.method);
+        try {
+            const permissions = await loadUserPermissions(req);
+            let allowed = checkPermissionMap(permissions, resource, requiredAction);
+            if (allowed === undefined) {
+                allowed = userRoles.some(role => checkPermissionMap(rolePermissions[role], resource, requiredAction) === true);
+            }
+
+            if (!allowed) {
+                logger.warn(`[authorize] Usuario ${req.token.username} sin permiso '${requiredAction}' sobre '${resource}'`);
+                return res.status(403).json({ error: `No tiene permiso '${requiredAction}' sobre '${resource}'.` });
+            }
+        } catch (error) {
+            logger.error(`[authorize] Error al evaluar permisos -> error:${error.message}`);
+            return next(error);
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    ACTIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    MESSAGING_RESOURCES,
+    authorize,
+};
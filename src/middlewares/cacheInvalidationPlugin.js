@@ -0,0 +1,83 @@
+const logger = require('../../lib/logger');
+const cache = require('../../lib/cache');
+
+/**
+ * @module cacheInvalidationPlugin
+ * @description Plugin de Mongoose que invalida las entradas de `lib/cache` de un modelo cuando sus documentos cambian.
+ *
+ * Las lecturas cacheadas del modelo (ej. `BaseController.get` con la opción `cache`) se etiquetan con
+ * `Model.getCacheTags(companyId)`: la etiqueta general del modelo más la de la empresa, o la etiqueta global si la
+ * lectura no filtra por empresa. Tras cada escritura se invalidan la etiqueta de la empresa afectada y la global;
+ * si no se puede saber qué empresa cambió (ej. un updateMany sin `company` en el filtro), se invalida todo el modelo.
+ *
+ * Las escrituras hechas directamente sobre el driver (`Model.collection`) no pasan por los hooks y no invalidan la caché.
+ */
+
+const DOCUMENT_OPERATIONS = ['findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+const QUERY_OPERATIONS = ['updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+const GLOBAL_SCOPE = 'global';
+
+// Un valor de filtro identifica una sola empresa si es un escalar (string u ObjectId), no un operador.
+const isSingleValue = (value) =>
+  value !== null && value !== undefined && (typeof value !== 'object' || value._bsontype === 'ObjectId');
+
+/**
+ * @param {mongoose.Schema} schema El esquema.
+ * @param {object} [options={}] Opciones del plugin.
+ * @param {string} [options.companyField='company'] Campo con la empresa dueña del documento.
+ */
+const cacheInvalidationPlugin = (schema, options = {}) => {
+  const { companyField = 'company' } = options;
+
+  /**
+   * Etiquetas de una lectura cacheada del modelo.
+   * @param {string} [companyId] - La empresa por la que filtra la lectura. Sin ella, la lectura es global.
+   * @returns {string[]} Las etiquetas.
+   */
+  schema.statics.getCacheTags = function (companyId) {
+    const scope = companyId ? `company:${companyId}` : GLOBAL_SCOPE;
+    return [this.modelName, `${this.modelName}:${scope}`];
+  };
+
+  /**
+   * Invalida las lecturas cacheadas afectadas por cambios en documentos de las empresas indicadas.
+   * @param {Array<string|null>} [companyIds] - Las empresas. Sin empresas (o con alguna desconocida) invalida todo el modelo.
+   * @returns {Promise<void>}
+   */
+  schema.statics.invalidateCache = async function (companyIds = []) {
+    const known = companyIds.filter(isSingleValue);
+    const tags = known.length === 0 || known.length < companyIds.length
+      ? [this.modelName]
+      : [`${this.modelName}:${GLOBAL_SCOPE}`, ...new Set(known.map(companyId => `${this.modelName}:company:${companyId}`))];
+    try {
+      await cache.invalidateTags(tags);
+    } catch (error) {
+      logger.error(`[cacheInvalidation] Error al invalidar la caché de ${this.modelName} -> error:${error.message}`);
+    }
+  };
+
+  schema.post('save', async function (doc) {
+    await doc.constructor.invalidateCache([doc.get(companyField)]);
+  });
+
+  schema.post('insertMany', async function (docs) {
+    await this.invalidateCache([].concat(docs).map(doc => doc.get?.(companyField) ?? doc[companyField]));
+  });
+
+  schema.post(DOCUMENT_OPERATIONS, async function (doc) {
+    // La empresa del filtro y la del documento resultante (distintas si la actualización cambió `company`).
+    const companyIds = [this.getFilter()[companyField], doc?.get?.(companyField) ?? doc?.[companyField]].filter(isSingleValue);
+    await this.model.invalidateCache(companyIds.length > 0 ? companyIds : [null]);
+  });
+
+  schema.post(QUERY_OPERATIONS, async function () {
+    await this.model.invalidateCache([this.getFilter()[companyField] ?? null]);
+  });
+
+  schema.post('bulkWrite', async function () {
+    await this.invalidateCache();
+  });
+};
+
+module.exports = cacheInvalidationPlugin;
@@ -0,0 +1,301 @@
+const logger = require('../../lib/logger');
+const { encrypt, decrypt, blindIndex, getCiphertextKeyId } = require('../../lib/crypt');
+
+/**
+ * @module encryptedFieldsPlugin
+ * @description Plugin de Mongoose para campos encriptados (lib/crypt) con índices ciegos (HMAC) opcionales.
+ *
+ * - Encripta con un setter, que Mongoose aplica al asignar valores en el documento (save, insertMany) y al castear
+ *   las actualizaciones (updateOne, updateMany, findOneAndUpdate, bulkWrite, con cualquier operador).
+ * - Desencripta con un getter en los documentos y, en las queries con `lean()`, en un hook post.
+ * - Mantiene las columnas de índice ciego en save, insertMany, updates ($set, $setOnInsert, $unset y reemplazos) y bulkWrite.
+ * - Reescribe los filtros de igualdad sobre campos con índice ciego (`{ email: 'a@b.com' }`, `$eq`, `$in`, `$ne`, `$nin`)
+ *   para que busquen por la columna del índice.
+ *
+ * Los validadores de Mongoose (match, minlength, etc.) se ejecutan sobre el valor ya encriptado: no declararlos
+ * en campos encriptados. Expone `Model.encryptedFields` y `Model.blindIndexes` para los jobs de keyRotationService.
+ */
+
+// Prefijo del formato versionado de lib/crypt. Solo estos valores se reconocen como ya encriptados en el setter:
+// el formato antiguo sin prefijo ('a.b.c') no se distingue de un texto plano con puntos.
+const VERSIONED_CIPHERTEXT_PREFIX = 'v1:';
+
+const UPDATE_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const REPLACE_OPERATIONS = ['replaceOne', 'findOneAndReplace'];
+const FILTER_OPERATIONS = [
+  'find', 'findOne', 'countDocuments', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'distinct',
+  ...UPDATE_OPERATIONS, ...REPLACE_OPERATIONS,
+];
+const LEAN_RESULT_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete'];
+// Operadores de filtro que se pueden traducir a la columna del índice ciego.
+const EQUALITY_OPERATORS = ['$eq', '$ne'];
+const LIST_OPERATORS = ['$in', '$nin'];
+
+const isEmpty = (value) => value === null || typeof value === 'undefined' || value === '';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+const setPath = (obj, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  if (target != null && Object.hasOwn(target, last)) target[last] = value;
+};
+
+/**
+ * Busca el valor de un path en un objeto de actualización, escrito con punto (`{ 'contact.email': x }`) o anidado.
+ * @returns {{ found: boolean, value: * }}
+ */
+const findUpdateValue = (obj, path) => {
+  if (!isPlainObject(obj)) return { found: false };
+  if (Object.hasOwn(obj, path)) return { found: true, value: obj[path] };
+  const [head, ...rest] = path.split('.');
+  if (rest.length === 0 || !isPlainObject(obj[head])) return { found: false };
+  return findUpdateValue(obj[head], rest.join('.'));
+};
+
+const encryptValue = (value) => {
+  if (isEmpty(value)) return value;
+  // Evita encriptar dos veces un valor que ya viene encriptado (ej. copiado de otro documento).
+  if (String(value).startsWith(VERSIONED_CIPHERTEXT_PREFIX) && getCiphertextKeyId(value)) return value;
+  return encrypt(value);
+};
+
+const decryptValue = (value) => {
+  try {
+    return decrypt(value);
+  } catch (error) {
+    // decrypt ya registra el error; en lecturas se devuelve el valor guardado para no romper la query completa.
+    return value;
+  }
+};
+
+/**
+ * Calcula las columnas de índice ciego que cambian en un objeto con valores en texto plano
+ * (un `$set`, un `$setOnInsert`, un documento de insertMany o un reemplazo).
+ * @returns {{ set: object, unset: string[] }} Las columnas a asignar y las que se deben eliminar (valor vacío).
+ */
+const blindIndexChanges = (values, blindIndexes) => {
+  const set = {};
+  const unset = [];
+  for (const [column, { field, type }] of Object.entries(blindIndexes)) {
+    const { found, value } = findUpdateValue(values, field);
+    if (!found) continue;
+    const index = isEmpty(value) ? null : blindIndex(value, type);
+    if (index === null) unset.push(column);
+    else set[column] = index;
+  }
+  return { set, unset };
+};
+
+/**
+ * Agrega a un objeto de actualización las columnas de índice ciego de los campos que modifica.
+ * Los valores del update siguen en texto plano: Mongoose los encripta después, al castear con el setter.
+ */
+const applyBlindIndexesToUpdate = (update, blindIndexes) => {
+  if (!update || Array.isArray(update)) return update; // Los pipelines de agregación no se soportan.
+  const result = { ...update };
+
+  // Campos en el nivel superior (Mongoose los trata como $set).
+  const topLevel = Object.fromEntries(Object.entries(result).filter(([key]) => !key.startsWith('$')));
+  const fromTopLevel = blindIndexChanges(topLevel, blindIndexes);
+  const fromSet = blindIndexChanges(result.$set, blindIndexes);
+  const fromSetOnInsert = blindIndexChanges(result.$setOnInsert, blindIndexes);
+
+  const set = { ...fromTopLevel.set, ...fromSet.set };
+  if (Object.keys(set).length > 0) result.$set = { ...result.$set, ...set };
+  if (Object.keys(fromSetOnInsert.set).length > 0) result.$setOnInsert = { ...result.$setOnInsert, ...fromSetOnInsert.set };
+
+  const unset = [...fromTopLevel.unset, ...fromSet.unset, ...fromSetOnInsert.unset];
+  for (const [column, { field }] of Object.entries(blindIndexes)) {
+    if (result.$unset && findUpdateValue(result.$unset, field).found) unset.push(column);
+  }
+  if (unset.length > 0) result.$unset = { ...result.$unset, ...Object.fromEntries(unset.map(column => [column, ''])) };
+  return result;
+};
+
+/**
+ * Agrega a un documento (insert o reemplazo) las columnas de índice ciego de sus campos encriptados.
+ * Acepta objetos planos (texto plano) o documentos de Mongoose (los getters devuelven el texto plano).
+ */
+const applyBlindIndexesToDocument = (doc, blindIndexes) => {
+  if (doc?.$__) {
+    for (const [column, { field, type }] of Object.entries(blindIndexes)) {
+      const value = doc.get(field);
+      doc.set(column, isEmpty(value) ? undefined : blindIndex(value, type));
+    }
+    return;
+  }
+  if (!isPlainObject(doc)) return;
+  const { set, unset } = blindIndexChanges(doc, blindIndexes);
+  Object.assign(doc, set);
+  for (const column of unset) delete doc[column];
+};
+
+/**
+ * Reemplaza en un filtro las condiciones de igualdad sobre campos con índice ciego por condiciones sobre su columna.
+ * Recorre `$and`, `$or` y `$nor`. Las condiciones que no se pueden traducir (ej. `$regex`) se dejan y se advierte en el log.
+ */
+const rewriteFilter = (filter, blindIndexes, modelName) => {
+  if (!isPlainObject(filter)) return filter;
+  const result = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (['$and', '$or', '$nor'].includes(key) && Array.isArray(condition)) {
+      result[key] = condition.map(sub => rewriteFilter(sub, blindIndexes, modelName));
+      continue;
+    }
+    const entry = Object.entries(blindIndexes).find(([, { field }]) => field === key);
+    if (!entry) {
+      result[key] = condition;
+      continue;
+    }
+    const [column, { type }] = entry;
+    const toIndex = (value) => (isEmpty(value) ? null : blindIndex(value, type));
+
+    if (!isPlainObject(condition)) {
+      result[column] = toIndex(condition);
+      continue;
+    }
+    const translated = {};
+    let untranslatable = false;
+    for (const [operator, value] of Object.entries(condition)) {
+      if (EQUALITY_OPERATORS.includes(operator)) translated[operator] = toIndex(value);
+      else if (LIST_OPERATORS.includes(operator) && Array.isArray(value)) translated[operator] = value.map(toIndex);
+      else untranslatable = true;
+    }
+    if (untranslatable) {
+      logger.warn(`[encryptedFieldsPlugin] ${modelName}: el filtro sobre '${key}' usa operadores que no se pueden aplicar a un campo encriptado.`);
+      result[key] = condition;
+    } else {
+      result[column] = translated;
+    }
+  }
+  return result;
+};
+
+const decryptLeanDocument = (doc, fields) => {
+  if (!isPlainObject(doc)) return;
+  for (const field of fields) {
+    const value = getPath(doc, field);
+    if (!isEmpty(value)) setPath(doc, field, decryptValue(value));
+  }
+};
+
+/**
+ * Plugin de Mongoose para campos encriptados.
+ *
+ * Ejemplo:
+ *    CustomerSchema.plugin(encryptedFieldsPlugin, {
+ *      fields: ['name', 'doc_number', 'email'],
+ *      blindIndexes: { doc_number_hash: { field: 'doc_number', type: BLIND_INDEX_TYPES.DOCUMENT } },
+ *    });
+ *
+ * @param {mongoose.Schema} schema El esquema al que se aplica el plugin.
+ * @param {object} options Opciones del plugin.
+ * @param {string[]} options.fields Paths de tipo String que se guardan encriptados.
+ * @param {object} [options.blindIndexes={}] Columnas de índice ciego: `{ columna: { field, type } }`, donde `field`
+ * es uno de los campos encriptados y `type` un BLIND_INDEX_TYPES de lib/crypt. Si la columna no existe en el esquema se agrega.
+ */
+const encryptedFieldsPlugin = (schema, options = {}) => {
+  const { fields = [], blindIndexes = {} } = options;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error('encryptedFieldsPlugin requiere al menos un campo en `fields`.');
+  }
+
+  for (const field of fields) {
+    const schemaType = schema.path(field);
+    if (!schemaType) {
+      throw new Error(`encryptedFieldsPlugin: el campo '${field}' no existe en el esquema.`);
+    }
+    // Mongoose aplica los setters del último al primero y los getters en orden: se agregan al inicio para encriptar
+    // después de los setters del esquema (ej. trim, lowercase) y desencriptar antes que sus getters.
+    schemaType.setters.unshift(encryptValue);
+    schemaType.getters.unshift(decryptValue);
+  }
+  for (const [column, { field, type }] of Object.entries(blindIndexes)) {
+    if (!fields.includes(field) || !type) {
+      throw new Error(`encryptedFieldsPlugin: el índice '${column}' debe indicar un campo encriptado y su tipo.`);
+    }
+    if (!schema.path(column)) {
+      schema.add({ [column]: { type: String, writableBy: [] } });
+    }
+  }
+
+  // Los documentos convertidos a objeto/JSON deben pasar por los getters para devolver el texto plano.
+  schema.set('toObject', { ...schema.get('toObject'), getters: true });
+  schema.set('toJSON', { ...schema.get('toJSON'), getters: true });
+
+  schema.statics.encryptedFields = fields;
+  schema.statics.blindIndexes = blindIndexes;
+
+  const hasBlindIndexes = Object.keys(blindIndexes).length > 0;
+  if (hasBlindIndexes) {
+    /**
+     * Recalcula las columnas de índice ciego de los campos modificados. Los getters devuelven el texto plano.
+     */
+    schema.pre('save', function (next) {
+      for (const [column, { field, type }] of Object.entries(blindIndexes)) {
+        if (!this.isNew && !this.isModified(field)) continue;
+        const value = this.get(field);
+        this.set(column, isEmpty(value) ? undefined : blindIndex(value, type));
+      }
+      next();
+    });
+
+    /**
+     * insertMany no ejecuta los hooks de save: los índices se calculan sobre los documentos recibidos (texto plano).
+     */
+    schema.pre('insertMany', function (next, docs) {
+      for (const doc of [].concat(docs || [])) applyBlindIndexesToDocument(doc, blindIndexes);
+      next();
+    });
+
+    schema.pre(UPDATE_OPERATIONS, function (next) {
+      this.setUpdate(applyBlindIndexesToUpdate(this.getUpdate(), blindIndexes));
+      next();
+    });
+
+    schema.pre(REPLACE_OPERATIONS, function (next) {
+      applyBlindIndexesToDocument(this.getUpdate(), blindIndexes);
+      next();
+    });
+
+    schema.pre(FILTER_OPERATIONS, function (next) {
+      this.setQuery(rewriteFilter(this.getFilter(), blindIndexes, this.model.modelName));
+      next();
+    });
+
+    /**
+     * bulkWrite no ejecuta los hooks de query: se procesa cada operación (inserts, updates, reemplazos y filtros).
+     */
+    schema.pre('bulkWrite', function (next, ops) {
+      const modelName = this.modelName;
+      for (const op of ops || []) {
+        const [name] = Object.keys(op);
+        const body = op[name];
+        if (name === 'insertOne') applyBlindIndexesToDocument(body.document, blindIndexes);
+        if (name === 'replaceOne') applyBlindIndexesToDocument(body.replacement, blindIndexes);
+        if (['updateOne', 'updateMany'].includes(name)) {
+          body.update = applyBlindIndexesToUpdate(body.update, blindIndexes);
+        }
+        if (body?.filter) body.filter = rewriteFilter(body.filter, blindIndexes, modelName);
+      }
+      next();
+    });
+  }
+
+  /**
+   * Las queries con lean() no aplican getters: se desencriptan los resultados.
+   */
+  schema.post(LEAN_RESULT_OPERATIONS, function (result) {
+    if (!result || !this.mongooseOptions().lean) return;
+    // Con includeResultMetadata, findOneAndUpdate devuelve { value, ok, lastErrorObject }.
+    const docs = Array.isArray(result) ? result : [result.lastErrorObject ? result.value : result];
+    for (const doc of docs) decryptLeanDocument(doc, fields);
+  });
+};
+
+module.exports = encryptedFieldsPlugin;
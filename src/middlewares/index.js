@@ -1,10 +1,31 @@
 const authClient = require('./authClient');
+const { createAuthClient } = authClient;
+const { authorize, ACTIONS, DEFAULT_ROLE_PERMISSIONS, MESSAGING_RESOURCES } = require('./authorize');
+const { captureRawBody, verifyMetaWebhook, verifyMetaWebhookHandshake, verifyMetaWebhookSignature } = require('./metaWebhookAuth');
+const { rateLimit, KEY_SCOPES } = require('./rateLimiter');
+const { meterApiUsage } = require('./usageMeter');
 const { middlewareHandleError, responseHandleError } = require('./errorHandler');
 const modelAuditPlugin = require('./modelAuditPlugin');
+const encryptedFieldsPlugin = require('./encryptedFieldsPlugin');
+const cacheInvalidationPlugin = require('./cacheInvalidationPlugin');
 
 module.exports = {
     authClient,
+    createAuthClient,
+    authorize,
+    ACTIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    MESSAGING_RESOURCES,
+    captureRawBody,
+    verifyMetaWebhook,
+    verifyMetaWebhookHandshake,
+    verifyMetaWebhookSignature,
+    rateLimit,
+    KEY_SCOPES,
+    meterApiUsage,
     middlewareHandleError,
     responseHandleError,
-    modelAuditPlugin
+    modelAuditPlugin,
+    encryptedFieldsPlugin,
+    cacheInvalidationPlugin
 };
\ No newline at end of file
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const logger = require('../../lib/logger');
+const { headers, metaChannels } = require('../../lib/constants');
+const { companyService } = require('../services');
+
+/**
+ * @module metaWebhookAuth
+ * @description Middlewares para autenticar los webhooks de Meta (WhatsApp, Messenger e Instagram).
+ * - POST: valida la firma `X-Hub-Signature-256` del cuerpo crudo con el `appSecret` del canal de la empresa.
+ *   La empresa se obtiene de los índices secundarios de Redis (phoneNumberId, pageId, instagramBusinessAccountId).
+ * - GET: responde el handshake `hub.verify_token`/`hub.challenge` con el `webhookVerifyToken` del canal.
+ *
+ * Para poder validar la firma se necesita el cuerpo exactamente como llegó: registrar `express.json`
+ * con `verify: captureRawBody` antes de este middleware.
+ */
+
+// Valor del campo `object` del webhook para cada canal.
+const WEBHOOK_OBJECT_CHANNELS = Object.freeze({
+    whatsapp_business_account: metaChannels.WHATSAPP,
+    page: metaChannels.MESSENGER,
+    instagram: metaChannels.INSTAGRAM,
+});
+
+/**
+ * Función `verify` para `express.json()` que guarda el cuerpo crudo en `req.rawBody`.
+ * Ejemplo: app.use(express.json({ verify: captureRawBody }));
+ */
+const captureRawBody = (req, res, buf) => {
+    req.rawBody = Buffer.from(buf);
+};
+
+/**
+ * Obtiene el identificador de Meta con el que se indexa la empresa en una entrada, según el canal.
+ * En WhatsApp es el phone_number_id de los metadatos del cambio; en Messenger e Instagram es el id de la entrada.
+ *
+ * @param {string} channel - El canal (metaChannels).
+ * @param {object} entry - Una entrada (`body.entry[i]`) del webhook.
+ * @returns {string|undefined} El identificador de Meta.
+ */
+const extractEntryMetaId = (channel, entry) => {
+    if (channel === metaChannels.WHATSAPP) {
+        const change = (entry?.changes || []).find(c => c.value?.metadata?.phone_number_id);
+        return change?.value.metadata.phone_number_id;
+    }
+    return entry?.id;
+};
+
+/**
+ * Obtiene los identificadores de Meta (sin repetir) de todas las entradas del webhook. Meta agrupa varias entradas
+ * en un mismo envío, y todas deben poder atribuirse a una empresa.
+ *
+ * @param {string} channel - El canal (metaChannels).
+ * @param {object} body - El cuerpo del webhook.
+ * @returns {string[]|null} Los identificadores, o null si no hay entradas o alguna no tiene identificador.
+ */
+const extractMetaIds = (channel, body) => {
+    const entries = Array.isArray(body?.entry) ? body.entry : [];
+    const metaIds = entries.map(entry => extractEntryMetaId(channel, entry));
+    if (metaIds.length === 0 || metaIds.some(metaId => !metaId)) return null;
+    return [...new Set(metaIds.map(String))];
+};
+
+/**
+ * Compara la firma recibida (`sha256=<hex>`) con la calculada sobre el cuerpo crudo, en tiempo constante.
+ */
+const isValidSignature = (rawBody, signatureHeader, appSecret) => {
+    const [algorithm, signature] = String(signatureHeader || '').split('=');
+    if (algorithm !== 'sha256' || !signature) return false;
+    const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+    const received = Buffer.from(signature, 'utf8');
+    const computed = Buffer.from(expected, 'utf8');
+    return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+};
+
+/**
+ * Crea el middleware que valida los webhooks POST de Meta.
+ * Todas las entradas del envío deben pertenecer a la misma empresa: la firma se valida con su `appSecret`, y un
+ * envío que mezcla empresas se rechaza con 400 (no puede validarse con un solo secreto).
+ * Si la firma es válida agrega `req.webhook = { companyId, channel, metaId, metaIds }` y continúa; si no responde 401.
+ *
+ * @param {object} [options={}] - Opciones.
+ * @param {string} [options.channel] - Fija el canal. Si no se indica, se deduce del campo `object` del cuerpo.
+ * @returns {Function} El middleware de Express.
+ */
+const verifyMetaWebhookSignature = ({ channel: fixedChannel } = {}) => {
+    return async (req, res, next) => {
+        if (!req.rawBody) {
+            logger.error('[metaWebhookAuth] req.rawBody no disponible. Registre express.json({ verify: captureRawBody }).');
+            return res.status(500).json({ error: 'No se puede validar la firma del webhook' });
+        }
+
+        const channel = fixedChannel || WEBHOOK_OBJECT_CHANNELS[req.body?.object];
+        const metaIds = channel ? extractMetaIds(channel, req.body) : null;
+        if (!metaIds) {
+            logger.warn(`[metaWebhookAuth] Webhook sin canal o identificador reconocible (object: ${req.body?.object})`);
+            return res.status(400).json({ error: 'Webhook de Meta no reconocido' });
+        }
+        const metaId = metaIds.join(', ');
+
+        try {
+            const companyIds = await Promise.all(metaIds.map(id => companyService.findCompanyIdByMetaId(channel, id)));
+            const distinctCompanyIds = [...new Set(companyIds)];
+            if (distinctCompanyIds.length > 1) {
+                logger.warn(`[metaWebhookAuth] Webhook de ${channel} con entradas de distintas empresas o sin empresa (${metaId})`);
+                return res.status(400).json({ error: 'El webhook mezcla entradas de distintas empresas' });
+            }
+            const [companyId] = distinctCompanyIds;
+            const settings = companyId ? await companyService.getCompanySettingsFromRedis(companyId) : null;
+            const channelSettings = settings?.meta_integrations?.[channel];
+            if (!channelSettings?.appSecret) {
+                logger.warn(`[metaWebhookAuth] No se encontró empresa o appSecret para ${channel} ${metaId}`);
+                return res.status(401).json({ error: 'Firma del webhook inválida' });
+            }
+            if (channelSettings.isEnabled === false) {
+                logger.warn(`[metaWebhookAuth] Canal ${channel} deshabilitado para la empresa ${companyId}`);
+                return res.status(403).json({ error: 'Canal deshabilitado' });
+            }
+
+            if (!isValidSignature(req.rawBody, req.header(headers.HUB_SIGNATURE_256), channelSettings.appSecret)) {
+                logger.warn(`[metaWebhookAuth] Firma inválida para ${channel} ${metaId} (empresa ${companyId})`);
+                return res.status(401).json({ error: 'Firma del webhook inválida' });
+            }
+
+            req.webhook = { companyId, channel, metaId: metaIds[0], metaIds };
+            logger.verbose({ file: '[metaWebhookAuth]', webhook: req.webhook });
+            next();
+        } catch (error) {
+            logger.error(`[metaWebhookAuth] Error al validar el webhook -> error:${error.message}`);
+            next(error);
+        }
+    };
+};
+
+/**
+ * Crea el handler del handshake GET de suscripción de webhooks de Meta.
+ * Responde 200 con `hub.challenge` si `hub.mode` es 'subscribe' y `hub.verify_token` coincide con el
+ * `webhookVerifyToken` de alguna empresa para el canal; si no responde 403.
+ *
+ * @param {object} [options={}] - Opciones.
+ * @param {string} [options.channel] - El canal del webhook (metaChannels). Si no se indica, se prueban todos los canales.
+ * @returns {Function} El handler de Express.
+ */
+const verifyMetaWebhookHandshake = ({ channel } = {}) => {
+    if (channel && !Object.values(metaChannels).includes(channel)) {
+        throw new Error(`[metaWebhookAuth] Canal no soportado para el handshake: ${channel}`);
+    }
+    const channels = channel ? [channel] : Object.values(metaChannels);
+
+    return async (req, res, next) => {
+        const mode = req.query['hub.mode'];
+        const verifyToken = req.query['hub.verify_token'];
+        const challenge = req.query['hub.challenge'];
+
+        if (mode !== 'subscribe' || !verifyToken || !challenge) {
+            return res.status(400).json({ error: 'Parámetros de verificación incompletos' });
+        }
+
+        try {
+            let companyId = null;
+            let matchedChannel = null;
+            for (const candidate of channels) {
+                companyId = await companyService.findCompanyIdByWebhookVerifyToken(candidate, verifyToken);
+                if (companyId) {
+                    matchedChannel = candidate;
+                    break;
+                }
+            }
+            if (!companyId) {
+                logger.warn(`[metaWebhookAuth] Handshake (${channels.join(', ')}) con verify_token desconocido`);
+                return res.status(403).json({ error: 'Token de verificación inválido' });
+            }
+            logger.info(`[metaWebhookAuth] Handshake de ${matchedChannel} verificado para la empresa ${companyId}`);
+            res.status(200).send(String(challenge));
+        } catch (error) {
+            logger.error(`[metaWebhookAuth] Error en el handshake del webhook -> error:${error.message}`);
+            next(error);
+        }
+    };
+};
+
+/**
+ * Crea un middleware que autentica cualquier webhook de Meta: los GET se tratan como handshake de suscripción
+ * (la respuesta con el challenge la envía este middleware) y el resto como eventos firmados.
+ * Es el que usa `authClient` para las peticiones con `X-Source-Type: webhook`.
+ *
+ * @param {object} [options={}] - Opciones.
+ * @param {string} [options.channel] - Fija el canal del webhook.
+ * @returns {Function} El middleware de Express.
+ */
+const verifyMetaWebhook = (options = {}) => {
+    const handshake = verifyMetaWebhookHandshake(options);
+    const signature = verifyMetaWebhookSignature(options);
+    return (req, res, next) => (req.method === 'GET' ? handshake : signature)(req, res, next);
+};
+
+module.exports = {
+    captureRawBody,
+    verifyMetaWebhook,
+    verifyMetaWebhookHandshake,
+    verifyMetaWebhookSignature,
+};
@@ -1,4 +1,120 @@
 const mongoose = require('mongoose');
+const logger = require('../../lib/logger');
+const AuditLog = require('../models/AuditLog');
+
+const REDACTED = '[REDACTED]';
+
+// Paths sensibles que nunca se guardan en el historial. Un patrón sin puntos se compara con el último
+// segmento del path (ej. 'accessToken' cubre 'system_settings.meta_integrations.whatsapp.accessToken');
+// un patrón con puntos se compara segmento a segmento y admite '*' como comodín.
+const DEFAULT_REDACTED_PATHS = [
+  'password',
+  'verification_token',
+  'reset_password_token',
+  'accessToken',
+  'appSecret',
+  'webhookVerifyToken',
+];
+
+// Paths que cambian en cada escritura y no aportan información al historial.
+const IGNORED_HISTORY_PATHS = ['_id', '__v', 'modified_at', 'modified_by'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isSameValue = (a, b) =>
+  mongoose.mongo.BSON.EJSON.stringify(a ?? null) === mongoose.mongo.BSON.EJSON.stringify(b ?? null);
+
+const isRedactedPath = (path, patterns) => {
+  const segments = path.split('.');
+  return patterns.some(pattern => {
+    if (!pattern.includes('.')) return segments.includes(pattern);
+    const patternSegments = pattern.split('.');
+    if (patternSegments.length > segments.length) return false;
+    return patternSegments.every((segment, i) => segment === '*' || segment === segments[i]);
+  });
+};
+
+/**
+ * Compara dos versiones planas de un documento y devuelve las diferencias por path.
+ * Los objetos se recorren recursivamente para que el historial indique el subcampo exacto que cambió
+ * (ej. 'system_settings.meta_integrations.whatsapp.phoneNumberId'); arrays, fechas e ids se comparan completos.
+ *
+ * @param {object} before - El documento antes del cambio ({} si es nuevo).
+ * @param {object} after - El documento después del cambio.
+ * @param {string[]} redactPaths - Patrones de paths a ocultar.
+ * @param {string} [prefix=''] - Path del objeto que se está comparando.
+ * @returns {Array<{path: string, before: *, after: *}>} Las diferencias encontradas.
+ */
+const diffObjects = (before, after, redactPaths, prefix = '') => {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_HISTORY_PATHS.includes(key)) continue;
+
+    const beforeValue = before?.[key];
+    const afterValue = after?.[key];
+    if (isPlainObject(beforeValue) && isPlainObject(afterValue)) {
+      changes.push(...diffObjects(beforeValue, afterValue, redactPaths, path));
+    } else if (!isSameValue(beforeValue, afterValue)) {
+      const redacted = isRedactedPath(path, redactPaths);
+      changes.push({
+        path,
+        before: redacted ? REDACTED : beforeValue ?? null,
+        after: redacted ? REDACTED : afterValue ?? null
+      });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Guarda una entrada en la colección `audit_log`. Un error al guardar el historial se registra en el log
+ * pero no interrumpe la operación original, que ya fue confirmada en la base de datos.
+ */
+const writeHistory = async (modelName, before, after, { operation, actor, redactPaths }) => {
+  const changes = diffObjects(before || {}, after, redactPaths);
+  if (changes.length === 0) return;
+  try {
+    await AuditLog.create({
+      model_name: modelName,
+      document_id: after._id,
+      company: after.company?._id ?? after.company ?? null,
+      operation,
+      changes,
+      actor: actor ?? null,
+      at: new Date()
+    });
+  } catch (error) {
+    logger.error(`[modelAuditPlugin] Error al guardar el historial de ${modelName} ${after._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Guarda en `audit_log` una entrada 'purge' por cada documento eliminado físicamente. Solo registra quién y cuándo:
+ * el contenido no se copia, porque el purge existe para que esos datos dejen de guardarse.
+ * Como `writeHistory`, un error al guardar se registra en el log sin deshacer la eliminación.
+ */
+const writePurgeHistory = async (modelName, docs, actor) => {
+  if (docs.length === 0) return;
+  const at = new Date();
+  try {
+    await AuditLog.insertMany(docs.map(doc => ({
+      model_name: modelName,
+      document_id: doc._id,
+      company: doc.company?._id ?? doc.company ?? null,
+      operation: 'purge',
+      changes: [],
+      actor: actor ?? null,
+      at
+    })));
+  } catch (error) {
+    logger.error(`[modelAuditPlugin] Error al registrar el purge de ${docs.length} documento(s) de ${modelName}: ${error.message}`);
+  }
+};
+
+const toPlainObject = (doc) => doc.toObject({ depopulate: true, getters: false, virtuals: false, transform: false });
 
 /**
  * Un plugin de Mongoose que añade campos de auditoría comunes y middleware a un esquema.
@@ -9,12 +125,28 @@ const mongoose = require('mongoose');
  * - created_by: {String} - Quién creó el documento.
  * - modified_at: {Date} - Fecha de la última modificación del documento.
  * - modified_by: {String} - Quién realizó la última modificación.
+ * - deleted_at: {Date} - Fecha en que el documento fue desactivado (soft delete). null si está activo.
+ * - deleted_by: {String} - Quién desactivó el documento. null si está activo.
+ *
+ * También añade hooks 'pre' para gestionar automáticamente las fechas de creación y modificación,
+ * y para completar o limpiar `deleted_at`/`deleted_by` cuando cambia `active`.
  *
- * También añade hooks 'pre' para gestionar automáticamente las fechas de creación y modificación.
+ * Agrega al modelo el método estático `recordPurge(docs, { actor })`, con el que BaseController.purge deja en `audit_log`
+ * una entrada 'purge' (sin el contenido del documento) por cada documento eliminado físicamente, tenga o no historial.
+ *
+ * Con la opción `history: true` además registra en la colección `audit_log` las diferencias (antes/después)
+ * de cada `save`, `updateOne` y `findOneAndUpdate`, junto con el actor (`modified_by`) y la operación, y agrega
+ * al modelo el método estático `getHistory(documentId, options)` para consultarlas.
  *
  * @param {mongoose.Schema} schema El esquema de Mongoose al que se le aplicará el plugin.
+ * @param {object} [options={}] Opciones del plugin.
+ * @param {boolean} [options.history=false] Si se debe guardar el historial de cambios.
+ * @param {string[]} [options.redactPaths=[]] Paths adicionales a ocultar en el historial (se suman a DEFAULT_REDACTED_PATHS).
+ * @param {boolean} [options.optimisticConcurrency=false] Activa `optimisticConcurrency` en el esquema: cada `save`
+ * incrementa `__v` y falla con `VersionError` si el documento cambió en la base de datos después de haber sido leído.
+ * No es necesario para BaseController.update, que versiona sus propios saves.
  */
-const modelAuditPlugin = (schema) => {
+const modelAuditPlugin = (schema, options = {}) => {
   // Añade los campos comunes de auditoría al esquema.
   schema.add({
     active: {
@@ -36,9 +168,21 @@ const modelAuditPlugin = (schema) => {
     modified_by: {
       type: String,
       required: [true, 'Modified by is required']
+    },
+    deleted_at: {
+      type: Date,
+      default: null
+    },
+    deleted_by: {
+      type: String,
+      default: null
     }
   });
 
+  if (options.optimisticConcurrency) {
+    schema.set('optimisticConcurrency', true);
+  }
+
   /**
    * Middleware que se ejecuta antes de la operación 'save'.
    * Establece las fechas 'created_at' y 'modified_at' al momento de la creación.
@@ -53,21 +197,107 @@ const modelAuditPlugin = (schema) => {
     }
     // Siempre actualiza 'modified_at' al guardar.
     this.modified_at = now;
-    
+    // Registra quién y cuándo desactivó el documento, o limpia los datos si se restaura.
+    if (!this.isNew && this.isModified('active')) {
+      this.deleted_at = this.active === false ? now : null;
+      this.deleted_by = this.active === false ? this.modified_by : null;
+    }
+
     next();
   });
 
   /**
    * Middleware que se ejecuta antes de las operaciones de actualización como 'updateOne' y 'findOneAndUpdate'.
    * Establece el campo 'modified_at' con la fecha y hora actual para reflejar la modificación.
+   * Si la actualización cambia 'active', también completa o limpia 'deleted_at' y 'deleted_by'.
    * @param {Function} next - Función callback para pasar al siguiente middleware.
    */
   schema.pre(['updateOne', 'findOneAndUpdate'], function (next) {
     // 'this' se refiere a la consulta (query), no al documento.
     // Usamos 'this.set()' para añadir la actualización al objeto de consulta.
-    this.set({ modified_at: new Date() });
+    const now = new Date();
+    this.set({ modified_at: now });
+
+    const update = this.getUpdate() || {};
+    const active = update.$set?.active ?? update.active;
+    if (active === false || active === true) {
+      const modifiedBy = update.$set?.modified_by ?? update.modified_by ?? null;
+      this.set({
+        deleted_at: active === false ? now : null,
+        deleted_by: active === false ? modifiedBy : null
+      });
+    }
     next();
   });
+
+  /**
+   * Registra en `audit_log` la eliminación física de documentos (ver BaseController.purge).
+   * @param {Array<object>} docs - Los documentos eliminados; basta con `_id` y `company`.
+   * @param {object} [options={}] - Opciones.
+   * @param {string} [options.actor] - Quién eliminó los documentos.
+   * @returns {Promise<void>}
+   */
+  schema.statics.recordPurge = function (docs, { actor } = {}) {
+    return writePurgeHistory(this.modelName, docs, actor);
+  };
+
+  if (options.history) {
+    addHistoryHooks(schema, [...DEFAULT_REDACTED_PATHS, ...(options.redactPaths || [])]);
+  }
+};
+
+/**
+ * Registra los hooks y el método estático del historial de cambios.
+ * @param {mongoose.Schema} schema El esquema al que se agrega el historial.
+ * @param {string[]} redactPaths Patrones de paths a ocultar.
+ */
+const addHistoryHooks = (schema, redactPaths) => {
+  // Guarda el estado original de cada documento leído para poder calcular las diferencias al guardarlo.
+  schema.post('init', function () {
+    this.$locals.auditOriginal = toPlainObject(this);
+  });
+
+  // Se calcula en el post('save') para incluir los cambios hechos por todos los pre('save') del modelo.
+  schema.post('save', async function (doc) {
+    const before = doc.$locals.auditOriginal;
+    const after = toPlainObject(doc);
+    doc.$locals.auditOriginal = after;
+    await writeHistory(doc.constructor.modelName, before, after, {
+      operation: before ? 'save' : 'create',
+      actor: doc.modified_by,
+      redactPaths
+    });
+  });
+
+  schema.pre(['updateOne', 'findOneAndUpdate'], async function () {
+    // Se guarda el estado previo en la query para compararlo en el post.
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post(['updateOne', 'findOneAndUpdate'], async function () {
+    const before = this._auditBefore;
+    if (!before) return;
+    const after = await this.model.findById(before._id).lean();
+    if (!after) return;
+
+    const update = this.getUpdate() || {};
+    const actor = update.$set?.modified_by ?? update.modified_by ?? after.modified_by;
+    await writeHistory(this.model.modelName, before, after, { operation: this.op, actor, redactPaths });
+  });
+
+  /**
+   * Devuelve el historial de cambios de un documento, del más reciente al más antiguo.
+   * @param {string|mongoose.Types.ObjectId} documentId - El _id del documento.
+   * @param {object} [query={}] - Opciones de la consulta.
+   * @param {number} [query.limit=50] - Cantidad máxima de entradas.
+   * @param {Date} [query.before] - Solo entradas anteriores a esta fecha (para paginar).
+   * @returns {Promise<Array<object>>} Las entradas de `audit_log`.
+   */
+  schema.statics.getHistory = function (documentId, { limit = 50, before } = {}) {
+    const filter = { model_name: this.modelName, document_id: documentId };
+    if (before) filter.at = { $lt: before };
+    return AuditLog.find(filter).sort({ at: -1 }).limit(limit).lean();
+  };
 };
 
 module.exports = modelAuditPlugin;
\ No newline at end of file
@@ -0,0 +1,188 @@
+const logger = require('../../lib/logger');
+const redisService = require('../../lib/redisService');
+const { redisKeyPrefix } = require('../../lib/constants');
+
+/**
+ * @module rateLimiter
+ * @description Middleware de Express para limitar la cantidad de peticiones por empresa, usuario o IP.
+ * Usa un token bucket: cada clave tiene `max` fichas que se recargan de forma continua a razón de `max` por `windowMs`,
+ * y cada petición consume una. El estado se guarda en Redis y se actualiza de forma atómica con un script Lua,
+ * por lo que el límite se comparte entre todas las instancias del servicio. Si Redis no está listo, se usa un
+ * bucket en memoria por instancia (el límite efectivo se multiplica por la cantidad de instancias).
+ *
+ * Responde 429 con `Retry-After` y agrega en todas las respuestas las cabeceras `RateLimit-Limit`,
+ * `RateLimit-Remaining`, `RateLimit-Reset` y `RateLimit-Policy`.
+ */
+
+const KEY_SCOPES = Object.freeze({
+    COMPANY: 'company',
+    USER: 'user',
+    IP: 'ip',
+});
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+const DEFAULT_MAX = 100;
+// Nombre del límite sin `name` montado fuera de una ruta (app.use / router.use).
+const DEFAULT_LIMIT_NAME = 'default';
+// Cantidad de claves a partir de la cual se limpian los buckets en memoria que ya se recargaron por completo.
+const MAX_MEMORY_KEYS = 10000;
+
+// KEYS[1]: clave del bucket. ARGV: capacidad, fichas por ms, ahora (ms), costo, ttl (ms).
+// Devuelve { permitido (1/0), fichas restantes }. Las fichas se devuelven como string porque Redis trunca los decimales.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(data[1]) or capacity
+local ts = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return { allowed, tostring(tokens) }
+`;
+
+// Clientes de Redis en los que ya se registró el comando del script (ioredis usa EVALSHA y recarga si hace falta).
+const clientsWithCommand = new WeakSet();
+const memoryBuckets = new Map();
+
+const consumeFromRedis = async (client, key, { capacity, rate, now, cost, windowMs }) => {
+    if (!clientsWithCommand.has(client)) {
+        client.defineCommand('rateLimitTokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_SCRIPT });
+        clientsWithCommand.add(client);
+    }
+    const [allowed, tokens] = await client.rateLimitTokenBucket(key, capacity, rate, now, cost, windowMs);
+    return { allowed: allowed === 1, tokens: parseFloat(tokens) };
+};
+
+const consumeFromMemory = (key, { capacity, rate, now, cost }) => {
+    if (memoryBuckets.size > MAX_MEMORY_KEYS) {
+        for (const [bucketKey, bucket] of memoryBuckets) {
+            if (bucket.tokens + (now - bucket.ts) * bucket.rate >= bucket.capacity) memoryBuckets.delete(bucketKey);
+        }
+    }
+    const bucket = memoryBuckets.get(key) || { tokens: capacity, ts: now, capacity, rate };
+    let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * rate);
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+    memoryBuckets.set(key, { tokens, ts: now, capacity, rate });
+    return { allowed, tokens };
+};
+
+/**
+ * Obtiene el identificador del cliente según el alcance. Si falta el dato del token, se usa la IP.
+ */
+const resolveIdentity = (req, keyBy) => {
+    if (typeof keyBy === 'function') return keyBy(req);
+    switch (keyBy) {
+        case KEY_SCOPES.COMPANY:
+            return req.token?.companyId ? `company:${req.token.companyId}` : `ip:${req.ip}`;
+        case KEY_SCOPES.USER:
+            return req.token?.userId ? `user:${req.token.userId}` : `ip:${req.ip}`;
+        case KEY_SCOPES.IP:
+            return `ip:${req.ip}`;
+        default:
+            throw new Error(`[rateLimiter] Alcance desconocido: ${keyBy}`);
+    }
+};
+
+/**
+ * Nombre por defecto del límite: el método y el patrón de la ruta (`req.baseUrl` + `req.route.path`), nunca la URL
+ * de la petición, que crearía un bucket por cada valor de los parámetros. Fuera de una ruta, un nombre fijo.
+ */
+const defaultLimitName = (req) => (req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : DEFAULT_LIMIT_NAME);
+
+/**
+ * Crea un middleware de límite de peticiones.
+ *
+ * Ejemplo:
+ *    router.post('/messages', authClient, rateLimit({ name: 'send-message', keyBy: 'company', max: 600, windowMs: 60000 }), ...);
+ *
+ * @param {object} [options={}] - Opciones del límite.
+ * @param {string} [options.name] - Identificador del límite (ej. la ruta). Límites con el mismo nombre comparten buckets.
+ * Por defecto `<método> <ruta base + patrón de la ruta>`, o `default` si el middleware no está en una ruta. Indicarlo si
+ * el router se monta en una ruta con parámetros: `req.baseUrl` contiene sus valores.
+ * @param {number} [options.max=100] - Peticiones permitidas por ventana (capacidad del bucket).
+ * @param {number} [options.windowMs=60000] - Duración de la ventana en milisegundos.
+ * @param {'company'|'user'|'ip'|Function} [options.keyBy='user'] - Alcance del límite, o una función `(req) => string`.
+ * @param {Function} [options.cost] - Función `(req) => number` con las fichas que consume la petición. Por defecto 1.
+ * @param {Function} [options.skip] - Función `(req) => boolean`; si devuelve true la petición no se limita.
+ * @returns {Function} El middleware de Express.
+ */
+const rateLimit = (options = {}) => {
+    const {
+        name,
+        max = DEFAULT_MAX,
+        windowMs = DEFAULT_WINDOW_MS,
+        keyBy = KEY_SCOPES.USER,
+        cost: costFn,
+        skip,
+    } = options;
+    if (!(max > 0) || !(windowMs > 0)) {
+        throw new Error('[rateLimiter] `max` y `windowMs` deben ser mayores a 0.');
+    }
+    const rate = max / windowMs; // fichas por milisegundo
+    const policy = `${max};w=${Math.ceil(windowMs / 1000)}`;
+
+    return async (req, res, next) => {
+        const limitName = name || defaultLimitName(req);
+        let skipped;
+        let key;
+        let cost;
+        // Las funciones recibidas (skip, keyBy, cost) pueden lanzar: en Express 4 un error no capturado en un
+        // middleware async deja la petición colgada, por lo que se pasa a `next`.
+        try {
+            skipped = Boolean(skip && skip(req));
+            if (!skipped) {
+                key = `${redisKeyPrefix.RATE_LIMIT}:${limitName}:${resolveIdentity(req, keyBy)}`;
+                cost = costFn ? costFn(req) : 1;
+            }
+        } catch (error) {
+            return next(error);
+        }
+        if (skipped) return next();
+        const params = { capacity: max, rate, now: Date.now(), cost, windowMs };
+
+        let result;
+        const client = redisService.client;
+        if (client && client.status === 'ready') {
+            try {
+                result = await consumeFromRedis(client, key, params);
+            } catch (error) {
+                logger.error(`[rateLimiter] Error en Redis, se usa el límite en memoria -> error:${error.message}`);
+            }
+        }
+        if (!result) {
+            result = consumeFromMemory(key, params);
+        }
+
+        const remaining = Math.max(0, Math.floor(result.tokens));
+        // Segundos hasta que el bucket vuelve a estar lleno.
+        const resetSeconds = Math.ceil((max - result.tokens) / rate / 1000);
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(remaining),
+            'RateLimit-Reset': String(Math.max(0, resetSeconds)),
+            'RateLimit-Policy': policy,
+        });
+
+        if (!result.allowed) {
+            const retryAfter = Math.max(1, Math.ceil((params.cost - result.tokens) / rate / 1000));
+            res.set('Retry-After', String(retryAfter));
+            logger.warn(`[rateLimiter] Límite '${limitName}' excedido para ${key}`);
+            return res.status(429).json({ error: 'Demasiadas solicitudes. Intente nuevamente más tarde.', retryAfter });
+        }
+        next();
+    };
+};
+
+module.exports = {
+    KEY_SCOPES,
+    rateLimit,
+};
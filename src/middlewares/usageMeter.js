@@ -0,0 +1,46 @@
+const logger = require('../../lib/logger');
+const { usageService } = require('../services');
+
+/**
+ * @module usageMeter
+ * @description Middleware de Express que suma cada llamada a la API al consumo mensual de la empresa (usageService).
+ * Debe ir después de `authClient`, que es el que define `req.token.companyId`.
+ */
+
+/**
+ * Crea el middleware de medición de llamadas a la API. El conteo se hace al terminar la respuesta y no la demora.
+ * Si Redis no está disponible, con `failOpen` la llamada se atiende sin contarla; sin `failOpen` se responde 503
+ * antes de atenderla. Un error de Redis al contar (ya enviada la respuesta) solo se registra en el log.
+ *
+ * Ejemplo:
+ *    app.use('/api', authClient, meterApiUsage({ countErrors: false }));
+ *
+ * @param {object} [options={}] - Opciones.
+ * @param {boolean} [options.countErrors=true] - Si se cuentan las respuestas con estado >= 400.
+ * @param {Function} [options.skip] - Función `(req) => boolean`; si devuelve true la llamada no se cuenta.
+ * @param {boolean} [options.failOpen=true] - Si se atienden las llamadas cuando no se pueden contar.
+ * @returns {Function} El middleware de Express.
+ */
+const meterApiUsage = (options = {}) => {
+    const { countErrors = true, skip, failOpen = true } = options;
+
+    return (req, res, next) => {
+        const companyId = req.token?.companyId;
+        if (!companyId || (skip && skip(req))) return next();
+        if (!failOpen && !usageService.isMeteringAvailable()) {
+            logger.error(`[usageMeter] Llamada de la empresa ${companyId} rechazada: no se puede medir el consumo.`);
+            return res.status(503).json({ error: 'No se puede registrar el consumo. Intente nuevamente más tarde.' });
+        }
+
+        res.on('finish', () => {
+            if (!countErrors && res.statusCode >= 400) return;
+            usageService.recordUsage(companyId, usageService.USAGE_METRICS.API_CALLS)
+                .catch(error => logger.error(`[usageMeter] Error al registrar la llamada de la empresa ${companyId} -> error:${error.message}`));
+        });
+        next();
+    };
+};
+
+module.exports = {
+    meterApiUsage,
+};
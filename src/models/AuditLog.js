@@ -0,0 +1,54 @@
+const { Schema, model } = require('mongoose');
+
+/**
+ * Historial de cambios por documento. Lo escribe `modelAuditPlugin` cuando un esquema
+ * se registra con la opción `{ history: true }`, y BaseController.purge al eliminar documentos físicamente.
+ * No usa el plugin de auditoría: cada entrada es inmutable y ya registra quién y cuándo.
+ */
+const AuditLogSchema = new Schema({
+    // Nombre del modelo al que pertenece el documento (ej. 'Company', 'User')
+    model_name: {
+        type: String,
+        required: true
+    },
+    document_id: {
+        type: Schema.Types.ObjectId,
+        required: true
+    },
+    // Empresa del documento, si la tiene, para poder filtrar el historial por tenant
+    company: {
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        default: null
+    },
+    // 'create' para documentos nuevos, la operación que produjo el cambio ('save', 'updateOne', 'findOneAndUpdate')
+    // o 'purge' para la eliminación física (sin `changes`: el contenido del documento no se conserva)
+    operation: {
+        type: String,
+        enum: ['create', 'save', 'updateOne', 'findOneAndUpdate', 'purge'],
+        required: true
+    },
+    // Diferencias por path. Los valores de paths sensibles se guardan como '[REDACTED]'
+    changes: [{
+        _id: false,
+        path: { type: String, required: true },
+        before: Schema.Types.Mixed,
+        after: Schema.Types.Mixed
+    }],
+    actor: {
+        type: String,
+        default: null
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'audit_log',
+    versionKey: false
+});
+
+AuditLogSchema.index({ model_name: 1, document_id: 1, at: -1 });
+AuditLogSchema.index({ company: 1, at: -1 });
+
+module.exports = model('AuditLog', AuditLogSchema);
@@ -1,7 +1,8 @@
 const logger = require('../../lib/logger');
 const { Schema, model } = require('mongoose');
-const { modelAuditPlugin } = require('../middlewares');
-const { companyService } = require('../services');
+const { modelAuditPlugin, cacheInvalidationPlugin } = require('../middlewares');
+const { outboxService } = require('../services');
+const { rol, outboxDestinationType } = require('../../lib/constants');
 
 const CompanySchema = Schema({
   name: {
@@ -109,36 +110,49 @@ const CompanySchema = Schema({
     }
   },
   usageLimits: { // Para futura lógica de facturación o límites de consumo
-    messagesSent: { type: Number, default: 0 },
-    maxMessagesPerMonth: { type: Number, default: -1 } // -1 para ilimitado
+    // writableBy: solo los administradores del sistema pueden asignarlos vía BaseController
+    // messagesSent, apiCalls y usagePeriod los actualiza usageService con el consumo del mes en curso ('YYYY-MM')
+    messagesSent: { type: Number, default: 0, writableBy: [] },
+    apiCalls: { type: Number, default: 0, writableBy: [] },
+    usagePeriod: { type: String, default: null, writableBy: [] },
+    maxMessagesPerMonth: { type: Number, default: -1, writableBy: [rol.SYSTEM_ADMIN_ROLE] } // -1 para ilimitado
   },
 });
 
-// Hook para guardar en Redis después de cada findOneAndUpdate
+/**
+ * Registra en el outbox la sincronización de la configuración de la empresa en Redis (handler COMPANY_SETTINGS_SYNC).
+ * Con una sesión (transacción) un error aborta también el cambio; sin sesión solo se registra.
+ */
+const enqueueSettingsSync = async (companyId, session, operation) => {
+  try {
+    await outboxService.enqueue({
+      destination: { type: outboxDestinationType.HANDLER, name: outboxService.OUTBOX_HANDLERS.COMPANY_SETTINGS_SYNC },
+      aggregate: { model: 'Company', id: companyId },
+      company: companyId
+    }, { session });
+  } catch (error) {
+    logger.error(`Error al registrar la sincronización de la empresa ${companyId} en Redis tras "${operation}":`, error);
+    if (session) throw error;
+  }
+};
+
+// Hook para sincronizar Redis después de cada findOneAndUpdate
 CompanySchema.post('findOneAndUpdate', async function (doc) {
   // El `doc` aquí es el documento DESPUÉS de la actualización.
   // `this` es la Query.
   if (doc) { // Verificar que `doc` no sea null (si no se encontró el documento para actualizar)
-    try {
-      const { saveCompanySettingInRedis } = companyService;
-      await saveCompanySettingInRedis(doc);
-    } catch (error) {
-      logger.error('Error al actualizar configuración en Redis tras "findOneAndUpdate":', error);
-    }
+    await enqueueSettingsSync(doc._id, this.getOptions().session, 'findOneAndUpdate');
   }
 });
 
-// Hook para guardar en Redis después de cada save o update
+// Hook para sincronizar Redis después de cada save
 CompanySchema.post('save', async function (doc) {
-  try {
-    const { saveCompanySettingInRedis } = companyService;
-    await saveCompanySettingInRedis(doc);
-  } catch (error) {
-    logger.error('Error al guardar configuración en Redis:', error);
-  }
+  await enqueueSettingsSync(doc._id, doc.$session(), 'save');
 });
 
-// Aplicar el plugin de auditoría
-CompanySchema.plugin(modelAuditPlugin);
+// Aplicar el plugin de auditoría con historial de cambios (system_settings, usageLimits, etc.)
+CompanySchema.plugin(modelAuditPlugin, { history: true });
+// Invalidar las lecturas cacheadas (BaseController con la opción `cache`) al modificar una empresa
+CompanySchema.plugin(cacheInvalidationPlugin, { companyField: '_id' });
 
 module.exports = model('Company', CompanySchema);
\ No newline at end of file
@@ -1,7 +1,17 @@
 const logger = require('../../lib/logger');
 const { Schema, model } = require('mongoose');
-const { modelAuditPlugin } = require('../middlewares');
-const { encrypt, decrypt, hash } = require('../../lib/crypt'); // Asegúrate que la ruta sea correcta
+const { modelAuditPlugin, encryptedFieldsPlugin } = require('../middlewares');
+const { hash, blindIndex, BLIND_INDEX_TYPES } = require('../../lib/crypt'); // Asegúrate que la ruta sea correcta
+const { customerSearchService } = require('../services');
+
+// Campos que se guardan encriptados (lib/crypt) por encryptedFieldsPlugin. Se exponen como `Customer.encryptedFields`.
+const ENCRYPTED_FIELDS = ['name', 'last_name', 'doc_number', 'email', 'phone', 'description'];
+// Índices ciegos (HMAC) de los campos encriptados que se usan para búsquedas y unicidad: columna -> campo y tipo.
+// Se exponen como `Customer.blindIndexes` para el job de migración de índices.
+const BLIND_INDEXES = {
+    doc_number_hash: { field: 'doc_number', type: BLIND_INDEX_TYPES.DOCUMENT },
+    email_hash: { field: 'email', type: BLIND_INDEX_TYPES.EMAIL },
+};
 
 const CustomerSchema = Schema({
     company: {
@@ -11,14 +21,10 @@ const CustomerSchema = Schema({
     },
     name: {
         type: String,
-        required: [true, 'name is required'],
-        set: encrypt, // Encriptar al guardar
-        get: decrypt  // Desencriptar al leer
+        required: [true, 'name is required'], // Encriptado por encryptedFieldsPlugin
     },
     last_name: {
         type: String,
-        set: encrypt,
-        get: decrypt
     },
     doc_type: {
         type: String,
@@ -28,34 +34,28 @@ const CustomerSchema = Schema({
     doc_number: { // Este campo almacenará el valor encriptado
         type: String,
         required: [true, 'document number is required'],
-        set: encrypt,
-        get: decrypt
     },
     doc_number_hash: { // Para búsquedas y unicidad
         type: String,
+        writableBy: [], // Lo calcula el hook pre('save'), no se acepta desde el request
         // select: false // Opcional: no devolver por defecto en queries
     },
     email: { // Este campo almacenará el valor encriptado
         type: String,
         default: '',
-        set: encrypt,
-        get: decrypt
     },
     email_hash: { // Para búsquedas y unicidad
         type: String,
+        writableBy: [],
         // select: false // Opcional
     },
     phone: {
         type: String,
         default: '',
-        set: encrypt,
-        get: decrypt,
     },
     description: {
         type: String,
         default: '',
-        set: encrypt,
-        get: decrypt,
     },
     //searchText: { type: String }, // Si se usa, considerar cómo afecta la encriptación
 }, {
@@ -64,67 +64,19 @@ const CustomerSchema = Schema({
     toJSON: { getters: true, virtuals: true }
 });
 
-// Middleware Pre-Save para generar hashes
+// Middleware Pre-Save
+// Los campos encriptados y sus índices ciegos (doc_number_hash, email_hash) los maneja encryptedFieldsPlugin.
 CustomerSchema.pre('save', function (next) {
-    // 'this' es el documento
-    // Los setters ya habrán encriptado los campos.
-    // Para generar el hash, necesitamos acceder al valor original ANTES de que el setter lo modifique.
-    // O, si el setter ya actuó, necesitaríamos una forma de obtener el valor original.
-    // La forma más simple es hashear el valor que se está asignando.
-    // Sin embargo, los setters se ejecutan cuando se asigna el valor.
-    // Si el valor se modifica, el getter nos dará el valor desencriptado.
-
-    // Si 'doc_number' se modificó, actualiza 'doc_number_hash'
-    if (this.isModified('doc_number') && this.doc_number) { // this.doc_number aquí usa el GETTER        
-        this.doc_number_hash = hash(this.doc_number); // Hash del valor desencriptado
-    }
-    // Si 'email' se modificó, actualiza 'email_hash'
-    if (this.isModified('email') && this.email) { // this.email aquí usa el GETTER
-        this.email_hash = hash(this.email);
-    }
-
     // Lógica para searchText (si se vuelve a habilitar):
     // Asegúrate de usar los valores desencriptados (los getters lo hacen automáticamente)
     // if (this.isModified('name') || this.isModified('last_name') || this.isModified('doc_number') || this.isModified('email') || this.isModified('phone')) {
     //     this.searchText = `${this.name ?? ''} ${this.last_name ?? ''} ${this.doc_number ?? ''} ${this.email ?? ''} ${this.phone ?? ''}`;
     // }
-    next();
-});
-
-
-// --- Hooks para updateOne, findOneAndUpdate ---
-// Estos son más complejos porque los setters/getters no se aplican automáticamente a las operaciones de actualización masiva.
-// Debes encriptar manualmente los datos en el objeto de actualización y actualizar los hashes.
-
-CustomerSchema.pre(['updateOne', 'findOneAndUpdate'], async function (next) {
-    const update = this.getUpdate(); // Obtiene el objeto de actualización
 
-    const fieldsToEncrypt = ['name', 'last_name', 'doc_number', 'email', 'phone', 'description'];
-
-    for (const field of fieldsToEncrypt) {
-        if (update.$set && update.$set[field]) {
-            const plainValue = update.$set[field];
-            update.$set[field] = encrypt(plainValue); // Encriptar
-            if (field === 'doc_number') {
-                update.$set.doc_number_hash = hash(plainValue); // Actualizar hash
-            }
-            if (field === 'email') {
-                update.$set.email_hash = hash(plainValue); // Actualizar hash
-            }
-        }
-        // Considerar otros operadores como $setOnInsert
-        if (update.$setOnInsert && update.$setOnInsert[field]) {
-            const plainValue = update.$setOnInsert[field];
-            update.$setOnInsert[field] = encrypt(plainValue);
-            if (field === 'doc_number') {
-                update.$setOnInsert.doc_number_hash = hash(plainValue);
-            }
-            if (field === 'email') {
-                update.$setOnInsert.email_hash = hash(plainValue);
-            }
-        }
-    }
-    this.setUpdate(update);
+    // Mongoose limpia isNew y los paths modificados antes de ejecutar los post('save'),
+    // por eso se guardan aquí para que el hook de Redis sepa qué cambió.
+    this.$locals.wasNew = this.isNew;
+    this.$locals.modifiedPaths = this.modifiedPaths();
     next();
 });
 
@@ -132,6 +84,8 @@ CustomerSchema.pre(['updateOne', 'findOneAndUpdate'], async function (next) {
 // --- Índices ---
 // El índice original 'unique: true' en doc_number se moverá al hash.
 // CustomerSchema.index({ company: 1, doc_type: 1, doc_number: 1 }, ... ); // Ya no es único en doc_number encriptado
+// Los hashes son índices ciegos (HMAC). Los documentos con el SHA-256 anterior se migran con
+// keyRotationService.migrateCustomerBlindIndexes, que reporta los duplicados que aparecen al normalizar.
 CustomerSchema.index(
     { company: 1, doc_type: 1, doc_number_hash: 1 }, // Unicidad en el hash
     { unique: true, name: 'unique_doc_hash_per_company' }
@@ -147,6 +101,38 @@ CustomerSchema.index({ company: 1, created_at: 1 });
 // CustomerSchema.index({ searchText: 'text' }); // Si usas searchText encriptado, el índice de texto no será efectivo.
 
 CustomerSchema.plugin(modelAuditPlugin);
+// Encripta los campos personales en save, updates, insertMany y bulkWrite, y mantiene sus índices ciegos.
+CustomerSchema.plugin(encryptedFieldsPlugin, { fields: ENCRYPTED_FIELDS, blindIndexes: BLIND_INDEXES });
+
+/**
+ * Busca un cliente por su número de documento usando el índice ciego.
+ * Mientras no termine la migración de índices (`keyRotationService.migrateCustomerBlindIndexes`), también
+ * acepta el hash SHA-256 anterior del valor tal como se guardó.
+ * @param {string} companyId - El ID de la empresa.
+ * @param {string} docType - Tipo de documento (DNI, RUC, CE).
+ * @param {string} docNumber - Número de documento en texto plano.
+ * @returns {import('mongoose').Query|null} La query del cliente, o null (sin consultar) si el número es vacío.
+ */
+CustomerSchema.statics.findByDocNumber = function (companyId, docType, docNumber) {
+    // Un valor vacío no tiene índice: buscar `null` encontraría cualquier cliente sin el campo.
+    const index = blindIndex(docNumber, BLIND_INDEXES.doc_number_hash.type);
+    if (!index) return null;
+    const candidates = [index, hash(docNumber)];
+    return this.findOne({ company: companyId, doc_type: docType, doc_number_hash: { $in: candidates } });
+};
+
+/**
+ * Busca un cliente por su email usando el índice ciego (acepta también el hash anterior durante la migración).
+ * @param {string} companyId - El ID de la empresa.
+ * @param {string} email - Email en texto plano.
+ * @returns {import('mongoose').Query|null} La query del cliente, o null (sin consultar) si el email es vacío.
+ */
+CustomerSchema.statics.findByEmail = function (companyId, email) {
+    const index = blindIndex(email, BLIND_INDEXES.email_hash.type);
+    if (!index) return null;
+    const candidates = [index, hash(email)];
+    return this.findOne({ company: companyId, email_hash: { $in: candidates } });
+};
 
 // --- POST Hooks para la lógica de caché de Redis ---
 // Asegúrate que doc.toObject() use getters para pasar datos desencriptados a Redis.
@@ -157,22 +143,24 @@ CustomerSchema.post('save', async function (doc, next) {
     const customerDataForRedis = doc.toObject({ getters: true }); // Usa getters
     const companyId = customerDataForRedis.company._id ? customerDataForRedis.company._id.toString() : customerDataForRedis.company.toString();
 
-    if (doc.isNew && customerDataForRedis.active !== false) {
+    const { wasNew = false, modifiedPaths = [] } = doc.$locals;
+
+    if (wasNew && customerDataForRedis.active !== false) {
         try {
-            const { indexCustomerForAutocomplete } = require("../services");
+            const { indexCustomerForAutocomplete } = customerSearchService;
             await indexCustomerForAutocomplete(customerDataForRedis, companyId);
             logger.debug(`[Redis Hook] Nuevo cliente ${customerDataForRedis._id} (company ${companyId}) indexado.`);
         } catch (error) {
             logger.error(`[Redis Hook] Error al indexar nuevo cliente ${customerDataForRedis._id}:`, error);
         }
     } else {
-        const wasModifiedActive = doc.isModified('active'); // 'active' no está encriptado
-        const relevantFieldsChanged = ['name', 'last_name', 'doc_number'].some(field => doc.isModified(field));
+        const wasModifiedActive = modifiedPaths.includes('active'); // 'active' no está encriptado
+        const relevantFieldsChanged = ['name', 'last_name', 'doc_number'].some(field => modifiedPaths.includes(field));
 
         if (wasModifiedActive) {
             if (customerDataForRedis.active === false) {
                 try {
-                    const { removeCustomerFromAutocompleteIndex } = require("../services");
+                    const { removeCustomerFromAutocompleteIndex } = customerSearchService;
                     await removeCustomerFromAutocompleteIndex(customerDataForRedis._id.toString(), companyId);
                     logger.debug(`[Redis Hook] Cliente ${customerDataForRedis._id} (company ${companyId}) eliminado por active: false.`);
                 } catch (error) {
@@ -180,7 +168,7 @@ CustomerSchema.post('save', async function (doc, next) {
                 }
             } else if (customerDataForRedis.active === true) {
                 try {
-                    const { indexCustomerForAutocomplete } = require("../services");
+                    const { indexCustomerForAutocomplete } = customerSearchService;
                     await indexCustomerForAutocomplete(customerDataForRedis, companyId);
                     logger.debug(`[Redis Hook] Cliente ${customerDataForRedis._id} (company ${companyId}) re-indexado por active: true.`);
                 } catch (error) {
@@ -189,9 +177,9 @@ CustomerSchema.post('save', async function (doc, next) {
             }
         }
 
-        if (customerDataForRedis.active !== false && relevantFieldsChanged) {
+        if (customerDataForRedis.active !== false && relevantFieldsChanged && !wasModifiedActive) {
             try {
-                const { updateCustomerAutocompleteIndex } = require("../services");
+                const { updateCustomerAutocompleteIndex } = customerSearchService;
                 await updateCustomerAutocompleteIndex(customerDataForRedis, companyId);
                 logger.debug(`[Redis Hook] Cliente ${customerDataForRedis._id} (company ${companyId}) re-indexado por cambio de datos.`);
             } catch (error) {
@@ -221,12 +209,14 @@ CustomerSchema.post(['updateOne', 'findOneAndUpdate'], async function (result, n
     // El siguiente ejemplo es más para findOneAndUpdate con { new: true }
 
     const query = this.getQuery();
-    const updatedDoc = await this.model.findOne(query).lean({ getters: true }); // lean y getters para datos planos desencriptados
+    // No se usa lean(): sin un plugin, lean ignora los getters y devolvería los campos encriptados.
+    const found = await this.model.findOne(query);
 
-    if (!updatedDoc) {
+    if (!found) {
         // logger.warn(`[Redis Hook] Documento no encontrado después de actualización para re-indexar.`);
         return next();
     }
+    const updatedDoc = found.toObject({ getters: true });
 
     // Convertir IDs de company si es necesario (ObjectId a string)
     const companyId = updatedDoc.company ? updatedDoc.company.toString() : null;
@@ -242,7 +232,7 @@ CustomerSchema.post(['updateOne', 'findOneAndUpdate'], async function (result, n
     // Por simplicidad, aquí podríamos re-indexar si está activo.
     if (isActiveNow) {
         try {
-            const { updateCustomerAutocompleteIndex } = require("../services");
+            const { updateCustomerAutocompleteIndex } = customerSearchService;
             await updateCustomerAutocompleteIndex(updatedDoc, companyId);
             logger.debug(`[Redis Hook] Cliente ${updatedDoc._id} (company ${companyId}) potencialmente re-indexado via update.`);
         } catch (error) {
@@ -250,7 +240,7 @@ CustomerSchema.post(['updateOne', 'findOneAndUpdate'], async function (result, n
         }
     } else {
         try {
-            const { removeCustomerFromAutocompleteIndex } = require("../services");
+            const { removeCustomerFromAutocompleteIndex } = customerSearchService;
             await removeCustomerFromAutocompleteIndex(updatedDoc._id.toString(), companyId);
             logger.debug(`[Redis Hook] Cliente ${updatedDoc._id} (company ${companyId}) eliminado por active: false via update.`);
         } catch (error) {
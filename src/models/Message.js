@@ -1,8 +1,8 @@
 const logger = require('../../lib/logger');
 const { Schema, model } = require('mongoose');
-const redisService = require('../../lib/redisService'); // 1. Importamos el servicio de Redis
 const { modelAuditPlugin } = require('../middlewares');
-const { deliveryType, contentType, senderType, redisChannels } = require('../../lib/constants');
+const { outboxService } = require('../services');
+const { deliveryType, contentType, senderType, redisChannels, outboxDestinationType } = require('../../lib/constants');
 
 const MessageSchema = new Schema({
     // Referencia al chat padre
@@ -92,12 +92,9 @@ MessageSchema.post('findOneAndUpdate', async function(doc) {
         return;
     }
 
-    // Solo publicamos si el cliente de Redis está listo.
-    if (!redisService.client || redisService.client.status !== 'ready') {
-        logger.error(`Redis no está listo. No se pudo publicar la actualización de estado para el mensaje ${doc._id}`);
-        return;
-    }
-
+    // El evento se guarda en el outbox con la sesión de la actualización y lo publica outboxService,
+    // así no se pierde si Redis no está disponible.
+    const session = this.getOptions().session;
     try {
         const notificationPayload = {
             messageId: doc._id.toString(),
@@ -107,15 +104,22 @@ MessageSchema.post('findOneAndUpdate', async function(doc) {
             updatedAt: doc.updatedAt // Incluir la fecha de actualización es útil
         };
 
-        // Publicamos el evento en un canal de Pub/Sub.
+        // El evento se publica en un canal de Pub/Sub.
         // La API 'MESSAGES' estará suscrita a este canal.
         const channel = redisChannels.MESSAGE_UPDATE;
-        await redisService.publish(channel, notificationPayload);
+        await outboxService.enqueue({
+            destination: { type: outboxDestinationType.CHANNEL, name: channel },
+            payload: notificationPayload,
+            aggregate: { model: 'Message', id: doc._id },
+            company: doc.company
+        }, { session });
 
-        logger.debug(`Evento de estado '${newStatus}' para mensaje ${doc._id} publicado en el canal '${channel}'.`);
+        logger.debug(`Evento de estado '${newStatus}' para mensaje ${doc._id} registrado para el canal '${channel}'.`);
 
     } catch (error) {
         logger.error(`Error en el hook post-findOneAndUpdate para el mensaje ${doc._id}:`, error);
+        // Dentro de una transacción, el error aborta también la actualización: el cambio no queda sin su evento.
+        if (session) throw error;
     }
 });
 
@@ -0,0 +1,80 @@
+const { Schema, model } = require('mongoose');
+const { outboxDestinationType, outboxEventStatus } = require('../../lib/constants');
+
+// Los eventos enviados se conservan unos días para diagnóstico y luego los elimina el índice TTL.
+const SENT_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Evento pendiente de publicar en Redis (transactional outbox). Lo escribe `outboxService.enqueue` en la misma
+ * sesión de Mongo que el cambio del documento, y lo publica el relay de `outboxService` con entrega al menos una vez.
+ * No usa el plugin de auditoría: el propio evento registra su ciclo de vida.
+ */
+const OutboxEventSchema = new Schema({
+    destination: {
+        // 'stream' (XADD), 'channel' (PUBLISH) o 'handler' (función registrada con outboxService.registerHandler)
+        type: {
+            type: String,
+            enum: Object.values(outboxDestinationType),
+            required: true
+        },
+        // Nombre del stream, del canal o del handler
+        name: {
+            type: String,
+            required: true
+        }
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // Documento que originó el evento (ej. { model: 'Message', id })
+    aggregate: {
+        model: { type: String, default: null },
+        id: { type: Schema.Types.ObjectId, default: null }
+    },
+    company: {
+        type: Schema.Types.ObjectId,
+        ref: 'Company',
+        default: null
+    },
+    status: {
+        type: String,
+        enum: Object.values(outboxEventStatus),
+        default: outboxEventStatus.PENDING
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Fecha a partir de la cual el relay puede (re)intentar publicarlo
+    available_at: {
+        type: Date,
+        default: Date.now
+    },
+    // Mientras está en 'processing', hasta cuándo lo reserva el relay que lo tomó
+    locked_until: {
+        type: Date,
+        default: null
+    },
+    last_error: {
+        type: String,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    sent_at: {
+        type: Date,
+        default: null
+    }
+}, {
+    collection: 'outbox_events',
+    versionKey: false
+});
+
+OutboxEventSchema.index({ status: 1, available_at: 1 });
+OutboxEventSchema.index({ status: 1, locked_until: 1 });
+OutboxEventSchema.index({ sent_at: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS });
+
+module.exports = model('OutboxEvent', OutboxEventSchema);
@@ -1,9 +1,16 @@
 const { Schema, model } = require('mongoose');
-const { modelAuditPlugin } = require('../middlewares');
+const { modelAuditPlugin, cacheInvalidationPlugin, encryptedFieldsPlugin } = require('../middlewares');
 const { rol } = require("../../lib/constants");
+const { blindIndex, normalizeForBlindIndex, BLIND_INDEX_TYPES } = require('../../lib/crypt');
 const bcrypt = require('bcrypt');
 const logger = require('../../lib/logger');
 
+// El email se guarda encriptado (encryptedFieldsPlugin); se busca y se garantiza su unicidad con el índice ciego.
+const BLIND_INDEXES = {
+    email_hash: { field: 'email', type: BLIND_INDEX_TYPES.EMAIL },
+};
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
 const UserSchema = new Schema({
     company: {
         type: Schema.Types.ObjectId,
@@ -13,14 +20,19 @@ const UserSchema = new Schema({
             return !this.roles.includes(rol.SYSTEM_ADMIN_ROLE);
         }
     },
-    // TODO ENCCRIPTAR EL EMAIL
+    // Encriptado por encryptedFieldsPlugin. La unicidad la da el índice de `email_hash` y el formato se valida en
+    // pre('validate'): `match` se aplicaría sobre el valor encriptado. `unique` no restringe los valores encriptados
+    // (cada uno tiene un IV distinto), pero se conserva el índice `email_1` para buscar a los usuarios sin migrar (ver emailFilter).
     email: {
         type: String,
         required: [true, 'Email is required'],
         unique: true,
         lowercase: true,
-        trim: true,
-        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Invalid email format']
+        trim: true
+    },
+    email_hash: { // Índice ciego del email, para búsquedas y unicidad
+        type: String,
+        writableBy: []
     },
     username: {
         type: String,
@@ -47,11 +59,13 @@ const UserSchema = new Schema({
         type: [String],
         enum: Object.values(rol),
         default: [rol.USER_ROLE],
-        required: true
+        required: true,
+        writableBy: [rol.CUSTOMER_ADMIN_ROLE, rol.SYSTEM_ADMIN_ROLE] // Protección de asignación masiva en BaseController
     },
     permissions: {
         type: Schema.Types.Mixed, // Ej: { products: ['read', 'write'], customers: ['read'] }
-        default: {}
+        default: {},
+        writableBy: [rol.CUSTOMER_ADMIN_ROLE, rol.SYSTEM_ADMIN_ROLE]
     },
     profile: {
         avatar: {
@@ -83,40 +97,66 @@ const UserSchema = new Schema({
         type: String,
         default: null
     },
+    // Los siguientes campos solo los modifican los servicios de autenticación (writableBy: [] -> ningún rol vía BaseController)
     email_verified: {
         type: Boolean,
-        default: false
+        default: false,
+        writableBy: []
     },
+    // Los tokens se guardan hasheados (crypt.hash); el valor original solo se entrega al usuario (ej. por email)
     verification_token: {
         type: String,
-        select: false
+        select: false,
+        writableBy: []
+    },
+    verification_expires: {
+        type: Date,
+        select: false,
+        writableBy: []
     },
     reset_password_token: {
         type: String,
-        select: false
+        select: false,
+        writableBy: []
     },
     reset_password_expires: {
         type: Date,
-        select: false
+        select: false,
+        writableBy: []
     },
     last_login: {
         type: Date,
-        default: null
+        default: null,
+        writableBy: []
     },
     security: {
         failed_login_attempts: {
             type: Number,
-            default: 0
+            default: 0,
+            writableBy: []
         },
         lock_until: {
             type: Date,
-            default: null
+            default: null,
+            writableBy: []
         }
     }
 });
 
-// Aplicar plugin de auditoría (campos: active, created_at, modified_at, modified_by)
-UserSchema.plugin(modelAuditPlugin);
+// Aplicar plugin de auditoría (campos: active, created_at, modified_at, modified_by) con historial de cambios (roles, permisos, etc.)
+UserSchema.plugin(modelAuditPlugin, { history: true });
+// Invalidar las lecturas cacheadas (BaseController con la opción `cache`) al modificar un usuario
+UserSchema.plugin(cacheInvalidationPlugin);
+// Encripta el email y mantiene su índice ciego en save, updates, insertMany y bulkWrite
+UserSchema.plugin(encryptedFieldsPlugin, { fields: ['email'], blindIndexes: BLIND_INDEXES });
+
+// Validar el formato del email sobre el texto plano (el getter lo desencripta)
+UserSchema.pre('validate', function (next) {
+    if (this.isModified('email') && this.email && !EMAIL_PATTERN.test(this.email)) {
+        this.invalidate('email', 'Invalid email format', this.email);
+    }
+    next();
+});
 
 // Middleware Pre-Save para Generar el username
 UserSchema.pre('save', async function (next) {
@@ -146,10 +186,45 @@ UserSchema.pre('save', async function (next) {
 
 // Índices para optimizar búsquedas
 UserSchema.index({ company: 1 });
+UserSchema.index({ verification_token: 1 }, { sparse: true });
+UserSchema.index({ reset_password_token: 1 }, { sparse: true });
 UserSchema.index({ roles: 1 });
+// sparse: los usuarios anteriores no tienen `email_hash` hasta que corre keyRotationService.encryptUserEmails
+UserSchema.index({ email_hash: 1 }, { unique: true, sparse: true, name: 'unique_email_hash' });
 // Índice para garantizar unicidad por compañía
 UserSchema.index(
     { company: 1, username: 1 },
     { unique: true, name: 'unique_username_per_company' }
 );
+
+/**
+ * Construye el filtro para buscar un usuario por su email: por el índice ciego o, si el usuario todavía no fue migrado
+ * por keyRotationService.encryptUserEmails (no tiene `email_hash`), por su email en texto plano.
+ * La condición en texto plano usa `$expr` porque encryptedFieldsPlugin traduciría `{ email }` al índice ciego y
+ * Mongoose encriptaría el valor al castear la query. Un email encriptado nunca coincide con el texto plano.
+ * @param {string} email - Email en texto plano.
+ * @returns {object|null} El filtro, o null si el email es vacío.
+ */
+UserSchema.statics.emailFilter = function (email) {
+    const { type } = BLIND_INDEXES.email_hash;
+    const index = blindIndex(email, type);
+    if (!index) return null;
+    return {
+        $or: [
+            { email_hash: index },
+            { email_hash: { $exists: false }, $expr: { $eq: ['$email', normalizeForBlindIndex(email, type)] } },
+        ],
+    };
+};
+
+/**
+ * Busca un usuario por su email (ver emailFilter).
+ * @param {string} email - Email en texto plano.
+ * @returns {import('mongoose').Query|null} La query del usuario, o null (sin consultar) si el email es vacío.
+ */
+UserSchema.statics.findByEmail = function (email) {
+    const filter = this.emailFilter(email);
+    return filter ? this.findOne(filter) : null;
+};
+
 module.exports = model('User', UserSchema);
\ No newline at end of file
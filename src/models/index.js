@@ -1,11 +1,15 @@
+const AuditLog  = require('./AuditLog');
 const Company  = require('./Company');
 const Customer  = require('./Customer');
 const User  = require('./User');
 const Message  = require('./Message');
+const OutboxEvent  = require('./OutboxEvent');
 
 module.exports = {
+    AuditLog,
     Company,
     Customer,
     User,
     Message,
-};
\ No newline at end of file
+    OutboxEvent,
+};
@@ -1,5 +1,8 @@
 const logger = require('../../lib/logger');
 const redisService = require('../../lib/redisService');
+const mongoDBService = require('../../lib/mongoDBService');
+const usageService = require('./usageService');
+const { hash } = require('../../lib/crypt');
 const constants = require('../../lib/constants');
 const { redisKeyPrefix, metaChannels } = constants;
 
@@ -32,6 +35,15 @@ const saveMainCompanySettings = async (companyId, systemSettings, companyName) =
   logger.verbose(`Configuración de la empresa ${companyName} (${companyId}) guardada en Redis con la clave: ${redisKey}`);
 };
 
+/**
+ * Construye la clave Redis de un índice secundario.
+ * @param {string} prefix - Prefijo del índice.
+ * @param {string} value - Valor indexado.
+ * @param {boolean} [hashValue=false] - Si se debe usar el hash del valor (para secretos como el webhookVerifyToken).
+ * @returns {string} La clave Redis.
+ */
+const buildSecondaryIndexKey = (prefix, value, hashValue = false) => `${prefix}:${hashValue ? hash(value) : value}`;
+
 /**
  * Procesa y guarda un índice secundario en Redis para un token/ID específico de Meta.
  * El índice permite buscar companyId por el token/ID de Meta.
@@ -42,19 +54,20 @@ const saveMainCompanySettings = async (companyId, systemSettings, companyName) =
  * @param {string} indexerConfig.platformName - Nombre de la plataforma (ej. "WhatsApp").
  * @param {string[]} indexerConfig.tokenPath - Ruta al token dentro de systemSettings (ej. ['meta_integrations', 'whatsapp', 'webhookVerifyToken']).
  * @param {string} indexerConfig.redisKeyPrefix - Prefijo para la clave Redis del índice (ej. "idx:whatsapp_token").
+ * @param {boolean} [indexerConfig.hashValue=false] - Si el valor es un secreto: la clave se arma con su hash en lugar del valor.
  */
 const processAndSaveSecondaryIndex = async (companyId, systemSettings, indexerConfig) => {
-  const { platformName, tokenPath, redisKeyPrefix } = indexerConfig;
+  const { platformName, tokenPath, redisKeyPrefix, hashValue } = indexerConfig;
 
   // Extraer el valor del token usando la ruta especificada.
   const tokenValue = getDeepValue(systemSettings, tokenPath);
 
   if (tokenValue) {
     // La clave del índice secundario se basa en el valor del token.
-    const secondaryIndexRedisKey = `${redisKeyPrefix}:${tokenValue}`;
+    const secondaryIndexRedisKey = buildSecondaryIndexKey(redisKeyPrefix, tokenValue, hashValue);
     // El valor almacenado es el companyId, permitiendo la búsqueda inversa.
     await redisService.setData(secondaryIndexRedisKey, companyId); // Guardar companyId como string.
-    logger.verbose(`Índice secundario para ${platformName} (Token: ${tokenValue}) creado: ${secondaryIndexRedisKey} -> ${companyId}`);
+    logger.verbose(`Índice secundario para ${platformName} (Token: ${hashValue ? '***' : tokenValue}) creado: ${hashValue ? `${redisKeyPrefix}:***` : secondaryIndexRedisKey} -> ${companyId}`);
   } else {
     logger.verbose(`No se encontró token para ${platformName} en la configuración de la empresa ${companyId}. No se creó índice secundario.`);
   }
@@ -81,9 +94,65 @@ const defaultMetaIndexers = [
     platformName: metaChannels.INSTAGRAM,
     tokenPath: ['meta_integrations', 'instagram', 'instagramBusinessAccountId'],
     redisKeyPrefix: redisKeyPrefix.IGM_BUSINESS_ACCOUNT_ID,
-  }
+  },
+  // Índices por webhookVerifyToken, usados en el handshake GET de los webhooks de Meta.
+  // El token es un secreto, por lo que la clave guarda su hash: webhookVerifyToken:<canal>:<hash>
+  ...Object.values(metaChannels).map(channel => ({
+    platformName: channel,
+    tokenPath: ['meta_integrations', channel, 'webhookVerifyToken'],
+    redisKeyPrefix: `${redisKeyPrefix.WEBHOOK_VERIFY_TOKEN}:${channel}`,
+    hashValue: true,
+  })),
 ];
 
+/**
+ * Claves de los índices secundarios que corresponden a una configuración (system_settings).
+ * @param {object} systemSettings - El objeto system_settings de la empresa.
+ * @param {object[]} [indexers=defaultMetaIndexers] - Los indexadores a considerar.
+ * @returns {string[]} Las claves Redis de los índices.
+ */
+const getSecondaryIndexKeys = (systemSettings, indexers = defaultMetaIndexers) => indexers
+  .map(({ tokenPath, redisKeyPrefix: prefix, hashValue }) => {
+    const tokenValue = getDeepValue(systemSettings, tokenPath);
+    return tokenValue ? buildSecondaryIndexKey(prefix, tokenValue, hashValue) : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Elimina los índices secundarios indicados que todavía apuntan a la empresa.
+ * Los que ya apuntan a otra empresa (el identificador pasó a otra cuenta) se conservan.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {string[]} keys - Las claves de los índices.
+ * @returns {Promise<number>} Cantidad de índices eliminados.
+ */
+const removeSecondaryIndexes = async (companyId, keys) => {
+  const owned = [];
+  for (const key of keys) {
+    const indexedCompanyId = await redisService.getData(key);
+    if (indexedCompanyId !== null && String(indexedCompanyId) === String(companyId)) owned.push(key);
+  }
+  if (owned.length === 0) return 0;
+  return (await redisService.delData(owned)) || 0;
+};
+
+/**
+ * Elimina los índices de los identificadores que la empresa ya no usa (ej. al rotar el webhookVerifyToken o cambiar
+ * el phoneNumberId): los que generaba la configuración anterior y no genera la nueva.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {object|null} previousSettings - La configuración guardada antes en Redis.
+ * @param {object} systemSettings - La configuración nueva.
+ * @param {object[]} [indexers=defaultMetaIndexers] - Los indexadores a considerar.
+ */
+const removeStaleSecondaryIndexes = async (companyId, previousSettings, systemSettings, indexers = defaultMetaIndexers) => {
+  if (!previousSettings) return;
+  const currentKeys = new Set(getSecondaryIndexKeys(systemSettings, indexers));
+  const staleKeys = getSecondaryIndexKeys(previousSettings, indexers).filter(key => !currentKeys.has(key));
+  const removed = await removeSecondaryIndexes(companyId, staleKeys);
+  if (removed > 0) logger.verbose(`${removed} índice(s) secundario(s) anterior(es) de la empresa ${companyId} eliminado(s) de Redis.`);
+};
+
 /**
  * Orquesta el guardado de la configuración de la empresa y sus índices secundarios de Meta en Redis.
  *
@@ -105,6 +174,9 @@ const saveCompanySettingInRedis = async (company) => {
   const companyName = company.name || companyId.toString();
 
   try {
+    // La configuración anterior indica qué índices hay que quitar si cambió algún identificador.
+    const previousSettings = await getCompanySettingsFromRedis(companyId);
+
     // 1. Guardar la configuración principal del sistema de la empresa.
     await saveMainCompanySettings(companyId, systemSettings, companyName);
 
@@ -129,6 +201,9 @@ const saveCompanySettingInRedis = async (company) => {
       }
     }
 
+    // 3. Quitar los índices de identificadores que la empresa ya no usa.
+    await removeStaleSecondaryIndexes(companyId, previousSettings, systemSettings);
+
     logger.verbose(`Todos los datos relevantes de la empresa ${companyName} (${companyId}) procesados para Redis.`);
 
   } catch (error) {
@@ -169,14 +244,14 @@ const updateCompanyIndexForChannelInRedis = async (company, channel) => {
     const companyName = company.name || companyId.toString();
 
     try {
-        // --- 2. Encontrar la Configuración del Indexador para el Canal Especificado ---
-        // Se busca en la constante predefinida la configuración que corresponde al canal.
-        const indexerConfig = defaultMetaIndexers.find(
+        // --- 2. Encontrar las Configuraciones de los Indexadores para el Canal Especificado ---
+        // Se buscan en la constante predefinida las configuraciones que corresponden al canal.
+        const indexerConfigs = defaultMetaIndexers.filter(
             (indexer) => indexer.platformName === channel
         );
 
         // Si no se encuentra una configuración para el canal, es un error de lógica o un canal no soportado.
-        if (!indexerConfig) {
+        if (indexerConfigs.length === 0) {
             logger.warn(`No se encontró configuración de indexador para el canal '${channel}'.`, { companyId });
             // Se puede lanzar un error o simplemente terminar la ejecución, dependiendo del caso de uso.
             // Lanzar un error es más explícito sobre la falla.
@@ -185,9 +260,14 @@ const updateCompanyIndexForChannelInRedis = async (company, channel) => {
 
         logger.verbose(`Procesando índice secundario para el canal '${channel}' de la empresa ${companyName} (${companyId})`);
 
-        // --- 3. Procesar y Guardar solo ese Índice Secundario ---
+        // --- 3. Procesar y Guardar solo los Índices Secundarios del canal ---
         // Se reutiliza la misma función modular que la versión original.
-        await processAndSaveSecondaryIndex(companyId, company.system_settings, indexerConfig);
+        for (const indexerConfig of indexerConfigs) {
+            await processAndSaveSecondaryIndex(companyId, company.system_settings, indexerConfig);
+        }
+        // Quitar los índices anteriores del canal (ej. un webhookVerifyToken rotado).
+        const previousSettings = await getCompanySettingsFromRedis(companyId);
+        await removeStaleSecondaryIndexes(companyId, previousSettings, company.system_settings, indexerConfigs);
         
         logger.info(`Índice secundario para '${channel}' de la empresa ${companyName} (${companyId}) guardado exitosamente.`);
 
@@ -206,7 +286,131 @@ const updateCompanyIndexForChannelInRedis = async (company, channel) => {
     }
 };
 
+/**
+ * Obtiene de Redis la configuración (system_settings) de una empresa.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @returns {Promise<object|null>} El objeto system_settings, o null si no está en Redis.
+ */
+const getCompanySettingsFromRedis = async (companyId) => {
+  return redisService.getData(`${redisKeyPrefix.COMPANY_SETTINGS}:${companyId}`);
+};
+
+/**
+ * Busca el companyId asociado a un identificador de Meta usando los índices secundarios
+ * (ej. el phoneNumberId de WhatsApp, el pageId de Messenger o el instagramBusinessAccountId).
+ * @async
+ * @param {string} channel - El canal (metaChannels).
+ * @param {string} metaId - El identificador de Meta recibido en el webhook.
+ * @returns {Promise<string|null>} El companyId, o null si no hay índice para ese identificador.
+ */
+const findCompanyIdByMetaId = async (channel, metaId) => {
+  const indexerConfig = defaultMetaIndexers.find(indexer => indexer.platformName === channel && !indexer.hashValue);
+  if (!indexerConfig || !metaId) return null;
+  const companyId = await redisService.getData(buildSecondaryIndexKey(indexerConfig.redisKeyPrefix, metaId));
+  return companyId ? String(companyId) : null;
+};
+
+/**
+ * Busca el companyId asociado a un webhookVerifyToken de un canal.
+ * @async
+ * @param {string} channel - El canal (metaChannels).
+ * @param {string} verifyToken - El token recibido en `hub.verify_token`.
+ * @returns {Promise<string|null>} El companyId, o null si ninguna empresa usa ese token.
+ */
+const findCompanyIdByWebhookVerifyToken = async (channel, verifyToken) => {
+  if (!channel || !verifyToken) return null;
+  const key = buildSecondaryIndexKey(`${redisKeyPrefix.WEBHOOK_VERIFY_TOKEN}:${channel}`, verifyToken, true);
+  const companyId = await redisService.getData(key);
+  return companyId ? String(companyId) : null;
+};
+
+/**
+ * Elimina de Redis la configuración de una empresa y sus índices secundarios (ej. al borrarla o desactivarla).
+ * Los índices se calculan a partir de la configuración guardada en Redis, que es la que los generó.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ */
+const removeCompanySettingsFromRedis = async (companyId) => {
+  const cachedSettings = await getCompanySettingsFromRedis(companyId);
+  const removedIndexes = cachedSettings ? await removeSecondaryIndexes(companyId, getSecondaryIndexKeys(cachedSettings)) : 0;
+  await redisService.delData(`${redisKeyPrefix.COMPANY_SETTINGS}:${companyId}`);
+  logger.verbose(`Configuración de la empresa ${companyId} eliminada de Redis (${removedIndexes} índice(s) secundario(s)).`);
+};
+
+/**
+ * Deja Redis en línea con el estado actual de una empresa: si está activa guarda su configuración y sus índices
+ * (`saveCompanySettingInRedis`, que también quita los de identificadores que ya no usa); si fue eliminada o
+ * desactivada, los quita.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {object|null} company - La empresa tal como está en Mongo, o null si ya no existe.
+ */
+const syncCompanySettingsInRedis = async (companyId, company) => {
+  if (!company || company.active === false) {
+    await removeCompanySettingsFromRedis(companyId);
+    return;
+  }
+  await saveCompanySettingInRedis(company);
+};
+
+/**
+ * Vuelve a sincronizar en Redis todas las empresas de Mongo. Se usa cuando el change stream perdió su punto de
+ * reanudación y pudo haberse saltado cambios. No detecta empresas borradas mientras tanto: sus claves quedan
+ * hasta que se borren a mano.
+ * @async
+ */
+const resyncAllCompanySettings = async () => {
+  // require diferido: los modelos dependen del paquete de middlewares, que a su vez usa los servicios.
+  const { Company } = require('../models');
+  let count = 0;
+  for await (const company of Company.find().lean().cursor()) {
+    try {
+      await syncCompanySettingsInRedis(company._id, company);
+      count++;
+    } catch (error) {
+      logger.error(`Error al resincronizar la empresa ${company._id} en Redis: ${error.message}`);
+    }
+  }
+  logger.info(`Configuración de ${count} empresa(s) resincronizada en Redis.`);
+};
+
+/**
+ * Observa la colección de empresas con un change stream (`mongoDBService.watchCollection`) y sincroniza Redis con
+ * cada cambio, sin importar cómo se hizo (updateOne, updateMany, shell, borrados...). Complementa a los hooks del
+ * modelo, que solo cubren `save` y `findOneAndUpdate`. Requiere que Mongo corra como replica set.
+ *
+ * Ejemplo:
+ *    const watcher = companyService.watchCompanyChanges();
+ *    await watcher.close();
+ *
+ * @returns {{ close: Function }} El watcher; `close()` (async) lo detiene.
+ */
+const watchCompanyChanges = () => {
+  const { Company } = require('../models');
+  return mongoDBService.watchCollection(Company, {
+    name: 'companies',
+    fullDocument: 'updateLookup',
+    onChange: async (change) => {
+      const companyId = change.documentKey._id;
+      // En 'delete' no hay fullDocument; en un update puede ser null si la empresa se borró después.
+      const company = change.operationType === 'delete' ? null : change.fullDocument;
+      await syncCompanySettingsInRedis(companyId, company);
+      if (company && company.active !== false) await usageService.cacheMonthlyLimit(company);
+      logger.verbose(`[watch:companies] Empresa ${companyId} sincronizada en Redis tras '${change.operationType}'.`);
+    },
+    onResumeLost: resyncAllCompanySettings,
+  });
+};
+
 module.exports = {
+  findCompanyIdByMetaId,
+  findCompanyIdByWebhookVerifyToken,
+  getCompanySettingsFromRedis,
+  removeCompanySettingsFromRedis,
+  resyncAllCompanySettings,
   saveCompanySettingInRedis,
+  syncCompanySettingsInRedis,
   updateCompanyIndexForChannelInRedis,
+  watchCompanyChanges,
 };
\ No newline at end of file
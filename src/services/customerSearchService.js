@@ -0,0 +1,235 @@
+const logger = require('../../lib/logger');
+const redisService = require('../../lib/redisService');
+const { redisKeyPrefix } = require('../../lib/constants');
+
+// Separador entre el token y el id del cliente dentro del miembro del sorted set (ej. "perez|665f...").
+const MEMBER_SEPARATOR = '|';
+// Límite por defecto y máximo de resultados devueltos por searchCustomers.
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+// Cuántos candidatos se leen del índice por cada resultado solicitado, para compensar
+// los duplicados (un cliente aparece una vez por token) y los filtros de tokens adicionales.
+const CANDIDATES_FACTOR = 5;
+
+/**
+ * Construye la clave del sorted set que contiene los tokens de autocompletado de una empresa.
+ * Todos los miembros tienen score 0, por lo que Redis los ordena lexicográficamente y
+ * permite búsquedas por prefijo con ZRANGEBYLEX.
+ * @param {string} companyId - El ID de la empresa.
+ * @returns {string} La clave Redis del índice.
+ */
+const getIndexKey = (companyId) => `${redisKeyPrefix.CUSTOMER_AUTOCOMPLETE}:${companyId}`;
+
+/**
+ * Construye la clave del hash que guarda, por cada cliente indexado, los tokens con los que fue indexado
+ * (necesarios para filtrar por varias palabras y para desindexarlo). No guarda los datos del cliente: los
+ * campos personales están encriptados en Mongo y la búsqueda los lee de ahí.
+ * @param {string} companyId - El ID de la empresa.
+ * @returns {string} La clave Redis del hash de datos.
+ */
+const getDataKey = (companyId) => `${redisKeyPrefix.CUSTOMER_AUTOCOMPLETE_DATA}:${companyId}`;
+
+const isRedisReady = (operation) => {
+  const client = redisService.client;
+  if (!client || client.status !== 'ready') {
+    logger.error(`Cliente Redis no disponible o no listo para ${operation}.`);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Normaliza un texto para el índice: minúsculas, sin tildes/diacríticos y solo caracteres alfanuméricos.
+ * @param {*} text - El texto a normalizar.
+ * @returns {string[]} Las palabras normalizadas que componen el texto.
+ */
+const tokenize = (text) => {
+  if (text === null || text === undefined) return [];
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+/**
+ * Obtiene los tokens únicos de un cliente a partir de su nombre, apellido y número de documento.
+ * El número de documento se indexa completo y sin separadores (ej. "20-123456-7" -> "201234567").
+ * @param {object} customer - El cliente con los campos ya desencriptados.
+ * @returns {string[]} Los tokens a indexar.
+ */
+const getCustomerTokens = (customer) => {
+  const tokens = [
+    ...tokenize(customer.name),
+    ...tokenize(customer.last_name),
+    tokenize(customer.doc_number).join(''),
+  ];
+  return [...new Set(tokens.filter(Boolean))];
+};
+
+/**
+ * Agrega (o reemplaza) un cliente en el índice de autocompletado de su empresa.
+ * Es idempotente: si el cliente ya estaba indexado, se eliminan primero sus tokens anteriores.
+ * Solo se guardan el `_id` y los tokens; una entrada anterior que incluía los datos del cliente se reemplaza.
+ * @async
+ * @param {object} customer - El cliente con los campos desencriptados (ej. `doc.toObject({ getters: true })`).
+ * @param {string} companyId - El ID de la empresa a la que pertenece el cliente.
+ * @returns {Promise<boolean>} true si se indexó, false si Redis no estaba disponible.
+ * @throws {Error} Si el cliente no tiene `_id` o falla la escritura en Redis.
+ */
+const indexCustomerForAutocomplete = async (customer, companyId) => {
+  if (!customer || !customer._id || !companyId) {
+    throw new Error('Se requiere un cliente con `_id` y el `companyId` para indexarlo.');
+  }
+  if (!isRedisReady('indexCustomerForAutocomplete')) return false;
+
+  const client = redisService.client;
+  const customerId = customer._id.toString();
+  const indexKey = getIndexKey(companyId);
+  const dataKey = getDataKey(companyId);
+  const tokens = getCustomerTokens(customer);
+
+  const previous = await client.hget(dataKey, customerId);
+  const previousTokens = previous ? JSON.parse(previous).tokens || [] : [];
+
+  const entry = { _id: customerId, tokens };
+
+  const pipeline = client.multi();
+  if (previousTokens.length > 0) {
+    pipeline.zrem(indexKey, ...previousTokens.map(token => `${token}${MEMBER_SEPARATOR}${customerId}`));
+  }
+  if (tokens.length > 0) {
+    pipeline.zadd(indexKey, ...tokens.flatMap(token => [0, `${token}${MEMBER_SEPARATOR}${customerId}`]));
+  }
+  pipeline.hset(dataKey, customerId, JSON.stringify(entry));
+  await pipeline.exec();
+
+  logger.verbose(`Cliente ${customerId} indexado para autocompletado en la empresa ${companyId} con ${tokens.length} token(s).`);
+  return true;
+};
+
+/**
+ * Actualiza los tokens de un cliente ya indexado. Reemplaza por completo la entrada anterior.
+ * @async
+ * @param {object} customer - El cliente con los campos desencriptados.
+ * @param {string} companyId - El ID de la empresa a la que pertenece el cliente.
+ * @returns {Promise<boolean>} true si se actualizó, false si Redis no estaba disponible.
+ */
+const updateCustomerAutocompleteIndex = async (customer, companyId) => {
+  return indexCustomerForAutocomplete(customer, companyId);
+};
+
+/**
+ * Elimina un cliente del índice de autocompletado de su empresa.
+ * @async
+ * @param {string} customerId - El ID del cliente.
+ * @param {string} companyId - El ID de la empresa a la que pertenece el cliente.
+ * @returns {Promise<boolean>} true si se eliminó (o no estaba indexado), false si Redis no estaba disponible.
+ */
+const removeCustomerFromAutocompleteIndex = async (customerId, companyId) => {
+  if (!customerId || !companyId) {
+    throw new Error('Se requieren `customerId` y `companyId` para eliminar un cliente del índice.');
+  }
+  if (!isRedisReady('removeCustomerFromAutocompleteIndex')) return false;
+
+  const client = redisService.client;
+  const id = customerId.toString();
+  const dataKey = getDataKey(companyId);
+
+  const previous = await client.hget(dataKey, id);
+  if (!previous) {
+    logger.verbose(`El cliente ${id} no estaba indexado en la empresa ${companyId}. No se requiere acción.`);
+    return true;
+  }
+
+  const previousTokens = JSON.parse(previous).tokens || [];
+  const pipeline = client.multi();
+  if (previousTokens.length > 0) {
+    pipeline.zrem(getIndexKey(companyId), ...previousTokens.map(token => `${token}${MEMBER_SEPARATOR}${id}`));
+  }
+  pipeline.hdel(dataKey, id);
+  await pipeline.exec();
+
+  logger.verbose(`Cliente ${id} eliminado del índice de autocompletado de la empresa ${companyId}.`);
+  return true;
+};
+
+/**
+ * Busca clientes de una empresa cuyo nombre, apellido o número de documento comience con el prefijo dado.
+ * Si el prefijo tiene varias palabras (ej. "juan per"), cada una debe ser prefijo de algún token del cliente.
+ * Redis solo resuelve qué clientes coinciden; sus datos se leen de Mongo (desencriptados), limitados a los
+ * clientes activos de la empresa.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {string} prefix - El texto ingresado por el usuario.
+ * @param {number} [limit=10] - Cantidad máxima de resultados (máximo 50).
+ * @returns {Promise<Array<object>|null>} Los clientes encontrados `{ _id, name, last_name, doc_type, doc_number }`,
+ * o null si Redis no está disponible.
+ * @throws {Error} Si falla la lectura en Redis o en Mongo.
+ */
+const searchCustomers = async (companyId, prefix, limit = DEFAULT_SEARCH_LIMIT) => {
+  if (!companyId) {
+    throw new Error('El parámetro `companyId` es obligatorio.');
+  }
+  const queryTokens = tokenize(prefix);
+  if (queryTokens.length === 0) return [];
+  if (!isRedisReady('searchCustomers')) return null;
+
+  const client = redisService.client;
+  const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  // El token más largo es el más selectivo, se usa para leer candidatos del índice.
+  const [lookupToken] = [...queryTokens].sort((a, b) => b.length - a.length);
+
+  const members = await client.zrangebylex(
+    getIndexKey(companyId),
+    `[${lookupToken}`,
+    `[${lookupToken}\xff`,
+    'LIMIT', 0, max * CANDIDATES_FACTOR
+  );
+
+  const customerIds = [...new Set(members.map(member => member.slice(member.lastIndexOf(MEMBER_SEPARATOR) + 1)))];
+  if (customerIds.length === 0) return [];
+
+  const entries = await client.hmget(getDataKey(companyId), ...customerIds);
+
+  const matchingIds = [];
+  for (const [i, raw] of entries.entries()) {
+    if (!raw) continue;
+    const { tokens = [] } = JSON.parse(raw);
+    const matchesAll = queryTokens.every(queryToken => tokens.some(token => token.startsWith(queryToken)));
+    if (matchesAll) matchingIds.push(customerIds[i]);
+    if (matchingIds.length >= max) break;
+  }
+  if (matchingIds.length === 0) return [];
+
+  const { Customer } = require('../models');
+  const customers = await Customer
+    .find({ _id: { $in: matchingIds }, company: companyId, active: { $ne: false } })
+    .select('name last_name doc_type doc_number');
+  const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+  // Se respeta el orden del índice (lexicográfico por el token buscado).
+  const results = matchingIds
+    .filter(id => customersById.has(id))
+    .map(id => {
+      const customer = customersById.get(id);
+      return {
+        _id: id,
+        name: customer.name || '',
+        last_name: customer.last_name || '',
+        doc_type: customer.doc_type || '',
+        doc_number: customer.doc_number || '',
+      };
+    });
+
+  logger.verbose(`Búsqueda de clientes "${prefix}" en la empresa ${companyId}: ${results.length} resultado(s).`);
+  return results;
+};
+
+module.exports = {
+  indexCustomerForAutocomplete,
+  removeCustomerFromAutocompleteIndex,
+  searchCustomers,
+  updateCustomerAutocompleteIndex,
+};
@@ -1,5 +1,15 @@
 const companyService  = require('./companyService');
+const customerSearchService  = require('./customerSearchService');
+const keyRotationService  = require('./keyRotationService');
+const outboxService  = require('./outboxService');
+const usageService  = require('./usageService');
+const userAuthService  = require('./userAuthService');
 
 module.exports = {
-    companyService
-};
\ No newline at end of file
+    companyService,
+    customerSearchService,
+    keyRotationService,
+    outboxService,
+    usageService,
+    userAuthService
+};
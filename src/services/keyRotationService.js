@@ -0,0 +1,258 @@
+const logger = require('../../lib/logger');
+const { getActiveKeyId, needsReEncryption, reEncrypt, encrypt, decrypt, blindIndex, BLIND_INDEX_TYPES } = require('../../lib/crypt');
+
+// Cantidad de documentos leídos y actualizados por lote.
+const DEFAULT_BATCH_SIZE = 500;
+// Código de error de MongoDB para claves duplicadas en un índice único.
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Recorre una colección por `_id` en lotes, directamente sobre el driver (sin setters, getters ni hooks).
+ * Para cada lote llama a `buildOperations(docs)` y ejecuta las operaciones devueltas con un bulkWrite no ordenado.
+ * @returns {Promise<object>} Estadísticas del recorrido.
+ */
+const walkCollection = async (model, { projection, batchSize, filter, afterId, dryRun, onBatch }, buildOperations) => {
+  const stats = { scanned: 0, updated: 0, skipped: 0, failed: 0, conflicts: [], lastId: afterId ? String(afterId) : null };
+  let lastId = afterId ? model.castObject({ _id: afterId })._id : null;
+
+  for (;;) {
+    const batchFilter = lastId ? { $and: [filter, { _id: { $gt: lastId } }] } : filter;
+    const docs = await model.collection.find(batchFilter, { projection }).sort({ _id: 1 }).limit(batchSize).toArray();
+    if (docs.length === 0) break;
+
+    const operations = buildOperations(docs, stats);
+    if (operations.length > 0) {
+      if (dryRun) {
+        stats.updated += operations.length;
+      } else {
+        let result;
+        let writeErrors = [];
+        try {
+          result = await model.collection.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+          // Con ordered: false el resto del lote se escribe igual; los duplicados se reportan como conflictos.
+          if (!error.writeErrors || !error.result) throw error;
+          result = error.result;
+          writeErrors = [].concat(error.writeErrors);
+          for (const writeError of writeErrors) {
+            const operation = operations[writeError.index].updateOne;
+            if (writeError.code !== DUPLICATE_KEY_ERROR) {
+              stats.failed++;
+              logger.error(`[keyRotation] Error al actualizar ${model.modelName} ${operation.filter._id} -> error:${writeError.errmsg}`);
+              continue;
+            }
+            stats.conflicts.push({ _id: operation.filter._id.toString(), fields: Object.keys(operation.update.$set) });
+          }
+        }
+        stats.updated += result.modifiedCount;
+        stats.skipped += operations.length - result.matchedCount - writeErrors.length;
+      }
+    }
+
+    stats.scanned += docs.length;
+    lastId = docs[docs.length - 1]._id;
+    stats.lastId = lastId.toString();
+    logger.verbose(`[keyRotation] ${model.modelName}: ${stats.scanned} revisados, ${stats.updated} actualizados hasta ${stats.lastId}`);
+    if (onBatch) await onBatch({ ...stats });
+    if (docs.length < batchSize) break;
+  }
+  return stats;
+};
+
+/**
+ * Re-encripta con la clave activa del keyring los campos encriptados de una colección.
+ *
+ * Recorre la colección por `_id` en lotes, directamente sobre el driver (sin setters, getters ni hooks, para no
+ * encriptar dos veces el valor), y solo actualiza los campos cifrados con otra clave o con el formato sin prefijo.
+ * Cada actualización incluye el valor anterior en el filtro: si el documento cambió mientras corría el job, se omite
+ * y queda para la siguiente ejecución. Es idempotente y puede reanudarse con `afterId`.
+ *
+ * @async
+ * @param {import('mongoose').Model} model - El modelo cuyos documentos se re-encriptan.
+ * @param {object} [options={}] - Opciones del job.
+ * @param {string[]} [options.fields=model.encryptedFields] - Campos encriptados a migrar.
+ * @param {number} [options.batchSize=500] - Documentos por lote.
+ * @param {object} [options.filter={}] - Filtro adicional (ej. `{ company: companyId }`).
+ * @param {string} [options.afterId] - Reanuda desde este `_id` (excluido).
+ * @param {boolean} [options.dryRun=false] - Solo cuenta lo que se migraría, sin escribir.
+ * @param {Function} [options.onBatch] - Callback `(stats) => {}` invocado al terminar cada lote.
+ * @returns {Promise<{ scanned: number, updated: number, skipped: number, failed: number, lastId: string|null }>}
+ * Resumen del job. `skipped` son documentos modificados durante el job; `failed` los que no se pudieron desencriptar.
+ */
+const reEncryptModelFields = async (model, options = {}) => {
+  const {
+    fields = model.encryptedFields,
+    batchSize = DEFAULT_BATCH_SIZE,
+    filter = {},
+    afterId,
+    dryRun = false,
+    onBatch,
+  } = options;
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`No se indicaron campos encriptados para el modelo ${model.modelName}.`);
+  }
+
+  const activeKeyId = getActiveKeyId();
+  const projection = Object.fromEntries(fields.map(field => [field, 1]));
+  logger.info(`[keyRotation] Re-encriptando ${model.modelName} (${fields.join(', ')}) con la clave '${activeKeyId}'${dryRun ? ' (dry run)' : ''}`);
+
+  const { conflicts: _conflicts, ...stats } = await walkCollection(model, { projection, batchSize, filter, afterId, dryRun, onBatch }, (docs, progress) => {
+    const operations = [];
+    for (const doc of docs) {
+      const pending = fields.filter(field => needsReEncryption(doc[field]));
+      if (pending.length === 0) continue;
+      try {
+        const $set = Object.fromEntries(pending.map(field => [field, reEncrypt(doc[field])]));
+        const previous = Object.fromEntries(pending.map(field => [field, doc[field]]));
+        operations.push({ updateOne: { filter: { _id: doc._id, ...previous }, update: { $set } } });
+      } catch (error) {
+        progress.failed++;
+        logger.error(`[keyRotation] No se pudo re-encriptar ${model.modelName} ${doc._id} -> error:${error.message}`);
+      }
+    }
+    return operations;
+  });
+
+  logger.info(`[keyRotation] ${model.modelName} terminado: ${JSON.stringify(stats)}`);
+  return stats;
+};
+
+/**
+ * Re-encripta con la clave activa los campos encriptados de los clientes.
+ * Ejemplo: await keyRotationService.reEncryptCustomers({ batchSize: 200, filter: { company: companyId } });
+ *
+ * @async
+ * @param {object} [options={}] - Las opciones de `reEncryptModelFields`.
+ * @returns {Promise<object>} El resumen del job.
+ */
+const reEncryptCustomers = async (options = {}) => {
+  // require diferido: los modelos dependen del paquete de middlewares, que a su vez usa los servicios.
+  const { Customer } = require('../models');
+  return reEncryptModelFields(Customer, options);
+};
+
+/**
+ * Recalcula los índices ciegos (HMAC) de una colección a partir de los campos encriptados.
+ * Sirve para migrar columnas que tenían el hash SHA-256 anterior y para rotar BLIND_INDEX_KEY.
+ *
+ * Solo actualiza los documentos cuyo índice cambió, con el valor anterior en el filtro (como `reEncryptModelFields`).
+ * Si al normalizar dos documentos quedan con el mismo índice (ej. '20-123456-7' y '201234567' en la misma empresa),
+ * el índice único rechaza la escritura: el documento se reporta en `conflicts` para resolverlo manualmente
+ * y conserva su valor anterior, que sigue siendo buscable con `Customer.findByDocNumber`.
+ *
+ * @async
+ * @param {import('mongoose').Model} model - El modelo.
+ * @param {object} [options={}] - Opciones del job (las mismas de `reEncryptModelFields`, salvo `fields`).
+ * @param {object} [options.blindIndexes=model.blindIndexes] - Columnas a recalcular: `{ columna: { field, type } }`.
+ * @returns {Promise<{ scanned: number, updated: number, skipped: number, failed: number, conflicts: object[], lastId: string|null }>}
+ * Resumen del job.
+ */
+const rebuildBlindIndexes = async (model, options = {}) => {
+  const {
+    blindIndexes = model.blindIndexes,
+    batchSize = DEFAULT_BATCH_SIZE,
+    filter = {},
+    afterId,
+    dryRun = false,
+    onBatch,
+  } = options;
+  const columns = Object.entries(blindIndexes || {});
+  if (columns.length === 0) {
+    throw new Error(`No se indicaron índices ciegos para el modelo ${model.modelName}.`);
+  }
+
+  const projection = Object.fromEntries(columns.flatMap(([column, { field }]) => [[column, 1], [field, 1]]));
+  logger.info(`[keyRotation] Recalculando índices ciegos de ${model.modelName} (${columns.map(([column]) => column).join(', ')})${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = await walkCollection(model, { projection, batchSize, filter, afterId, dryRun, onBatch }, (docs, progress) => {
+    const operations = [];
+    for (const doc of docs) {
+      try {
+        const $set = {};
+        const previous = {};
+        for (const [column, { field, type }] of columns) {
+          const value = blindIndex(decrypt(doc[field]), type);
+          if (value !== null && value !== doc[column]) {
+            $set[column] = value;
+            previous[column] = doc[column] ?? null;
+          }
+        }
+        if (Object.keys($set).length > 0) {
+          operations.push({ updateOne: { filter: { _id: doc._id, ...previous }, update: { $set } } });
+        }
+      } catch (error) {
+        progress.failed++;
+        logger.error(`[keyRotation] No se pudo recalcular el índice ciego de ${model.modelName} ${doc._id} -> error:${error.message}`);
+      }
+    }
+    return operations;
+  });
+
+  if (stats.conflicts.length > 0) {
+    logger.warn(`[keyRotation] ${model.modelName}: ${stats.conflicts.length} documento(s) duplicado(s) al normalizar; revisar 'conflicts'.`);
+  }
+  logger.info(`[keyRotation] Índices ciegos de ${model.modelName} terminados: ${JSON.stringify({ ...stats, conflicts: stats.conflicts.length })}`);
+  return stats;
+};
+
+/**
+ * Migra `doc_number_hash` y `email_hash` de los clientes al índice ciego (HMAC) actual.
+ * Ejemplo: const { conflicts } = await keyRotationService.migrateCustomerBlindIndexes();
+ *
+ * @async
+ * @param {object} [options={}] - Las opciones de `rebuildBlindIndexes`.
+ * @returns {Promise<object>} El resumen del job.
+ */
+const migrateCustomerBlindIndexes = async (options = {}) => {
+  const { Customer } = require('../models');
+  return rebuildBlindIndexes(Customer, options);
+};
+
+/**
+ * Encripta los emails de los usuarios guardados en texto plano (anteriores a encryptedFieldsPlugin en User) y calcula
+ * su `email_hash`. Un email en texto plano se reconoce por la '@', que nunca aparece en un texto cifrado.
+ * Como el resto de los jobs, escribe directamente sobre el driver con el valor anterior en el filtro y es idempotente.
+ * Los emails que quedan duplicados al normalizar se reportan en `conflicts` y siguen en texto plano.
+ * Mientras tanto los usuarios sin migrar se siguen encontrando por su email en texto plano (ver User.emailFilter).
+ * Ejemplo: const { conflicts } = await keyRotationService.encryptUserEmails({ batchSize: 200 });
+ *
+ * @async
+ * @param {object} [options={}] - Opciones del job (`batchSize`, `filter`, `afterId`, `dryRun`, `onBatch`).
+ * @returns {Promise<{ scanned: number, updated: number, skipped: number, failed: number, conflicts: object[], lastId: string|null }>}
+ * Resumen del job.
+ */
+const encryptUserEmails = async (options = {}) => {
+  const { User } = require('../models');
+  const { batchSize = DEFAULT_BATCH_SIZE, filter = {}, afterId, dryRun = false, onBatch } = options;
+  const plaintextFilter = { $and: [filter, { email: { $regex: '@' } }] };
+  logger.info(`[keyRotation] Encriptando los emails de ${User.modelName}${dryRun ? ' (dry run)' : ''}`);
+
+  const stats = await walkCollection(User, { projection: { email: 1 }, batchSize, filter: plaintextFilter, afterId, dryRun, onBatch }, (docs, progress) => {
+    const operations = [];
+    for (const doc of docs) {
+      try {
+        const email = String(doc.email).trim().toLowerCase();
+        const $set = { email: encrypt(email), email_hash: blindIndex(email, BLIND_INDEX_TYPES.EMAIL) };
+        operations.push({ updateOne: { filter: { _id: doc._id, email: doc.email }, update: { $set } } });
+      } catch (error) {
+        progress.failed++;
+        logger.error(`[keyRotation] No se pudo encriptar el email de ${User.modelName} ${doc._id} -> error:${error.message}`);
+      }
+    }
+    return operations;
+  });
+
+  if (stats.conflicts.length > 0) {
+    logger.warn(`[keyRotation] ${User.modelName}: ${stats.conflicts.length} email(s) duplicado(s) al normalizar; revisar 'conflicts'.`);
+  }
+  logger.info(`[keyRotation] Emails de ${User.modelName} terminados: ${JSON.stringify({ ...stats, conflicts: stats.conflicts.length })}`);
+  return stats;
+};
+
+module.exports = {
+  encryptUserEmails,
+  migrateCustomerBlindIndexes,
+  rebuildBlindIndexes,
+  reEncryptCustomers,
+  reEncryptModelFields,
+};
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const logger = require('../../lib/logger');
+const redisService = require('../../lib/redisService');
+const { outboxDestinationType, outboxEventStatus } = require('../../lib/constants');
+const companyService = require('./companyService');
+const usageService = require('./usageService');
+
+/**
+ * @module outboxService
+ * @description Transactional outbox para publicar en Redis los eventos de cambios en Mongo.
+ *
+ * `enqueue` guarda el evento en `outbox_events` con la misma sesión de Mongo que el cambio del documento: si el cambio
+ * se hace dentro de una transacción (`runInTransaction`), el evento y el cambio se confirman o descartan juntos.
+ * Sin transacción el evento se guarda justo después del cambio (no es atómico, pero ya no depende de que Redis esté arriba).
+ *
+ * El relay (`startOutboxRelay`) toma los eventos pendientes, los publica en el stream, canal o handler de destino y los
+ * marca como enviados. Si la publicación falla, el evento se reintenta con backoff exponencial hasta `maxAttempts`.
+ * La entrega es al menos una vez: los consumidores deben tolerar duplicados. Fuera de una transacción, `enqueue` además
+ * intenta publicar el evento en el momento, para no sumar la latencia del relay cuando Redis está disponible.
+ */
+
+const DEFAULT_RELAY_INTERVAL_MS = 5 * 1000;
+const DEFAULT_BATCH_SIZE = 100;
+const DEFAULT_MAX_ATTEMPTS = 10;
+// Tiempo que un relay reserva un evento; si se cae mientras lo publica, otro lo retoma después de este plazo.
+const LOCK_MS = 60 * 1000;
+const RETRY_BASE_DELAY_MS = 5 * 1000;
+const RETRY_MAX_DELAY_MS = 10 * 60 * 1000;
+
+const OUTBOX_HANDLERS = Object.freeze({
+  COMPANY_SETTINGS_SYNC: 'company_settings_sync',
+});
+
+// Handlers de los eventos con destino 'handler', por nombre.
+const handlers = new Map();
+
+/**
+ * Registra la función que publica los eventos con destino `{ type: 'handler', name }`.
+ * Debe ser idempotente: un evento puede entregarse más de una vez.
+ * @param {string} name - El nombre del handler.
+ * @param {Function} handler - Función async `(event) => {}`; si lanza, el evento se reintenta.
+ */
+const registerHandler = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+// Vuelve a copiar en Redis la configuración actual de la empresa (se lee de Mongo, así un reintento nunca publica datos viejos).
+registerHandler(OUTBOX_HANDLERS.COMPANY_SETTINGS_SYNC, async (event) => {
+  // require diferido: los modelos dependen del paquete de middlewares, que a su vez usa los servicios.
+  const { Company } = require('../models');
+  const company = await Company.findById(event.aggregate.id).lean();
+  // Si la empresa ya no existe o está desactivada, se quitan su configuración y sus índices.
+  await companyService.syncCompanySettingsInRedis(event.aggregate.id, company);
+  if (company && company.active !== false) await usageService.cacheMonthlyLimit(company);
+});
+
+const isRedisReady = () => {
+  const client = redisService.client;
+  return Boolean(client && client.status === 'ready');
+};
+
+const getRetryDelay = (attempts) => Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+
+/**
+ * Publica un evento en su destino. Lanza un error si no se pudo publicar.
+ */
+const publishEvent = async (event) => {
+  const { type, name } = event.destination;
+  if (type === outboxDestinationType.STREAM) {
+    if (!await redisService.publishToStream(name, event.payload)) throw new Error(`No se pudo publicar en el stream '${name}'.`);
+  } else if (type === outboxDestinationType.CHANNEL) {
+    // 0 receptores es un resultado válido; null indica un error.
+    if (await redisService.publish(name, event.payload) === null) throw new Error(`No se pudo publicar en el canal '${name}'.`);
+  } else {
+    const handler = handlers.get(name);
+    if (!handler) throw new Error(`No hay un handler de outbox registrado con el nombre '${name}'.`);
+    await handler(event);
+  }
+};
+
+/**
+ * Reserva un evento disponible (pendiente y vencido, o en proceso con la reserva vencida) y lo publica.
+ * @param {object} [filter={}] - Filtro adicional (ej. `{ _id }` para publicar un evento concreto).
+ * @param {object} options - `{ maxAttempts }`.
+ * @returns {Promise<'sent'|'retry'|'failed'|null>} El resultado, o null si no había eventos disponibles.
+ */
+const claimAndPublish = async (filter, { maxAttempts }) => {
+  const { OutboxEvent } = require('../models');
+  const now = new Date();
+  const event = await OutboxEvent.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: outboxEventStatus.PENDING, available_at: { $lte: now } },
+        { status: outboxEventStatus.PROCESSING, locked_until: { $lt: now } },
+      ],
+    },
+    { $set: { status: outboxEventStatus.PROCESSING, locked_until: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+    { sort: { created_at: 1 }, new: true },
+  ).lean();
+  if (!event) return null;
+
+  try {
+    await publishEvent(event);
+    await OutboxEvent.updateOne({ _id: event._id }, {
+      $set: { status: outboxEventStatus.SENT, sent_at: new Date(), locked_until: null, last_error: null },
+    });
+    return outboxEventStatus.SENT;
+  } catch (error) {
+    const failed = event.attempts >= maxAttempts;
+    await OutboxEvent.updateOne({ _id: event._id }, {
+      $set: {
+        status: failed ? outboxEventStatus.FAILED : outboxEventStatus.PENDING,
+        available_at: new Date(Date.now() + getRetryDelay(event.attempts)),
+        locked_until: null,
+        last_error: error.message,
+      },
+    });
+    const log = failed ? logger.error : logger.warn;
+    log(`[outbox] Evento ${event._id} (${event.destination.type}:${event.destination.name}) falló en el intento ${event.attempts}${failed ? '; se marca como fallido' : ''} -> error:${error.message}`);
+    return failed ? outboxEventStatus.FAILED : 'retry';
+  }
+};
+
+/**
+ * Guarda un evento en el outbox. Dentro de una transacción (`session`), el evento se confirma junto con el cambio
+ * y lo publica el relay; sin sesión (y con Redis disponible), además se intenta publicar de inmediato.
+ *
+ * Ejemplo (en un hook post de un modelo):
+ *    await outboxService.enqueue({
+ *      destination: { type: outboxDestinationType.CHANNEL, name: redisChannels.MESSAGE_UPDATE },
+ *      payload, aggregate: { model: 'Message', id: doc._id }, company: doc.company,
+ *    }, { session: this.getOptions().session });
+ *
+ * @async
+ * @param {object} event - El evento.
+ * @param {{ type: string, name: string }} event.destination - El destino (outboxDestinationType y nombre).
+ * @param {object} [event.payload={}] - El payload a publicar.
+ * @param {{ model: string, id: * }} [event.aggregate] - El documento que originó el evento.
+ * @param {*} [event.company] - La empresa del documento.
+ * @param {object} [options={}] - Opciones.
+ * @param {mongoose.ClientSession} [options.session] - La sesión de la operación que originó el evento.
+ * @returns {Promise<object>} El evento guardado.
+ */
+const enqueue = async (event, { session } = {}) => {
+  const { OutboxEvent } = require('../models');
+  const [saved] = await OutboxEvent.create([event], { session });
+
+  if (!session && isRedisReady()) {
+    try {
+      await claimAndPublish({ _id: saved._id }, { maxAttempts: DEFAULT_MAX_ATTEMPTS });
+    } catch (error) {
+      // El evento quedó guardado: lo publicará el relay.
+      logger.error(`[outbox] Error al publicar el evento ${saved._id} de inmediato -> error:${error.message}`);
+    }
+  }
+  return saved;
+};
+
+/**
+ * Ejecuta `fn(session)` dentro de una transacción de Mongo (con los reintentos de `Connection.transaction`).
+ * Los eventos que se guarden con esa sesión se confirman junto con los cambios.
+ * Ejemplo: await outboxService.runInTransaction(session => Message.findOneAndUpdate(filter, update, { new: true, session }));
+ *
+ * @async
+ * @param {Function} fn - Función async que recibe la sesión.
+ * @returns {Promise<*>} El resultado de `fn`.
+ */
+const runInTransaction = async (fn) => {
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+/**
+ * Publica los eventos disponibles del outbox, hasta `batchSize`.
+ * @async
+ * @param {object} [options={}] - Opciones.
+ * @param {number} [options.batchSize=100] - Eventos a procesar como máximo.
+ * @param {number} [options.maxAttempts=10] - Intentos antes de marcar un evento como fallido.
+ * @returns {Promise<{ sent: number, retried: number, failed: number }>} El resumen.
+ */
+const relayPendingEvents = async ({ batchSize = DEFAULT_BATCH_SIZE, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) => {
+  const stats = { sent: 0, retried: 0, failed: 0 };
+  // Sin Redis todos los intentos fallarían y consumirían reintentos: se espera a la próxima ejecución.
+  if (!isRedisReady()) {
+    logger.warn('[outbox] Cliente Redis no disponible; el relay no publica eventos en esta ejecución.');
+    return stats;
+  }
+  for (let i = 0; i < batchSize; i++) {
+    const result = await claimAndPublish({}, { maxAttempts });
+    if (!result) break;
+    if (result === outboxEventStatus.SENT) stats.sent++;
+    else if (result === outboxEventStatus.FAILED) stats.failed++;
+    else stats.retried++;
+  }
+  if (stats.sent + stats.retried + stats.failed > 0) {
+    logger.verbose(`[outbox] Relay: ${JSON.stringify(stats)}`);
+  }
+  return stats;
+};
+
+/**
+ * Ejecuta `relayPendingEvents` cada `intervalMs` (sin solapar ejecuciones). El timer no impide que el proceso termine.
+ * Ejemplo: const stop = outboxService.startOutboxRelay(); ... await stop();
+ *
+ * @param {object} [options={}] - Opciones de `relayPendingEvents` más `intervalMs` (5000 por defecto).
+ * @returns {Function} Función async que detiene el relay y espera a que termine la ejecución en curso.
+ */
+const startOutboxRelay = ({ intervalMs = DEFAULT_RELAY_INTERVAL_MS, ...options } = {}) => {
+  let current = null;
+  const run = () => {
+    if (current) return current;
+    current = relayPendingEvents(options)
+      .catch(error => logger.error(`[outbox] Error en el relay -> error:${error.message}`))
+      .finally(() => { current = null; });
+    return current;
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return async () => {
+    clearInterval(timer);
+    await current;
+  };
+};
+
+module.exports = {
+  OUTBOX_HANDLERS,
+  enqueue,
+  registerHandler,
+  relayPendingEvents,
+  runInTransaction,
+  startOutboxRelay,
+};
@@ -0,0 +1,358 @@
+const logger = require('../../lib/logger');
+const redisService = require('../../lib/redisService');
+const { redisKeyPrefix, messagesRedisStream } = require('../../lib/constants');
+
+/**
+ * @module usageService
+ * @description Medición del consumo mensual de cada empresa y control de su cuota de mensajes.
+ * Los contadores viven en Redis, en un hash por empresa y mes (`usage:<companyId>:<YYYY-MM>`), y se incrementan
+ * de forma atómica con un script Lua que además verifica el límite `usageLimits.maxMessagesPerMonth`.
+ * Cada empresa con cambios se anota en un set (`usage_dirty`) y `persistUsage` vuelca esos contadores a
+ * `Company.usageLimits` periódicamente, de modo que Mongo refleja el consumo del mes en curso.
+ *
+ * Si Redis no está disponible, la opción `failOpen` de cada operación decide: permitir el envío sin medirlo
+ * (por defecto, con `metered: false` en el resultado) o rechazarlo con `UsageUnavailableError`.
+ */
+
+const USAGE_METRICS = Object.freeze({
+  MESSAGES_SENT: 'messages_sent',
+  API_CALLS: 'api_calls',
+});
+
+// Qué hacer cuando un envío supera la cuota: rechazarlo o dejarlo pasar marcado como excedido.
+const ENFORCEMENT_MODES = Object.freeze({
+  BLOCK: 'block',
+  FLAG: 'flag',
+});
+
+// -1 en maxMessagesPerMonth significa sin límite.
+const UNLIMITED = -1;
+// Los contadores se conservan en Redis algo más de un mes, para que el último volcado del mes anterior no se pierda.
+const USAGE_TTL_SECONDS = 45 * 24 * 60 * 60;
+// Vigencia del límite cacheado en Redis cuando se lee de Mongo.
+const LIMIT_CACHE_TTL_SECONDS = 5 * 60;
+const DEFAULT_PERSIST_INTERVAL_MS = 60 * 1000;
+
+// Campo de Company.usageLimits donde se persiste cada métrica.
+const PERSISTED_FIELDS = Object.freeze({
+  [USAGE_METRICS.MESSAGES_SENT]: 'usageLimits.messagesSent',
+  [USAGE_METRICS.API_CALLS]: 'usageLimits.apiCalls',
+});
+
+// KEYS[1]: hash de consumo, KEYS[2]: set de empresas pendientes de persistir.
+// ARGV: métrica, cantidad, límite (-1 sin límite), ttl (s), miembro del set, bloquear (1/0).
+// Devuelve { dentro del límite (1/0), consumo resultante }. Si bloquea y se supera el límite, no incrementa.
+const CONSUME_SCRIPT = `
+local amount = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local used = tonumber(redis.call('HGET', KEYS[1], ARGV[1]) or '0')
+local withinLimit = limit < 0 or used + amount <= limit
+if not withinLimit and ARGV[6] == '1' then
+  return { 0, used }
+end
+used = redis.call('HINCRBY', KEYS[1], ARGV[1], amount)
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+redis.call('SADD', KEYS[2], ARGV[5])
+return { withinLimit and 1 or 0, used }
+`;
+
+/**
+ * Error lanzado al superar la cuota mensual en modo `block`. `status` es el código HTTP sugerido.
+ */
+class QuotaExceededError extends Error {
+  constructor(quota) {
+    super(`La empresa alcanzó su límite de ${quota.limit} mensajes del periodo ${quota.period}.`);
+    this.name = 'QuotaExceededError';
+    this.code = 'QUOTA_EXCEEDED';
+    this.status = 429;
+    this.quota = quota;
+  }
+}
+
+/**
+ * Error lanzado cuando no se puede verificar la cuota (Redis no disponible o con errores) y `failOpen` es false.
+ */
+class UsageUnavailableError extends Error {
+  constructor(companyId, reason) {
+    super(`No se pudo verificar la cuota de la empresa ${companyId}: ${reason}`);
+    this.name = 'UsageUnavailableError';
+    this.code = 'USAGE_UNAVAILABLE';
+    this.status = 503;
+  }
+}
+
+const clientsWithCommand = new WeakSet();
+
+const getReadyClient = () => {
+  const client = redisService.client;
+  return client && client.status === 'ready' ? client : null;
+};
+
+/**
+ * Periodo de facturación (mes en UTC) de una fecha, en formato 'YYYY-MM'.
+ * @param {Date} [date=new Date()] - La fecha.
+ * @returns {string} El periodo.
+ */
+const getUsagePeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Indica si el consumo se puede medir en este momento (cliente Redis listo).
+ * @returns {boolean} true si Redis está listo.
+ */
+const isMeteringAvailable = () => getReadyClient() !== null;
+
+const buildUsageKey = (companyId, period) => `${redisKeyPrefix.USAGE}:${companyId}:${period}`;
+
+const runConsumeScript = async (client, companyId, period, { metric, amount, limit, block }) => {
+  if (!clientsWithCommand.has(client)) {
+    client.defineCommand('usageConsume', { numberOfKeys: 2, lua: CONSUME_SCRIPT });
+    clientsWithCommand.add(client);
+  }
+  const [withinLimit, used] = await client.usageConsume(
+    buildUsageKey(companyId, period), redisKeyPrefix.USAGE_DIRTY,
+    metric, amount, limit, USAGE_TTL_SECONDS, `${companyId}:${period}`, block ? 1 : 0,
+  );
+  return { withinLimit: withinLimit === 1, used };
+};
+
+const buildQuota = (period, limit, used) => ({
+  period,
+  limit,
+  used,
+  remaining: limit === UNLIMITED ? null : Math.max(0, limit - used),
+});
+
+/**
+ * Guarda en Redis el límite mensual de una empresa. Se llama desde los hooks de Company al guardarla.
+ * @async
+ * @param {object} company - La empresa (con `_id` y `usageLimits`).
+ */
+const cacheMonthlyLimit = async (company) => {
+  if (!company?._id || !company.usageLimits) return;
+  const limit = company.usageLimits.maxMessagesPerMonth ?? UNLIMITED;
+  await redisService.setData(`${redisKeyPrefix.USAGE_LIMIT}:${company._id}`, limit, ['EX', LIMIT_CACHE_TTL_SECONDS]);
+};
+
+/**
+ * Obtiene el límite mensual de mensajes de una empresa: primero de Redis y, si no está, de Mongo.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @returns {Promise<number>} El límite, o -1 si es ilimitado.
+ */
+const getMonthlyLimit = async (companyId) => {
+  const cached = await redisService.getData(`${redisKeyPrefix.USAGE_LIMIT}:${companyId}`);
+  if (cached !== null && cached !== '') return Number(cached);
+
+  // require diferido: los modelos dependen del paquete de middlewares, que a su vez usa los servicios.
+  const { Company } = require('../models');
+  const company = await Company.findById(companyId).select('usageLimits').lean();
+  if (!company) {
+    logger.warn(`[usage] No se encontró la empresa ${companyId}; se asume sin límite de mensajes.`);
+    return UNLIMITED;
+  }
+  await cacheMonthlyLimit(company);
+  return company.usageLimits?.maxMessagesPerMonth ?? UNLIMITED;
+};
+
+/**
+ * Suma consumo de una métrica al periodo actual de la empresa, sin verificar la cuota.
+ * Ejemplo: await usageService.recordUsage(companyId, USAGE_METRICS.API_CALLS);
+ *
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {string} metric - La métrica (USAGE_METRICS).
+ * @param {number} [amount=1] - La cantidad a sumar.
+ * @returns {Promise<number|null>} El consumo del periodo, o null si Redis no está disponible.
+ */
+const recordUsage = async (companyId, metric, amount = 1) => {
+  const client = getReadyClient();
+  if (!client) {
+    logger.error(`[usage] Cliente Redis no disponible; no se registró ${metric} de la empresa ${companyId}.`);
+    return null;
+  }
+  try {
+    const { used } = await runConsumeScript(client, companyId, getUsagePeriod(), { metric, amount, limit: UNLIMITED, block: false });
+    return used;
+  } catch (error) {
+    logger.error(`[usage] Error al registrar ${metric} de la empresa ${companyId} -> error:${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Consume cuota de mensajes del periodo actual de forma atómica.
+ * En modo `block` no suma nada si se supera el límite; en modo `flag` suma igual y lo informa en `exceeded`.
+ * Si no se puede verificar la cuota (Redis no disponible o con errores), con `failOpen` el envío se permite sin
+ * medirlo (`metered: false`, `used: null`) para no cortar el servicio; sin `failOpen` se lanza UsageUnavailableError.
+ *
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {object} [options={}] - Opciones.
+ * @param {number} [options.amount=1] - Mensajes a consumir.
+ * @param {string} [options.mode='block'] - ENFORCEMENT_MODES.
+ * @param {boolean} [options.failOpen=true] - Si se permite el envío cuando no se puede verificar la cuota.
+ * @returns {Promise<{ allowed: boolean, exceeded: boolean, metered: boolean, period: string, limit: number,
+ * used: number|null, remaining: number|null }>} El estado de la cuota después de consumir.
+ * @throws {UsageUnavailableError} Si no se puede verificar la cuota y `failOpen` es false.
+ */
+const consumeMessageQuota = async (companyId, { amount = 1, mode = ENFORCEMENT_MODES.BLOCK, failOpen = true } = {}) => {
+  const period = getUsagePeriod();
+  const unmetered = (reason) => {
+    if (!failOpen) {
+      logger.error(`[usage] Envío de la empresa ${companyId} rechazado: ${reason}.`);
+      throw new UsageUnavailableError(companyId, reason);
+    }
+    logger.error(`[usage] Envío de la empresa ${companyId} permitido sin verificar la cuota: ${reason}.`);
+    return { allowed: true, exceeded: false, metered: false, period, limit: UNLIMITED, used: null, remaining: null };
+  };
+
+  const client = getReadyClient();
+  if (!client) return unmetered('cliente Redis no disponible');
+  const block = mode === ENFORCEMENT_MODES.BLOCK;
+  let limit;
+  let result;
+  try {
+    limit = await getMonthlyLimit(companyId);
+    result = await runConsumeScript(client, companyId, period, { metric: USAGE_METRICS.MESSAGES_SENT, amount, limit, block });
+  } catch (error) {
+    return unmetered(`error al consumir la cuota -> error:${error.message}`);
+  }
+  const { withinLimit, used } = result;
+  if (!withinLimit) {
+    logger.warn(`[usage] La empresa ${companyId} superó su cuota de ${limit} mensajes en ${period} (modo ${mode}).`);
+  }
+  return { allowed: withinLimit || !block, exceeded: !withinLimit, metered: true, ...buildQuota(period, limit, used) };
+};
+
+/**
+ * Obtiene el consumo del periodo actual y la cuota restante de una empresa.
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @returns {Promise<{ period: string, limit: number, used: number, remaining: number|null, usage: object }>}
+ * `remaining` es null si la empresa no tiene límite. `usage` tiene el consumo de cada métrica.
+ */
+const getQuota = async (companyId) => {
+  const period = getUsagePeriod();
+  const limit = await getMonthlyLimit(companyId);
+  const client = getReadyClient();
+  const stored = client ? await client.hgetall(buildUsageKey(companyId, period)) : {};
+  const usage = Object.fromEntries(Object.values(USAGE_METRICS).map(metric => [metric, Number(stored[metric] || 0)]));
+  return { ...buildQuota(period, limit, usage[USAGE_METRICS.MESSAGES_SENT]), usage };
+};
+
+/**
+ * Publica un mensaje saliente en el stream `outgoing_meta_messages` descontándolo de la cuota de la empresa.
+ * Si la publicación falla, el consumo se devuelve.
+ * Ejemplo: const { messageId } = await usageService.publishOutgoingMessage(companyId, payload);
+ *
+ * @async
+ * @param {string} companyId - El ID de la empresa.
+ * @param {object} payload - El mensaje a publicar. En modo `flag`, si se superó la cuota se agrega `quotaExceeded: true`.
+ * @param {object} [options={}] - Las opciones de `consumeMessageQuota`.
+ * @returns {Promise<{ messageId: string|null, quota: object }>} El ID del mensaje en el stream y el estado de la cuota.
+ * @throws {QuotaExceededError} Si se superó la cuota en modo `block`.
+ * @throws {UsageUnavailableError} Si no se puede verificar la cuota y `options.failOpen` es false.
+ */
+const publishOutgoingMessage = async (companyId, payload, options = {}) => {
+  const { amount = 1 } = options;
+  const quota = await consumeMessageQuota(companyId, options);
+  if (!quota.allowed) throw new QuotaExceededError(quota);
+
+  const message = quota.exceeded ? { ...payload, quotaExceeded: true } : payload;
+  const messageId = await redisService.publishToStream(messagesRedisStream.OUTGOING_STREAM_KEY, message);
+  if (!messageId && quota.metered) {
+    await recordUsage(companyId, USAGE_METRICS.MESSAGES_SENT, -amount);
+  }
+  return { messageId, quota };
+};
+
+/**
+ * Vuelca a Mongo (`Company.usageLimits`) los contadores de las empresas con cambios desde el último volcado.
+ * Solo escribe si el periodo guardado no es posterior, para que el volcado tardío de un mes no pise el siguiente.
+ * Las escrituras van directo al driver, sin hooks de auditoría: el consumo no es un cambio de configuración.
+ *
+ * @async
+ * @returns {Promise<{ persisted: number, failed: number }>} Cantidad de empresas/periodos volcados y fallidos.
+ */
+const persistUsage = async () => {
+  const stats = { persisted: 0, failed: 0 };
+  const client = getReadyClient();
+  if (!client) {
+    logger.error('[usage] Cliente Redis no disponible para persistir el consumo.');
+    return stats;
+  }
+  const members = await client.smembers(redisKeyPrefix.USAGE_DIRTY);
+  if (members.length === 0) return stats;
+  // Se quitan antes de leer: un incremento posterior vuelve a anotar la empresa para el próximo volcado.
+  await client.srem(redisKeyPrefix.USAGE_DIRTY, ...members);
+
+  const { Company } = require('../models');
+  for (const member of members) {
+    const [companyId, period] = member.split(':');
+    try {
+      const stored = await client.hgetall(buildUsageKey(companyId, period));
+      const $set = { 'usageLimits.usagePeriod': period };
+      for (const [metric, field] of Object.entries(PERSISTED_FIELDS)) {
+        $set[field] = Number(stored[metric] || 0);
+      }
+      const _id = Company.castObject({ _id: companyId })._id;
+      await Company.collection.updateOne(
+        { _id, $or: [{ 'usageLimits.usagePeriod': { $lte: period } }, { 'usageLimits.usagePeriod': null }] },
+        { $set },
+      );
+      stats.persisted++;
+    } catch (error) {
+      stats.failed++;
+      await client.sadd(redisKeyPrefix.USAGE_DIRTY, member);
+      logger.error(`[usage] Error al persistir el consumo de la empresa ${companyId} (${period}) -> error:${error.message}`);
+    }
+  }
+  logger.verbose(`[usage] Consumo persistido: ${JSON.stringify(stats)}`);
+  return stats;
+};
+
+/**
+ * Ejecuta `persistUsage` cada `intervalMs`. El timer no impide que el proceso termine.
+ * Ejemplo: const stop = usageService.startUsagePersistence(); ... await stop();
+ *
+ * @param {object} [options={}] - Opciones.
+ * @param {number} [options.intervalMs=60000] - Intervalo entre volcados.
+ * @returns {Function} Función async que detiene el volcado periódico y hace un último volcado.
+ */
+const startUsagePersistence = ({ intervalMs = DEFAULT_PERSIST_INTERVAL_MS } = {}) => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await persistUsage();
+    } catch (error) {
+      logger.error(`[usage] Error en el volcado periódico del consumo -> error:${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return async () => {
+    clearInterval(timer);
+    await run();
+  };
+};
+
+module.exports = {
+  ENFORCEMENT_MODES,
+  QuotaExceededError,
+  USAGE_METRICS,
+  UsageUnavailableError,
+  cacheMonthlyLimit,
+  consumeMessageQuota,
+  getMonthlyLimit,
+  getQuota,
+  getUsagePeriod,
+  isMeteringAvailable,
+  persistUsage,
+  publishOutgoingMessage,
+  recordUsage,
+  startUsagePersistence,
+};
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const bcrypt = require('bcrypt');
+const logger = require('../../lib/logger');
+const { hash } = require('../../lib/crypt');
+
+/**
+ * @module userAuthService
+ * @description Política de inicio de sesión compartida por todas las APIs: verificación de credenciales con bcrypt,
+ * conteo de intentos fallidos, bloqueo temporal de la cuenta con ventanas exponenciales y actualización de `last_login`.
+ * También gestiona los tokens de verificación de email y de recuperación de contraseña: se entregan una sola vez
+ * en texto plano y en la base de datos solo se guarda su hash (`crypt.hash`).
+ * Cada intento emite un evento en `authEvents` para que el servicio que lo use pueda auditarlo.
+ */
+
+// Intentos fallidos consecutivos permitidos antes de bloquear la cuenta.
+const MAX_FAILED_ATTEMPTS = 5;
+// Duración del primer bloqueo. Cada intento fallido adicional duplica la ventana, hasta MAX_LOCK_MS.
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Hash usado cuando el usuario no existe, para que la respuesta tarde lo mismo y no revele qué emails están registrados.
+const DUMMY_PASSWORD_HASH = '$2b$10$CwTycUXWue0Thq9StjUM0uJ8.jFzZ5Gq8Y1w5c5rOqyJ6o3x7V3kS';
+
+// Bytes aleatorios de los tokens de un solo uso y su vigencia por defecto.
+const TOKEN_BYTES = 32;
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const AUTH_EVENTS = Object.freeze({
+  LOGIN_SUCCEEDED: 'login.succeeded',
+  LOGIN_FAILED: 'login.failed',
+  ACCOUNT_LOCKED: 'account.locked',
+  LOGIN_REJECTED_LOCKED: 'login.rejected_locked',
+  EMAIL_VERIFICATION_ISSUED: 'email_verification.issued',
+  EMAIL_VERIFIED: 'email.verified',
+  PASSWORD_RESET_ISSUED: 'password_reset.issued',
+  PASSWORD_RESET: 'password.reset',
+});
+
+/**
+ * Emisor de eventos de auditoría de autenticación. Cada evento recibe
+ * `{ userId, email, companyId, attempts?, lockUntil?, reason?, at }`.
+ * Ejemplo: authEvents.on(AUTH_EVENTS.ACCOUNT_LOCKED, (event) => notifySecurity(event));
+ */
+const authEvents = new EventEmitter();
+
+/**
+ * Error de autenticación. `code` identifica la causa ('INVALID_CREDENTIALS', 'ACCOUNT_LOCKED')
+ * y `status` el código HTTP sugerido.
+ */
+class AuthError extends Error {
+  constructor(code, message, status = 401, details = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+    Object.assign(this, details);
+  }
+}
+
+const emitAuthEvent = (event, payload) => {
+  try {
+    authEvents.emit(event, { ...payload, at: new Date() });
+  } catch (error) {
+    // Un listener con errores no debe afectar el inicio de sesión.
+    logger.error(`[userAuthService] Error en un listener de '${event}' -> error:${error.message}`);
+  }
+};
+
+/**
+ * Calcula la ventana de bloqueo para la cantidad de intentos fallidos consecutivos.
+ * @param {number} attempts - Intentos fallidos consecutivos.
+ * @returns {number} Milisegundos de bloqueo (0 si aún no se alcanza MAX_FAILED_ATTEMPTS).
+ */
+const getLockDuration = (attempts) => {
+  if (attempts < MAX_FAILED_ATTEMPTS) return 0;
+  return Math.min(BASE_LOCK_MS * 2 ** (attempts - MAX_FAILED_ATTEMPTS), MAX_LOCK_MS);
+};
+
+const eventPayload = (user, email) => ({
+  userId: user?._id?.toString() ?? null,
+  email,
+  companyId: user?.company?.toString() ?? null,
+});
+
+/**
+ * Registra un intento fallido. El contador se incrementa de forma atómica para que los intentos
+ * concurrentes no se pierdan; si se alcanza el umbral, se fija `lock_until`.
+ */
+const registerFailedAttempt = async (User, user, email) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'security.failed_login_attempts': 1 } },
+    { new: true, projection: { security: 1, company: 1 } }
+  ).lean();
+  const attempts = updated?.security?.failed_login_attempts ?? 1;
+  const lockMs = getLockDuration(attempts);
+
+  if (lockMs > 0) {
+    const lockUntil = new Date(Date.now() + lockMs);
+    await User.updateOne({ _id: user._id }, { $set: { 'security.lock_until': lockUntil } });
+    logger.warn(`[userAuthService] Cuenta ${email} bloqueada hasta ${lockUntil.toISOString()} tras ${attempts} intentos fallidos`);
+    emitAuthEvent(AUTH_EVENTS.ACCOUNT_LOCKED, { ...eventPayload(user, email), attempts, lockUntil });
+  }
+  emitAuthEvent(AUTH_EVENTS.LOGIN_FAILED, { ...eventPayload(user, email), attempts, reason: 'INVALID_PASSWORD' });
+};
+
+/**
+ * Verifica el email y la contraseña de un usuario aplicando la política de bloqueo.
+ *
+ * - Si la cuenta está bloqueada (`security.lock_until` en el futuro) rechaza el intento sin comparar la contraseña.
+ * - Si la contraseña es incorrecta incrementa `security.failed_login_attempts`; desde MAX_FAILED_ATTEMPTS
+ *   bloquea la cuenta por BASE_LOCK_MS, duplicando la ventana en cada fallo siguiente (máximo MAX_LOCK_MS).
+ * - Si es correcta reinicia el contador y el bloqueo y actualiza `last_login`.
+ *
+ * @async
+ * @param {string} email - El email del usuario.
+ * @param {string} password - La contraseña en texto plano.
+ * @returns {Promise<object>} El usuario autenticado (objeto plano, sin `password`).
+ * @throws {AuthError} 'INVALID_CREDENTIALS' (401) si el usuario no existe, está inactivo o la contraseña no coincide;
+ * 'ACCOUNT_LOCKED' (423, con `lockUntil`) si la cuenta está bloqueada.
+ */
+const verifyCredentials = async (email, password) => {
+  // require diferido: los modelos dependen del paquete de middlewares, que a su vez usa los servicios.
+  const { User } = require('../models');
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+
+  const user = normalizedEmail && password
+    ? await User.findByEmail(normalizedEmail)?.where({ active: { $ne: false } }).select('+password').lean()
+    : null;
+
+  if (!user || user.provider !== 'local' || !user.password) {
+    await bcrypt.compare(String(password || ''), DUMMY_PASSWORD_HASH);
+    logger.warn(`[userAuthService] Intento de inicio de sesión para un usuario inexistente o sin contraseña local: ${normalizedEmail}`);
+    emitAuthEvent(AUTH_EVENTS.LOGIN_FAILED, { ...eventPayload(user, normalizedEmail), reason: 'UNKNOWN_USER' });
+    throw new AuthError('INVALID_CREDENTIALS', 'Credenciales inválidas');
+  }
+
+  const lockUntil = user.security?.lock_until;
+  if (lockUntil && lockUntil > new Date()) {
+    logger.warn(`[userAuthService] Intento de inicio de sesión en cuenta bloqueada: ${normalizedEmail}`);
+    emitAuthEvent(AUTH_EVENTS.LOGIN_REJECTED_LOCKED, { ...eventPayload(user, normalizedEmail), lockUntil });
+    throw new AuthError('ACCOUNT_LOCKED', 'La cuenta está bloqueada temporalmente', 423, { lockUntil });
+  }
+
+  const matches = await bcrypt.compare(String(password), user.password);
+  if (!matches) {
+    await registerFailedAttempt(User, user, normalizedEmail);
+    throw new AuthError('INVALID_CREDENTIALS', 'Credenciales inválidas');
+  }
+
+  const lastLogin = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'security.failed_login_attempts': 0, 'security.lock_until': null, last_login: lastLogin } }
+  );
+  logger.info(`[userAuthService] Inicio de sesión exitoso: ${normalizedEmail}`);
+  emitAuthEvent(AUTH_EVENTS.LOGIN_SUCCEEDED, eventPayload(user, normalizedEmail));
+
+  const { password: _password, ...authenticated } = user;
+  return {
+    ...authenticated,
+    last_login: lastLogin,
+    security: { ...authenticated.security, failed_login_attempts: 0, lock_until: null },
+  };
+};
+
+const generateToken = () => crypto.randomBytes(TOKEN_BYTES).toString('hex');
+
+const invalidTokenError = () => new AuthError('INVALID_TOKEN', 'El token es inválido o ha expirado', 400);
+
+/**
+ * Genera un token de verificación de email para el usuario. Reemplaza cualquier token de verificación anterior.
+ * @async
+ * @param {string} userId - El ID del usuario.
+ * @param {object} [options={}] - Opciones.
+ * @param {number} [options.ttlMs=EMAIL_VERIFICATION_TTL_MS] - Vigencia del token en milisegundos.
+ * @returns {Promise<{ token: string, expiresAt: Date }>} El token en texto plano (para enviarlo al usuario) y su vencimiento.
+ * @throws {AuthError} 'USER_NOT_FOUND' (404) si el usuario no existe o está inactivo.
+ */
+const issueEmailVerificationToken = async (userId, { ttlMs = EMAIL_VERIFICATION_TTL_MS } = {}) => {
+  const { User } = require('../models');
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, active: { $ne: false } },
+    { $set: { verification_token: hash(token), verification_expires: expiresAt } },
+    { projection: { email: 1, company: 1 } }
+  ).lean();
+  if (!user) {
+    throw new AuthError('USER_NOT_FOUND', 'Usuario no encontrado', 404);
+  }
+
+  logger.verbose(`[userAuthService] Token de verificación de email emitido para ${user.email}`);
+  emitAuthEvent(AUTH_EVENTS.EMAIL_VERIFICATION_ISSUED, { ...eventPayload(user, user.email), expiresAt });
+  return { token, expiresAt };
+};
+
+/**
+ * Verifica el email del usuario dueño del token y lo invalida. El token se consume de forma atómica,
+ * por lo que dos peticiones concurrentes con el mismo token no pueden usarlo ambas.
+ * @async
+ * @param {string} token - El token recibido por el usuario.
+ * @returns {Promise<object>} El usuario con `email_verified: true`.
+ * @throws {AuthError} 'INVALID_TOKEN' (400) si el token no existe, ya se usó o expiró.
+ */
+const verifyEmail = async (token) => {
+  const { User } = require('../models');
+  if (!token) throw invalidTokenError();
+
+  const user = await User.findOneAndUpdate(
+    { verification_token: hash(token), verification_expires: { $gt: new Date() }, active: { $ne: false } },
+    { $set: { email_verified: true }, $unset: { verification_token: 1, verification_expires: 1 } },
+    { new: true }
+  ).lean();
+  if (!user) {
+    logger.warn('[userAuthService] Intento de verificación de email con un token inválido o expirado');
+    throw invalidTokenError();
+  }
+
+  logger.info(`[userAuthService] Email verificado: ${user.email}`);
+  emitAuthEvent(AUTH_EVENTS.EMAIL_VERIFIED, eventPayload(user, user.email));
+  return user;
+};
+
+/**
+ * Genera un token de recuperación de contraseña. Si el email no corresponde a un usuario local activo devuelve null,
+ * sin lanzar error, para que la respuesta al cliente no revele qué emails están registrados.
+ * @async
+ * @param {string} email - El email del usuario.
+ * @param {object} [options={}] - Opciones.
+ * @param {number} [options.ttlMs=PASSWORD_RESET_TTL_MS] - Vigencia del token en milisegundos.
+ * @returns {Promise<{ token: string, expiresAt: Date, user: object }|null>} El token en texto plano, su vencimiento
+ * y el usuario (para enviarle el email), o null si no hay usuario.
+ */
+const issuePasswordResetToken = async (email, { ttlMs = PASSWORD_RESET_TTL_MS } = {}) => {
+  const { User } = require('../models');
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  const emailFilter = User.emailFilter(normalizedEmail);
+  if (!emailFilter) return null;
+
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + ttlMs);
+  const user = await User.findOneAndUpdate(
+    { ...emailFilter, provider: 'local', active: { $ne: false } },
+    { $set: { reset_password_token: hash(token), reset_password_expires: expiresAt } },
+    { new: true }
+  ).lean();
+  if (!user) {
+    logger.warn(`[userAuthService] Recuperación de contraseña solicitada para un email no registrado: ${normalizedEmail}`);
+    return null;
+  }
+
+  const { reset_password_token: _token, ...publicUser } = user;
+  logger.verbose(`[userAuthService] Token de recuperación de contraseña emitido para ${normalizedEmail}`);
+  emitAuthEvent(AUTH_EVENTS.PASSWORD_RESET_ISSUED, { ...eventPayload(user, normalizedEmail), expiresAt });
+  return { token, expiresAt, user: publicUser };
+};
+
+/**
+ * Cambia la contraseña del usuario dueño del token de recuperación.
+ * El token se consume de forma atómica y, junto con él, se invalidan todos los tokens pendientes del usuario
+ * (recuperación y verificación de email). También se reinicia el bloqueo por intentos fallidos.
+ * La nueva contraseña se hashea en el pre-save del modelo User.
+ * @async
+ * @param {string} token - El token recibido por el usuario.
+ * @param {string} newPassword - La nueva contraseña en texto plano.
+ * @returns {Promise<object>} El usuario actualizado (objeto plano, sin `password`).
+ * @throws {AuthError} 'INVALID_PASSWORD' (400) si no se envía la contraseña; 'INVALID_TOKEN' (400) si el token
+ * no existe, ya se usó o expiró.
+ */
+const resetPassword = async (token, newPassword) => {
+  const { User } = require('../models');
+  if (typeof newPassword !== 'string' || newPassword.length === 0) {
+    throw new AuthError('INVALID_PASSWORD', 'La nueva contraseña es obligatoria', 400);
+  }
+  if (!token) throw invalidTokenError();
+
+  const claimed = await User.findOneAndUpdate(
+    { reset_password_token: hash(token), reset_password_expires: { $gt: new Date() }, active: { $ne: false } },
+    { $unset: { reset_password_token: 1, reset_password_expires: 1, verification_token: 1, verification_expires: 1 } },
+    { projection: { _id: 1 } }
+  ).lean();
+  if (!claimed) {
+    logger.warn('[userAuthService] Intento de recuperación de contraseña con un token inválido o expirado');
+    throw invalidTokenError();
+  }
+
+  const user = await User.findById(claimed._id);
+  user.password = newPassword;
+  user.security.failed_login_attempts = 0;
+  user.security.lock_until = null;
+  await user.save();
+
+  logger.info(`[userAuthService] Contraseña restablecida para ${user.email}`);
+  emitAuthEvent(AUTH_EVENTS.PASSWORD_RESET, eventPayload(user, user.email));
+
+  const { password: _password, ...updated } = user.toObject();
+  return updated;
+};
+
+module.exports = {
+  AUTH_EVENTS,
+  AuthError,
+  authEvents,
+  getLockDuration,
+  issueEmailVerificationToken,
+  issuePasswordResetToken,
+  resetPassword,
+  verifyCredentials,
+  verifyEmail,
+};
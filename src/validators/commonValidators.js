@@ -1,3 +1,4 @@
+const { body } = require('express-validator');
 const { fieldsValidator, validateMongoId } = require('./fieldsValidator');
 
 const buildSaveValidator = (customValidators = []) => [
@@ -21,9 +22,31 @@ const buildDeleteValidator = () => [
     fieldsValidator
 ];
 
+const buildBulkSaveValidator = (customValidators = []) => [
+    body().isArray({ min: 1 }).withMessage('El cuerpo debe ser un array con al menos un elemento'),
+    ...customValidators,
+    fieldsValidator
+];
+
+const buildBulkUpdateValidator = (customValidators = []) => [
+    body().isArray({ min: 1 }).withMessage('El cuerpo debe ser un array con al menos un elemento'),
+    body('*._id').isMongoId().withMessage(`El campo '_id' de cada elemento debe ser un ObjectId válido`),
+    ...customValidators,
+    fieldsValidator
+];
+
+const buildBulkDeleteValidator = () => [
+    body('ids').isArray({ min: 1 }).withMessage(`El campo 'ids' debe ser un array con al menos un elemento`),
+    body('ids.*').isMongoId().withMessage(`Los elementos de 'ids' deben ser ObjectId válidos`),
+    fieldsValidator
+];
+
 module.exports = {
     buildSaveValidator,
     buildGetValidator,
     buildUpdateValidator,
-    buildDeleteValidator
+    buildDeleteValidator,
+    buildBulkSaveValidator,
+    buildBulkUpdateValidator,
+    buildBulkDeleteValidator
 };
\ No newline at end of file
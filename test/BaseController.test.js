@@ -0,0 +1,709 @@
+const mongoose = require('mongoose');
+const BaseController = require('../src/controllers/BaseController');
+const modelAuditPlugin = require('../src/middlewares/modelAuditPlugin');
+const AuditLog = require('../src/models/AuditLog');
+const { rol } = require('../lib/constants');
+
+const { Schema, Types, mongo } = mongoose;
+
+const ItemSchema = new Schema({
+    name: String,
+    amount: Number,
+    status: String,
+    created_at: Date,
+    company: Schema.Types.ObjectId,
+    active: { type: Boolean, default: true },
+});
+const Item = mongoose.model('BaseControllerTestItem', ItemSchema);
+
+// Modelo con los campos de auditoría, para las operaciones que guardan documentos.
+const AuditedItemSchema = new Schema({
+    name: String,
+    amount: Number,
+    company: Schema.Types.ObjectId,
+});
+AuditedItemSchema.plugin(modelAuditPlugin);
+const AuditedItem = mongoose.model('BaseControllerTestAuditedItem', AuditedItemSchema);
+
+const companyId = new Types.ObjectId();
+
+const mockRequest = ({ query = {}, params = {}, body, headers = {}, token = {} } = {}) => ({
+    query,
+    params,
+    body,
+    token: { companyId, username: 'ana', roles: [], ...token },
+    header: (name) => headers[name.toLowerCase()],
+});
+
+const mockResponse = () => {
+    const res = { headers: {} };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.end = jest.fn(() => res);
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    return res;
+};
+
+// Query encadenable de Mongoose que devuelve `docs` al ejecutarse.
+const mockQuery = (docs) => {
+    const query = {};
+    for (const method of ['select', 'sort', 'skip', 'limit']) {
+        query[method] = jest.fn(() => query);
+    }
+    query.exec = jest.fn(async () => docs);
+    return query;
+};
+
+// Reemplaza un método de la colección del driver de un modelo y devuelve el mock para revisar las llamadas.
+const mockCollection = (model, method, implementation) => {
+    const mock = jest.fn(implementation);
+    model.collection[method] = mock;
+    return mock;
+};
+
+const storedAuditedItem = (overrides = {}) => ({
+    _id: new Types.ObjectId(),
+    name: 'uno',
+    amount: 1,
+    company: companyId,
+    active: true,
+    created_by: 'ana',
+    modified_by: 'ana',
+    modified_at: new Date('2024-01-01T00:00:00Z'),
+    __v: 3,
+    ...overrides,
+});
+
+const encodeCursor = (values) => Buffer.from(mongo.BSON.EJSON.stringify(values)).toString('base64url');
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('BaseController: paginación con cursor', () => {
+    const controller = new BaseController(Item);
+    const sortFields = [['created_at', -1], ['_id', -1]];
+
+    test('el cursor generado con _encodeCursor selecciona los documentos posteriores con $eq/$lt', () => {
+        const doc = new Item({ created_at: new Date('2024-05-01T00:00:00Z') });
+        const filter = controller._buildCursorFilter(controller._encodeCursor(doc, sortFields), sortFields);
+
+        expect(filter).toEqual({
+            $or: [
+                { created_at: { $lt: new Date('2024-05-01T00:00:00Z') } },
+                { created_at: { $eq: new Date('2024-05-01T00:00:00Z') }, _id: { $lt: doc._id } },
+            ],
+        });
+    });
+
+    test.each([
+        ['un operador', [{ $ne: null }, { $oid: new Types.ObjectId().toString() }]],
+        ['un operador en el desempate', ['2024-01-01', { $gt: '' }]],
+        ['una expresión regular', [{ $regularExpression: { pattern: '.*', options: '' } }, null]],
+        ['un array', [['a'], null]],
+    ])('rechaza con 400 un cursor con %s', (_, values) => {
+        let error;
+        try {
+            controller._buildCursorFilter(encodeCursor(values), sortFields);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.status).toBe(400);
+    });
+
+    test('rechaza un cursor que no corresponde al ordenamiento', () => {
+        expect(() => controller._buildCursorFilter(encodeCursor([1]), sortFields)).toThrow('no corresponde al ordenamiento');
+        expect(() => controller._buildCursorFilter('no-es-ejson', sortFields)).toThrow("El cursor 'after' es inválido");
+    });
+
+    test('get responde el sobre paginado y el cursor de la página siguiente', async () => {
+        const docs = [1, 2, 3].map(amount => new Item({ amount, company: companyId }));
+        const query = mockQuery(docs);
+        const find = jest.spyOn(Item, 'find').mockReturnValue(query);
+        jest.spyOn(Item, 'countDocuments').mockResolvedValue(10);
+        const res = mockResponse();
+
+        await controller.get(mockRequest({ query: { limit: '2', sort: 'amount', status: 'sent' } }), res);
+
+        expect(find).toHaveBeenCalledWith({ status: 'sent', company: companyId, active: { $ne: false } });
+        expect(query.sort).toHaveBeenCalledWith({ amount: 1, _id: 1 });
+        expect(query.limit).toHaveBeenCalledWith(3);
+        const body = res.json.mock.calls[0][0];
+        expect(body).toMatchObject({ total: 10, page: 1, limit: 2, hasMore: true });
+        expect(body.data).toHaveLength(2);
+
+        // La página siguiente filtra a partir del último documento devuelto.
+        find.mockClear();
+        await controller.get(mockRequest({ query: { limit: '2', sort: 'amount', after: body.nextCursor } }), mockResponse());
+        const [{ $and: [, cursorFilter] }] = find.mock.calls[0];
+        expect(cursorFilter.$or[1]).toEqual({ amount: { $eq: 2 }, _id: { $gt: docs[1]._id } });
+    });
+
+    test('get responde 400 a un cursor manipulado sin consultar la base de datos', async () => {
+        const find = jest.spyOn(Item, 'find');
+        const res = mockResponse();
+
+        await controller.get(mockRequest({ query: { sort: 'name', after: encodeCursor([{ $regex: '.*' }, null]) } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('BaseController: control de concurrencia optimista', () => {
+    const controller = new BaseController(AuditedItem);
+
+    test('modelAuditPlugin solo activa optimisticConcurrency en todos los saves si se pide', () => {
+        expect(AuditedItemSchema.get('optimisticConcurrency')).toBeFalsy();
+        const schema = new Schema({ name: String });
+        schema.plugin(modelAuditPlugin, { optimisticConcurrency: true });
+        expect(schema.get('optimisticConcurrency')).toBe(true);
+    });
+
+    test('update guarda con la versión leída en el filtro y responde el nuevo ETag y __v', async () => {
+        const stored = storedAuditedItem();
+        mockCollection(AuditedItem, 'findOne', async () => stored);
+        const updateOne = mockCollection(AuditedItem, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+        const etag = controller._etag(AuditedItem.hydrate(stored));
+        const res = mockResponse();
+
+        await controller.update(mockRequest({ params: { id: stored._id }, body: { name: 'dos' }, headers: { 'if-match': etag } }), res);
+
+        const [filter, update] = updateOne.mock.calls[0];
+        expect(filter).toEqual({ _id: stored._id, __v: 3 });
+        expect(update.$inc).toEqual({ __v: 1 });
+        expect(res.json).toHaveBeenCalledWith({ status: 'updated', updated: stored._id, __v: 4 });
+        expect(res.headers.ETag).toBeDefined();
+        expect(res.headers.ETag).not.toBe(etag);
+    });
+
+    test('update responde 409 con el documento actual si el If-Match no coincide', async () => {
+        const stored = storedAuditedItem();
+        mockCollection(AuditedItem, 'findOne', async () => stored);
+        const updateOne = mockCollection(AuditedItem, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+        const res = mockResponse();
+
+        await controller.update(mockRequest({ params: { id: stored._id }, body: { name: 'dos' }, headers: { 'if-match': '"viejo"' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0].current._id).toEqual(stored._id);
+        expect(res.headers.ETag).toBe(controller._etag(AuditedItem.hydrate(stored)));
+        expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('update responde 409 si el __v enviado no es el actual', async () => {
+        mockCollection(AuditedItem, 'findOne', async () => storedAuditedItem());
+        const res = mockResponse();
+
+        await controller.update(mockRequest({ params: { id: new Types.ObjectId() }, body: { name: 'dos', __v: 2 } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('update responde 409 si otro request guardó el documento entre la lectura y el save', async () => {
+        mockCollection(AuditedItem, 'findOne', async () => storedAuditedItem());
+        mockCollection(AuditedItem, 'updateOne', async () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+        const res = mockResponse();
+
+        await controller.update(mockRequest({ params: { id: new Types.ObjectId() }, body: { name: 'dos' } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('update responde 428 si se exige If-Match y no se envía', async () => {
+        const strict = new BaseController(AuditedItem, { requireIfMatch: true });
+        const res = mockResponse();
+        await strict.update(mockRequest({ params: { id: new Types.ObjectId() }, body: { name: 'dos' } }), res);
+        expect(res.status).toHaveBeenCalledWith(428);
+    });
+
+    test('get de un solo elemento envía el ETag y responde 304 si If-None-Match coincide', async () => {
+        const stored = AuditedItem.hydrate(storedAuditedItem());
+        jest.spyOn(AuditedItem, 'find').mockImplementation(() => mockQuery([stored]));
+        const etag = controller._etag(stored);
+
+        const res = mockResponse();
+        await controller.get(mockRequest({ query: { _id: String(stored._id) } }), res);
+        expect(res.headers.ETag).toBe(etag);
+        expect(res.json).toHaveBeenCalledWith(stored);
+
+        const notModified = mockResponse();
+        await controller.get(mockRequest({ query: { _id: String(stored._id) }, headers: { 'if-none-match': etag } }), notModified);
+        expect(notModified.status).toHaveBeenCalledWith(304);
+    });
+});
+
+describe('BaseController: campos protegidos en insert/update (_sanitizeBody)', () => {
+    const ProtectedItemSchema = new Schema({
+        name: String,
+        company: Schema.Types.ObjectId,
+        roles: { type: [String], writableBy: ['admin'] },
+        usageLimits: {
+            maxMessagesPerMonth: { type: Number, writableBy: ['system'] },
+            note: String,
+        },
+        security: {
+            lock_until: { type: Date, writableBy: [] },
+            theme: String,
+        },
+        profile: { nickname: String },
+        internal_code: String,
+    });
+    ProtectedItemSchema.plugin(modelAuditPlugin);
+    const ProtectedItem = mongoose.model('BaseControllerTestProtectedItem', ProtectedItemSchema);
+
+    const strip = new BaseController(ProtectedItem, { readonlyFields: ['internal_code'] });
+    const reject = new BaseController(ProtectedItem, { readonlyFields: ['internal_code'], protectedFieldsMode: 'reject' });
+    const sanitize = (controller, body, roles = []) => controller._sanitizeBody(mockRequest({ token: { roles } }), body);
+
+    test('descarta los campos de sistema, de solo lectura y la company del token', () => {
+        const body = {
+            name: 'uno',
+            _id: new Types.ObjectId(),
+            created_by: 'otro',
+            active: false,
+            internal_code: 'X',
+            company: new Types.ObjectId(),
+        };
+        expect(sanitize(strip, body, ['admin', 'system'])).toEqual({ name: 'uno' });
+    });
+
+    test('writableBy permite el campo solo a los roles indicados', () => {
+        expect(sanitize(strip, { roles: ['admin'] }, ['user'])).toEqual({});
+        expect(sanitize(strip, { roles: ['admin'] }, ['admin'])).toEqual({ roles: ['admin'] });
+        expect(sanitize(strip, { usageLimits: { maxMessagesPerMonth: 10 } }, ['admin'])).toEqual({});
+        expect(sanitize(strip, { usageLimits: { maxMessagesPerMonth: 10 } }, ['system'])).toEqual({ usageLimits: { maxMessagesPerMonth: 10 } });
+    });
+
+    test('options.protectedFields se suma a los declarados en el esquema', () => {
+        const controller = new BaseController(ProtectedItem, { protectedFields: { name: ['admin'] } });
+        expect(sanitize(controller, { name: 'uno', roles: ['x'] }, ['user'])).toEqual({});
+        expect(sanitize(controller, { name: 'uno' }, ['admin'])).toEqual({ name: 'uno' });
+    });
+
+    test('descarta las claves que empiezan con $ y las claves con punto, en cualquier nivel', () => {
+        const body = {
+            name: 'uno',
+            $set: { roles: ['admin'] },
+            'security.lock_until': null,
+            'usageLimits.maxMessagesPerMonth': 999,
+            profile: { nickname: 'u', $where: 'true', 'a.b': 1 },
+        };
+        expect(sanitize(strip, body, ['admin', 'system'])).toEqual({ name: 'uno', profile: { nickname: 'u' } });
+    });
+
+    test('revisa los subcampos de un objeto que contiene campos protegidos y conserva los permitidos', () => {
+        const body = { usageLimits: { maxMessagesPerMonth: 10, note: 'ok' }, security: { lock_until: null, theme: 'dark' } };
+        expect(sanitize(strip, body, ['admin'])).toEqual({ usageLimits: { note: 'ok' }, security: { theme: 'dark' } });
+    });
+
+    test('no acepta null, un valor simple ni un objeto vacío en lugar de un objeto con campos protegidos', () => {
+        expect(sanitize(strip, { security: null }, ['admin'])).toEqual({});
+        expect(sanitize(strip, { security: 'x' }, ['admin'])).toEqual({});
+        expect(sanitize(strip, { usageLimits: {} }, ['admin'])).toEqual({});
+        // Si se descartan todos los subcampos no se envía el objeto vacío.
+        expect(sanitize(strip, { security: { lock_until: null } }, ['admin'])).toEqual({});
+        // Un objeto sin campos protegidos se acepta tal cual, también vacío o null.
+        expect(sanitize(strip, { profile: null }, [])).toEqual({ profile: null });
+    });
+
+    test('writableFields limita los campos de primer nivel', () => {
+        const controller = new BaseController(ProtectedItem, { writableFields: ['name'] });
+        expect(sanitize(controller, { name: 'uno', profile: { nickname: 'u' } })).toEqual({ name: 'uno' });
+    });
+
+    test('conserva __v para el control de concurrencia y no modifica el cuerpo original', () => {
+        const body = { name: 'uno', __v: 2, roles: ['admin'] };
+        expect(sanitize(strip, body)).toEqual({ name: 'uno', __v: 2 });
+        expect(body.roles).toEqual(['admin']);
+    });
+
+    test('en modo reject lanza un 403 con todos los campos no permitidos', () => {
+        let error;
+        try {
+            sanitize(reject, { name: 'uno', roles: ['admin'], security: { lock_until: null }, $inc: { x: 1 } }, ['user']);
+        } catch (err) {
+            error = err;
+        }
+        expect(error.status).toBe(403);
+        expect(error.message).toMatch(/roles, security\.lock_until, \$inc/);
+        expect(sanitize(reject, { name: 'uno', security: { theme: 'dark' } }, ['user'])).toEqual({ name: 'uno', security: { theme: 'dark' } });
+    });
+
+    test('insert guarda el documento sin los campos descartados y con la company del token', async () => {
+        const insertOne = mockCollection(ProtectedItem, 'insertOne', async () => ({ acknowledged: true }));
+        const req = mockRequest({ body: { name: 'uno', roles: ['admin'], company: new Types.ObjectId(), created_by: 'otro' } });
+
+        const saved = await strip._createDocument(req, req.body);
+
+        const [stored] = insertOne.mock.calls[0];
+        expect(saved._id).toEqual(stored._id);
+        expect(stored).toMatchObject({ name: 'uno', company: companyId, created_by: 'ana', modified_by: 'ana' });
+        expect(stored.roles).toEqual([]);
+    });
+
+    test('update en modo reject responde 403 sin guardar', async () => {
+        mockCollection(ProtectedItem, 'findOne', async () => ({ ...storedAuditedItem(), roles: [] }));
+        const updateOne = mockCollection(ProtectedItem, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1 }));
+        const res = mockResponse();
+
+        await reject.update(mockRequest({ params: { id: new Types.ObjectId() }, body: { roles: ['admin'] } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('BaseController: soft delete y purge', () => {
+    // Modelo con historial, para comparar lo que registra cada operación en audit_log.
+    const HistoryItemSchema = new Schema({
+        name: String,
+        company: Schema.Types.ObjectId,
+    });
+    HistoryItemSchema.plugin(modelAuditPlugin, { history: true });
+    const HistoryItem = mongoose.model('BaseControllerTestHistoryItem', HistoryItemSchema);
+    const controller = new BaseController(HistoryItem);
+    const admin = { roles: [rol.CUSTOMER_ADMIN_ROLE] };
+
+    // Simula Model.find(...).select(...).lean() devolviendo cada lista en orden, una por llamada.
+    const mockFind = (...results) => {
+        const find = jest.spyOn(HistoryItem, 'find');
+        for (const docs of results) {
+            find.mockImplementationOnce(() => ({ select: () => ({ lean: async () => docs }) }));
+        }
+        return find;
+    };
+
+    test('delete desactiva el documento sin eliminarlo y el historial lo registra como cambio de active', async () => {
+        const stored = storedAuditedItem();
+        mockCollection(HistoryItem, 'findOne', async () => stored);
+        const updateOne = mockCollection(HistoryItem, 'updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+        const deleteMany = jest.spyOn(HistoryItem, 'deleteMany');
+        const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+        const res = mockResponse();
+
+        await controller.delete(mockRequest({ params: { id: stored._id } }), res);
+
+        expect(res.json).toHaveBeenCalledWith({ status: 'deleted', deleted: stored._id });
+        expect(updateOne.mock.calls[0][1].$set).toMatchObject({ active: false, deleted_by: 'ana', deleted_at: expect.any(Date) });
+        expect(deleteMany).not.toHaveBeenCalled();
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            document_id: stored._id,
+            operation: 'save',
+            actor: 'ana',
+            changes: expect.arrayContaining([{ path: 'active', before: true, after: false }]),
+        }));
+    });
+
+    test('purge con id elimina el documento desactivado y registra una entrada purge sin su contenido', async () => {
+        const id = new Types.ObjectId();
+        const find = mockFind([{ _id: id, company: companyId }]);
+        const deleteMany = jest.spyOn(HistoryItem, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        const insertMany = jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+        const res = mockResponse();
+
+        await controller.purge(mockRequest({ params: { id }, token: admin }), res);
+
+        expect(find).toHaveBeenCalledWith({ _id: id, company: companyId, active: false });
+        expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [id] }, active: false });
+        expect(insertMany).toHaveBeenCalledWith([{
+            model_name: 'BaseControllerTestHistoryItem',
+            document_id: id,
+            company: companyId,
+            operation: 'purge',
+            changes: [],
+            actor: 'ana',
+            at: expect.any(Date),
+        }]);
+        expect(res.json).toHaveBeenCalledWith({ status: 'purged', purged: 1 });
+    });
+
+    test('la entrada purge es válida para el esquema de audit_log', () => {
+        const entry = new AuditLog({ model_name: 'Customer', document_id: new Types.ObjectId(), operation: 'purge', changes: [] });
+        expect(entry.validateSync()).toBeUndefined();
+    });
+
+    test('purge responde 404 sin eliminar ni registrar nada si el documento no está desactivado', async () => {
+        mockFind([]);
+        const deleteMany = jest.spyOn(HistoryItem, 'deleteMany');
+        const insertMany = jest.spyOn(AuditLog, 'insertMany');
+        const res = mockResponse();
+
+        await controller.purge(mockRequest({ params: { id: new Types.ObjectId() }, token: admin }), res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(deleteMany).not.toHaveBeenCalled();
+        expect(insertMany).not.toHaveBeenCalled();
+    });
+
+    test('purge por antigüedad registra solo los documentos que efectivamente se eliminaron', async () => {
+        const purged = { _id: new Types.ObjectId(), company: companyId };
+        const restored = { _id: new Types.ObjectId(), company: companyId };
+        // El segundo find devuelve los que siguen en la colección: uno se restauró entre la lectura y el borrado.
+        const find = mockFind([purged, restored], [{ _id: restored._id }]);
+        jest.spyOn(HistoryItem, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        const insertMany = jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+        const res = mockResponse();
+
+        await controller.purge(mockRequest({ query: { olderThanDays: '30' }, token: admin }), res);
+
+        expect(find.mock.calls[0][0]).toMatchObject({ active: false, company: companyId });
+        expect(insertMany.mock.calls[0][0].map(entry => entry.document_id)).toEqual([purged._id]);
+        expect(res.json).toHaveBeenCalledWith({ status: 'purged', purged: 1 });
+    });
+
+    test('un error al registrar el purge no deshace ni oculta la eliminación', async () => {
+        mockFind([{ _id: new Types.ObjectId(), company: companyId }]);
+        jest.spyOn(HistoryItem, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        jest.spyOn(AuditLog, 'insertMany').mockRejectedValue(new Error('audit_log no disponible'));
+        const res = mockResponse();
+
+        await controller.purge(mockRequest({ params: { id: new Types.ObjectId() }, token: admin }), res);
+
+        expect(res.json).toHaveBeenCalledWith({ status: 'purged', purged: 1 });
+    });
+
+    test('purge responde 403 sin consultar la base de datos si el rol no está autorizado', async () => {
+        const find = jest.spyOn(HistoryItem, 'find');
+        const res = mockResponse();
+
+        await controller.purge(mockRequest({ params: { id: new Types.ObjectId() }, token: { roles: [rol.USER_ROLE] } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('BaseController: gramática de operadores en los filtros de get', () => {
+    const FilterItemSchema = new Schema({
+        name: String,
+        amount: Number,
+        created_at: Date,
+        enabled: Boolean,
+        owner: Schema.Types.ObjectId,
+        scores: [Number],
+        meta: Schema.Types.Mixed,
+        company: Schema.Types.ObjectId,
+        active: { type: Boolean, default: true },
+    });
+    const FilterItem = mongoose.model('BaseControllerTestFilterItem', FilterItemSchema);
+    const controller = new BaseController(FilterItem);
+
+    // El error 400 que lanza `_normalizeMatch` para el filtro, o undefined si no lanza.
+    const badRequestOf = (target, match) => {
+        try {
+            target._normalizeMatch(match);
+        } catch (err) {
+            return err;
+        }
+        return undefined;
+    };
+
+    test('la igualdad convierte el valor según el tipo del campo en el esquema', () => {
+        const owner = new Types.ObjectId();
+        expect(controller._normalizeMatch({
+            name: 'true',
+            amount: '5',
+            created_at: '2024-05-01',
+            enabled: 'false',
+            owner: String(owner),
+            scores: '7',
+            'meta.flag': 'true',
+            'meta.label': 'uno',
+        })).toEqual({
+            name: 'true',
+            amount: 5,
+            created_at: new Date('2024-05-01'),
+            enabled: false,
+            owner,
+            scores: 7,
+            'meta.flag': true,
+            'meta.label': 'uno',
+        });
+    });
+
+    test('un parámetro repetido equivale a in', () => {
+        expect(controller._normalizeMatch({ amount: ['1', '2'] })).toEqual({ amount: { $in: [1, 2] } });
+    });
+
+    test('los operadores de rango se combinan sobre el mismo campo', () => {
+        expect(controller._normalizeMatch({
+            amount: { gte: '1', lt: '10' },
+            created_at: { gt: '2024-01-01T00:00:00Z' },
+            name: { ne: 'x', eq: 'y' },
+        })).toEqual({
+            amount: { $gte: 1, $lt: 10 },
+            created_at: { $gt: new Date('2024-01-01T00:00:00Z') },
+            name: { $ne: 'x', $eq: 'y' },
+        });
+    });
+
+    test('in y nin aceptan listas separadas por comas o parámetros repetidos y descartan los vacíos', () => {
+        expect(controller._normalizeMatch({
+            name: { in: 'a, b,,c' },
+            scores: { nin: ['1', '2'] },
+        })).toEqual({
+            name: { $in: ['a', 'b', 'c'] },
+            scores: { $nin: [1, 2] },
+        });
+    });
+
+    test('regex busca el texto de forma literal y sin distinguir mayúsculas', () => {
+        const { name } = controller._normalizeMatch({ name: { regex: '(a+)+$' } });
+
+        expect(name.$regex).toBeInstanceOf(RegExp);
+        expect(name.$regex.flags).toBe('i');
+        expect(name.$regex.test('X(A+)+$Y')).toBe(true);
+        expect(name.$regex.test('aaaa')).toBe(false);
+    });
+
+    test('exists solo acepta true o false', () => {
+        expect(controller._normalizeMatch({ meta: { exists: 'false' } })).toEqual({ meta: { $exists: false } });
+        expect(badRequestOf(controller, { meta: { exists: '1' } }).status).toBe(400);
+    });
+
+    test.each([
+        ['un número inválido', { amount: 'abc' }],
+        ['un número vacío', { amount: ' ' }],
+        ['una fecha inválida', { created_at: { gte: 'ayer' } }],
+        ['un booleano inválido', { enabled: 'si' }],
+        ['un ObjectId inválido', { owner: 'x' }],
+        ['un elemento inválido en una lista', { amount: { in: '1,dos' } }],
+        ['una regex demasiado larga', { name: { regex: 'a'.repeat(101) } }],
+        ['una regex que no es texto', { name: { regex: ['a', 'b'] } }],
+        ['un operador anidado en el valor', { amount: { gte: { $ne: null } } }],
+    ])('responde 400 con %s', (_, match) => {
+        expect(badRequestOf(controller, match).status).toBe(400);
+    });
+
+    test.each([
+        ['$where', { $where: 'sleep(1000)' }],
+        ['$or', { $or: 'x' }],
+        ['un subcampo con $', { 'meta.$where': 'x' }],
+    ])('rechaza la clave %s', (_, match) => {
+        expect(badRequestOf(controller, match).message).toMatch(/no está permitido en el filtro/);
+    });
+
+    test.each(['where', '$where', 'function', 'expr', 'constructor'])('rechaza el operador %s', (operator) => {
+        expect(badRequestOf(controller, { name: { [operator]: 'x' } }).message).toMatch(/no permitido/);
+    });
+
+    test('allowedOperators limita los operadores del controlador', () => {
+        const restricted = new BaseController(FilterItem, { allowedOperators: ['eq', 'in'] });
+        expect(restricted._normalizeMatch({ name: { in: 'a' } })).toEqual({ name: { $in: ['a'] } });
+        expect(badRequestOf(restricted, { name: { regex: 'a' } }).message).toMatch(/Operador 'regex' no permitido/);
+    });
+
+    test('filterableFields limita los campos filtrables, salvo _id', () => {
+        const restricted = new BaseController(FilterItem, { filterableFields: ['name'] });
+        const id = new Types.ObjectId();
+        expect(restricted._normalizeMatch({ name: 'a', _id: String(id) })).toEqual({ name: 'a', _id: id });
+        expect(badRequestOf(restricted, { amount: '1' }).message).toMatch(/No se permite filtrar por el campo 'amount'/);
+    });
+
+    test('get filtra por la company del token aunque el cliente envíe otra y excluye los desactivados', async () => {
+        const find = jest.spyOn(FilterItem, 'find').mockImplementation(() => mockQuery([]));
+        const res = mockResponse();
+
+        await controller.get(mockRequest({ query: { amount: { gte: '10' }, company: String(new Types.ObjectId()), limit: undefined } }), res);
+
+        expect(find).toHaveBeenCalledWith({ amount: { $gte: 10 }, company: companyId, active: { $ne: false } });
+        expect(res.json).toHaveBeenCalledWith([]);
+    });
+
+    test('get respeta un filtro explícito por active y no lo trata como parámetro reservado', async () => {
+        const find = jest.spyOn(FilterItem, 'find').mockImplementation(() => mockQuery([]));
+        await controller.get(mockRequest({ query: { active: 'false' } }), mockResponse());
+        expect(find).toHaveBeenCalledWith({ active: false, company: companyId });
+    });
+
+    test('get responde 400 sin consultar la base de datos si el filtro es inválido', async () => {
+        const find = jest.spyOn(FilterItem, 'find');
+        const res = mockResponse();
+
+        await controller.get(mockRequest({ query: { name: { where: 'x' } } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(find).not.toHaveBeenCalled();
+    });
+});
+
+describe('BaseController: operaciones masivas', () => {
+    const controller = new BaseController(AuditedItem, { maxBatchSize: 3 });
+    const ok = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+
+    test.each([
+        ['insertMany', { body: { name: 'uno' } }, /Se esperaba un array/],
+        ['insertMany', { body: [{}, {}, {}, {}] }, /excede el máximo de 3/],
+        ['updateMany', { body: [] }, /Se esperaba un array/],
+        ['deleteMany', { body: { ids: 'x' } }, /Se esperaba un array/],
+    ])('%s responde 400 con un lote inválido', async (method, request, message) => {
+        const res = mockResponse();
+        await controller[method](mockRequest(request), res);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].message).toMatch(message);
+    });
+
+    test('insertMany guarda cada elemento con la company y el usuario del token e informa los fallos por elemento', async () => {
+        const insertOne = mockCollection(AuditedItem, 'insertOne', async (doc) => {
+            if (doc.name === 'duplicado') throw Object.assign(new Error('E11000 duplicate key'), { errorResponse: { errmsg: 'E11000 duplicate key error' } });
+            return { acknowledged: true };
+        });
+        const res = mockResponse();
+
+        await controller.insertMany(mockRequest({ body: [{ name: 'uno' }, { name: 'duplicado' }, { name: 'tres', company: new Types.ObjectId() }] }), res);
+
+        expect(res.status).toHaveBeenCalledWith(207);
+        const report = res.json.mock.calls[0][0];
+        expect(report).toMatchObject({ status: 'partial', total: 3, succeeded: 2, failed: 1 });
+        expect(report.results).toEqual([
+            { index: 0, _id: insertOne.mock.calls[0][0]._id, status: 'saved' },
+            { index: 1, _id: undefined, status: 'error', message: 'E11000 duplicate key error' },
+            { index: 2, _id: insertOne.mock.calls[2][0]._id, status: 'saved' },
+        ]);
+        for (const [stored] of insertOne.mock.calls) {
+            expect(stored).toMatchObject({ company: companyId, created_by: 'ana', modified_by: 'ana' });
+        }
+    });
+
+    test('insertMany responde 401 sin username en el token', async () => {
+        const res = mockResponse();
+        await controller.insertMany(mockRequest({ body: [{ name: 'uno' }], token: { username: undefined } }), res);
+        expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('updateMany guarda cada elemento con save e informa los que no tienen _id o no existen', async () => {
+        const found = storedAuditedItem();
+        const missingId = new Types.ObjectId();
+        const findOne = mockCollection(AuditedItem, 'findOne', async (filter) => (String(filter._id) === String(found._id) ? found : null));
+        const updateOne = mockCollection(AuditedItem, 'updateOne', ok);
+        const res = mockResponse();
+
+        const body = [{ _id: found._id, name: 'dos' }, { name: 'sin id' }, { _id: missingId, name: 'x' }];
+        await controller.updateMany(mockRequest({ body, token: { username: 'beto' } }), res);
+
+        const report = res.json.mock.calls[0][0];
+        expect(report.results).toEqual([
+            { index: 0, _id: found._id, status: 'updated' },
+            { index: 1, _id: undefined, status: 'error', message: 'El elemento no tiene _id' },
+            { index: 2, _id: missingId, status: 'error', message: 'BaseControllerTestAuditedItem not found' },
+        ]);
+        expect(findOne.mock.calls[0][0]).toMatchObject({ company: companyId });
+        expect(updateOne.mock.calls[0][1].$set).toMatchObject({ name: 'dos', modified_by: 'beto' });
+    });
+
+    test('deleteMany desactiva cada documento y responde 200 si todos se procesaron', async () => {
+        const first = storedAuditedItem();
+        const second = storedAuditedItem();
+        mockCollection(AuditedItem, 'findOne', async (filter) => [first, second].find(doc => String(doc._id) === String(filter._id)));
+        const updateOne = mockCollection(AuditedItem, 'updateOne', ok);
+        const res = mockResponse();
+
+        await controller.deleteMany(mockRequest({ body: { ids: [String(first._id), String(second._id)] } }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ status: 'deleted', total: 2, succeeded: 2, failed: 0 });
+        expect(updateOne).toHaveBeenCalledTimes(2);
+        expect(updateOne.mock.calls.map(([, update]) => update.$set.active)).toEqual([false, false]);
+    });
+});
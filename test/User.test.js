@@ -0,0 +1,63 @@
+const { Types } = require('mongoose');
+const { User, AuditLog } = require('../src/models');
+const { encrypt, decrypt, blindIndex, BLIND_INDEX_TYPES } = require('../lib/crypt');
+
+const emailIndex = (value) => blindIndex(value, BLIND_INDEX_TYPES.EMAIL);
+
+const mockCollection = (method, implementation) => {
+    const mock = jest.fn(implementation);
+    User.collection[method] = mock;
+    return mock;
+};
+
+describe('User: búsqueda por email', () => {
+    test('busca por el índice ciego o por el email en texto plano de los usuarios sin migrar', async () => {
+        const findOne = mockCollection('findOne', async () => null);
+        await User.findByEmail(' Ana@Mail.com ');
+
+        const [filter] = findOne.mock.calls[0];
+        expect(filter).toEqual({
+            $or: [
+                { email_hash: emailIndex('ana@mail.com') },
+                // El valor no se encripta al castear la query ni se traduce al índice ciego.
+                { email_hash: { $exists: false }, $expr: { $eq: ['$email', 'ana@mail.com'] } },
+            ],
+        });
+    });
+
+    test('devuelve el usuario migrado desencriptado', async () => {
+        mockCollection('findOne', async () => ({ _id: new Types.ObjectId(), email: encrypt('ana@mail.com'), email_hash: emailIndex('ana@mail.com') }));
+        const user = await User.findByEmail('ana@mail.com').lean();
+        expect(user.email).toBe('ana@mail.com');
+    });
+
+    test('devuelve el usuario sin migrar con su email en texto plano', async () => {
+        mockCollection('findOne', async () => ({ _id: new Types.ObjectId(), email: 'ana@mail.com' }));
+        const user = await User.findByEmail('ana@mail.com').lean();
+        expect(user.email).toBe('ana@mail.com');
+    });
+
+    test('devuelve null sin consultar si el email es vacío', () => {
+        expect(User.findByEmail('  ')).toBeNull();
+        expect(User.emailFilter(undefined)).toBeNull();
+    });
+});
+
+describe('User: email encriptado', () => {
+    test('guarda el email normalizado y encriptado con su índice ciego', async () => {
+        const insertOne = mockCollection('insertOne', async (doc) => ({ acknowledged: true, insertedId: doc._id }));
+        AuditLog.collection.insertOne = jest.fn(async (doc) => ({ acknowledged: true, insertedId: doc._id }));
+        const user = new User({ email: ' Ana@Mail.com ', name: 'Ana', password: 'secreta', company: new Types.ObjectId(), created_by: 'admin', modified_by: 'admin' });
+        await user.save();
+
+        const [stored] = insertOne.mock.calls[0];
+        expect(decrypt(stored.email)).toBe('ana@mail.com');
+        expect(stored.email_hash).toBe(emailIndex('ana@mail.com'));
+        expect(stored.username).toBe('ana');
+    });
+
+    test('valida el formato del email sobre el texto plano', async () => {
+        const user = new User({ email: 'no-es-un-email', name: 'Ana', password: 'secreta', company: new Types.ObjectId() });
+        await expect(user.validate()).rejects.toThrow('Invalid email format');
+    });
+});
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { createAuthClient } = require('../src/middlewares/authClient');
+
+const SECRET = 'secreto-de-prueba';
+const now = () => Math.floor(Date.now() / 1000);
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signHs256 = (payload, secret = SECRET) => {
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    return `${signingInput}.${crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+};
+
+const mockRequest = (headers = {}) => {
+    const lower = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+    return { headers: lower, header: (name) => lower[name.toLowerCase()] };
+};
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const run = async (middleware, headers) => {
+    const req = mockRequest(headers);
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { req, res, next };
+};
+
+describe('authClient en modo jwt', () => {
+    const middleware = createAuthClient({
+        mode: 'jwt',
+        secret: SECRET,
+        algorithms: ['HS256'],
+        audience: 'api',
+        verifyWebhooks: false,
+    });
+
+    test('inyecta req.token con los datos de los claims de un token válido', async () => {
+        const token = signHs256({ sub: 'u1', companyId: 'c1', username: 'ana', roles: ['admin'], aud: 'api', exp: now() + 60 });
+        const { req, res, next } = await run(middleware, { Authorization: `Bearer ${token}` });
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(next).toHaveBeenCalledWith();
+        expect(req.token).toMatchObject({ companyId: 'c1', userId: 'u1', username: 'ana', roles: ['admin'] });
+    });
+
+    test.each([
+        ['sin cabecera Authorization', () => ({}), 'MISSING_TOKEN'],
+        ['con firma inválida', () => ({ Authorization: `Bearer ${signHs256({ sub: 'u1', aud: 'api', exp: now() + 60 }, 'otro')}` }), 'INVALID_SIGNATURE'],
+        ['expirado', () => ({ Authorization: `Bearer ${signHs256({ sub: 'u1', aud: 'api', exp: now() - 120 })}` }), 'TOKEN_EXPIRED'],
+        ['para otra audiencia', () => ({ Authorization: `Bearer ${signHs256({ sub: 'u1', aud: 'otra', exp: now() + 60 })}` }), 'INVALID_AUDIENCE'],
+    ])('responde 401 a un request %s', async (_, headers, errorCode) => {
+        const { req, res, next } = await run(middleware, headers());
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ errorCode }));
+        expect(next).not.toHaveBeenCalled();
+        expect(req.token).toBeUndefined();
+    });
+
+    test('no acepta las cabeceras de usuario del modo header', async () => {
+        const { res, next } = await run(middleware, { 'X-Company-Id': 'c1', 'X-User-Id': 'u1', 'X-User-Roles': 'system' });
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(next).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,158 @@
+jest.mock('../src/models', () => ({ User: { findById: jest.fn() } }));
+
+const { User } = require('../src/models');
+const { authorize, ACTIONS } = require('../src/middlewares/authorize');
+const { rol } = require('../lib/constants');
+
+const mockRequest = ({ method = 'GET', token = { username: 'ana', userId: 'u1', roles: [rol.USER_ROLE] } } = {}) => ({
+    method,
+    originalUrl: '/api/recurso',
+    token,
+});
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+// Ejecuta el middleware y devuelve el status de la respuesta (200 si llamó a next sin error).
+const statusOf = async (middleware, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    if (next.mock.calls.length > 0) return next.mock.calls[0][0] ? 'error' : 200;
+    return res.status.mock.calls[0][0];
+};
+
+// Simula User.findById(...).select(...).lean() con el mapa de permisos guardado.
+const mockStoredPermissions = (permissions) => {
+    User.findById.mockReturnValue({
+        select: () => ({ lean: async () => (permissions === undefined ? null : { permissions }) }),
+    });
+};
+
+const withRoles = (roles, permissions) => ({ username: 'ana', userId: 'u1', roles, permissions });
+
+beforeEach(() => {
+    User.findById.mockReset();
+    mockStoredPermissions({});
+});
+
+describe('authorize: política por defecto de los roles', () => {
+    test('responde 401 sin token', async () => {
+        expect(await statusOf(authorize({ resource: 'customers' }), { ...mockRequest(), token: undefined })).toBe(401);
+    });
+
+    test('el administrador del cliente puede cualquier acción sobre cualquier recurso', async () => {
+        const req = () => mockRequest({ method: 'DELETE', token: withRoles([rol.CUSTOMER_ADMIN_ROLE]) });
+        expect(await statusOf(authorize({ resource: 'customers' }), req())).toBe(200);
+        expect(await statusOf(authorize({ resource: 'products' }), req())).toBe(200);
+    });
+
+    test('USER_ROLE no concede nada por sí mismo', async () => {
+        expect(await statusOf(authorize({ resource: 'customers' }), mockRequest())).toBe(403);
+    });
+
+    test('el viewer solo lee', async () => {
+        const req = (method) => mockRequest({ method, token: withRoles([rol.USER_ROLE, rol.VIEWER_ROLE]) });
+        expect(await statusOf(authorize({ resource: 'customers' }), req('GET'))).toBe(200);
+        expect(await statusOf(authorize({ resource: 'customers' }), req('POST'))).toBe(403);
+        expect(await statusOf(authorize({ resource: 'customers' }), req('DELETE'))).toBe(403);
+    });
+
+    test('el agente escribe mensajes y solo lee clientes', async () => {
+        const req = (method) => mockRequest({ method, token: withRoles([rol.USER_ROLE, rol.MESSAGES_AGENT]) });
+        expect(await statusOf(authorize({ resource: 'messages' }), req('POST'))).toBe(200);
+        expect(await statusOf(authorize({ resource: 'messages' }), req('DELETE'))).toBe(403);
+        expect(await statusOf(authorize({ resource: 'customers' }), req('GET'))).toBe(200);
+        expect(await statusOf(authorize({ resource: 'customers' }), req('PUT'))).toBe(403);
+    });
+
+    test('basta con que uno de los roles conceda la acción', async () => {
+        const req = mockRequest({ method: 'POST', token: withRoles([rol.VIEWER_ROLE, rol.TRACKING_USER]) });
+        expect(await statusOf(authorize({ resource: 'tracking' }), req)).toBe(200);
+    });
+
+    test('la acción indicada tiene prioridad sobre la deducida del método', async () => {
+        const req = mockRequest({ method: 'POST', token: withRoles([rol.VIEWER_ROLE]) });
+        expect(await statusOf(authorize({ resource: 'reports', action: ACTIONS.READ }), req)).toBe(200);
+    });
+
+    test('acepta una política de roles propia', async () => {
+        const rolePermissions = { [rol.USER_ROLE]: { reports: [ACTIONS.READ] } };
+        expect(await statusOf(authorize({ resource: 'reports', rolePermissions }), mockRequest())).toBe(200);
+        expect(await statusOf(authorize({ resource: 'customers', rolePermissions }), mockRequest())).toBe(403);
+    });
+});
+
+describe('authorize: permisos del usuario', () => {
+    test('una entrada del usuario amplía la política de sus roles', async () => {
+        mockStoredPermissions({ products: [ACTIONS.READ] });
+        expect(await statusOf(authorize({ resource: 'products' }), mockRequest())).toBe(200);
+    });
+
+    test('una entrada del usuario restringe la política de sus roles para ese recurso', async () => {
+        const token = withRoles([rol.MESSAGES_AGENT], { customers: [] });
+        expect(await statusOf(authorize({ resource: 'customers' }), mockRequest({ token }))).toBe(403);
+        // Los demás recursos siguen la política del rol.
+        expect(await statusOf(authorize({ resource: 'messages' }), mockRequest({ token }))).toBe(200);
+    });
+
+    test('la entrada `*` del usuario decide sobre los recursos sin entrada propia', async () => {
+        const token = withRoles([rol.CUSTOMER_ADMIN_ROLE], { '*': [ACTIONS.READ], products: ['*'] });
+        expect(await statusOf(authorize({ resource: 'customers' }), mockRequest({ method: 'POST', token }))).toBe(403);
+        expect(await statusOf(authorize({ resource: 'products' }), mockRequest({ method: 'POST', token }))).toBe(200);
+    });
+
+    test('usa los permisos del token sin consultar la base de datos', async () => {
+        const token = withRoles([rol.USER_ROLE], { products: [ACTIONS.READ] });
+        expect(await statusOf(authorize({ resource: 'products' }), mockRequest({ token }))).toBe(200);
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('lee los permisos del usuario una vez y los deja en el token', async () => {
+        mockStoredPermissions({ products: [ACTIONS.READ] });
+        const req = mockRequest();
+        await statusOf(authorize({ resource: 'products' }), req);
+        await statusOf(authorize({ resource: 'products' }), req);
+        expect(User.findById).toHaveBeenCalledTimes(1);
+        expect(req.token.permissions).toEqual({ products: [ACTIONS.READ] });
+    });
+
+    test('sin usuario en la base de datos decide la política de los roles', async () => {
+        mockStoredPermissions(undefined);
+        expect(await statusOf(authorize({ resource: 'customers' }), mockRequest({ token: withRoles([rol.VIEWER_ROLE]) }))).toBe(200);
+    });
+
+    test('pasa a next el error al leer los permisos', async () => {
+        User.findById.mockImplementation(() => { throw new Error('sin conexión'); });
+        expect(await statusOf(authorize({ resource: 'products' }), mockRequest())).toBe('error');
+    });
+});
+
+describe('authorize: roles requeridos y SUPER_ROLES', () => {
+    test('exige alguno de los roles indicados', async () => {
+        const middleware = authorize({ roles: [rol.CUSTOMER_ADMIN_ROLE] });
+        expect(await statusOf(middleware, mockRequest())).toBe(403);
+        expect(await statusOf(middleware, mockRequest({ token: withRoles([rol.CUSTOMER_ADMIN_ROLE]) }))).toBe(200);
+    });
+
+    test('el administrador del sistema pasa sin el rol requerido y sin consultar permisos', async () => {
+        const token = withRoles([rol.SYSTEM_ADMIN_ROLE]);
+        expect(await statusOf(authorize({ roles: [rol.TRACKING_USER] }), mockRequest({ token }))).toBe(200);
+        expect(await statusOf(authorize({ resource: 'companies' }), mockRequest({ method: 'DELETE', token }))).toBe(200);
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test('el administrador del sistema pasa aunque su entrada de permisos no lo permita', async () => {
+        const token = withRoles([rol.SYSTEM_ADMIN_ROLE], { companies: [] });
+        expect(await statusOf(authorize({ resource: 'companies' }), mockRequest({ token }))).toBe(200);
+    });
+
+    test('el administrador del cliente no es SUPER_ROLE: sus permisos de usuario lo restringen', async () => {
+        const token = withRoles([rol.CUSTOMER_ADMIN_ROLE], { companies: [ACTIONS.READ] });
+        expect(await statusOf(authorize({ resource: 'companies' }), mockRequest({ method: 'DELETE', token }))).toBe(403);
+    });
+});
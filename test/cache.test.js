@@ -0,0 +1,267 @@
+jest.mock('../lib/redisService', () => ({ client: null }));
+
+const mongoose = require('mongoose');
+const redisService = require('../lib/redisService');
+const cache = require('../lib/cache');
+const cacheInvalidationPlugin = require('../src/middlewares/cacheInvalidationPlugin');
+
+const { Schema, Types } = mongoose;
+
+// Cliente Redis en memoria con los comandos que usa lib/cache. `eval` reproduce los dos scripts del módulo:
+// el de escritura (SET + SADD de las etiquetas) y el de liberación del lock (DEL si el valor es el token).
+const mockRedisClient = () => {
+    const strings = new Map();
+    const sets = new Map();
+    const del = (...keys) => keys.reduce((count, key) => count + Number(strings.delete(key) || sets.delete(key)), 0);
+    return {
+        status: 'ready',
+        strings,
+        sets,
+        get: jest.fn(async (key) => strings.get(key) ?? null),
+        set: jest.fn(async (key, value, ...args) => {
+            if (args.includes('NX') && strings.has(key)) return null;
+            strings.set(key, value);
+            return 'OK';
+        }),
+        del: jest.fn(async (keys) => del(...keys)),
+        smembers: jest.fn(async (key) => [...(sets.get(key) || [])]),
+        multi: jest.fn(() => {
+            const queued = [];
+            const pipeline = {
+                del: (...keys) => { queued.push(keys); return pipeline; },
+                exec: async () => queued.map(keys => [null, del(...keys)]),
+            };
+            return pipeline;
+        }),
+        eval: jest.fn(async (script, numberOfKeys, ...rest) => {
+            const keys = rest.slice(0, numberOfKeys);
+            const args = rest.slice(numberOfKeys);
+            if (script.includes('SADD')) {
+                strings.set(keys[0], args[0]);
+                for (const tag of keys.slice(1)) (sets.get(tag) || sets.set(tag, new Set()).get(tag)).add(keys[0]);
+                return 1;
+            }
+            return strings.get(keys[0]) === args[0] ? del(keys[0]) : 0;
+        }),
+    };
+};
+
+let client;
+
+beforeEach(() => {
+    client = mockRedisClient();
+    redisService.client = client;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('cache.wrap', () => {
+    test('carga el valor una vez, lo guarda con su vigencia y lo devuelve desde Redis', async () => {
+        const loader = jest.fn(async () => ({ name: 'uno' }));
+
+        await expect(cache.wrap('k1', 60, loader)).resolves.toEqual({ name: 'uno' });
+        await expect(cache.wrap('k1', 60, loader)).resolves.toEqual({ name: 'uno' });
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(client.strings.get('cache:k1')).toBe(JSON.stringify({ value: { name: 'uno' } }));
+        expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('SADD'), 1, 'cache:k1', expect.any(String), 60);
+    });
+
+    test('las llamadas concurrentes a la misma clave comparten una sola carga', async () => {
+        let resolveLoad;
+        const loader = jest.fn(() => new Promise(resolve => { resolveLoad = resolve; }));
+
+        const first = cache.wrap('k1', 60, loader);
+        const second = cache.wrap('k1', 60, loader);
+        await new Promise(setImmediate);
+        resolveLoad('valor');
+
+        await expect(Promise.all([first, second])).resolves.toEqual(['valor', 'valor']);
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(client.set.mock.calls.filter(([key]) => key === 'cache_lock:k1')).toHaveLength(1);
+    });
+
+    test('toma el lock con NX y lo libera después de cargar', async () => {
+        await cache.wrap('k1', 60, async () => 'valor', { lockTtlMs: 5000 });
+
+        expect(client.set).toHaveBeenCalledWith('cache_lock:k1', expect.any(String), 'PX', 5000, 'NX');
+        expect(client.strings.has('cache_lock:k1')).toBe(false);
+    });
+
+    test('no libera un lock que ya tomó otra instancia', async () => {
+        await cache.wrap('k1', 60, async () => {
+            // El lock expiró durante la carga y otra instancia lo tomó.
+            client.strings.set('cache_lock:k1', 'token-de-otra-instancia');
+            return 'valor';
+        });
+
+        expect(client.strings.get('cache_lock:k1')).toBe('token-de-otra-instancia');
+    });
+
+    test('sin el lock espera el valor que guarda la instancia que lo tiene', async () => {
+        client.strings.set('cache_lock:k1', 'token-de-otra-instancia');
+        const loader = jest.fn(async () => 'valor propio');
+        setTimeout(() => client.strings.set('cache:k1', JSON.stringify({ value: 'valor de la otra' })), 80);
+
+        await expect(cache.wrap('k1', 60, loader)).resolves.toBe('valor de la otra');
+        expect(loader).not.toHaveBeenCalled();
+    });
+
+    test('sin el lock carga sin cachear si la espera se agota', async () => {
+        client.strings.set('cache_lock:k1', 'token-de-otra-instancia');
+        const loader = jest.fn(async () => 'valor propio');
+
+        await expect(cache.wrap('k1', 60, loader, { lockWaitMs: 120 })).resolves.toBe('valor propio');
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(client.strings.has('cache:k1')).toBe(false);
+    });
+
+    test('cachea los resultados vacíos con negativeTtl', async () => {
+        const loader = jest.fn(async () => null);
+
+        await expect(cache.wrap('k1', 60, loader, { negativeTtl: 5 })).resolves.toBeNull();
+        await expect(cache.wrap('k1', 60, loader, { negativeTtl: 5 })).resolves.toBeNull();
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('SADD'), 1, 'cache:k1', JSON.stringify({ empty: true }), 5);
+    });
+
+    test('con negativeTtl 0 no cachea los resultados vacíos', async () => {
+        const loader = jest.fn(async () => undefined);
+        await cache.wrap('k1', 60, loader, { negativeTtl: 0 });
+        await cache.wrap('k1', 60, loader, { negativeTtl: 0 });
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    test('propaga el error del loader sin cachearlo y libera el lock', async () => {
+        const error = new Error('falló la consulta');
+        await expect(cache.wrap('k1', 60, async () => { throw error; })).rejects.toBe(error);
+
+        expect(client.strings.has('cache:k1')).toBe(false);
+        expect(client.strings.has('cache_lock:k1')).toBe(false);
+        await expect(cache.wrap('k1', 60, async () => 'valor')).resolves.toBe('valor');
+    });
+
+    test('sin Redis o con errores de lectura ejecuta el loader directamente', async () => {
+        client.get.mockRejectedValueOnce(new Error('conexión perdida'));
+        await expect(cache.wrap('k1', 60, async () => 'valor')).resolves.toBe('valor');
+
+        redisService.client = null;
+        await expect(cache.wrap('k1', 60, async () => 'otro')).resolves.toBe('otro');
+        expect(client.eval).not.toHaveBeenCalled();
+    });
+});
+
+describe('cache: etiquetas, get, set y del', () => {
+    test('invalidateTags elimina las claves de las etiquetas y el set de cada etiqueta', async () => {
+        await cache.wrap('a', 60, async () => 1, { tags: ['t1'] });
+        await cache.wrap('b', 60, async () => 2, { tags: ['t1', 't2'] });
+        await cache.wrap('c', 60, async () => 3, { tags: ['t2'] });
+
+        await expect(cache.invalidateTags('t1')).resolves.toBe(2);
+
+        expect(client.strings.has('cache:a')).toBe(false);
+        expect(client.strings.has('cache:b')).toBe(false);
+        expect(client.strings.has('cache:c')).toBe(true);
+        expect(client.sets.has('cache_tag:t1')).toBe(false);
+        await expect(cache.invalidateTags(['t2', 'sin-claves'])).resolves.toBe(1);
+    });
+
+    test('get distingue un resultado vacío cacheado de una clave inexistente', async () => {
+        await cache.set('vacio', null, 60);
+        await cache.set('lleno', { a: 1 }, 60, { tags: ['t1'] });
+
+        await expect(cache.get('vacio')).resolves.toBeNull();
+        await expect(cache.get('lleno')).resolves.toEqual({ a: 1 });
+        await expect(cache.get('inexistente')).resolves.toBeUndefined();
+        expect(client.sets.get('cache_tag:t1')).toEqual(new Set(['cache:lleno']));
+    });
+
+    test('del elimina las claves indicadas', async () => {
+        await cache.set('a', 1, 60);
+        await cache.set('b', 2, 60);
+        await expect(cache.del(['a', 'b'])).resolves.toBe(2);
+        await expect(cache.get('a')).resolves.toBeUndefined();
+    });
+
+    test('sin Redis no hace nada', async () => {
+        redisService.client = null;
+        await expect(cache.get('a')).resolves.toBeUndefined();
+        await expect(cache.del('a')).resolves.toBe(0);
+        await expect(cache.invalidateTags('t1')).resolves.toBe(0);
+    });
+});
+
+describe('cacheInvalidationPlugin', () => {
+    const NoteSchema = new Schema({ title: String, company: Schema.Types.ObjectId });
+    NoteSchema.plugin(cacheInvalidationPlugin);
+    const Note = mongoose.model('CacheTestNote', NoteSchema);
+
+    const companyA = new Types.ObjectId();
+    const companyB = new Types.ObjectId();
+    let invalidated;
+
+    beforeEach(() => {
+        invalidated = jest.spyOn(cache, 'invalidateTags');
+    });
+
+    // Reemplaza un método de la colección del driver del modelo.
+    const mockCollection = (method, implementation) => {
+        Note.collection[method] = jest.fn(implementation);
+    };
+
+    test('getCacheTags etiqueta las lecturas por modelo y por empresa o como globales', () => {
+        expect(Note.getCacheTags(companyA)).toEqual(['CacheTestNote', `CacheTestNote:company:${companyA}`]);
+        expect(Note.getCacheTags()).toEqual(['CacheTestNote', 'CacheTestNote:global']);
+    });
+
+    test('invalida las lecturas cacheadas de la empresa al guardar un documento', async () => {
+        await cache.wrap('notas-a', 60, async () => ['a'], { tags: Note.getCacheTags(companyA) });
+        await cache.wrap('notas-b', 60, async () => ['b'], { tags: Note.getCacheTags(companyB) });
+        await cache.wrap('notas', 60, async () => ['a', 'b'], { tags: Note.getCacheTags() });
+        mockCollection('insertOne', async () => ({ acknowledged: true }));
+
+        await new Note({ title: 'x', company: companyA }).save();
+
+        expect(invalidated).toHaveBeenCalledWith(['CacheTestNote:global', `CacheTestNote:company:${companyA}`]);
+        await expect(cache.get('notas-a')).resolves.toBeUndefined();
+        await expect(cache.get('notas')).resolves.toBeUndefined();
+        await expect(cache.get('notas-b')).resolves.toEqual(['b']);
+    });
+
+    test('un update con la empresa en el filtro invalida solo esa empresa y la global', async () => {
+        mockCollection('updateOne', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+        await Note.updateOne({ company: companyA, title: 'x' }, { title: 'y' });
+        expect(invalidated).toHaveBeenCalledWith(['CacheTestNote:global', `CacheTestNote:company:${companyA}`]);
+    });
+
+    test('un update sin empresa o con un operador en el filtro invalida todo el modelo', async () => {
+        mockCollection('updateMany', async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+        await Note.updateMany({ title: 'x' }, { title: 'y' });
+        await Note.updateMany({ company: { $in: [companyA, companyB] } }, { title: 'y' });
+        expect(invalidated.mock.calls).toEqual([[['CacheTestNote']], [['CacheTestNote']]]);
+    });
+
+    test('findOneAndUpdate que cambia la empresa invalida la anterior y la nueva', async () => {
+        const _id = new Types.ObjectId();
+        mockCollection('findOneAndUpdate', async () => ({ _id, title: 'x', company: companyB }));
+        await Note.findOneAndUpdate({ _id, company: companyA }, { company: companyB }, { new: true });
+        expect(invalidated).toHaveBeenCalledWith([
+            'CacheTestNote:global', `CacheTestNote:company:${companyA}`, `CacheTestNote:company:${companyB}`,
+        ]);
+    });
+
+    test('insertMany invalida las empresas de los documentos insertados', async () => {
+        mockCollection('insertMany', async (docs) => ({ acknowledged: true, insertedCount: docs.length, insertedIds: {} }));
+        await Note.insertMany([{ title: 'a', company: companyA }, { title: 'b', company: companyA }]);
+        expect(invalidated).toHaveBeenCalledWith(['CacheTestNote:global', `CacheTestNote:company:${companyA}`]);
+    });
+
+    test('un error al invalidar no interrumpe la escritura', async () => {
+        invalidated.mockRejectedValue(new Error('Redis no disponible'));
+        mockCollection('deleteMany', async () => ({ acknowledged: true, deletedCount: 1 }));
+        await expect(Note.deleteMany({ company: companyA })).resolves.toMatchObject({ deletedCount: 1 });
+    });
+});
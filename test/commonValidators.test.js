@@ -0,0 +1,110 @@
+const { body } = require('express-validator');
+const {
+    buildSaveValidator,
+    buildGetValidator,
+    buildUpdateValidator,
+    buildDeleteValidator,
+    buildBulkSaveValidator,
+    buildBulkUpdateValidator,
+    buildBulkDeleteValidator,
+    validateText,
+} = require('../src/validators');
+
+const VALID_ID = '65f0c0ffee0000000000abcd';
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+// Ejecuta la cadena de validadores como lo haría Express y devuelve 'next' o el status y cuerpo de la respuesta.
+const runValidators = async (validators, { body: requestBody, params = {}, query = {} } = {}) => {
+    const req = { body: requestBody, params, query };
+    const res = mockResponse();
+    for (const validator of validators) {
+        let calledNext = false;
+        await validator(req, res, () => { calledNext = true; });
+        if (!calledNext) {
+            return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+        }
+    }
+    return { status: 'next', req };
+};
+
+describe('commonValidators: operaciones individuales', () => {
+    test('buildSaveValidator aplica los validadores propios y responde 400 con sus mensajes', async () => {
+        const validators = buildSaveValidator([validateText('name')]);
+
+        const rejected = await runValidators(validators, { body: {} });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.message).toMatch(/name no puede estar vacío/);
+        expect(rejected.body.errors).toEqual(expect.arrayContaining([expect.objectContaining({ path: 'name', location: 'body' })]));
+
+        await expect(runValidators(validators, { body: { name: ' Ana ' } })).resolves.toMatchObject({ status: 'next', req: { body: { name: 'Ana' } } });
+    });
+
+    test('buildGetValidator sin validadores propios deja pasar el request', async () => {
+        await expect(runValidators(buildGetValidator(), { query: { name: 'x' } })).resolves.toMatchObject({ status: 'next' });
+    });
+
+    test.each([
+        ['buildUpdateValidator', buildUpdateValidator],
+        ['buildDeleteValidator', buildDeleteValidator],
+    ])('%s exige un ObjectId válido en el parámetro id', async (_, build) => {
+        const missing = await runValidators(build(), { params: {} });
+        expect(missing.status).toBe(400);
+        expect(missing.body.message).toMatch(/El campo 'id' es obligatorio/);
+
+        const invalid = await runValidators(build(), { params: { id: 'x' } });
+        expect(invalid.body.message).toBe(`El campo 'id' no es un ObjectId válido`);
+
+        await expect(runValidators(build(), { params: { id: VALID_ID } })).resolves.toMatchObject({ status: 'next' });
+    });
+});
+
+describe('commonValidators: operaciones masivas', () => {
+    test.each([
+        ['un objeto', { name: 'uno' }],
+        ['un array vacío', []],
+        ['sin cuerpo', undefined],
+    ])('buildBulkSaveValidator rechaza %s', async (_, requestBody) => {
+        const result = await runValidators(buildBulkSaveValidator(), { body: requestBody });
+        expect(result.status).toBe(400);
+        expect(result.body.message).toMatch(/El cuerpo debe ser un array con al menos un elemento/);
+    });
+
+    test('buildBulkSaveValidator valida cada elemento con los validadores propios', async () => {
+        const validators = buildBulkSaveValidator([body('*.name').notEmpty().withMessage('Cada elemento necesita name')]);
+
+        const result = await runValidators(validators, { body: [{ name: 'uno' }, { name: '' }] });
+        expect(result.status).toBe(400);
+        expect(result.body.errors).toEqual([expect.objectContaining({ path: '[1].name', msg: 'Cada elemento necesita name' })]);
+
+        await expect(runValidators(validators, { body: [{ name: 'uno' }] })).resolves.toMatchObject({ status: 'next' });
+    });
+
+    test('buildBulkUpdateValidator exige un _id válido en cada elemento', async () => {
+        const result = await runValidators(buildBulkUpdateValidator(), { body: [{ _id: VALID_ID, name: 'uno' }, { name: 'dos' }, { _id: 'x' }] });
+
+        expect(result.status).toBe(400);
+        expect(result.body.errors.map(error => error.path)).toEqual(['[1]._id', '[2]._id']);
+        await expect(runValidators(buildBulkUpdateValidator(), { body: [{ _id: VALID_ID }] })).resolves.toMatchObject({ status: 'next' });
+    });
+
+    test.each([
+        ['sin ids', {}, /El campo 'ids' debe ser un array/],
+        ['con ids vacío', { ids: [] }, /El campo 'ids' debe ser un array/],
+        ['con ids que no es un array', { ids: VALID_ID }, /El campo 'ids' debe ser un array/],
+        ['con un id inválido', { ids: [VALID_ID, 'x'] }, /Los elementos de 'ids' deben ser ObjectId válidos/],
+    ])('buildBulkDeleteValidator responde 400 %s', async (_, requestBody, message) => {
+        const result = await runValidators(buildBulkDeleteValidator(), { body: requestBody });
+        expect(result.status).toBe(400);
+        expect(result.body.message).toMatch(message);
+    });
+
+    test('buildBulkDeleteValidator deja pasar una lista de ObjectId', async () => {
+        await expect(runValidators(buildBulkDeleteValidator(), { body: { ids: [VALID_ID] } })).resolves.toMatchObject({ status: 'next' });
+    });
+});
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { validateConfig, assertConfig, ConfigError, SUBSYSTEMS, isDevEnvironment } = require('../lib/config');
+const { DEFAULT_ENCRYPTION_KEY, DEFAULT_BLIND_INDEX_KEY } = require('../lib/crypt');
+
+const newKey = () => crypto.randomBytes(32).toString('hex');
+
+const validEnv = () => ({
+    ENVIRONMENT: 'prd',
+    ENCRYPTION_KEY: newKey(),
+    BLIND_INDEX_KEY: newKey(),
+    DATABASE_URL: 'mongodb://db:27017/app',
+    REDIS_URL: 'redis://:clave@redis:6379',
+    LOG_LEVEL: 'info',
+    API_NAME: 'customers',
+});
+
+const validate = (env, subsystems) => validateConfig({ env, subsystems });
+
+describe('config.validateConfig', () => {
+    test('acepta una configuración completa en producción', () => {
+        expect(validate(validEnv())).toEqual({ valid: true, environment: 'prd', errors: [], warnings: [] });
+    });
+
+    test('sin ENVIRONMENT asume producción', () => {
+        const { ENVIRONMENT, ...env } = validEnv();
+        expect(validate(env).environment).toBe('prd');
+        expect(isDevEnvironment('prd')).toBe(false);
+        expect(isDevEnvironment('Development')).toBe(true);
+    });
+
+    test.each([
+        ['ENCRYPTION_KEY sin definir', { ENCRYPTION_KEY: undefined }, 'ENCRYPTION_KEY no está definida'],
+        ['ENCRYPTION_KEY de ejemplo', { ENCRYPTION_KEY: DEFAULT_ENCRYPTION_KEY }, 'ENCRYPTION_KEY tiene el valor de ejemplo'],
+        ['BLIND_INDEX_KEY sin definir', { BLIND_INDEX_KEY: undefined }, 'BLIND_INDEX_KEY no está definida'],
+        ['BLIND_INDEX_KEY de ejemplo', { BLIND_INDEX_KEY: DEFAULT_BLIND_INDEX_KEY }, 'BLIND_INDEX_KEY tiene el valor de ejemplo'],
+        ['una clave de ENCRYPTION_KEYS de ejemplo', { ENCRYPTION_KEYS: `k2:${DEFAULT_ENCRYPTION_KEY}` }, "la clave 'k2' tiene el valor de ejemplo"],
+    ])('rechaza %s fuera de desarrollo y solo advierte en desarrollo', (_, overrides, message) => {
+        const env = { ...validEnv(), ...overrides };
+
+        const production = validate(env, [SUBSYSTEMS.CRYPT]);
+        expect(production.valid).toBe(false);
+        expect(production.errors).toEqual([expect.stringContaining(message)]);
+
+        const development = validate({ ...env, ENVIRONMENT: 'development' }, [SUBSYSTEMS.CRYPT]);
+        expect(development.valid).toBe(true);
+        expect(development.warnings).toEqual([expect.stringContaining(message)]);
+    });
+
+    test('rechaza claves mal formadas en cualquier entorno', () => {
+        const env = { ...validEnv(), ENVIRONMENT: 'dev', ENCRYPTION_KEY: 'corta', BLIND_INDEX_KEY: 'xyz' };
+        expect(validate(env, [SUBSYSTEMS.CRYPT]).errors).toEqual([
+            'ENCRYPTION_KEY debe ser una cadena hexadecimal de 64 caracteres.',
+            'BLIND_INDEX_KEY debe ser una cadena hexadecimal de 64 caracteres.',
+        ]);
+    });
+
+    test('rechaza un BLIND_INDEX_KEY igual a ENCRYPTION_KEY', () => {
+        const key = newKey();
+        expect(validate({ ...validEnv(), ENCRYPTION_KEY: key, BLIND_INDEX_KEY: key }, [SUBSYSTEMS.CRYPT]).errors)
+            .toEqual(['BLIND_INDEX_KEY debe ser distinta de ENCRYPTION_KEY.']);
+    });
+
+    test('rechaza una clave activa que no está en el keyring', () => {
+        const { errors } = validate({ ...validEnv(), ENCRYPTION_ACTIVE_KEY_ID: 'k9' }, [SUBSYSTEMS.CRYPT]);
+        expect(errors).toEqual([expect.stringContaining("La clave de encriptación activa 'k9' no está en el keyring")]);
+    });
+
+    test('valida la URL de Mongo', () => {
+        expect(validate({ ...validEnv(), DATABASE_URL: undefined }, [SUBSYSTEMS.MONGO]).errors).toEqual(['DATABASE_URL no está definida.']);
+        expect(validate({ ...validEnv(), DATABASE_URL: 'postgres://db' }, [SUBSYSTEMS.MONGO]).valid).toBe(false);
+        expect(validate({ ...validEnv(), DATABASE_URL: 'mongodb+srv://cluster/app' }, [SUBSYSTEMS.MONGO]).valid).toBe(true);
+    });
+
+    test('valida Redis: host por defecto, puerto y contraseña', () => {
+        const { REDIS_URL, ...withoutRedis } = validEnv();
+        expect(validate(withoutRedis, [SUBSYSTEMS.REDIS]).errors).toEqual([expect.stringContaining('REDIS_URL / REDIS_HOST')]);
+        expect(validate({ ...withoutRedis, ENVIRONMENT: 'local' }, [SUBSYSTEMS.REDIS]).valid).toBe(true);
+
+        const hostEnv = { ...withoutRedis, REDIS_HOST: 'redis', REDIS_PORT: 'abc' };
+        const result = validate(hostEnv, [SUBSYSTEMS.REDIS]);
+        expect(result.errors).toEqual(['REDIS_PORT debe ser un número.']);
+        expect(result.warnings).toEqual(['Redis sin contraseña (REDIS_PASSWORD) fuera de desarrollo.']);
+    });
+
+    test('valida el nivel de log', () => {
+        expect(validate({ ...validEnv(), LOG_LEVEL: 'trace' }, [SUBSYSTEMS.LOGGING]).valid).toBe(false);
+        expect(validate({ ...validEnv(), LOG_LEVEL: 'debug' }, [SUBSYSTEMS.LOGGING]).warnings)
+            .toEqual([expect.stringContaining("LOG_LEVEL 'debug' fuera de desarrollo")]);
+    });
+
+    test('solo valida los subsistemas indicados y rechaza los desconocidos', () => {
+        expect(validate({ ENVIRONMENT: 'prd', DATABASE_URL: 'mongodb://db' }, [SUBSYSTEMS.MONGO]).valid).toBe(true);
+        expect(() => validate(validEnv(), ['kafka'])).toThrow("Subsistema desconocido: 'kafka'");
+    });
+});
+
+describe('config.assertConfig', () => {
+    test('lanza un ConfigError con todos los errores juntos', () => {
+        const env = { ...validEnv(), ENCRYPTION_KEY: undefined, DATABASE_URL: undefined };
+        let error;
+        try {
+            assertConfig({ env, subsystems: [SUBSYSTEMS.CRYPT, SUBSYSTEMS.MONGO] });
+        } catch (err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(ConfigError);
+        expect(error.errors).toHaveLength(2);
+    });
+
+    test('devuelve el resultado si la configuración es válida', () => {
+        expect(assertConfig({ env: validEnv() }).valid).toBe(true);
+    });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const cryptUtil = require('../lib/crypt');
+
+const newKey = () => crypto.randomBytes(32).toString('hex');
+
+// Texto cifrado con el formato anterior al keyring ('iv.authTag.encryptedText') y la clave legacy por defecto.
+const legacyEncrypt = (text, hexKey = cryptUtil.DEFAULT_ENCRYPTION_KEY) => {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(hexKey, 'hex'), iv);
+    const encrypted = cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+    return `${iv.toString('hex')}.${cipher.getAuthTag().toString('hex')}.${encrypted}`;
+};
+
+describe('crypt: keyring', () => {
+    const keyA = newKey();
+    const keyB = newKey();
+
+    beforeEach(() => {
+        cryptUtil.configureKeyring({ keys: { a: keyA }, activeKeyId: 'a' });
+    });
+
+    test('encripta con la clave activa y desencripta con el id del prefijo', () => {
+        const ciphertext = cryptUtil.encrypt('secreto');
+        expect(ciphertext.startsWith('v1:a:')).toBe(true);
+        expect(cryptUtil.getCiphertextKeyId(ciphertext)).toBe('a');
+
+        cryptUtil.configureKeyring({ keys: { a: keyA, b: keyB }, activeKeyId: 'b' });
+        expect(cryptUtil.decrypt(ciphertext)).toBe('secreto');
+        expect(cryptUtil.encrypt('secreto').startsWith('v1:b:')).toBe(true);
+    });
+
+    test('desencripta los textos sin prefijo con la clave legacy', () => {
+        const ciphertext = legacyEncrypt('antiguo');
+        expect(cryptUtil.getCiphertextKeyId(ciphertext)).toBe(cryptUtil.LEGACY_KEY_ID);
+        expect(cryptUtil.decrypt(ciphertext)).toBe('antiguo');
+    });
+
+    test('re-encripta con la clave activa los textos de otra clave o sin prefijo', () => {
+        const ciphertext = cryptUtil.encrypt('rotar');
+        const legacy = legacyEncrypt('rotar');
+        cryptUtil.configureKeyring({ keys: { a: keyA, b: keyB }, activeKeyId: 'b' });
+
+        expect(cryptUtil.needsReEncryption(ciphertext)).toBe(true);
+        expect(cryptUtil.needsReEncryption(legacy)).toBe(true);
+        const rotated = cryptUtil.reEncrypt(ciphertext);
+        expect(cryptUtil.getCiphertextKeyId(rotated)).toBe('b');
+        expect(cryptUtil.needsReEncryption(rotated)).toBe(false);
+        expect(cryptUtil.reEncrypt(rotated)).toBe(rotated);
+        expect(cryptUtil.decrypt(cryptUtil.reEncrypt(legacy))).toBe('rotar');
+    });
+
+    test('falla si el texto cifrado fue alterado', () => {
+        const ciphertext = cryptUtil.encrypt('integridad');
+        const last = ciphertext.slice(-1) === '0' ? '1' : '0';
+        expect(() => cryptUtil.decrypt(ciphertext.slice(0, -1) + last)).toThrow('Decryption failed');
+    });
+
+    test('falla si la clave del texto cifrado no está en el keyring', () => {
+        const ciphertext = cryptUtil.encrypt('huérfano');
+        cryptUtil.configureKeyring({ keys: { b: keyB }, activeKeyId: 'b' });
+        expect(() => cryptUtil.decrypt(ciphertext)).toThrow("Unknown encryption key 'a'");
+    });
+
+    test('falla si el id de la clave se reasigna a otra clave', () => {
+        const ciphertext = cryptUtil.encrypt('misma-id');
+        cryptUtil.configureKeyring({ keys: { a: keyB }, activeKeyId: 'a' });
+        expect(() => cryptUtil.decrypt(ciphertext)).toThrow('Decryption failed');
+    });
+
+    test('rechaza configuraciones inválidas y conserva el keyring anterior', () => {
+        expect(() => cryptUtil.configureKeyring({ keys: { b: 'corta' }, activeKeyId: 'b' })).toThrow('hexadecimal');
+        expect(() => cryptUtil.configureKeyring({ keys: { 'b:c': keyB }, activeKeyId: 'b:c' })).toThrow('Id de clave');
+        expect(() => cryptUtil.configureKeyring({ keys: { b: keyB }, activeKeyId: 'c' })).toThrow('no está en el keyring');
+        expect(cryptUtil.getActiveKeyId()).toBe('a');
+    });
+
+    test('lee ENCRYPTION_KEYS como JSON o como lista id:clave', () => {
+        const fromList = cryptUtil.keyringConfigFromEnv({ ENCRYPTION_KEYS: `a:${keyA}, b:${keyB}`, ENCRYPTION_ACTIVE_KEY_ID: 'b' });
+        const fromJson = cryptUtil.keyringConfigFromEnv({ ENCRYPTION_KEYS: JSON.stringify({ a: keyA, b: keyB }), ENCRYPTION_ACTIVE_KEY_ID: 'b' });
+        expect(fromList).toEqual(fromJson);
+        expect(fromList.keys).toMatchObject({ a: keyA, b: keyB, [cryptUtil.LEGACY_KEY_ID]: cryptUtil.DEFAULT_ENCRYPTION_KEY });
+        expect(cryptUtil.keyringConfigFromEnv({}).activeKeyId).toBe(cryptUtil.LEGACY_KEY_ID);
+    });
+});
+
+describe('crypt: blindIndex', () => {
+    test('normaliza según el tipo antes de calcular el índice', () => {
+        const { EMAIL, DOCUMENT } = cryptUtil.BLIND_INDEX_TYPES;
+        expect(cryptUtil.blindIndex(' Juan@Mail.com ', EMAIL)).toBe(cryptUtil.blindIndex('juan@mail.com', EMAIL));
+        expect(cryptUtil.blindIndex('20-123456-7', DOCUMENT)).toBe(cryptUtil.blindIndex('201234567', DOCUMENT));
+        expect(cryptUtil.blindIndex('x', EMAIL)).not.toBe(cryptUtil.hash('x'));
+    });
+
+    test('devuelve null para valores vacíos', () => {
+        const { EMAIL, DOCUMENT } = cryptUtil.BLIND_INDEX_TYPES;
+        expect(cryptUtil.blindIndex('', EMAIL)).toBeNull();
+        expect(cryptUtil.blindIndex('   ', EMAIL)).toBeNull();
+        expect(cryptUtil.blindIndex('--', DOCUMENT)).toBeNull();
+    });
+});
+
+describe('crypt: claves de ejemplo según el entorno', () => {
+    // Carga una copia de lib/crypt con las variables de entorno indicadas.
+    const loadCrypt = (env) => {
+        const original = { ...process.env };
+        for (const key of ['ENVIRONMENT', 'ENCRYPTION_KEY', 'ENCRYPTION_KEYS', 'ENCRYPTION_ACTIVE_KEY_ID', 'BLIND_INDEX_KEY']) {
+            delete process.env[key];
+        }
+        Object.assign(process.env, env);
+        let loaded;
+        try {
+            jest.isolateModules(() => {
+                require('../lib/logger').silent = true;
+                loaded = require('../lib/crypt');
+            });
+        } finally {
+            process.env = original;
+        }
+        return loaded;
+    };
+
+    test('fuera de desarrollo no encripta ni indexa con las claves de ejemplo', () => {
+        const prdCrypt = loadCrypt({ ENVIRONMENT: 'prd' });
+        expect(() => prdCrypt.encrypt('dato')).toThrow('clave de ejemplo');
+        expect(() => prdCrypt.decrypt(legacyEncrypt('dato'))).toThrow('clave de ejemplo');
+        expect(() => prdCrypt.blindIndex('a@b.com', prdCrypt.BLIND_INDEX_TYPES.EMAIL)).toThrow('BLIND_INDEX_KEY');
+    });
+
+    test('sin ENVIRONMENT se asume producción', () => {
+        const defaultCrypt = loadCrypt({});
+        expect(() => defaultCrypt.encrypt('dato')).toThrow('clave de ejemplo');
+    });
+
+    test('fuera de desarrollo rechaza la clave de ejemplo aunque se indique explícitamente', () => {
+        const prdCrypt = loadCrypt({ ENVIRONMENT: 'prd', ENCRYPTION_KEY: cryptUtil.DEFAULT_ENCRYPTION_KEY, BLIND_INDEX_KEY: newKey() });
+        expect(() => prdCrypt.encrypt('dato')).toThrow('clave de ejemplo');
+        expect(() => prdCrypt.configureKeyring({ keys: { k2: cryptUtil.DEFAULT_ENCRYPTION_KEY }, activeKeyId: 'k2' })).toThrow('clave de ejemplo');
+    });
+
+    test('fuera de desarrollo funciona con claves propias y se puede configurar el keyring en tiempo de ejecución', () => {
+        const prdCrypt = loadCrypt({ ENVIRONMENT: 'prd', ENCRYPTION_KEY: newKey(), BLIND_INDEX_KEY: newKey() });
+        expect(prdCrypt.decrypt(prdCrypt.encrypt('dato'))).toBe('dato');
+        expect(prdCrypt.blindIndex('a@b.com', prdCrypt.BLIND_INDEX_TYPES.EMAIL)).toMatch(/^[0-9a-f]{64}$/);
+
+        const noKeyCrypt = loadCrypt({ ENVIRONMENT: 'prd', BLIND_INDEX_KEY: newKey() });
+        noKeyCrypt.configureKeyring({ keys: { k1: newKey() }, activeKeyId: 'k1' });
+        expect(noKeyCrypt.decrypt(noKeyCrypt.encrypt('dato'))).toBe('dato');
+    });
+
+    test('en desarrollo acepta las claves de ejemplo', () => {
+        const devCrypt = loadCrypt({ ENVIRONMENT: 'local' });
+        expect(devCrypt.decrypt(legacyEncrypt('dato'))).toBe('dato');
+        expect(devCrypt.blindIndex('a@b.com', devCrypt.BLIND_INDEX_TYPES.EMAIL)).not.toBeNull();
+    });
+});
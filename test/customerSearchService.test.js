@@ -0,0 +1,156 @@
+jest.mock('../lib/redisService', () => ({ client: null }));
+jest.mock('../src/models', () => ({ Customer: { find: jest.fn() } }));
+
+const redisService = require('../lib/redisService');
+const { Customer } = require('../src/models');
+const {
+    indexCustomerForAutocomplete,
+    removeCustomerFromAutocompleteIndex,
+    searchCustomers,
+} = require('../src/services/customerSearchService');
+
+const COMPANY_ID = 'empresa1';
+const INDEX_KEY = `customer_autocomplete:${COMPANY_ID}`;
+const DATA_KEY = `customer_autocomplete_data:${COMPANY_ID}`;
+
+// Cliente Redis en memoria con los comandos que usa el servicio (sorted sets con score 0 y hashes).
+const mockRedisClient = () => {
+    const sortedSets = new Map();
+    const hashes = new Map();
+    const sortedSet = (key) => sortedSets.get(key) || sortedSets.set(key, new Set()).get(key);
+    const hash = (key) => hashes.get(key) || hashes.set(key, new Map()).get(key);
+    const commands = {
+        zadd: (key, ...scoreMembers) => scoreMembers.filter((_, i) => i % 2 === 1).forEach(member => sortedSet(key).add(member)),
+        zrem: (key, ...members) => members.forEach(member => sortedSet(key).delete(member)),
+        hset: (key, field, value) => hash(key).set(field, value),
+        hdel: (key, field) => hash(key).delete(field),
+    };
+    const client = {
+        status: 'ready',
+        sortedSets,
+        hashes,
+        hget: jest.fn(async (key, field) => hash(key).get(field) ?? null),
+        hmget: jest.fn(async (key, ...fields) => fields.map(field => hash(key).get(field) ?? null)),
+        // Solo el rango inclusivo por prefijo que usa searchCustomers: ('[min', '[max', 'LIMIT', offset, count).
+        zrangebylex: jest.fn(async (key, min, max, limit, offset, count) => [...sortedSet(key)]
+            .sort()
+            .filter(member => member >= min.slice(1) && member <= max.slice(1))
+            .slice(offset, offset + count)),
+        multi: jest.fn(() => {
+            const queued = [];
+            const pipeline = {
+                exec: async () => queued.map(([name, args]) => [null, commands[name](...args)]),
+            };
+            for (const name of Object.keys(commands)) {
+                pipeline[name] = (...args) => {
+                    queued.push([name, args]);
+                    return pipeline;
+                };
+            }
+            return pipeline;
+        }),
+    };
+    return client;
+};
+
+// Simula Customer.find(...).select(...) devolviendo los documentos guardados que cumplen el filtro de _id.
+const mockCustomers = (customers) => {
+    Customer.find.mockImplementation((filter) => ({
+        select: jest.fn(async () => customers.filter(customer => filter._id.$in.includes(customer._id))),
+    }));
+};
+
+const juan = { _id: 'c1', name: 'Juan', last_name: 'Pérez', doc_type: 'DNI', doc_number: '12-345678' };
+const ana = { _id: 'c2', name: 'Ana', last_name: 'Peralta', doc_type: 'CE', doc_number: '999' };
+
+let client;
+
+beforeEach(() => {
+    client = mockRedisClient();
+    redisService.client = client;
+    Customer.find.mockReset();
+    mockCustomers([juan, ana]);
+});
+
+describe('customerSearchService: índice de autocompletado', () => {
+    test('guarda solo el _id y los tokens del cliente, sin sus datos personales', async () => {
+        await indexCustomerForAutocomplete(juan, COMPANY_ID);
+
+        expect(JSON.parse(client.hashes.get(DATA_KEY).get('c1'))).toEqual({ _id: 'c1', tokens: ['juan', 'perez', '12345678'] });
+        expect([...client.sortedSets.get(INDEX_KEY)]).toEqual(['juan|c1', 'perez|c1', '12345678|c1']);
+    });
+
+    test('al reindexar reemplaza los tokens anteriores y la entrada con datos de versiones anteriores', async () => {
+        client.hashes.set(DATA_KEY, new Map([['c1', JSON.stringify({ _id: 'c1', name: 'Juan', doc_number: '12345678', tokens: ['juan', '12345678'] })]]));
+        client.sortedSets.set(INDEX_KEY, new Set(['juan|c1', '12345678|c1']));
+
+        await indexCustomerForAutocomplete({ ...juan, name: 'Juana' }, COMPANY_ID);
+
+        expect(client.hashes.get(DATA_KEY).get('c1')).not.toMatch(/"name"|doc_number/);
+        expect([...client.sortedSets.get(INDEX_KEY)].sort()).toEqual(['12345678|c1', 'juana|c1', 'perez|c1']);
+    });
+
+    test('removeCustomerFromAutocompleteIndex elimina los tokens y la entrada del cliente', async () => {
+        await indexCustomerForAutocomplete(juan, COMPANY_ID);
+        await indexCustomerForAutocomplete(ana, COMPANY_ID);
+
+        await expect(removeCustomerFromAutocompleteIndex('c1', COMPANY_ID)).resolves.toBe(true);
+
+        expect([...client.sortedSets.get(INDEX_KEY)].some(member => member.endsWith('|c1'))).toBe(false);
+        expect(client.hashes.get(DATA_KEY).has('c1')).toBe(false);
+        expect(client.hashes.get(DATA_KEY).has('c2')).toBe(true);
+    });
+
+    test('devuelve false sin tocar Redis si el cliente no está listo', async () => {
+        client.status = 'reconnecting';
+        await expect(indexCustomerForAutocomplete(juan, COMPANY_ID)).resolves.toBe(false);
+        await expect(searchCustomers(COMPANY_ID, 'juan')).resolves.toBeNull();
+        expect(client.multi).not.toHaveBeenCalled();
+    });
+
+    test('rechaza un cliente sin _id', async () => {
+        await expect(indexCustomerForAutocomplete({ name: 'Juan' }, COMPANY_ID)).rejects.toThrow(/_id/);
+    });
+});
+
+describe('customerSearchService: searchCustomers', () => {
+    beforeEach(async () => {
+        await indexCustomerForAutocomplete(juan, COMPANY_ID);
+        await indexCustomerForAutocomplete(ana, COMPANY_ID);
+    });
+
+    test('busca por prefijo en el índice y lee los datos de los clientes activos de la empresa en Mongo', async () => {
+        const results = await searchCustomers(COMPANY_ID, 'PER');
+
+        expect(results).toEqual([
+            { _id: 'c2', name: 'Ana', last_name: 'Peralta', doc_type: 'CE', doc_number: '999' },
+            { _id: 'c1', name: 'Juan', last_name: 'Pérez', doc_type: 'DNI', doc_number: '12-345678' },
+        ]);
+        expect(Customer.find).toHaveBeenCalledWith({ _id: { $in: ['c2', 'c1'] }, company: COMPANY_ID, active: { $ne: false } });
+    });
+
+    test('con varias palabras cada una debe ser prefijo de algún token del cliente', async () => {
+        await expect(searchCustomers(COMPANY_ID, 'juan pé')).resolves.toEqual([expect.objectContaining({ _id: 'c1' })]);
+        await expect(searchCustomers(COMPANY_ID, 'ana pérez')).resolves.toEqual([]);
+    });
+
+    test('busca por el número de documento sin separadores', async () => {
+        await expect(searchCustomers(COMPANY_ID, '12345')).resolves.toEqual([expect.objectContaining({ _id: 'c1' })]);
+    });
+
+    test('omite los clientes indexados que ya no están en Mongo', async () => {
+        mockCustomers([ana]);
+        await expect(searchCustomers(COMPANY_ID, 'per')).resolves.toEqual([expect.objectContaining({ _id: 'c2' })]);
+    });
+
+    test('respeta el límite de resultados', async () => {
+        await expect(searchCustomers(COMPANY_ID, 'per', 1)).resolves.toHaveLength(1);
+        expect(Customer.find.mock.calls[0][0]._id.$in).toEqual(['c2']);
+    });
+
+    test('no consulta Mongo si no hay coincidencias ni con un prefijo vacío', async () => {
+        await expect(searchCustomers(COMPANY_ID, 'zzz')).resolves.toEqual([]);
+        await expect(searchCustomers(COMPANY_ID, '  ')).resolves.toEqual([]);
+        expect(Customer.find).not.toHaveBeenCalled();
+    });
+});
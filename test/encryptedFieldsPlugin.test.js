@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const encryptedFieldsPlugin = require('../src/middlewares/encryptedFieldsPlugin');
+const { encrypt, decrypt, blindIndex, getCiphertextKeyId, BLIND_INDEX_TYPES } = require('../lib/crypt');
+
+const { Schema, Types } = mongoose;
+
+const ContactSchema = new Schema({
+    name: String,
+    doc_number: String,
+    contact: {
+        email: { type: String, trim: true, lowercase: true },
+    },
+    status: String,
+});
+ContactSchema.plugin(encryptedFieldsPlugin, {
+    fields: ['name', 'doc_number', 'contact.email'],
+    blindIndexes: {
+        doc_number_hash: { field: 'doc_number', type: BLIND_INDEX_TYPES.DOCUMENT },
+        email_hash: { field: 'contact.email', type: BLIND_INDEX_TYPES.EMAIL },
+    },
+});
+const Contact = mongoose.model('EncryptedFieldsPluginTestContact', ContactSchema);
+
+const docIndex = (value) => blindIndex(value, BLIND_INDEX_TYPES.DOCUMENT);
+const emailIndex = (value) => blindIndex(value, BLIND_INDEX_TYPES.EMAIL);
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith('v1:') && getCiphertextKeyId(value) !== null;
+
+// Reemplaza un método de la colección del driver y devuelve el mock para revisar las llamadas.
+const mockCollection = (method, implementation) => {
+    const mock = jest.fn(implementation);
+    Contact.collection[method] = mock;
+    return mock;
+};
+
+const storedContact = (overrides = {}) => ({
+    _id: new Types.ObjectId(),
+    name: encrypt('Juan'),
+    doc_number: encrypt('20-123456-7'),
+    contact: { email: encrypt('juan@mail.com') },
+    ...overrides,
+});
+
+const updateResult = { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+
+describe('encryptedFieldsPlugin: save y lectura', () => {
+    test('encripta los campos y calcula los índices ciegos al guardar', async () => {
+        const insertOne = mockCollection('insertOne', async (doc) => ({ acknowledged: true, insertedId: doc._id }));
+        const contact = new Contact({ name: 'Juan', doc_number: '20-123456-7', contact: { email: ' Juan@Mail.com ' } });
+        await contact.save();
+
+        const [stored] = insertOne.mock.calls[0];
+        expect(isEncrypted(stored.name)).toBe(true);
+        expect(isEncrypted(stored.doc_number)).toBe(true);
+        // trim/lowercase del esquema se aplican antes de encriptar
+        expect(decrypt(stored.contact.email)).toBe('juan@mail.com');
+        expect(stored.doc_number_hash).toBe(docIndex('201234567'));
+        expect(stored.email_hash).toBe(emailIndex('juan@mail.com'));
+    });
+
+    test('los getters, toObject y toJSON devuelven el texto plano', () => {
+        const contact = Contact.hydrate(storedContact());
+        expect(contact.name).toBe('Juan');
+        expect(contact.get('contact.email')).toBe('juan@mail.com');
+        expect(contact.toObject()).toMatchObject({ name: 'Juan', doc_number: '20-123456-7', contact: { email: 'juan@mail.com' } });
+        expect(JSON.parse(JSON.stringify(contact))).toMatchObject({ name: 'Juan', contact: { email: 'juan@mail.com' } });
+    });
+
+    test('no encripta dos veces un valor que ya viene encriptado', () => {
+        const ciphertext = encrypt('Juan');
+        const contact = new Contact({ name: ciphertext });
+        expect(contact.get('name', null, { getters: false })).toBe(ciphertext);
+    });
+
+    test('desencripta los resultados de find y findOne con lean()', async () => {
+        mockCollection('find', () => ({ toArray: async () => [storedContact(), storedContact({ name: encrypt('Ana') })] }));
+        mockCollection('findOne', async () => storedContact());
+
+        const docs = await Contact.find({ status: 'active' }).lean();
+        expect(docs.map(doc => doc.name)).toEqual(['Juan', 'Ana']);
+        const doc = await Contact.findOne({ status: 'active' }).lean();
+        expect(doc).toMatchObject({ name: 'Juan', doc_number: '20-123456-7', contact: { email: 'juan@mail.com' } });
+    });
+
+    test('desencripta el resultado de findOneAndUpdate con lean()', async () => {
+        mockCollection('findOneAndUpdate', async () => storedContact());
+        const doc = await Contact.findOneAndUpdate({ status: 'active' }, { status: 'inactive' }, { new: true }).lean();
+        expect(doc.contact.email).toBe('juan@mail.com');
+    });
+});
+
+describe('encryptedFieldsPlugin: filtros', () => {
+    const captureFilter = async (filter) => {
+        const findOne = mockCollection('findOne', async () => null);
+        await Contact.findOne(filter);
+        return findOne.mock.calls[0][0];
+    };
+
+    test('traduce la igualdad sobre un campo con índice ciego a su columna, normalizando el valor', async () => {
+        expect(await captureFilter({ doc_number: '20-123456-7' })).toEqual({ doc_number_hash: docIndex('201234567') });
+        expect(await captureFilter({ 'contact.email': { $eq: 'JUAN@mail.com' } })).toEqual({ email_hash: { $eq: emailIndex('juan@mail.com') } });
+    });
+
+    test('traduce $in, $ne y $nin, también dentro de $or/$and', async () => {
+        expect(await captureFilter({ doc_number: { $in: ['1', '2'] } })).toEqual({ doc_number_hash: { $in: [docIndex('1'), docIndex('2')] } });
+        expect(await captureFilter({ $or: [{ doc_number: { $ne: '1' } }, { status: 'x' }] }))
+            .toEqual({ $or: [{ doc_number_hash: { $ne: docIndex('1') } }, { status: 'x' }] });
+        expect(await captureFilter({ $and: [{ doc_number: { $nin: ['1'] } }] })).toEqual({ $and: [{ doc_number_hash: { $nin: [docIndex('1')] } }] });
+    });
+
+    test('aplica el filtro de igualdad a las actualizaciones y eliminaciones', async () => {
+        const updateOne = mockCollection('updateOne', async () => updateResult);
+        await Contact.updateOne({ doc_number: '1' }, { status: 'x' });
+        expect(updateOne.mock.calls[0][0]).toEqual({ doc_number_hash: docIndex('1') });
+
+        const deleteMany = mockCollection('deleteMany', async () => ({ acknowledged: true, deletedCount: 1 }));
+        await Contact.deleteMany({ doc_number: '1' });
+        expect(deleteMany.mock.calls[0][0]).toEqual({ doc_number_hash: docIndex('1') });
+    });
+
+    test('deja sin traducir los operadores que no se pueden aplicar a un campo encriptado', async () => {
+        const filter = await captureFilter({ doc_number: { $regex: '^20' } });
+        expect(filter).toEqual({ doc_number: { $regex: '^20' } });
+    });
+});
+
+describe('encryptedFieldsPlugin: operadores de actualización', () => {
+    const captureUpdate = async (update, options) => {
+        const updateOne = mockCollection('updateOne', async () => updateResult);
+        await Contact.updateOne({ status: 'active' }, update, options);
+        return updateOne.mock.calls[0][1];
+    };
+
+    test('$set encripta el valor y actualiza el índice ciego', async () => {
+        const update = await captureUpdate({ $set: { doc_number: '30-1' } });
+        expect(decrypt(update.$set.doc_number)).toBe('30-1');
+        expect(update.$set.doc_number_hash).toBe(docIndex('301'));
+    });
+
+    test('los campos de primer nivel se tratan como $set', async () => {
+        const update = await captureUpdate({ name: 'Ana', doc_number: '30-1' });
+        expect(decrypt(update.$set.name)).toBe('Ana');
+        expect(update.$set.doc_number_hash).toBe(docIndex('301'));
+    });
+
+    test('acepta paths con punto y objetos anidados', async () => {
+        const dotted = await captureUpdate({ $set: { 'contact.email': 'Ana@Mail.com' } });
+        expect(decrypt(dotted.$set['contact.email'])).toBe('ana@mail.com');
+        expect(dotted.$set.email_hash).toBe(emailIndex('ana@mail.com'));
+
+        const nested = await captureUpdate({ $set: { contact: { email: 'ana@mail.com' } } });
+        expect(decrypt(nested.$set.contact.email)).toBe('ana@mail.com');
+        expect(nested.$set.email_hash).toBe(emailIndex('ana@mail.com'));
+    });
+
+    test('$setOnInsert calcula el índice en el mismo operador', async () => {
+        const update = await captureUpdate({ $setOnInsert: { doc_number: '30-1' } }, { upsert: true });
+        expect(decrypt(update.$setOnInsert.doc_number)).toBe('30-1');
+        expect(update.$setOnInsert.doc_number_hash).toBe(docIndex('301'));
+    });
+
+    test('$unset o un valor vacío eliminan el índice ciego', async () => {
+        expect((await captureUpdate({ $unset: { doc_number: 1 } })).$unset).toMatchObject({ doc_number: 1, doc_number_hash: '' });
+        expect((await captureUpdate({ $set: { doc_number: '' } })).$unset).toEqual({ doc_number_hash: '' });
+    });
+
+    test('insertMany calcula los índices de cada documento', async () => {
+        const insertMany = mockCollection('insertMany', async (docs) => ({
+            acknowledged: true,
+            insertedCount: docs.length,
+            insertedIds: Object.fromEntries(docs.map((doc, index) => [index, doc._id])),
+        }));
+        await Contact.insertMany([{ doc_number: '1' }, { doc_number: '2', contact: { email: 'a@b.com' } }]);
+
+        const [docs] = insertMany.mock.calls[0];
+        expect(docs.map(doc => doc.doc_number_hash)).toEqual([docIndex('1'), docIndex('2')]);
+        expect(isEncrypted(docs[1].doc_number)).toBe(true);
+        expect(docs[1].email_hash).toBe(emailIndex('a@b.com'));
+    });
+
+    test('bulkWrite traduce los filtros y actualiza los índices', async () => {
+        const bulkWrite = mockCollection('bulkWrite', async () => ({ insertedCount: 0, matchedCount: 1, modifiedCount: 1, deletedCount: 0, upsertedCount: 0, upsertedIds: {}, insertedIds: {} }));
+        await Contact.bulkWrite([{ updateOne: { filter: { doc_number: '1' }, update: { $set: { doc_number: '2' } } } }]);
+
+        const [[operation]] = bulkWrite.mock.calls[0];
+        expect(operation.updateOne.filter).toEqual({ doc_number_hash: docIndex('1') });
+        expect(operation.updateOne.update.$set.doc_number_hash).toBe(docIndex('2'));
+        expect(decrypt(operation.updateOne.update.$set.doc_number)).toBe('2');
+    });
+});
+
+describe('encryptedFieldsPlugin: configuración', () => {
+    test('rechaza campos inexistentes o índices sobre campos no encriptados', () => {
+        const schema = () => new Schema({ name: String, status: String });
+        expect(() => schema().plugin(encryptedFieldsPlugin, {})).toThrow('al menos un campo');
+        expect(() => schema().plugin(encryptedFieldsPlugin, { fields: ['email'] })).toThrow("el campo 'email' no existe");
+        expect(() => schema().plugin(encryptedFieldsPlugin, {
+            fields: ['name'],
+            blindIndexes: { status_hash: { field: 'status', type: BLIND_INDEX_TYPES.TEXT } },
+        })).toThrow("el índice 'status_hash'");
+    });
+});
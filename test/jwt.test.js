@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verify, JwtError } = require('../lib/jwt');
+
+const SECRET = 'secreto-de-prueba';
+const now = () => Math.floor(Date.now() / 1000);
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signHs256 = (payload, { header = {}, secret = SECRET } = {}) => {
+    const signingInput = `${encode({ alg: 'HS256', typ: 'JWT', ...header })}.${encode(payload)}`;
+    return `${signingInput}.${crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+};
+
+const signRs256 = (payload, privateKey, header = {}) => {
+    const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', ...header })}.${encode(payload)}`;
+    return `${signingInput}.${crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey).toString('base64url')}`;
+};
+
+const expectJwtError = (fn, code) => {
+    let error;
+    try {
+        fn();
+    } catch (err) {
+        error = err;
+    }
+    expect(error).toBeInstanceOf(JwtError);
+    expect(error.code).toBe(code);
+};
+
+describe('jwt.verify con HS256', () => {
+    const options = { secret: SECRET, algorithms: ['HS256'] };
+
+    test('acepta un token válido y devuelve el payload', () => {
+        const token = signHs256({ sub: 'u1', exp: now() + 60 });
+        expect(verify(token, options)).toMatchObject({ sub: 'u1' });
+    });
+
+    test('rechaza un token con el payload alterado', () => {
+        const [header, , signature] = signHs256({ sub: 'u1', roles: ['user'], exp: now() + 60 }).split('.');
+        const tampered = `${header}.${encode({ sub: 'u1', roles: ['system'], exp: now() + 60 })}.${signature}`;
+        expectJwtError(() => verify(tampered, options), 'INVALID_SIGNATURE');
+    });
+
+    test('rechaza un token con la firma alterada o firmado con otro secreto', () => {
+        const token = signHs256({ sub: 'u1', exp: now() + 60 });
+        const flipped = token.slice(0, -2) + (token.endsWith('AA') ? 'BB' : 'AA');
+        expectJwtError(() => verify(flipped, options), 'INVALID_SIGNATURE');
+        expectJwtError(() => verify(signHs256({ sub: 'u1', exp: now() + 60 }, { secret: 'otro' }), options), 'INVALID_SIGNATURE');
+    });
+
+    test('rechaza un token sin firma', () => {
+        const [header, payload] = signHs256({ sub: 'u1', exp: now() + 60 }).split('.');
+        expectJwtError(() => verify(`${header}.${payload}.`, options), 'INVALID_SIGNATURE');
+    });
+
+    test('rechaza tokens mal formados', () => {
+        expectJwtError(() => verify('a.b', options), 'MALFORMED_TOKEN');
+        expectJwtError(() => verify('###.###.###', options), 'MALFORMED_TOKEN');
+        expectJwtError(() => verify(undefined, options), 'MALFORMED_TOKEN');
+    });
+});
+
+describe('jwt.verify: algoritmo', () => {
+    test("rechaza alg 'none'", () => {
+        const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'u1', exp: now() + 60 })}.`;
+        expectJwtError(() => verify(token, { secret: SECRET }), 'INVALID_ALGORITHM');
+    });
+
+    test('rechaza algoritmos no soportados', () => {
+        const token = signHs256({ sub: 'u1', exp: now() + 60 }, { header: { alg: 'HS512' } });
+        expectJwtError(() => verify(token, { secret: SECRET }), 'INVALID_ALGORITHM');
+    });
+
+    test('rechaza un algoritmo soportado que no está en `algorithms`', () => {
+        const token = signHs256({ sub: 'u1', exp: now() + 60 });
+        expectJwtError(() => verify(token, { secret: SECRET, algorithms: ['RS256'] }), 'INVALID_ALGORITHM');
+    });
+});
+
+describe('jwt.verify: claims de tiempo', () => {
+    const options = { secret: SECRET, clockTolerance: 30 };
+
+    test('exige exp', () => {
+        expectJwtError(() => verify(signHs256({ sub: 'u1' }), options), 'MISSING_EXPIRATION');
+        expectJwtError(() => verify(signHs256({ sub: 'u1', exp: String(now() + 60) }), options), 'MISSING_EXPIRATION');
+    });
+
+    test('rechaza un token expirado fuera de la tolerancia y acepta uno dentro de ella', () => {
+        expectJwtError(() => verify(signHs256({ exp: now() - 31 }), options), 'TOKEN_EXPIRED');
+        expect(verify(signHs256({ exp: now() - 10 }), options)).toBeDefined();
+        expectJwtError(() => verify(signHs256({ exp: now() - 10 }), { ...options, clockTolerance: 0 }), 'TOKEN_EXPIRED');
+    });
+
+    test('rechaza un token con nbf futuro fuera de la tolerancia y acepta uno dentro de ella', () => {
+        expectJwtError(() => verify(signHs256({ exp: now() + 600, nbf: now() + 120 }), options), 'TOKEN_NOT_ACTIVE');
+        expect(verify(signHs256({ exp: now() + 600, nbf: now() + 10 }), options)).toBeDefined();
+    });
+});
+
+describe('jwt.verify: audiencia y emisor', () => {
+    const exp = () => now() + 60;
+
+    test('rechaza una audiencia distinta o ausente', () => {
+        const options = { secret: SECRET, audience: 'api' };
+        expectJwtError(() => verify(signHs256({ exp: exp(), aud: 'otra' }), options), 'INVALID_AUDIENCE');
+        expectJwtError(() => verify(signHs256({ exp: exp() }), options), 'INVALID_AUDIENCE');
+    });
+
+    test('acepta si alguna audiencia del token está entre las aceptadas', () => {
+        const token = signHs256({ exp: exp(), aud: ['otra', 'api'] });
+        expect(verify(token, { secret: SECRET, audience: ['api', 'admin'] })).toBeDefined();
+    });
+
+    test('rechaza un emisor distinto', () => {
+        expectJwtError(() => verify(signHs256({ exp: exp(), iss: 'malo' }), { secret: SECRET, issuer: 'auth' }), 'INVALID_ISSUER');
+        expect(verify(signHs256({ exp: exp(), iss: 'auth' }), { secret: SECRET, issuer: 'auth' })).toBeDefined();
+    });
+});
+
+describe('jwt.verify con RS256 y JWKS', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const { privateKey: otherPrivateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let dir;
+    let jwksPath;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+        jwksPath = path.join(dir, 'jwks.json');
+        fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig' }] }));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('acepta un token firmado con la clave del kid', () => {
+        const token = signRs256({ sub: 'u1', exp: now() + 60 }, privateKey, { kid: 'k1' });
+        expect(verify(token, { jwksPath, algorithms: ['RS256'] })).toMatchObject({ sub: 'u1' });
+    });
+
+    test('rechaza un token firmado con otra clave', () => {
+        const token = signRs256({ sub: 'u1', exp: now() + 60 }, otherPrivateKey, { kid: 'k1' });
+        expectJwtError(() => verify(token, { jwksPath, algorithms: ['RS256'] }), 'INVALID_SIGNATURE');
+    });
+
+    test('rechaza un kid desconocido', () => {
+        const token = signRs256({ sub: 'u1', exp: now() + 60 }, privateKey, { kid: 'k2' });
+        expectJwtError(() => verify(token, { jwksPath, algorithms: ['RS256'] }), 'UNKNOWN_KEY');
+    });
+
+    test('rechaza un token HS256 firmado con la clave pública como secreto (confusión de algoritmo)', () => {
+        const pem = publicKey.export({ type: 'spki', format: 'pem' });
+        const token = signHs256({ sub: 'u1', exp: now() + 60 }, { header: { kid: 'k1' }, secret: pem });
+        expectJwtError(() => verify(token, { jwksPath, algorithms: ['RS256'] }), 'INVALID_ALGORITHM');
+        // Sin secreto HS256 configurado, tampoco se acepta aunque el algoritmo esté permitido.
+        expectJwtError(() => verify(token, { jwksPath }), 'MISSING_KEY');
+    });
+});
@@ -0,0 +1,201 @@
+jest.mock('../src/services', () => ({
+    companyService: {
+        findCompanyIdByMetaId: jest.fn(),
+        getCompanySettingsFromRedis: jest.fn(),
+        findCompanyIdByWebhookVerifyToken: jest.fn(),
+    },
+}));
+
+const crypto = require('crypto');
+const { companyService } = require('../src/services');
+const {
+    captureRawBody,
+    verifyMetaWebhook,
+    verifyMetaWebhookHandshake,
+    verifyMetaWebhookSignature,
+} = require('../src/middlewares/metaWebhookAuth');
+
+const APP_SECRET = 'secreto-de-la-app';
+
+// Empresas de prueba: identificador de Meta (phone_number_id o id de página) -> empresa.
+const COMPANY_BY_META_ID = { phone1: 'empresa1', phone2: 'empresa1', phone3: 'empresa2', page1: 'empresa1' };
+
+const whatsappEntry = (phoneNumberId) => ({
+    id: 'waba1',
+    changes: [{ field: 'messages', value: { metadata: { phone_number_id: phoneNumberId }, messages: [] } }],
+});
+
+const sign = (rawBody, secret = APP_SECRET) => `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+// Request con el cuerpo crudo como lo deja captureRawBody y la firma calculada con `secret` (o la indicada).
+const webhookRequest = (body, { secret = APP_SECRET, signature, rawBody = true, method = 'POST' } = {}) => {
+    const req = { method, body, query: {} };
+    if (rawBody) captureRawBody(req, null, Buffer.from(JSON.stringify(body)));
+    const signatureHeader = signature ?? (req.rawBody ? sign(req.rawBody, secret) : undefined);
+    req.header = (name) => (name.toLowerCase() === 'x-hub-signature-256' ? signatureHeader : undefined);
+    return req;
+};
+
+const handshakeRequest = (query) => ({ method: 'GET', query, header: () => undefined });
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.send = jest.fn(() => res);
+    return res;
+};
+
+const run = async (middleware, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next, status: next.mock.calls.length > 0 ? 'next' : res.status.mock.calls[0][0] };
+};
+
+const whatsappBody = (...phoneNumberIds) => ({ object: 'whatsapp_business_account', entry: phoneNumberIds.map(whatsappEntry) });
+
+beforeEach(() => {
+    companyService.findCompanyIdByMetaId.mockReset().mockImplementation(async (channel, metaId) => COMPANY_BY_META_ID[metaId] || null);
+    companyService.getCompanySettingsFromRedis.mockReset().mockResolvedValue({
+        meta_integrations: {
+            whatsapp: { appSecret: APP_SECRET, isEnabled: true },
+            messenger: { appSecret: APP_SECRET, isEnabled: false },
+        },
+    });
+    companyService.findCompanyIdByWebhookVerifyToken.mockReset().mockResolvedValue(null);
+});
+
+describe('metaWebhookAuth: firma de los webhooks POST', () => {
+    test('con una firma válida continúa y agrega req.webhook', async () => {
+        const req = webhookRequest(whatsappBody('phone1', 'phone2'));
+
+        const { status, next } = await run(verifyMetaWebhookSignature(), req);
+
+        expect(status).toBe('next');
+        expect(next).toHaveBeenCalledWith();
+        expect(req.webhook).toEqual({ companyId: 'empresa1', channel: 'whatsapp', metaId: 'phone1', metaIds: ['phone1', 'phone2'] });
+        expect(companyService.getCompanySettingsFromRedis).toHaveBeenCalledWith('empresa1');
+    });
+
+    test('responde 401 con una firma calculada con otro secreto', async () => {
+        const req = webhookRequest(whatsappBody('phone1'), { secret: 'otro-secreto' });
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(401);
+        expect(req.webhook).toBeUndefined();
+    });
+
+    test('responde 401 si el cuerpo cambió después de firmarlo', async () => {
+        const req = webhookRequest(whatsappBody('phone1'));
+        req.rawBody = Buffer.from(JSON.stringify(whatsappBody('phone2')));
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(401);
+    });
+
+    test.each([
+        ['sin cabecera', ''],
+        ['con otro algoritmo', 'sha1=abc'],
+        ['con una firma de otro largo', 'sha256=abc'],
+    ])('responde 401 %s', async (name, signature) => {
+        const req = webhookRequest(whatsappBody('phone1'), { signature });
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(401);
+    });
+
+    test('responde 500 sin consultar la empresa si no se capturó el cuerpo crudo', async () => {
+        const req = webhookRequest(whatsappBody('phone1'), { rawBody: false });
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(500);
+        expect(companyService.findCompanyIdByMetaId).not.toHaveBeenCalled();
+    });
+
+    test('responde 400 a un envío que mezcla entradas de distintas empresas', async () => {
+        const req = webhookRequest(whatsappBody('phone1', 'phone3'));
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(400);
+        expect(companyService.getCompanySettingsFromRedis).not.toHaveBeenCalled();
+    });
+
+    test('responde 400 a un envío con una entrada sin empresa', async () => {
+        const req = webhookRequest(whatsappBody('phone1', 'desconocido'));
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(400);
+    });
+
+    test('responde 400 a un webhook sin canal reconocible o sin identificador en alguna entrada', async () => {
+        expect((await run(verifyMetaWebhookSignature(), webhookRequest({ object: 'otro', entry: [{ id: 'x' }] }))).status).toBe(400);
+        expect((await run(verifyMetaWebhookSignature(), webhookRequest({ object: 'whatsapp_business_account', entry: [{ id: 'x' }] }))).status).toBe(400);
+        expect((await run(verifyMetaWebhookSignature(), webhookRequest({ object: 'page', entry: [] }))).status).toBe(400);
+    });
+
+    test('responde 401 si la empresa no tiene appSecret para el canal', async () => {
+        companyService.getCompanySettingsFromRedis.mockResolvedValue({ meta_integrations: {} });
+        expect((await run(verifyMetaWebhookSignature(), webhookRequest(whatsappBody('phone1')))).status).toBe(401);
+    });
+
+    test('responde 403 si el canal está deshabilitado para la empresa', async () => {
+        const req = webhookRequest({ object: 'page', entry: [{ id: 'page1', messaging: [] }] });
+        expect((await run(verifyMetaWebhookSignature(), req)).status).toBe(403);
+        expect(companyService.findCompanyIdByMetaId).toHaveBeenCalledWith('messenger', 'page1');
+    });
+
+    test('con el canal fijo usa el identificador de ese canal', async () => {
+        const req = webhookRequest({ object: 'whatsapp_business_account', entry: [{ id: 'page1' }] });
+        companyService.getCompanySettingsFromRedis.mockResolvedValue({ meta_integrations: { instagram: { appSecret: APP_SECRET } } });
+
+        expect((await run(verifyMetaWebhookSignature({ channel: 'instagram' }), req)).status).toBe('next');
+        expect(req.webhook).toMatchObject({ companyId: 'empresa1', channel: 'instagram', metaId: 'page1' });
+    });
+
+    test('pasa a next el error al consultar la empresa', async () => {
+        const error = new Error('Redis no disponible');
+        companyService.findCompanyIdByMetaId.mockRejectedValue(error);
+        const { next } = await run(verifyMetaWebhookSignature(), webhookRequest(whatsappBody('phone1')));
+        expect(next).toHaveBeenCalledWith(error);
+    });
+});
+
+describe('metaWebhookAuth: handshake GET', () => {
+    const query = (overrides = {}) => ({ 'hub.mode': 'subscribe', 'hub.verify_token': 'token1', 'hub.challenge': '12345', ...overrides });
+
+    test('responde el challenge si el verify_token coincide con el de una empresa', async () => {
+        companyService.findCompanyIdByWebhookVerifyToken.mockImplementation(async (channel, token) =>
+            (channel === 'messenger' && token === 'token1' ? 'empresa1' : null));
+
+        const { res } = await run(verifyMetaWebhookHandshake(), handshakeRequest(query()));
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send).toHaveBeenCalledWith('12345');
+    });
+
+    test('responde 403 si el verify_token no coincide', async () => {
+        const { res } = await run(verifyMetaWebhookHandshake(), handshakeRequest(query()));
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.send).not.toHaveBeenCalled();
+    });
+
+    test('con el canal fijo solo busca el verify_token de ese canal', async () => {
+        companyService.findCompanyIdByWebhookVerifyToken.mockImplementation(async (channel) => (channel === 'messenger' ? 'empresa1' : null));
+
+        expect((await run(verifyMetaWebhookHandshake({ channel: 'whatsapp' }), handshakeRequest(query()))).status).toBe(403);
+        expect(companyService.findCompanyIdByWebhookVerifyToken.mock.calls).toEqual([['whatsapp', 'token1']]);
+    });
+
+    test.each([
+        ['hub.mode distinto de subscribe', { 'hub.mode': 'unsubscribe' }],
+        ['sin verify_token', { 'hub.verify_token': undefined }],
+        ['sin challenge', { 'hub.challenge': undefined }],
+    ])('responde 400 %s', async (name, overrides) => {
+        expect((await run(verifyMetaWebhookHandshake(), handshakeRequest(query(overrides)))).status).toBe(400);
+        expect(companyService.findCompanyIdByWebhookVerifyToken).not.toHaveBeenCalled();
+    });
+
+    test('rechaza un canal no soportado al crear el handler', () => {
+        expect(() => verifyMetaWebhookHandshake({ channel: 'telegram' })).toThrow(/no soportado/);
+    });
+
+    test('verifyMetaWebhook trata los GET como handshake y el resto como eventos firmados', async () => {
+        companyService.findCompanyIdByWebhookVerifyToken.mockResolvedValue('empresa1');
+        const middleware = verifyMetaWebhook();
+
+        const handshake = await run(middleware, handshakeRequest(query()));
+        expect(handshake.res.send).toHaveBeenCalledWith('12345');
+
+        const event = await run(middleware, webhookRequest(whatsappBody('phone1')));
+        expect(event.status).toBe('next');
+    });
+});
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const modelAuditPlugin = require('../src/middlewares/modelAuditPlugin');
+const AuditLog = require('../src/models/AuditLog');
+
+const { Schema, Types } = mongoose;
+
+const NoteSchema = new Schema({
+    title: String,
+    password: String,
+    settings: {
+        theme: String,
+        whatsapp: { phoneNumberId: String, accessToken: String },
+        secrets: { apiKey: String },
+    },
+    tags: [String],
+    company: Schema.Types.ObjectId,
+});
+NoteSchema.plugin(modelAuditPlugin, { history: true, redactPaths: ['settings.secrets.*'] });
+const Note = mongoose.model('ModelAuditPluginTestNote', NoteSchema);
+
+const PlainSchema = new Schema({ title: String });
+PlainSchema.plugin(modelAuditPlugin);
+const Plain = mongoose.model('ModelAuditPluginTestPlain', PlainSchema);
+
+const companyId = new Types.ObjectId();
+
+const storedNote = (overrides = {}) => ({
+    _id: new Types.ObjectId(),
+    title: 'uno',
+    password: 'hash-viejo',
+    settings: { theme: 'light', whatsapp: { phoneNumberId: '111', accessToken: 'token-viejo' }, secrets: { apiKey: 'k1' } },
+    tags: ['a'],
+    company: companyId,
+    active: true,
+    created_by: 'ana',
+    modified_by: 'ana',
+    modified_at: new Date('2024-01-01T00:00:00Z'),
+    __v: 0,
+    ...overrides,
+});
+
+// Reemplaza un método de la colección del driver y devuelve el mock.
+const mockCollection = (model, method, implementation) => {
+    const mock = jest.fn(implementation);
+    model.collection[method] = mock;
+    return mock;
+};
+
+const ok = async () => ({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+
+let create;
+
+beforeEach(() => {
+    create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('modelAuditPlugin: historial de save', () => {
+    test('un documento nuevo registra la operación create con todos sus campos y el actor', async () => {
+        mockCollection(Note, 'insertOne', async () => ({ acknowledged: true }));
+        const note = new Note({ title: 'uno', company: companyId, created_by: 'ana', modified_by: 'ana' });
+
+        await note.save();
+
+        const [entry] = create.mock.calls[0];
+        expect(entry).toMatchObject({ model_name: 'ModelAuditPluginTestNote', document_id: note._id, company: companyId, operation: 'create', actor: 'ana' });
+        expect(entry.changes).toEqual(expect.arrayContaining([{ path: 'title', before: null, after: 'uno' }]));
+        // _id, __v, modified_at y modified_by no aportan información al historial.
+        expect(entry.changes.map(change => change.path)).not.toEqual(expect.arrayContaining(['_id', 'modified_at']));
+    });
+
+    test('un save registra solo los paths modificados, con el subcampo exacto', async () => {
+        mockCollection(Note, 'findOne', async () => storedNote());
+        mockCollection(Note, 'updateOne', ok);
+        const note = await Note.findOne({});
+
+        note.settings.whatsapp.phoneNumberId = '222';
+        note.tags.push('b');
+        note.modified_by = 'beto';
+        await note.save();
+
+        const [entry] = create.mock.calls[0];
+        expect(entry).toMatchObject({ operation: 'save', actor: 'beto' });
+        expect(entry.changes).toEqual([
+            { path: 'settings.whatsapp.phoneNumberId', before: '111', after: '222' },
+            { path: 'tags', before: ['a'], after: ['a', 'b'] },
+        ]);
+    });
+
+    test('oculta los paths sensibles por defecto y los configurados', async () => {
+        mockCollection(Note, 'findOne', async () => storedNote());
+        mockCollection(Note, 'updateOne', ok);
+        const note = await Note.findOne({});
+
+        note.password = 'hash-nuevo';
+        note.settings.whatsapp.accessToken = 'token-nuevo';
+        note.settings.secrets.apiKey = 'k2';
+        await note.save();
+
+        const { changes } = create.mock.calls[0][0];
+        expect(changes).toHaveLength(3);
+        expect(changes).toEqual(expect.arrayContaining([
+            { path: 'password', before: '[REDACTED]', after: '[REDACTED]' },
+            { path: 'settings.whatsapp.accessToken', before: '[REDACTED]', after: '[REDACTED]' },
+            { path: 'settings.secrets.apiKey', before: '[REDACTED]', after: '[REDACTED]' },
+        ]));
+    });
+
+    test('no registra nada si el save no cambió ningún campo', async () => {
+        mockCollection(Note, 'findOne', async () => storedNote());
+        mockCollection(Note, 'updateOne', ok);
+        const note = await Note.findOne({});
+
+        note.title = 'uno';
+        await note.save();
+
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('un error al guardar el historial no interrumpe el save', async () => {
+        create.mockRejectedValue(new Error('audit_log no disponible'));
+        mockCollection(Note, 'findOne', async () => storedNote());
+        const updateOne = mockCollection(Note, 'updateOne', ok);
+        const note = await Note.findOne({});
+
+        note.title = 'dos';
+        await expect(note.save()).resolves.toBe(note);
+        expect(updateOne).toHaveBeenCalled();
+    });
+
+    test('sin la opción history no registra cambios ni agrega getHistory', async () => {
+        mockCollection(Plain, 'insertOne', async () => ({ acknowledged: true }));
+        await new Plain({ title: 'uno', created_by: 'ana', modified_by: 'ana' }).save();
+
+        expect(create).not.toHaveBeenCalled();
+        expect(Plain.getHistory).toBeUndefined();
+        expect(typeof Plain.recordPurge).toBe('function');
+    });
+});
+
+describe('modelAuditPlugin: historial de updateOne y findOneAndUpdate', () => {
+    test('updateOne compara el documento antes y después y toma el actor del update', async () => {
+        const before = storedNote();
+        const after = { ...before, title: 'dos', settings: { ...before.settings, theme: 'dark' }, modified_by: 'beto' };
+        mockCollection(Note, 'findOne', jest.fn()
+            .mockResolvedValueOnce(before)
+            .mockResolvedValueOnce(after));
+        mockCollection(Note, 'updateOne', ok);
+
+        await Note.updateOne({ _id: before._id }, { $set: { title: 'dos', 'settings.theme': 'dark', modified_by: 'beto' } });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            document_id: before._id,
+            operation: 'updateOne',
+            actor: 'beto',
+            changes: [
+                { path: 'title', before: 'uno', after: 'dos' },
+                { path: 'settings.theme', before: 'light', after: 'dark' },
+            ],
+        }));
+    });
+
+    test('findOneAndUpdate registra su operación', async () => {
+        const before = storedNote();
+        mockCollection(Note, 'findOne', jest.fn()
+            .mockResolvedValueOnce(before)
+            .mockResolvedValueOnce({ ...before, tags: [] }));
+        mockCollection(Note, 'findOneAndUpdate', async () => ({ ...before, tags: [] }));
+
+        await Note.findOneAndUpdate({ _id: before._id }, { $set: { tags: [] } }, { new: true });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            operation: 'findOneAndUpdate',
+            actor: 'ana',
+            changes: [{ path: 'tags', before: ['a'], after: [] }],
+        }));
+    });
+
+    test('no registra nada si el filtro no encontró un documento', async () => {
+        mockCollection(Note, 'findOne', async () => null);
+        mockCollection(Note, 'updateOne', async () => ({ acknowledged: true, matchedCount: 0, modifiedCount: 0 }));
+
+        await Note.updateOne({ _id: new Types.ObjectId() }, { $set: { title: 'dos' } });
+
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('modelAuditPlugin: getHistory', () => {
+    // Simula AuditLog.find(...).sort(...).limit(...).lean() y devuelve los mocks de cada paso.
+    const mockHistoryQuery = (entries) => {
+        const query = {};
+        query.sort = jest.fn(() => query);
+        query.limit = jest.fn(() => query);
+        query.lean = jest.fn(async () => entries);
+        const find = jest.spyOn(AuditLog, 'find').mockReturnValue(query);
+        return { find, query };
+    };
+
+    test('devuelve las entradas del documento de la más reciente a la más antigua, con límite por defecto', async () => {
+        const entries = [{ operation: 'save' }, { operation: 'create' }];
+        const { find, query } = mockHistoryQuery(entries);
+        const documentId = new Types.ObjectId();
+
+        await expect(Note.getHistory(documentId)).resolves.toBe(entries);
+
+        expect(find).toHaveBeenCalledWith({ model_name: 'ModelAuditPluginTestNote', document_id: documentId });
+        expect(query.sort).toHaveBeenCalledWith({ at: -1 });
+        expect(query.limit).toHaveBeenCalledWith(50);
+    });
+
+    test('pagina con limit y before', async () => {
+        const { find, query } = mockHistoryQuery([]);
+        const before = new Date('2024-06-01T00:00:00Z');
+        const documentId = new Types.ObjectId();
+
+        await Note.getHistory(documentId, { limit: 10, before });
+
+        expect(find).toHaveBeenCalledWith({ model_name: 'ModelAuditPluginTestNote', document_id: documentId, at: { $lt: before } });
+        expect(query.limit).toHaveBeenCalledWith(10);
+    });
+});
@@ -0,0 +1,273 @@
+jest.mock('../lib/redisService', () => ({ client: null }));
+
+const redisService = require('../lib/redisService');
+const mongoDBService = require('../lib/mongoDBService');
+
+const TOKEN_KEY = 'change_stream_resume:empresas';
+
+// Change stream falso: itera los cambios (o errores) agregados con `push` y termina al cerrarse.
+const mockChangeStream = (options) => {
+    const queue = [];
+    let wake = null;
+    const notify = () => {
+        if (wake) {
+            const resolve = wake;
+            wake = null;
+            resolve();
+        }
+    };
+    return {
+        options,
+        closed: false,
+        push(...items) {
+            queue.push(...items);
+            notify();
+        },
+        close: jest.fn(async function close() {
+            this.closed = true;
+            notify();
+        }),
+        async *[Symbol.asyncIterator]() {
+            while (true) {
+                if (queue.length > 0) {
+                    const item = queue.shift();
+                    if (item instanceof Error) throw item;
+                    yield item;
+                } else if (this.closed) {
+                    return;
+                } else {
+                    await new Promise(resolve => { wake = resolve; });
+                }
+            }
+        },
+    };
+};
+
+// Colección falsa: cada watch() abre un change stream nuevo y lo deja en `streams`.
+const mockCollection = () => {
+    const streams = [];
+    return {
+        streams,
+        watch: jest.fn((pipeline, options) => {
+            const stream = mockChangeStream(options);
+            streams.push(stream);
+            return stream;
+        }),
+    };
+};
+
+const mockRedisClient = () => {
+    const store = new Map();
+    return {
+        status: 'ready',
+        store,
+        get: jest.fn(async (key) => store.get(key) ?? null),
+        set: jest.fn(async (key, value) => store.set(key, value)),
+        del: jest.fn(async (key) => Number(store.delete(key))),
+    };
+};
+
+const change = (n) => ({ _id: { _data: `token${n}` }, operationType: 'update', documentKey: { _id: `doc${n}` } });
+
+const lostTokenError = () => Object.assign(new Error('Resume of change stream was not possible'), { code: 286 });
+
+const flush = async (times = 5) => {
+    for (let i = 0; i < times; i++) await new Promise(setImmediate);
+};
+
+let client;
+let collection;
+let watcher;
+
+const watch = (options = {}) => {
+    watcher = mongoDBService.watchCollection({ collection }, { name: 'empresas', onChange: jest.fn(async () => {}), ...options });
+    return watcher;
+};
+
+beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    client = mockRedisClient();
+    redisService.client = client;
+    collection = mockCollection();
+    watcher = null;
+});
+
+afterEach(async () => {
+    if (watcher) await watcher.close();
+    jest.useRealTimers();
+});
+
+describe('mongoDBService.watchCollection: resume token', () => {
+    test('exige name y onChange', () => {
+        expect(() => mongoDBService.watchCollection({ collection }, { name: 'empresas' })).toThrow(/name.*onChange/);
+    });
+
+    test('sin resume token abre el stream desde el momento actual con el pipeline y fullDocument', async () => {
+        const pipeline = [{ $match: { operationType: 'update' } }];
+        watch({ pipeline });
+        await flush();
+
+        expect(client.get).toHaveBeenCalledWith(TOKEN_KEY);
+        expect(collection.watch).toHaveBeenCalledWith(pipeline, { fullDocument: 'updateLookup' });
+    });
+
+    test('procesa los cambios en orden y guarda el resume token después de cada uno', async () => {
+        const tokensSeenByHandler = [];
+        const onChange = jest.fn(async () => { tokensSeenByHandler.push(client.store.get(TOKEN_KEY)); });
+        watch({ onChange });
+        await flush();
+
+        collection.streams[0].push(change(1), change(2));
+        await flush();
+
+        expect(onChange.mock.calls.map(([received]) => received.documentKey._id)).toEqual(['doc1', 'doc2']);
+        // Al procesar cada cambio el token guardado todavía es el del anterior.
+        expect(tokensSeenByHandler).toEqual([undefined, JSON.stringify(change(1)._id)]);
+        expect(client.store.get(TOKEN_KEY)).toBe(JSON.stringify({ _data: 'token2' }));
+    });
+
+    test('retoma desde el resume token guardado', async () => {
+        client.store.set(TOKEN_KEY, JSON.stringify({ _data: 'token7' }));
+        watch();
+        await flush();
+
+        expect(collection.watch).toHaveBeenCalledWith([], { fullDocument: 'updateLookup', resumeAfter: { _data: 'token7' } });
+    });
+
+    test('tras un error del stream lo reabre con backoff desde el último cambio procesado', async () => {
+        const onChange = jest.fn(async () => {});
+        watch({ onChange });
+        await flush();
+        collection.streams[0].push(change(1), new Error('conexión perdida'));
+        await flush();
+
+        expect(collection.watch).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await flush();
+
+        expect(collection.streams[0].close).toHaveBeenCalled();
+        expect(collection.watch).toHaveBeenCalledTimes(2);
+        expect(collection.streams[1].options).toEqual({ fullDocument: 'updateLookup', resumeAfter: { _data: 'token1' } });
+        collection.streams[1].push(change(2));
+        await flush();
+        expect(onChange).toHaveBeenCalledTimes(2);
+    });
+
+    test('sin Redis no abre el stream y lo reintenta hasta que Redis vuelve', async () => {
+        client.status = 'reconnecting';
+        client.store.set(TOKEN_KEY, JSON.stringify({ _data: 'token3' }));
+        watch();
+        await flush();
+        expect(collection.watch).not.toHaveBeenCalled();
+
+        client.status = 'ready';
+        await jest.advanceTimersByTimeAsync(1000);
+        await flush();
+
+        expect(collection.watch).toHaveBeenCalledWith([], { fullDocument: 'updateLookup', resumeAfter: { _data: 'token3' } });
+    });
+});
+
+describe('mongoDBService.watchCollection: resume token perdido', () => {
+    test.each([260, 280, 286])('con el código %i descarta el token, resincroniza y sigue desde el momento actual', async (code) => {
+        client.store.set(TOKEN_KEY, JSON.stringify({ _data: 'viejo' }));
+        const onResumeLost = jest.fn(async () => {});
+        watch({ onResumeLost });
+        await flush();
+
+        collection.streams[0].push(Object.assign(new Error('token perdido'), { code }));
+        await flush();
+
+        expect(client.del).toHaveBeenCalledWith(TOKEN_KEY);
+        expect(onResumeLost).toHaveBeenCalledTimes(1);
+        // Se reabre sin esperar el backoff y sin resumeAfter.
+        expect(collection.streams[1].options).toEqual({ fullDocument: 'updateLookup' });
+    });
+
+    test('un error al resincronizar no detiene el watcher', async () => {
+        const onChange = jest.fn(async () => {});
+        watch({ onChange, onResumeLost: jest.fn(async () => { throw new Error('falló la resincronización'); }) });
+        await flush();
+
+        collection.streams[0].push(lostTokenError());
+        await flush();
+        collection.streams[1].push(change(1));
+        await flush();
+
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('si no puede descartar el token espera y vuelve a intentarlo antes de resincronizar', async () => {
+        client.store.set(TOKEN_KEY, JSON.stringify({ _data: 'viejo' }));
+        const onResumeLost = jest.fn(async () => {});
+        watch({ onResumeLost });
+        await flush();
+        client.del.mockRejectedValueOnce(new Error('sin conexión'));
+
+        collection.streams[0].push(lostTokenError());
+        await flush();
+        expect(onResumeLost).not.toHaveBeenCalled();
+
+        // Al reabrir con el token viejo Mongo vuelve a rechazarlo.
+        await jest.advanceTimersByTimeAsync(1000);
+        await flush();
+        expect(collection.streams[1].options.resumeAfter).toEqual({ _data: 'viejo' });
+        collection.streams[1].push(lostTokenError());
+        await flush();
+
+        expect(client.store.has(TOKEN_KEY)).toBe(false);
+        expect(onResumeLost).toHaveBeenCalledTimes(1);
+        expect(collection.streams[2].options).toEqual({ fullDocument: 'updateLookup' });
+    });
+});
+
+describe('mongoDBService.watchCollection: errores de onChange', () => {
+    test('reintenta el cambio con backoff y solo guarda el token cuando se procesó', async () => {
+        const onChange = jest.fn()
+            .mockRejectedValueOnce(new Error('falló'))
+            .mockResolvedValueOnce();
+        watch({ onChange });
+        await flush();
+
+        collection.streams[0].push(change(1));
+        await flush();
+        expect(client.store.has(TOKEN_KEY)).toBe(false);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await flush();
+
+        expect(onChange).toHaveBeenCalledTimes(2);
+        expect(client.store.get(TOKEN_KEY)).toBe(JSON.stringify({ _data: 'token1' }));
+    });
+
+    test('tras maxAttempts descarta el cambio, llama a onFailedChange y sigue con el siguiente', async () => {
+        const error = new Error('falló siempre');
+        const onChange = jest.fn(async (received) => { if (received.documentKey._id === 'doc1') throw error; });
+        const onFailedChange = jest.fn(async () => {});
+        watch({ onChange, onFailedChange, maxAttempts: 2 });
+        await flush();
+
+        collection.streams[0].push(change(1), change(2));
+        await flush();
+        await jest.advanceTimersByTimeAsync(1000);
+        await flush();
+
+        expect(onFailedChange).toHaveBeenCalledWith(change(1), error);
+        expect(onChange.mock.calls.map(([received]) => received.documentKey._id)).toEqual(['doc1', 'doc1', 'doc2']);
+        expect(client.store.get(TOKEN_KEY)).toBe(JSON.stringify({ _data: 'token2' }));
+    });
+
+    test('al cerrar durante la espera de un reintento no avanza el token', async () => {
+        watch({ onChange: jest.fn().mockRejectedValue(new Error('falló')) });
+        await flush();
+        collection.streams[0].push(change(1));
+        await flush();
+
+        await watcher.close();
+        watcher = null;
+
+        expect(client.store.has(TOKEN_KEY)).toBe(false);
+        expect(collection.streams[0].close).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,291 @@
+jest.mock('../lib/redisService', () => ({ client: null, publishToStream: jest.fn(), publish: jest.fn() }));
+jest.mock('../src/services/companyService', () => ({ syncCompanySettingsInRedis: jest.fn() }));
+jest.mock('../src/services/usageService', () => ({ cacheMonthlyLimit: jest.fn() }));
+jest.mock('../src/models', () => ({
+    OutboxEvent: { create: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() },
+    Company: { findById: jest.fn() },
+}));
+
+const redisService = require('../lib/redisService');
+const companyService = require('../src/services/companyService');
+const { OutboxEvent, Company } = require('../src/models');
+const outboxService = require('../src/services/outboxService');
+const { outboxDestinationType, outboxEventStatus } = require('../lib/constants');
+
+const STREAM = { type: outboxDestinationType.STREAM, name: 'stream_de_prueba' };
+const CHANNEL = { type: outboxDestinationType.CHANNEL, name: 'canal_de_prueba' };
+
+// Colección `outbox_events` en memoria. Los filtros solo usan igualdad, $or, $lte y $lt, como claimAndPublish.
+let events;
+
+const matches = (event, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(alternative => matches(event, alternative));
+    if (condition && condition.$lte) return event[field] <= condition.$lte;
+    if (condition && condition.$lt) return event[field] !== null && event[field] < condition.$lt;
+    return String(event[field]) === String(condition);
+});
+
+const applyUpdate = (event, { $set = {}, $inc = {} }) => {
+    Object.assign(event, $set);
+    for (const [field, amount] of Object.entries($inc)) event[field] += amount;
+};
+
+const mockOutboxCollection = () => {
+    events = [];
+    OutboxEvent.create.mockReset().mockImplementation(async (docs) => docs.map((doc) => {
+        const event = {
+            _id: `evento${events.length + 1}`,
+            payload: {},
+            status: outboxEventStatus.PENDING,
+            attempts: 0,
+            available_at: new Date(),
+            locked_until: null,
+            last_error: null,
+            created_at: new Date(Date.now() + events.length),
+            ...doc,
+        };
+        events.push(event);
+        return { ...event };
+    }));
+    OutboxEvent.findOneAndUpdate.mockReset().mockImplementation((filter, update) => ({
+        lean: async () => {
+            const event = events
+                .filter(candidate => matches(candidate, filter))
+                .sort((a, b) => a.created_at - b.created_at)[0];
+            if (!event) return null;
+            applyUpdate(event, update);
+            return structuredClone(event);
+        },
+    }));
+    OutboxEvent.updateOne.mockReset().mockImplementation(async ({ _id }, update) => {
+        applyUpdate(events.find(event => event._id === _id), update);
+        return { modifiedCount: 1 };
+    });
+};
+
+// Guarda un evento sin publicarlo (como dentro de una transacción).
+const storeEvent = (destination, overrides = {}) => outboxService.enqueue({ destination, payload: { n: 1 }, ...overrides }, { session: {} });
+
+// Adelanta el reloj de los eventos: vence las esperas de reintento y las reservas.
+const expireDelays = () => {
+    const past = new Date(Date.now() - 1000);
+    for (const event of events) {
+        event.available_at = past;
+        if (event.locked_until) event.locked_until = past;
+    }
+};
+
+beforeEach(() => {
+    mockOutboxCollection();
+    redisService.client = { status: 'ready' };
+    redisService.publishToStream.mockReset().mockResolvedValue('1-0');
+    redisService.publish.mockReset().mockResolvedValue(1);
+    companyService.syncCompanySettingsInRedis.mockReset().mockResolvedValue(true);
+    Company.findById.mockReset();
+});
+
+describe('outboxService: enqueue', () => {
+    test('dentro de una transacción guarda el evento con la sesión y no lo publica', async () => {
+        const session = { id: 'sesion' };
+        const saved = await outboxService.enqueue({ destination: STREAM, payload: { n: 1 } }, { session });
+
+        expect(OutboxEvent.create).toHaveBeenCalledWith([{ destination: STREAM, payload: { n: 1 } }], { session });
+        expect(saved).toMatchObject({ status: outboxEventStatus.PENDING, attempts: 0 });
+        expect(redisService.publishToStream).not.toHaveBeenCalled();
+    });
+
+    test('sin transacción publica el evento de inmediato y lo marca como enviado', async () => {
+        await outboxService.enqueue({ destination: STREAM, payload: { n: 1 } });
+
+        expect(redisService.publishToStream).toHaveBeenCalledWith('stream_de_prueba', { n: 1 });
+        expect(events[0]).toMatchObject({ status: outboxEventStatus.SENT, attempts: 1, locked_until: null, sent_at: expect.any(Date) });
+    });
+
+    test('sin Redis solo guarda el evento para el relay', async () => {
+        redisService.client = null;
+        await outboxService.enqueue({ destination: STREAM, payload: { n: 1 } });
+
+        expect(redisService.publishToStream).not.toHaveBeenCalled();
+        expect(events[0]).toMatchObject({ status: outboxEventStatus.PENDING, attempts: 0 });
+    });
+
+    test('si falla la publicación inmediata el evento queda para el relay', async () => {
+        redisService.publishToStream.mockResolvedValue(null);
+        await expect(outboxService.enqueue({ destination: STREAM })).resolves.toMatchObject({ _id: 'evento1' });
+        expect(events[0]).toMatchObject({ status: outboxEventStatus.PENDING, attempts: 1, last_error: expect.stringMatching(/stream_de_prueba/) });
+    });
+});
+
+describe('outboxService: relay', () => {
+    test('publica los eventos pendientes en orden de creación y los marca como enviados', async () => {
+        await storeEvent(STREAM, { payload: { n: 1 } });
+        await storeEvent(CHANNEL, { payload: { n: 2 } });
+
+        await expect(outboxService.relayPendingEvents()).resolves.toEqual({ sent: 2, retried: 0, failed: 0 });
+
+        expect(redisService.publishToStream).toHaveBeenCalledWith('stream_de_prueba', { n: 1 });
+        expect(redisService.publish).toHaveBeenCalledWith('canal_de_prueba', { n: 2 });
+        expect(redisService.publishToStream.mock.invocationCallOrder[0]).toBeLessThan(redisService.publish.mock.invocationCallOrder[0]);
+        expect(events.map(event => event.status)).toEqual([outboxEventStatus.SENT, outboxEventStatus.SENT]);
+    });
+
+    test('un canal sin receptores cuenta como enviado', async () => {
+        redisService.publish.mockResolvedValue(0);
+        await storeEvent(CHANNEL);
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ sent: 1 });
+    });
+
+    test('respeta batchSize', async () => {
+        await storeEvent(STREAM);
+        await storeEvent(STREAM);
+        await expect(outboxService.relayPendingEvents({ batchSize: 1 })).resolves.toMatchObject({ sent: 1 });
+        expect(events[1].status).toBe(outboxEventStatus.PENDING);
+    });
+
+    test('sin Redis no toma eventos ni consume intentos', async () => {
+        await storeEvent(STREAM);
+        redisService.client = { status: 'reconnecting' };
+
+        await expect(outboxService.relayPendingEvents()).resolves.toEqual({ sent: 0, retried: 0, failed: 0 });
+        expect(OutboxEvent.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(events[0].attempts).toBe(0);
+    });
+
+    test('un evento en proceso con la reserva vigente no se vuelve a tomar', async () => {
+        await storeEvent(STREAM);
+        Object.assign(events[0], { status: outboxEventStatus.PROCESSING, locked_until: new Date(Date.now() + 60 * 1000) });
+
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ sent: 0 });
+        expect(redisService.publishToStream).not.toHaveBeenCalled();
+    });
+});
+
+describe('outboxService: entrega al menos una vez', () => {
+    test('retoma un evento cuyo relay se cayó después de reservarlo', async () => {
+        await storeEvent(STREAM);
+        Object.assign(events[0], { status: outboxEventStatus.PROCESSING, attempts: 1, locked_until: new Date(Date.now() - 1) });
+
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ sent: 1 });
+        expect(events[0]).toMatchObject({ status: outboxEventStatus.SENT, attempts: 2 });
+    });
+
+    test('si no se pudo marcar como enviado vuelve a publicarlo en el próximo intento', async () => {
+        await storeEvent(STREAM);
+        OutboxEvent.updateOne.mockRejectedValueOnce(new Error('sin conexión a Mongo'));
+
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ retried: 1 });
+        expireDelays();
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ sent: 1 });
+
+        // El consumidor recibe el evento dos veces: debe tolerar duplicados.
+        expect(redisService.publishToStream).toHaveBeenCalledTimes(2);
+        expect(events[0].status).toBe(outboxEventStatus.SENT);
+    });
+});
+
+describe('outboxService: reintentos y fallos', () => {
+    test('si la publicación falla vuelve a pendiente con backoff y guarda el error', async () => {
+        redisService.publishToStream.mockResolvedValue(null);
+        await storeEvent(STREAM);
+
+        const before = Date.now();
+        await expect(outboxService.relayPendingEvents()).resolves.toEqual({ sent: 0, retried: 1, failed: 0 });
+
+        expect(events[0]).toMatchObject({
+            status: outboxEventStatus.PENDING,
+            attempts: 1,
+            locked_until: null,
+            last_error: "No se pudo publicar en el stream 'stream_de_prueba'.",
+        });
+        expect(events[0].available_at.getTime()).toBeGreaterThanOrEqual(before + 5 * 1000);
+        expect(events[0].available_at.getTime()).toBeLessThanOrEqual(Date.now() + 5 * 1000);
+    });
+
+    test('la espera se duplica en cada intento', async () => {
+        redisService.publish.mockResolvedValue(null);
+        await storeEvent(CHANNEL);
+
+        const delays = [];
+        for (let i = 0; i < 3; i++) {
+            expireDelays();
+            const before = Date.now();
+            await outboxService.relayPendingEvents();
+            delays.push(Math.round((events[0].available_at - before) / 1000));
+        }
+
+        expect(delays).toEqual([5, 10, 20]);
+    });
+
+    test('al llegar a maxAttempts marca el evento como fallido y deja de tomarlo', async () => {
+        redisService.publishToStream.mockResolvedValue(null);
+        await storeEvent(STREAM);
+
+        await expect(outboxService.relayPendingEvents({ maxAttempts: 2 })).resolves.toMatchObject({ retried: 1 });
+        expireDelays();
+        await expect(outboxService.relayPendingEvents({ maxAttempts: 2 })).resolves.toMatchObject({ failed: 1 });
+        expireDelays();
+        await expect(outboxService.relayPendingEvents({ maxAttempts: 2 })).resolves.toEqual({ sent: 0, retried: 0, failed: 0 });
+
+        expect(events[0]).toMatchObject({ status: outboxEventStatus.FAILED, attempts: 2 });
+        expect(redisService.publishToStream).toHaveBeenCalledTimes(2);
+    });
+
+    test('un fallo no impide publicar los demás eventos del lote', async () => {
+        redisService.publishToStream.mockResolvedValueOnce(null);
+        await storeEvent(STREAM);
+        await storeEvent(STREAM);
+
+        await expect(outboxService.relayPendingEvents()).resolves.toEqual({ sent: 1, retried: 1, failed: 0 });
+    });
+});
+
+describe('outboxService: handlers', () => {
+    const handlerDestination = (name) => ({ type: outboxDestinationType.HANDLER, name });
+
+    test('entrega el evento al handler registrado y reintenta si lanza', async () => {
+        const handler = jest.fn()
+            .mockRejectedValueOnce(new Error('falló'))
+            .mockResolvedValueOnce();
+        outboxService.registerHandler('handler_de_prueba', handler);
+        await storeEvent(handlerDestination('handler_de_prueba'));
+
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ retried: 1 });
+        expireDelays();
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ sent: 1 });
+        expect(handler).toHaveBeenLastCalledWith(expect.objectContaining({ _id: 'evento1', attempts: 2 }));
+    });
+
+    test('un handler no registrado cuenta como fallo del intento', async () => {
+        await storeEvent(handlerDestination('no_registrado'));
+        await outboxService.relayPendingEvents();
+        expect(events[0].last_error).toMatch(/no_registrado/);
+    });
+
+    test('COMPANY_SETTINGS_SYNC copia en Redis la configuración actual de la empresa', async () => {
+        const company = { _id: 'empresa1', active: false };
+        Company.findById.mockReturnValue({ lean: async () => company });
+        await storeEvent(handlerDestination(outboxService.OUTBOX_HANDLERS.COMPANY_SETTINGS_SYNC), { aggregate: { model: 'Company', id: 'empresa1' } });
+
+        await expect(outboxService.relayPendingEvents()).resolves.toMatchObject({ sent: 1 });
+        expect(Company.findById).toHaveBeenCalledWith('empresa1');
+        expect(companyService.syncCompanySettingsInRedis).toHaveBeenCalledWith('empresa1', company);
+    });
+});
+
+describe('outboxService: startOutboxRelay', () => {
+    test('ejecuta el relay periódicamente y al detenerlo espera la ejecución en curso', async () => {
+        await storeEvent(STREAM);
+        const stop = outboxService.startOutboxRelay({ intervalMs: 5 });
+
+        const start = Date.now();
+        while (events[0].status !== outboxEventStatus.SENT && Date.now() - start < 1000) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        await stop();
+
+        expect(events[0].status).toBe(outboxEventStatus.SENT);
+        await storeEvent(STREAM);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(events[1].status).toBe(outboxEventStatus.PENDING);
+    });
+});
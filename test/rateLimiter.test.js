@@ -0,0 +1,220 @@
+jest.mock('../lib/redisService', () => ({ client: null }));
+
+const redisService = require('../lib/redisService');
+const { rateLimit } = require('../src/middlewares/rateLimiter');
+
+let ipCounter = 0;
+
+// Cada petición usa una IP distinta por test: los buckets en memoria son del módulo y se comparten entre tests.
+const mockRequest = ({ ip, route, baseUrl = '', path = '/', method = 'GET', token } = {}) => ({
+    ip,
+    method,
+    baseUrl,
+    path,
+    route: route ? { path: route } : undefined,
+    token,
+});
+
+const mockResponse = () => {
+    const res = { headers: {} };
+    res.set = jest.fn((field, value) => {
+        Object.assign(res.headers, typeof field === 'object' ? field : { [field]: value });
+        return res;
+    });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+// Ejecuta el middleware y devuelve la respuesta y si se llamó a next (y con qué).
+const run = async (middleware, req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { res, next };
+};
+
+// Cliente Redis falso: registra el comando del script y guarda los buckets como lo haría el script Lua.
+const mockRedisClient = () => {
+    const buckets = new Map();
+    const client = {
+        status: 'ready',
+        defineCommand: jest.fn(),
+        rateLimitTokenBucket: jest.fn(async (key, capacity, rate, now, cost) => {
+            const bucket = buckets.get(key) || { tokens: capacity, ts: now };
+            let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.ts) * rate);
+            const allowed = tokens >= cost ? 1 : 0;
+            if (allowed) tokens -= cost;
+            buckets.set(key, { tokens, ts: now });
+            return [allowed, String(tokens)];
+        }),
+    };
+    return client;
+};
+
+beforeEach(() => {
+    ipCounter += 1;
+    redisService.client = null;
+});
+
+const ip = () => `10.0.0.${ipCounter}`;
+
+describe('rateLimiter: bucket en Redis', () => {
+    test('registra el script Lua una sola vez por cliente y le pasa la clave y los parámetros del bucket', async () => {
+        const client = mockRedisClient();
+        redisService.client = client;
+        const limiter = rateLimit({ name: 'lua', keyBy: 'ip', max: 10, windowMs: 1000 });
+        jest.spyOn(Date, 'now').mockReturnValue(5000);
+        try {
+            await run(limiter, mockRequest({ ip: ip() }));
+            await run(limiter, mockRequest({ ip: ip() }));
+        } finally {
+            Date.now.mockRestore();
+        }
+
+        expect(client.defineCommand).toHaveBeenCalledTimes(1);
+        const [commandName, definition] = client.defineCommand.mock.calls[0];
+        expect(commandName).toBe('rateLimitTokenBucket');
+        expect(definition.numberOfKeys).toBe(1);
+        expect(definition.lua).toMatch(/HMGET/);
+        expect(client.rateLimitTokenBucket).toHaveBeenCalledWith(`rate_limit:lua:ip:${ip()}`, 10, 0.01, 5000, 1, 1000);
+    });
+
+    test('responde 429 con Retry-After cuando Redis indica que no quedan fichas', async () => {
+        const client = mockRedisClient();
+        client.rateLimitTokenBucket.mockResolvedValue([0, '0.5']);
+        redisService.client = client;
+        const limiter = rateLimit({ name: 'lleno', keyBy: 'ip', max: 2, windowMs: 2000 });
+
+        const { res, next } = await run(limiter, mockRequest({ ip: ip() }));
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ retryAfter: 1 }));
+        expect(res.headers['Retry-After']).toBe('1');
+        expect(res.headers['RateLimit-Remaining']).toBe('0');
+    });
+
+    test('si Redis falla usa el bucket en memoria', async () => {
+        const client = mockRedisClient();
+        client.rateLimitTokenBucket.mockRejectedValue(new Error('conexión perdida'));
+        redisService.client = client;
+        const limiter = rateLimit({ name: 'fallback', keyBy: 'ip', max: 1 });
+
+        expect((await run(limiter, mockRequest({ ip: ip() }))).next).toHaveBeenCalledWith();
+        expect((await run(limiter, mockRequest({ ip: ip() }))).res.status).toHaveBeenCalledWith(429);
+    });
+
+    test('no usa Redis si el cliente no está listo', async () => {
+        const client = mockRedisClient();
+        client.status = 'reconnecting';
+        redisService.client = client;
+        const limiter = rateLimit({ name: 'no-listo', keyBy: 'ip' });
+
+        await run(limiter, mockRequest({ ip: ip() }));
+
+        expect(client.rateLimitTokenBucket).not.toHaveBeenCalled();
+    });
+});
+
+describe('rateLimiter: bucket en memoria y cabeceras', () => {
+    test('permite `max` peticiones por ventana y agrega las cabeceras RateLimit', async () => {
+        const limiter = rateLimit({ name: 'memoria', keyBy: 'ip', max: 3, windowMs: 60000 });
+
+        const first = await run(limiter, mockRequest({ ip: ip() }));
+        expect(first.next).toHaveBeenCalledWith();
+        expect(first.res.headers).toEqual({
+            'RateLimit-Limit': '3',
+            'RateLimit-Remaining': '2',
+            'RateLimit-Reset': '20',
+            'RateLimit-Policy': '3;w=60',
+        });
+        await run(limiter, mockRequest({ ip: ip() }));
+        await run(limiter, mockRequest({ ip: ip() }));
+
+        const rejected = await run(limiter, mockRequest({ ip: ip() }));
+        expect(rejected.next).not.toHaveBeenCalled();
+        expect(rejected.res.status).toHaveBeenCalledWith(429);
+        expect(rejected.res.headers['Retry-After']).toBe('20');
+    });
+
+    test('recarga las fichas de forma continua', async () => {
+        const limiter = rateLimit({ name: 'recarga', keyBy: 'ip', max: 1, windowMs: 1000 });
+        const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+        try {
+            await run(limiter, mockRequest({ ip: ip() }));
+            expect((await run(limiter, mockRequest({ ip: ip() }))).res.status).toHaveBeenCalledWith(429);
+            now.mockReturnValue(11000);
+            expect((await run(limiter, mockRequest({ ip: ip() }))).next).toHaveBeenCalledWith();
+        } finally {
+            now.mockRestore();
+        }
+    });
+
+    test('el costo consume varias fichas y skip omite el límite', async () => {
+        const limiter = rateLimit({
+            name: 'costo',
+            keyBy: 'ip',
+            max: 5,
+            cost: (req) => req.cost,
+            skip: (req) => req.internal,
+        });
+        const req = (extra) => ({ ...mockRequest({ ip: ip() }), ...extra });
+
+        expect((await run(limiter, req({ cost: 5 }))).res.headers['RateLimit-Remaining']).toBe('0');
+        const skipped = await run(limiter, req({ cost: 1, internal: true }));
+        expect(skipped.next).toHaveBeenCalledWith();
+        expect(skipped.res.set).not.toHaveBeenCalled();
+        expect((await run(limiter, req({ cost: 1 }))).res.status).toHaveBeenCalledWith(429);
+    });
+
+    test('separa los buckets por empresa y usa la IP si el token no tiene empresa', async () => {
+        const limiter = rateLimit({ name: 'empresa', keyBy: 'company', max: 1 });
+
+        await run(limiter, mockRequest({ ip: ip(), token: { companyId: `c${ipCounter}` } }));
+        expect((await run(limiter, mockRequest({ ip: ip(), token: { companyId: `otra${ipCounter}` } }))).next).toHaveBeenCalledWith();
+        expect((await run(limiter, mockRequest({ ip: ip(), token: { companyId: `c${ipCounter}` } }))).res.status).toHaveBeenCalledWith(429);
+        expect((await run(limiter, mockRequest({ ip: ip() }))).next).toHaveBeenCalledWith();
+    });
+
+    test('pasa a next el error de una función de las opciones', async () => {
+        const error = new Error('keyBy inválido');
+        const limiter = rateLimit({ keyBy: () => { throw error; } });
+
+        const { next, res } = await run(limiter, mockRequest({ ip: ip() }));
+
+        expect(next).toHaveBeenCalledWith(error);
+        expect(res.set).not.toHaveBeenCalled();
+    });
+
+    test('rechaza max o windowMs no positivos', () => {
+        expect(() => rateLimit({ max: 0 })).toThrow();
+        expect(() => rateLimit({ windowMs: -1 })).toThrow();
+    });
+});
+
+describe('rateLimiter: nombre por defecto del límite', () => {
+    test('usa el patrón de la ruta: distintas URLs de la misma ruta comparten el bucket', async () => {
+        const client = mockRedisClient();
+        redisService.client = client;
+        const limiter = rateLimit({ keyBy: 'ip' });
+
+        await run(limiter, mockRequest({ ip: ip(), baseUrl: '/api/contacts', route: '/:id', path: '/1' }));
+        await run(limiter, mockRequest({ ip: ip(), baseUrl: '/api/contacts', route: '/:id', path: '/2' }));
+
+        const keys = client.rateLimitTokenBucket.mock.calls.map(([key]) => key);
+        expect(keys).toEqual([`rate_limit:GET /api/contacts/:id:ip:${ip()}`, `rate_limit:GET /api/contacts/:id:ip:${ip()}`]);
+    });
+
+    test('fuera de una ruta usa un nombre fijo en lugar de la URL', async () => {
+        const client = mockRedisClient();
+        redisService.client = client;
+        const limiter = rateLimit({ keyBy: 'ip' });
+
+        await run(limiter, mockRequest({ ip: ip(), baseUrl: '/api', path: '/contacts/1' }));
+        await run(limiter, mockRequest({ ip: ip(), baseUrl: '/api', path: '/messages/2' }));
+
+        const keys = client.rateLimitTokenBucket.mock.calls.map(([key]) => key);
+        expect(keys).toEqual([`rate_limit:default:ip:${ip()}`, `rate_limit:default:ip:${ip()}`]);
+    });
+});
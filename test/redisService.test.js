@@ -0,0 +1,256 @@
+// Cliente ioredis falso: queda listo en el siguiente tick (setReady) y registra cada conexión creada (principal y duplicadas).
+jest.mock('ioredis', () => {
+    const { EventEmitter: Emitter } = require('events');
+    class MockRedis extends Emitter {
+        constructor(url, options) {
+            super();
+            this.url = url;
+            this.options = options;
+            this.status = 'connecting';
+            this.xadd = jest.fn(async () => '1-0');
+            this.xtrim = jest.fn(async () => 0);
+            this.publish = jest.fn(async () => 1);
+            for (const command of ['subscribe', 'psubscribe', 'unsubscribe', 'punsubscribe']) {
+                this[command] = jest.fn(async () => 1);
+            }
+            this.duplicate = jest.fn((duplicateOptions) => new MockRedis(url, duplicateOptions));
+            this.quit = jest.fn(async () => { this.status = 'end'; });
+            this.disconnect = jest.fn();
+            MockRedis.instances.push(this);
+            process.nextTick(() => this.setReady());
+        }
+
+        // Simula la conexión (o reconexión) de ioredis.
+        setReady() {
+            this.status = 'ready';
+            this.emit('ready');
+        }
+    }
+    MockRedis.instances = [];
+    return MockRedis;
+});
+
+const Redis = require('ioredis');
+const redisService = require('../lib/redisService');
+const { messagesRedisStream } = require('../lib/constants');
+
+const STREAM = 'stream_de_prueba';
+
+beforeEach(async () => {
+    Redis.instances.length = 0;
+    await redisService.connect();
+});
+
+afterEach(async () => {
+    await redisService.close();
+    redisService.setStreamRetention(STREAM, null);
+});
+
+describe('redisService: retención de streams', () => {
+    test('sin retención configurada publica sin recortar el stream', async () => {
+        expect(redisService.getStreamRetention(STREAM)).toEqual({});
+        await redisService.publishToStream(STREAM, { a: 1 });
+        expect(redisService.client.xadd).toHaveBeenCalledWith(STREAM, '*', 'payload', '{"a":1}');
+    });
+
+    test('setStreamRetention hace que publishToStream recorte con MAXLEN aproximado', async () => {
+        redisService.setStreamRetention(STREAM, { maxLen: 1000 });
+        await redisService.publishToStream(STREAM, { a: 1 });
+        expect(redisService.client.xadd).toHaveBeenCalledWith(STREAM, 'MAXLEN', '~', 1000, '*', 'payload', '{"a":1}');
+    });
+
+    test('maxAgeMs se traduce a un MINID calculado desde la fecha actual', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+        try {
+            redisService.setStreamRetention(STREAM, { maxAgeMs: 60_000, approximate: false });
+            await redisService.publishToStream(STREAM, { a: 1 });
+        } finally {
+            Date.now.mockRestore();
+        }
+        expect(redisService.client.xadd).toHaveBeenCalledWith(STREAM, 'MINID', '940000-0', '*', 'payload', '{"a":1}');
+    });
+
+    test('la retención explícita de publishToStream tiene prioridad sobre la configurada', async () => {
+        redisService.setStreamRetention(STREAM, { maxLen: 1000 });
+        await redisService.publishToStream(STREAM, { a: 1 }, { minId: '5-0' });
+        expect(redisService.client.xadd).toHaveBeenCalledWith(STREAM, 'MINID', '~', '5-0', '*', 'payload', '{"a":1}');
+    });
+
+    test('setStreamRetention con null vuelve a publicar sin recortar', async () => {
+        redisService.setStreamRetention(STREAM, { maxLen: 1000 });
+        redisService.setStreamRetention(STREAM, null);
+        await redisService.publishToStream(STREAM, { a: 1 });
+        expect(redisService.client.xadd).toHaveBeenCalledWith(STREAM, '*', 'payload', '{"a":1}');
+    });
+
+    test('rechaza una retención sin maxLen, minId ni maxAgeMs', () => {
+        expect(() => redisService.setStreamRetention(STREAM, { approximate: true })).toThrow(/maxLen, minId o maxAgeMs/);
+        expect(redisService.getStreamRetention(STREAM)).toEqual({});
+    });
+
+    test('la retención guardada no cambia si se modifica el objeto original o el devuelto', () => {
+        const retention = { maxLen: 10 };
+        redisService.setStreamRetention(STREAM, retention);
+        retention.maxLen = 1;
+        redisService.getStreamRetention(STREAM).maxLen = 2;
+        expect(redisService.getStreamRetention(STREAM)).toEqual({ maxLen: 10 });
+    });
+
+    test('los streams de mensajes no se recortan por defecto', () => {
+        expect(redisService.getStreamRetention(messagesRedisStream.INCOMING_STREAM_KEY)).toEqual({});
+        expect(redisService.getStreamRetention(messagesRedisStream.OUTGOING_STREAM_KEY)).toEqual({});
+    });
+});
+
+describe('redisService: Pub/Sub', () => {
+    const flush = () => new Promise(setImmediate);
+    // La conexión de suscripción es la segunda instancia: la duplicada del cliente principal.
+    const subscriberConnection = () => Redis.instances[1];
+
+    test('publish serializa el payload a JSON y devuelve la cantidad de receptores', async () => {
+        redisService.client.publish.mockResolvedValue(3);
+        await expect(redisService.publish('canal', { a: 1 })).resolves.toBe(3);
+        expect(redisService.client.publish).toHaveBeenCalledWith('canal', '{"a":1}');
+    });
+
+    test('publish devuelve null si el cliente no está listo o el comando falla', async () => {
+        redisService.client.publish.mockRejectedValue(new Error('sin conexión'));
+        await expect(redisService.publish('canal', { a: 1 })).resolves.toBeNull();
+
+        redisService.client.status = 'reconnecting';
+        await expect(redisService.publish('canal', { a: 1 })).resolves.toBeNull();
+        expect(redisService.client.publish).toHaveBeenCalledTimes(1);
+    });
+
+    test('se suscribe en una conexión duplicada sin autoResubscribe, al quedar lista', async () => {
+        await redisService.subscribe('canal1', jest.fn());
+        await redisService.subscribe('canal2', jest.fn());
+        await redisService.psubscribe('canal:*', jest.fn());
+        const connection = subscriberConnection();
+        expect(redisService.client.duplicate).toHaveBeenCalledWith({ autoResubscribe: false });
+        expect(connection.subscribe).not.toHaveBeenCalled();
+
+        await flush();
+
+        expect(connection.subscribe).toHaveBeenCalledWith('canal1', 'canal2');
+        expect(connection.psubscribe).toHaveBeenCalledWith('canal:*');
+        expect(Redis.instances).toHaveLength(2);
+    });
+
+    test('con la conexión lista envía SUBSCRIBE solo con el primer handler del canal', async () => {
+        await redisService.subscribe('canal', jest.fn());
+        await flush();
+        const connection = subscriberConnection();
+        connection.subscribe.mockClear();
+
+        await redisService.subscribe('otro', jest.fn());
+        await redisService.subscribe('otro', jest.fn());
+
+        expect(connection.subscribe.mock.calls).toEqual([['otro']]);
+    });
+
+    test('entrega a cada handler el payload decodificado y el canal', async () => {
+        const handler = jest.fn();
+        const patternHandler = jest.fn();
+        await redisService.subscribe('canal', handler);
+        await redisService.psubscribe('canal:*', patternHandler);
+        await flush();
+
+        subscriberConnection().emit('message', 'canal', '{"a":1}');
+        subscriberConnection().emit('message', 'canal', 'texto plano');
+        subscriberConnection().emit('pmessage', 'canal:*', 'canal:5', '[1,2]');
+        subscriberConnection().emit('message', 'sin-handlers', '{}');
+        await flush();
+
+        expect(handler.mock.calls).toEqual([[{ a: 1 }, 'canal'], ['texto plano', 'canal']]);
+        expect(patternHandler).toHaveBeenCalledWith([1, 2], 'canal:5', 'canal:*');
+    });
+
+    test('el error de un handler, síncrono o asíncrono, no afecta a los demás', async () => {
+        const healthy = jest.fn();
+        await redisService.subscribe('canal', () => { throw new Error('síncrono'); });
+        await redisService.subscribe('canal', async () => { throw new Error('asíncrono'); });
+        await redisService.subscribe('canal', healthy);
+        await flush();
+
+        subscriberConnection().emit('message', 'canal', '{"a":1}');
+        subscriberConnection().emit('message', 'canal', '{"a":2}');
+        await flush();
+
+        expect(healthy.mock.calls).toEqual([[{ a: 1 }, 'canal'], [{ a: 2 }, 'canal']]);
+    });
+
+    test('tras una reconexión vuelve a suscribirse a todos los canales y patrones registrados', async () => {
+        await redisService.subscribe('canal1', jest.fn());
+        await redisService.psubscribe('canal:*', jest.fn());
+        await flush();
+        const connection = subscriberConnection();
+        await redisService.subscribe('canal2', jest.fn());
+        await redisService.unsubscribe('canal1');
+        connection.subscribe.mockClear();
+        connection.psubscribe.mockClear();
+
+        connection.status = 'reconnecting';
+        connection.setReady();
+        await flush();
+
+        expect(connection.subscribe.mock.calls).toEqual([['canal2']]);
+        expect(connection.psubscribe.mock.calls).toEqual([['canal:*']]);
+    });
+
+    test('la función devuelta quita solo su handler y desuscribe el canal al quitar el último', async () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        const unsubscribeFirst = await redisService.subscribe('canal', first);
+        const unsubscribeSecond = await redisService.subscribe('canal', second);
+        await flush();
+        const connection = subscriberConnection();
+
+        await unsubscribeFirst();
+        connection.emit('message', 'canal', '{"a":1}');
+        await flush();
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledTimes(1);
+        expect(connection.unsubscribe).not.toHaveBeenCalled();
+
+        await unsubscribeSecond();
+        expect(connection.unsubscribe).toHaveBeenCalledWith('canal');
+    });
+
+    test('unsubscribe y punsubscribe sin handler quitan todos los del canal o patrón', async () => {
+        const handler = jest.fn();
+        await redisService.subscribe('canal', handler);
+        await redisService.subscribe('canal', jest.fn());
+        await redisService.psubscribe('canal:*', handler);
+        await flush();
+        const connection = subscriberConnection();
+
+        await redisService.unsubscribe('canal');
+        await redisService.punsubscribe('canal:*');
+        connection.emit('message', 'canal', '{}');
+        connection.emit('pmessage', 'canal:*', 'canal:1', '{}');
+        await flush();
+
+        expect(connection.unsubscribe).toHaveBeenCalledWith('canal');
+        expect(connection.punsubscribe).toHaveBeenCalledWith('canal:*');
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('rechaza un handler que no es una función', async () => {
+        await expect(redisService.subscribe('canal', 'no')).rejects.toThrow(/debe ser una función/);
+    });
+
+    test('close cierra la conexión de suscripción y olvida los handlers', async () => {
+        await redisService.subscribe('canal', jest.fn());
+        await flush();
+        const connection = subscriberConnection();
+
+        await redisService.close();
+        await redisService.connect();
+        await redisService.subscribe('otro', jest.fn());
+        await flush();
+
+        expect(connection.quit).toHaveBeenCalled();
+        expect(Redis.instances[3].subscribe.mock.calls).toEqual([['otro']]);
+    });
+});
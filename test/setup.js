@@ -0,0 +1,5 @@
+// Configuración común de las pruebas: entorno de desarrollo (acepta las claves de ejemplo de lib/crypt)
+// y logger silenciado para que la salida de jest solo muestre los resultados.
+process.env.ENVIRONMENT = process.env.ENVIRONMENT || 'test';
+
+require('../lib/logger').silent = true;
@@ -0,0 +1,342 @@
+jest.mock('../lib/redisService', () => ({ client: null, setupStreamGroup: jest.fn() }));
+
+const redisService = require('../lib/redisService');
+const StreamConsumer = require('../lib/streamConsumer');
+
+const STREAM = 'stream_de_prueba';
+const GROUP = 'grupo_de_prueba';
+const CONSUMER = 'consumidor1';
+const DEAD_LETTER = `${STREAM}:dead_letter`;
+
+const entry = (id, payload) => [id, ['payload', typeof payload === 'string' ? payload : JSON.stringify(payload)]];
+
+// Conexión de lectura falsa: XREADGROUP devuelve lo entregado con `deliver` o bloquea hasta la próxima entrega o el disconnect.
+const mockReader = () => {
+    const queued = [];
+    let waiting = null;
+    return {
+        deliver(...entries) {
+            const response = [[STREAM, entries]];
+            if (!waiting) return queued.push(response);
+            const { resolve } = waiting;
+            waiting = null;
+            resolve(response);
+        },
+        xreadgroup: jest.fn(() => (queued.length > 0
+            ? Promise.resolve(queued.shift())
+            : new Promise((resolve, reject) => { waiting = { resolve, reject }; }))),
+        disconnect: jest.fn(() => {
+            if (!waiting) return;
+            const { reject } = waiting;
+            waiting = null;
+            reject(new Error('Connection is closed.'));
+        }),
+    };
+};
+
+// Cliente Redis falso: `entries` son los mensajes del stream que XCLAIM puede devolver; MULTI registra los comandos encolados.
+const mockRedisClient = () => {
+    const entries = new Map();
+    const transactions = [];
+    const client = {
+        status: 'ready',
+        entries,
+        transactions,
+        reader: mockReader(),
+        duplicate: jest.fn(() => client.reader),
+        xack: jest.fn(async () => 1),
+        xclaim: jest.fn(async (stream, group, consumer, minIdle, id) => (entries.has(id) ? [[id, entries.get(id)]] : [])),
+        xautoclaim: jest.fn(async () => ['0-0', []]),
+        xpending: jest.fn(async () => []),
+        multi: jest.fn(() => {
+            const queued = [];
+            const pipeline = {
+                xadd: (...args) => { queued.push(['xadd', ...args]); return pipeline; },
+                xack: (...args) => { queued.push(['xack', ...args]); return pipeline; },
+                exec: async () => { transactions.push(queued); return queued.map(() => [null, 1]); },
+            };
+            return pipeline;
+        }),
+    };
+    return client;
+};
+
+// Convierte los campos planos de XADD (`[campo, valor, ...]`) en un objeto.
+const fieldsToObject = (fields) => {
+    const result = {};
+    for (let i = 0; i < fields.length; i += 2) {
+        result[fields[i]] = fields[i + 1];
+    }
+    return result;
+};
+
+const flush = () => new Promise(setImmediate);
+const waitFor = async (predicate, timeoutMs = 1000) => {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeoutMs) throw new Error('Tiempo de espera agotado');
+        await new Promise(resolve => setTimeout(resolve, 2));
+    }
+};
+
+const createConsumer = (options = {}) => new StreamConsumer({
+    streamKey: STREAM,
+    groupName: GROUP,
+    consumerName: CONSUMER,
+    handler: jest.fn(async () => {}),
+    claimIntervalMs: 60 * 1000,
+    retryBaseDelayMs: 5,
+    retryMaxDelayMs: 20,
+    stopTimeoutMs: 100,
+    ...options,
+});
+
+let client;
+let consumer;
+
+beforeEach(() => {
+    client = mockRedisClient();
+    redisService.client = client;
+    redisService.setupStreamGroup.mockReset().mockResolvedValue(true);
+    consumer = null;
+});
+
+afterEach(async () => {
+    if (consumer) await consumer.stop();
+});
+
+describe('StreamConsumer: inicio y lectura', () => {
+    test('exige streamKey, groupName y handler', () => {
+        expect(() => new StreamConsumer({ streamKey: STREAM, groupName: GROUP })).toThrow(/obligatorios/);
+    });
+
+    test('no inicia si Redis no está listo o no se pudo crear el grupo', async () => {
+        client.status = 'reconnecting';
+        await expect(createConsumer().start()).rejects.toThrow(/no disponible/);
+
+        client.status = 'ready';
+        redisService.setupStreamGroup.mockResolvedValue(false);
+        await expect(createConsumer().start()).rejects.toThrow(/No se pudo crear el grupo/);
+        expect(client.duplicate).not.toHaveBeenCalled();
+    });
+
+    test('lee con XREADGROUP en una conexión propia, entrega el payload parseado y confirma con XACK', async () => {
+        consumer = createConsumer({ concurrency: 3 });
+        await consumer.start();
+        client.reader.deliver(entry('1-0', { text: 'hola' }));
+        await waitFor(() => client.xack.mock.calls.length > 0);
+
+        expect(redisService.setupStreamGroup).toHaveBeenCalledWith(STREAM, GROUP);
+        expect(client.reader.xreadgroup).toHaveBeenCalledWith('GROUP', GROUP, CONSUMER, 'COUNT', 3, 'BLOCK', 5000, 'STREAMS', STREAM, '>');
+        expect(consumer.options.handler).toHaveBeenCalledWith({ text: 'hola' }, { id: '1-0', deliveries: 1, streamKey: STREAM });
+        expect(client.xack).toHaveBeenCalledWith(STREAM, GROUP, '1-0');
+    });
+
+    test('no lee más mensajes de los que permite la concurrencia', async () => {
+        let release;
+        const handler = jest.fn(() => new Promise(resolve => { release = resolve; }));
+        consumer = createConsumer({ handler, concurrency: 1 });
+        await consumer.start();
+        client.reader.deliver(entry('1-0', { n: 1 }));
+        await waitFor(() => handler.mock.calls.length === 1);
+        await flush();
+
+        expect(client.reader.xreadgroup).toHaveBeenCalledTimes(1);
+        release();
+        await waitFor(() => client.reader.xreadgroup.mock.calls.length === 2);
+        expect(client.reader.xreadgroup.mock.calls[1]).toContain(1);
+    });
+
+    test('stop corta la lectura y espera a que terminen los mensajes en curso', async () => {
+        let release;
+        const handler = jest.fn(() => new Promise(resolve => { release = resolve; }));
+        consumer = createConsumer({ handler });
+        await consumer.start();
+        client.reader.deliver(entry('1-0', { n: 1 }));
+        await waitFor(() => handler.mock.calls.length === 1);
+
+        const stopped = consumer.stop();
+        expect(client.reader.disconnect).toHaveBeenCalled();
+        release();
+        await stopped;
+
+        expect(consumer.inFlight.size).toBe(0);
+        expect(client.xack).toHaveBeenCalledWith(STREAM, GROUP, '1-0');
+    });
+});
+
+describe('StreamConsumer: reintentos', () => {
+    test('si el handler falla no confirma y vuelve a entregar el mensaje con XCLAIM tras el backoff', async () => {
+        const handler = jest.fn()
+            .mockRejectedValueOnce(new Error('falló'))
+            .mockResolvedValueOnce();
+        const retries = [];
+        consumer = createConsumer({ handler });
+        consumer.on('retry', event => retries.push(event));
+        client.entries.set('1-0', entry('1-0', { n: 1 })[1]);
+        await consumer.start();
+
+        client.reader.deliver(entry('1-0', { n: 1 }));
+        await waitFor(() => client.xack.mock.calls.length > 0);
+
+        expect(retries).toEqual([expect.objectContaining({ id: '1-0', deliveries: 1, delayMs: 5 })]);
+        // min-idle = la espera del reintento, para no quitarle el mensaje a otro consumidor que lo reclamó.
+        expect(client.xclaim).toHaveBeenCalledWith(STREAM, GROUP, CONSUMER, 5, '1-0');
+        expect(handler.mock.calls.map(([, meta]) => meta.deliveries)).toEqual([1, 2]);
+        expect(client.xack).toHaveBeenCalledTimes(1);
+    });
+
+    test('la espera se duplica en cada entrega hasta retryMaxDelayMs', async () => {
+        consumer = createConsumer({ handler: jest.fn().mockRejectedValue(new Error('falló')), maxDeliveries: 10 });
+        const delays = [];
+        consumer.on('retry', ({ delayMs }) => delays.push(delayMs));
+
+        // Sin iniciar: se calcula y emite el reintento sin programarlo.
+        for (const deliveries of [1, 2, 3, 4]) {
+            await consumer._process('1-0', entry('1-0', { n: 1 })[1], deliveries);
+        }
+
+        expect(delays).toEqual([5, 10, 20, 20]);
+        expect(consumer.retryTimers.size).toBe(0);
+        consumer = null;
+    });
+
+    test('no reintenta si otro consumidor ya reclamó el mensaje', async () => {
+        const handler = jest.fn().mockRejectedValue(new Error('falló'));
+        consumer = createConsumer({ handler });
+        await consumer.start();
+
+        client.reader.deliver(entry('1-0', { n: 1 }));
+        await waitFor(() => client.xclaim.mock.calls.length > 0);
+        await flush();
+
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('stop cancela los reintentos programados y deja el mensaje pendiente', async () => {
+        consumer = createConsumer({ handler: jest.fn().mockRejectedValue(new Error('falló')), retryBaseDelayMs: 1000, retryMaxDelayMs: 1000 });
+        await consumer.start();
+        client.reader.deliver(entry('1-0', { n: 1 }));
+        await waitFor(() => consumer.retryTimers.size === 1);
+
+        await consumer.stop();
+
+        expect(consumer.retryTimers.size).toBe(0);
+        expect(client.xclaim).not.toHaveBeenCalled();
+        expect(client.xack).not.toHaveBeenCalled();
+    });
+});
+
+describe('StreamConsumer: dead-letter', () => {
+    test('al llegar a maxDeliveries mueve el mensaje al dead-letter y lo confirma en la misma transacción', async () => {
+        consumer = createConsumer({ handler: jest.fn().mockRejectedValue(new Error('falló siempre')), maxDeliveries: 3 });
+        const deadLetters = [];
+        consumer.on('deadLetter', event => deadLetters.push(event));
+
+        await consumer._process('1-0', entry('1-0', { n: 1 })[1], 3);
+
+        expect(client.transactions).toHaveLength(1);
+        const [[xadd, key, id, ...fields], xack] = client.transactions[0];
+        expect([xadd, key, id]).toEqual(['xadd', DEAD_LETTER, '*']);
+        expect(fieldsToObject(fields)).toEqual({
+            payload: '{"n":1}',
+            originalId: '1-0',
+            streamKey: STREAM,
+            groupName: GROUP,
+            consumerName: CONSUMER,
+            deliveries: 3,
+            reason: 'falló siempre',
+            failedAt: expect.any(String),
+        });
+        expect(xack).toEqual(['xack', STREAM, GROUP, '1-0']);
+        expect(deadLetters).toEqual([{ id: '1-0', deliveries: 3, reason: 'falló siempre' }]);
+        expect(client.xack).not.toHaveBeenCalled();
+        consumer = null;
+    });
+
+    test('un payload que no es JSON va al dead-letter sin llamar al handler', async () => {
+        consumer = createConsumer();
+        await consumer._process('1-0', entry('1-0', '{no es json')[1], 1);
+
+        expect(consumer.options.handler).not.toHaveBeenCalled();
+        const [[, , , ...fields]] = client.transactions[0];
+        expect(fieldsToObject(fields)).toMatchObject({ payload: '{no es json', reason: expect.stringMatching(/^Payload inválido/) });
+        consumer = null;
+    });
+
+    test('acepta un stream de dead-letter propio', async () => {
+        consumer = createConsumer({ deadLetterStreamKey: 'mi_dead_letter' });
+        await consumer._process('1-0', entry('1-0', 'x')[1], 1);
+        expect(client.transactions[0][0][1]).toBe('mi_dead_letter');
+        consumer = null;
+    });
+});
+
+describe('StreamConsumer: XAUTOCLAIM', () => {
+    test('reclama los mensajes inactivos y los procesa con su cantidad real de entregas', async () => {
+        consumer = createConsumer({ claimIdleMs: 1000, concurrency: 4 });
+        await consumer.start();
+        client.xautoclaim.mockResolvedValueOnce(['0-0', [entry('1-0', { n: 1 }), entry('2-0', { n: 2 })]]);
+        client.xpending.mockImplementation(async (stream, group, start) => [[start, 'caido', 5000, start === '1-0' ? 3 : 2]]);
+
+        await consumer._claimStuck();
+        await waitFor(() => client.xack.mock.calls.length === 2);
+
+        expect(client.xautoclaim).toHaveBeenCalledWith(STREAM, GROUP, CONSUMER, 1000, '0-0', 'COUNT', 4);
+        expect(client.xpending).toHaveBeenCalledWith(STREAM, GROUP, '1-0', '1-0', 1);
+        expect(consumer.options.handler.mock.calls.map(([payload, meta]) => [payload.n, meta.deliveries])).toEqual([[1, 3], [2, 2]]);
+    });
+
+    test('un mensaje reclamado que falla en su última entrega va directo al dead-letter', async () => {
+        consumer = createConsumer({ handler: jest.fn().mockRejectedValue(new Error('falló')), maxDeliveries: 5 });
+        await consumer.start();
+        client.xautoclaim.mockResolvedValueOnce(['0-0', [entry('1-0', { n: 1 })]]);
+        client.xpending.mockResolvedValue([['1-0', 'caido', 5000, 5]]);
+
+        await consumer._claimStuck();
+        await waitFor(() => client.transactions.length === 1);
+
+        expect(client.xclaim).not.toHaveBeenCalled();
+    });
+
+    test('recorre el cursor hasta volver a 0-0 y confirma los pendientes que ya no están en el stream', async () => {
+        consumer = createConsumer();
+        await consumer.start();
+        client.xautoclaim
+            .mockResolvedValueOnce(['7-0', [['3-0', null]]])
+            .mockResolvedValueOnce(['0-0', [entry('8-0', { n: 8 })]]);
+
+        await consumer._claimStuck();
+        await waitFor(() => client.xack.mock.calls.length === 2);
+
+        expect(client.xautoclaim.mock.calls.map(call => call[4])).toEqual(['0-0', '7-0']);
+        expect(client.xack).toHaveBeenCalledWith(STREAM, GROUP, '3-0');
+        expect(client.xpending).toHaveBeenCalledTimes(1);
+        // Sin entregas informadas por XPENDING cuenta como la primera.
+        expect(consumer.options.handler).toHaveBeenCalledWith({ n: 8 }, expect.objectContaining({ deliveries: 1 }));
+    });
+
+    test('no reclama si no hay lugar por la concurrencia ni si ya hay un reclamo en curso', async () => {
+        consumer = createConsumer({ concurrency: 1 });
+        await consumer.start();
+
+        consumer.claiming = true;
+        await consumer._claimStuck();
+        consumer.claiming = false;
+        consumer.inFlight.add(Promise.resolve());
+        await consumer._claimStuck();
+        consumer.inFlight.clear();
+
+        expect(client.xautoclaim).not.toHaveBeenCalled();
+    });
+
+    test('un error al reclamar no detiene el consumidor', async () => {
+        consumer = createConsumer();
+        await consumer.start();
+        client.xautoclaim.mockRejectedValueOnce(new Error('NOGROUP'));
+
+        await expect(consumer._claimStuck()).resolves.toBeUndefined();
+        expect(consumer.claiming).toBe(false);
+        expect(consumer.running).toBe(true);
+    });
+});
@@ -0,0 +1,243 @@
+jest.mock('../lib/redisService', () => ({
+    client: null,
+    getData: jest.fn(),
+    setData: jest.fn(),
+    publishToStream: jest.fn(),
+}));
+jest.mock('../src/models', () => ({ Company: { findById: jest.fn() } }));
+
+const EventEmitter = require('events');
+const redisService = require('../lib/redisService');
+const { Company } = require('../src/models');
+const usageService = require('../src/services/usageService');
+const { meterApiUsage } = require('../src/middlewares/usageMeter');
+
+const { ENFORCEMENT_MODES, QuotaExceededError, USAGE_METRICS, UsageUnavailableError } = usageService;
+const COMPANY_ID = 'empresa1';
+const PERIOD = usageService.getUsagePeriod();
+const USAGE_KEY = `usage:${COMPANY_ID}:${PERIOD}`;
+
+// Cliente Redis falso: `usageConsume` reproduce el script Lua de consumo sobre hashes en memoria.
+const mockRedisClient = () => {
+    const hashes = new Map();
+    const dirty = new Set();
+    return {
+        status: 'ready',
+        hashes,
+        dirty,
+        defineCommand: jest.fn(),
+        usageConsume: jest.fn(async (key, dirtyKey, metric, amount, limit, ttl, member, block) => {
+            const hash = hashes.get(key) || hashes.set(key, {}).get(key);
+            const used = hash[metric] || 0;
+            const withinLimit = limit < 0 || used + amount <= limit;
+            if (!withinLimit && block === 1) return [0, used];
+            hash[metric] = used + amount;
+            dirty.add(member);
+            return [withinLimit ? 1 : 0, hash[metric]];
+        }),
+        hgetall: jest.fn(async (key) => Object.fromEntries(Object.entries(hashes.get(key) || {}).map(([k, v]) => [k, String(v)]))),
+    };
+};
+
+let client;
+
+const setLimit = (limit) => redisService.getData.mockResolvedValue(String(limit));
+
+beforeEach(() => {
+    client = mockRedisClient();
+    redisService.client = client;
+    redisService.getData.mockReset().mockResolvedValue(null);
+    redisService.setData.mockReset().mockResolvedValue('OK');
+    redisService.publishToStream.mockReset().mockResolvedValue('1-0');
+    Company.findById.mockReset().mockReturnValue({ select: () => ({ lean: async () => ({ _id: COMPANY_ID, usageLimits: { maxMessagesPerMonth: 2 } }) }) });
+});
+
+describe('usageService: consumo con el script Lua', () => {
+    test('registra el script una vez por cliente y le pasa las claves y argumentos del consumo', async () => {
+        setLimit(10);
+        await usageService.consumeMessageQuota(COMPANY_ID);
+        await usageService.consumeMessageQuota(COMPANY_ID, { amount: 3 });
+
+        expect(client.defineCommand).toHaveBeenCalledTimes(1);
+        expect(client.defineCommand.mock.calls[0][1]).toMatchObject({ numberOfKeys: 2, lua: expect.stringContaining('HINCRBY') });
+        expect(client.usageConsume).toHaveBeenLastCalledWith(
+            USAGE_KEY, 'usage_dirty', USAGE_METRICS.MESSAGES_SENT, 3, 10, 45 * 24 * 60 * 60, `${COMPANY_ID}:${PERIOD}`, 1,
+        );
+        expect(client.hashes.get(USAGE_KEY)).toEqual({ [USAGE_METRICS.MESSAGES_SENT]: 4 });
+    });
+
+    test('devuelve el estado de la cuota después de consumir', async () => {
+        setLimit(10);
+        await expect(usageService.consumeMessageQuota(COMPANY_ID, { amount: 4 })).resolves.toEqual({
+            allowed: true, exceeded: false, metered: true, period: PERIOD, limit: 10, used: 4, remaining: 6,
+        });
+    });
+
+    test('en modo block rechaza sin sumar el consumo que supera el límite', async () => {
+        setLimit(2);
+        await usageService.consumeMessageQuota(COMPANY_ID, { amount: 2 });
+
+        const quota = await usageService.consumeMessageQuota(COMPANY_ID);
+
+        expect(quota).toMatchObject({ allowed: false, exceeded: true, used: 2, remaining: 0 });
+        expect(client.hashes.get(USAGE_KEY)[USAGE_METRICS.MESSAGES_SENT]).toBe(2);
+    });
+
+    test('en modo flag permite y suma el consumo, marcándolo como excedido', async () => {
+        setLimit(2);
+        await usageService.consumeMessageQuota(COMPANY_ID, { amount: 2 });
+
+        const quota = await usageService.consumeMessageQuota(COMPANY_ID, { mode: ENFORCEMENT_MODES.FLAG });
+
+        expect(quota).toMatchObject({ allowed: true, exceeded: true, used: 3, remaining: 0 });
+        expect(client.usageConsume.mock.calls[1][7]).toBe(0);
+    });
+
+    test('sin límite (-1) nunca excede y no informa cuota restante', async () => {
+        setLimit(-1);
+        await expect(usageService.consumeMessageQuota(COMPANY_ID, { amount: 1000 })).resolves.toMatchObject({ allowed: true, exceeded: false, remaining: null });
+    });
+
+    test('si el límite no está en Redis lo lee de Mongo y lo cachea', async () => {
+        await expect(usageService.consumeMessageQuota(COMPANY_ID)).resolves.toMatchObject({ limit: 2 });
+        expect(Company.findById).toHaveBeenCalledWith(COMPANY_ID);
+        expect(redisService.setData).toHaveBeenCalledWith(`usage_limit:${COMPANY_ID}`, 2, ['EX', 300]);
+    });
+
+    test('recordUsage suma la métrica sin límite y getQuota informa cada métrica', async () => {
+        setLimit(5);
+        await usageService.recordUsage(COMPANY_ID, USAGE_METRICS.API_CALLS, 7);
+        await usageService.consumeMessageQuota(COMPANY_ID);
+
+        expect(client.usageConsume.mock.calls[0]).toEqual(expect.arrayContaining([USAGE_METRICS.API_CALLS, 7, -1]));
+        await expect(usageService.getQuota(COMPANY_ID)).resolves.toEqual({
+            period: PERIOD, limit: 5, used: 1, remaining: 4, usage: { messages_sent: 1, api_calls: 7 },
+        });
+    });
+});
+
+describe('usageService: publishOutgoingMessage', () => {
+    test('publica el mensaje y descuenta la cuota', async () => {
+        setLimit(2);
+        const result = await usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' });
+
+        expect(result).toMatchObject({ messageId: '1-0', quota: { used: 1 } });
+        expect(redisService.publishToStream).toHaveBeenCalledWith('outgoing_meta_messages', { text: 'hola' });
+    });
+
+    test('lanza QuotaExceededError sin publicar si se superó la cuota en modo block', async () => {
+        setLimit(0);
+        await expect(usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' })).rejects.toBeInstanceOf(QuotaExceededError);
+        expect(redisService.publishToStream).not.toHaveBeenCalled();
+    });
+
+    test('en modo flag publica el mensaje marcado como excedido', async () => {
+        setLimit(0);
+        await usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' }, { mode: ENFORCEMENT_MODES.FLAG });
+        expect(redisService.publishToStream).toHaveBeenCalledWith('outgoing_meta_messages', { text: 'hola', quotaExceeded: true });
+    });
+
+    test('devuelve el consumo si la publicación falla', async () => {
+        setLimit(2);
+        redisService.publishToStream.mockResolvedValue(null);
+
+        await expect(usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' }, { amount: 2 })).resolves.toMatchObject({ messageId: null });
+        expect(client.hashes.get(USAGE_KEY)[USAGE_METRICS.MESSAGES_SENT]).toBe(0);
+    });
+});
+
+describe('usageService: Redis no disponible', () => {
+    test('con failOpen (por defecto) permite el envío sin medirlo', async () => {
+        redisService.client = null;
+        await expect(usageService.consumeMessageQuota(COMPANY_ID)).resolves.toMatchObject({ allowed: true, metered: false, used: null });
+        await expect(usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' })).resolves.toMatchObject({ messageId: '1-0' });
+    });
+
+    test('con failOpen también permite el envío si falla el script', async () => {
+        setLimit(2);
+        client.usageConsume.mockRejectedValue(new Error('NOSCRIPT'));
+        await expect(usageService.consumeMessageQuota(COMPANY_ID)).resolves.toMatchObject({ allowed: true, metered: false });
+    });
+
+    test('sin failOpen lanza UsageUnavailableError y no publica', async () => {
+        redisService.client = { ...client, status: 'reconnecting' };
+
+        const error = await usageService.consumeMessageQuota(COMPANY_ID, { failOpen: false }).catch(err => err);
+        expect(error).toBeInstanceOf(UsageUnavailableError);
+        expect(error).toMatchObject({ code: 'USAGE_UNAVAILABLE', status: 503 });
+
+        await expect(usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' }, { failOpen: false })).rejects.toBeInstanceOf(UsageUnavailableError);
+        expect(redisService.publishToStream).not.toHaveBeenCalled();
+    });
+
+    test('sin failOpen lanza UsageUnavailableError si falla el script', async () => {
+        setLimit(2);
+        client.usageConsume.mockRejectedValue(new Error('NOSCRIPT'));
+        await expect(usageService.consumeMessageQuota(COMPANY_ID, { failOpen: false })).rejects.toBeInstanceOf(UsageUnavailableError);
+    });
+
+    test('un envío sin medir no devuelve consumo si la publicación falla', async () => {
+        redisService.client = null;
+        redisService.publishToStream.mockResolvedValue(null);
+        await usageService.publishOutgoingMessage(COMPANY_ID, { text: 'hola' });
+        expect(client.usageConsume).not.toHaveBeenCalled();
+    });
+});
+
+describe('usageMeter: meterApiUsage', () => {
+    const mockResponse = (statusCode = 200) => {
+        const res = new EventEmitter();
+        res.statusCode = statusCode;
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+    };
+    const request = (companyId = COMPANY_ID) => ({ token: { companyId } });
+
+    test('cuenta la llamada al terminar la respuesta', async () => {
+        const res = mockResponse();
+        const next = jest.fn();
+        meterApiUsage()(request(), res, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(client.usageConsume).not.toHaveBeenCalled();
+        res.emit('finish');
+        await new Promise(setImmediate);
+        expect(client.hashes.get(USAGE_KEY)).toEqual({ [USAGE_METRICS.API_CALLS]: 1 });
+    });
+
+    test('no cuenta los errores con countErrors: false ni las llamadas omitidas o sin empresa', async () => {
+        const errorResponse = mockResponse(500);
+        meterApiUsage({ countErrors: false })(request(), errorResponse, jest.fn());
+        errorResponse.emit('finish');
+
+        const skipped = mockResponse();
+        meterApiUsage({ skip: () => true })(request(), skipped, jest.fn());
+        skipped.emit('finish');
+
+        const anonymous = mockResponse();
+        meterApiUsage()(request(null), anonymous, jest.fn());
+        anonymous.emit('finish');
+
+        await new Promise(setImmediate);
+        expect(client.usageConsume).not.toHaveBeenCalled();
+    });
+
+    test('con failOpen (por defecto) atiende la llamada aunque Redis no esté disponible', () => {
+        redisService.client = null;
+        const next = jest.fn();
+        meterApiUsage()(request(), mockResponse(), next);
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    test('sin failOpen responde 503 sin atender la llamada si Redis no está disponible', () => {
+        redisService.client = null;
+        const res = mockResponse();
+        const next = jest.fn();
+
+        meterApiUsage({ failOpen: false })(request(), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(503);
+    });
+});
@@ -0,0 +1,282 @@
+const bcrypt = require('bcrypt');
+const { hash } = require('../lib/crypt');
+
+// Modelo User en memoria con las operaciones que usa el servicio. Los filtros y updates soportan lo que usa
+// userAuthService: igualdad, `$gt`, `$ne`, rutas con punto, `$set`, `$unset` e `$inc`.
+const mockUsers = new Map();
+const mockQuery = (result) => ({
+    where: () => mockQuery(result),
+    select: () => mockQuery(result),
+    lean: () => Promise.resolve(result ? structuredClone(result) : null),
+});
+const mockGetPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj);
+const mockSetPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => (parent[key] ??= {}), obj);
+    if (value === undefined) delete target[last];
+    else target[last] = value;
+};
+const mockFindUser = (filter) => [...mockUsers.values()].find(user => Object.entries(filter).every(([path, condition]) => {
+    const value = mockGetPath(user, path);
+    if (condition && typeof condition === 'object' && '$gt' in condition) return value > condition.$gt;
+    if (condition && typeof condition === 'object' && '$ne' in condition) return value !== condition.$ne;
+    return value === condition;
+}));
+const mockApplyUpdate = (user, { $set = {}, $unset = {}, $inc = {} }) => {
+    for (const [path, value] of Object.entries($set)) mockSetPath(user, path, value);
+    for (const path of Object.keys($unset)) mockSetPath(user, path, undefined);
+    for (const [path, value] of Object.entries($inc)) mockSetPath(user, path, (mockGetPath(user, path) || 0) + value);
+};
+jest.mock('../src/models', () => ({
+    User: {
+        emailFilter: (email) => (email ? { email } : null),
+        findByEmail: (email) => mockQuery(mockUsers.get(email)),
+        findOneAndUpdate: (filter, update, options = {}) => {
+            const user = mockFindUser(filter);
+            const before = user && structuredClone(user);
+            if (user) mockApplyUpdate(user, update);
+            return mockQuery(options.new ? user : before);
+        },
+        updateOne: async (filter, update) => {
+            const user = mockFindUser(filter);
+            if (user) mockApplyUpdate(user, update);
+        },
+        // Documento con save/toObject: save guarda los cambios en el usuario en memoria.
+        findById: async (id) => {
+            const stored = mockFindUser({ _id: id });
+            if (!stored) return null;
+            const doc = structuredClone(stored);
+            Object.defineProperties(doc, {
+                save: { value: async () => Object.assign(stored, structuredClone(doc)) },
+                toObject: { value: () => structuredClone(doc) },
+            });
+            return doc;
+        },
+    },
+}));
+
+const {
+    verifyCredentials, getLockDuration, authEvents, AUTH_EVENTS, AuthError,
+    issueEmailVerificationToken, verifyEmail, issuePasswordResetToken, resetPassword,
+} = require('../src/services/userAuthService');
+
+const EMAIL = 'ana@empresa.com';
+const PASSWORD = 'clave-correcta';
+let passwordHash;
+
+const expectAuthError = async (promise, code, status) => {
+    const error = await promise.catch(err => err);
+    expect(error).toBeInstanceOf(AuthError);
+    expect(error.code).toBe(code);
+    expect(error.status).toBe(status);
+    return error;
+};
+
+beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+    mockUsers.clear();
+    mockUsers.set(EMAIL, {
+        _id: 'u1',
+        email: EMAIL,
+        provider: 'local',
+        password: passwordHash,
+        security: { failed_login_attempts: 0, lock_until: null },
+    });
+    authEvents.removeAllListeners();
+});
+
+describe('userAuthService.getLockDuration', () => {
+    test('no bloquea antes del umbral y duplica la ventana en cada fallo siguiente hasta el máximo', () => {
+        expect(getLockDuration(4)).toBe(0);
+        expect(getLockDuration(5)).toBe(60 * 1000);
+        expect(getLockDuration(6)).toBe(2 * 60 * 1000);
+        expect(getLockDuration(7)).toBe(4 * 60 * 1000);
+        expect(getLockDuration(100)).toBe(24 * 60 * 60 * 1000);
+    });
+});
+
+describe('userAuthService.verifyCredentials', () => {
+    test('devuelve el usuario sin password y reinicia el contador', async () => {
+        mockUsers.get(EMAIL).security.failed_login_attempts = 3;
+        const user = await verifyCredentials(' Ana@Empresa.com ', PASSWORD);
+
+        expect(user.password).toBeUndefined();
+        expect(user.security).toEqual({ failed_login_attempts: 0, lock_until: null });
+        expect(mockUsers.get(EMAIL).security.failed_login_attempts).toBe(0);
+        expect(mockUsers.get(EMAIL).last_login).toBeInstanceOf(Date);
+    });
+
+    test('rechaza con el mismo error un usuario inexistente y una contraseña incorrecta', async () => {
+        await expectAuthError(verifyCredentials('nadie@empresa.com', PASSWORD), 'INVALID_CREDENTIALS', 401);
+        await expectAuthError(verifyCredentials(EMAIL, 'incorrecta'), 'INVALID_CREDENTIALS', 401);
+        expect(mockUsers.get(EMAIL).security.failed_login_attempts).toBe(1);
+    });
+
+    test('rechaza usuarios sin contraseña local', async () => {
+        Object.assign(mockUsers.get(EMAIL), { provider: 'google' });
+        await expectAuthError(verifyCredentials(EMAIL, PASSWORD), 'INVALID_CREDENTIALS', 401);
+    });
+
+    test('bloquea la cuenta al alcanzar el umbral de intentos fallidos', async () => {
+        const locked = jest.fn();
+        authEvents.on(AUTH_EVENTS.ACCOUNT_LOCKED, locked);
+
+        for (let attempt = 1; attempt <= 4; attempt++) {
+            await expectAuthError(verifyCredentials(EMAIL, 'incorrecta'), 'INVALID_CREDENTIALS', 401);
+        }
+        expect(mockUsers.get(EMAIL).security.lock_until).toBeNull();
+
+        const before = Date.now();
+        await expectAuthError(verifyCredentials(EMAIL, 'incorrecta'), 'INVALID_CREDENTIALS', 401);
+        const { lock_until: lockUntil } = mockUsers.get(EMAIL).security;
+        expect(lockUntil.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+        expect(locked).toHaveBeenCalledWith(expect.objectContaining({ userId: 'u1', attempts: 5, lockUntil }));
+    });
+
+    test('rechaza una cuenta bloqueada aunque la contraseña sea correcta, sin contar el intento', async () => {
+        const lockUntil = new Date(Date.now() + 60 * 1000);
+        Object.assign(mockUsers.get(EMAIL).security, { failed_login_attempts: 5, lock_until: lockUntil });
+
+        const error = await expectAuthError(verifyCredentials(EMAIL, PASSWORD), 'ACCOUNT_LOCKED', 423);
+        expect(error.lockUntil).toEqual(lockUntil);
+        expect(mockUsers.get(EMAIL).security.failed_login_attempts).toBe(5);
+    });
+
+    test('acepta de nuevo la contraseña correcta cuando vence el bloqueo', async () => {
+        Object.assign(mockUsers.get(EMAIL).security, { failed_login_attempts: 5, lock_until: new Date(Date.now() - 1000) });
+
+        await expect(verifyCredentials(EMAIL, PASSWORD)).resolves.toMatchObject({ _id: 'u1' });
+        expect(mockUsers.get(EMAIL).security).toEqual({ failed_login_attempts: 0, lock_until: null });
+    });
+
+    test('un listener con errores no afecta el inicio de sesión', async () => {
+        authEvents.on(AUTH_EVENTS.LOGIN_SUCCEEDED, () => { throw new Error('listener roto'); });
+        await expect(verifyCredentials(EMAIL, PASSWORD)).resolves.toMatchObject({ _id: 'u1' });
+    });
+});
+
+describe('userAuthService: verificación de email', () => {
+    test('guarda solo el hash del token y su vencimiento', async () => {
+        const before = Date.now();
+        const { token, expiresAt } = await issueEmailVerificationToken('u1');
+
+        const user = mockUsers.get(EMAIL);
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        expect(user.verification_token).toBe(hash(token));
+        expect(user.verification_expires).toEqual(expiresAt);
+        expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 48 * 60 * 60 * 1000);
+    });
+
+    test('no emite tokens para un usuario inexistente o inactivo', async () => {
+        await expectAuthError(issueEmailVerificationToken('u2'), 'USER_NOT_FOUND', 404);
+        mockUsers.get(EMAIL).active = false;
+        await expectAuthError(issueEmailVerificationToken('u1'), 'USER_NOT_FOUND', 404);
+    });
+
+    test('verifica el email una sola vez con el mismo token', async () => {
+        const verified = jest.fn();
+        authEvents.on(AUTH_EVENTS.EMAIL_VERIFIED, verified);
+        const { token } = await issueEmailVerificationToken('u1');
+
+        await expect(verifyEmail(token)).resolves.toMatchObject({ _id: 'u1', email_verified: true });
+        expect(mockUsers.get(EMAIL).verification_token).toBeUndefined();
+        expect(verified).toHaveBeenCalledWith(expect.objectContaining({ userId: 'u1' }));
+
+        await expectAuthError(verifyEmail(token), 'INVALID_TOKEN', 400);
+    });
+
+    test('rechaza un token vencido', async () => {
+        const { token } = await issueEmailVerificationToken('u1');
+        mockUsers.get(EMAIL).verification_expires = new Date(Date.now() - 1000);
+
+        await expectAuthError(verifyEmail(token), 'INVALID_TOKEN', 400);
+        expect(mockUsers.get(EMAIL).email_verified).toBeUndefined();
+    });
+
+    test('un token nuevo invalida el anterior', async () => {
+        const { token: first } = await issueEmailVerificationToken('u1');
+        const { token: second } = await issueEmailVerificationToken('u1');
+
+        await expectAuthError(verifyEmail(first), 'INVALID_TOKEN', 400);
+        await expect(verifyEmail(second)).resolves.toMatchObject({ email_verified: true });
+    });
+
+    test('rechaza un token vacío o desconocido', async () => {
+        await expectAuthError(verifyEmail(''), 'INVALID_TOKEN', 400);
+        await expectAuthError(verifyEmail('desconocido'), 'INVALID_TOKEN', 400);
+    });
+});
+
+describe('userAuthService: recuperación de contraseña', () => {
+    const NEW_PASSWORD = 'clave-nueva';
+
+    test('emite el token para el email normalizado sin devolver su hash', async () => {
+        const result = await issuePasswordResetToken(' Ana@Empresa.com ');
+
+        expect(result.user).toMatchObject({ _id: 'u1', email: EMAIL });
+        expect(result.user.reset_password_token).toBeUndefined();
+        expect(mockUsers.get(EMAIL).reset_password_token).toBe(hash(result.token));
+        expect(mockUsers.get(EMAIL).reset_password_expires).toEqual(result.expiresAt);
+    });
+
+    test('devuelve null sin revelar si el email no es de un usuario local activo', async () => {
+        await expect(issuePasswordResetToken('nadie@empresa.com')).resolves.toBeNull();
+        await expect(issuePasswordResetToken('')).resolves.toBeNull();
+        mockUsers.get(EMAIL).provider = 'google';
+        await expect(issuePasswordResetToken(EMAIL)).resolves.toBeNull();
+        Object.assign(mockUsers.get(EMAIL), { provider: 'local', active: false });
+        await expect(issuePasswordResetToken(EMAIL)).resolves.toBeNull();
+        expect(mockUsers.get(EMAIL).reset_password_token).toBeUndefined();
+    });
+
+    test('cambia la contraseña, reinicia el bloqueo e invalida los tokens pendientes', async () => {
+        Object.assign(mockUsers.get(EMAIL).security, { failed_login_attempts: 7, lock_until: new Date(Date.now() + 60000) });
+        await issueEmailVerificationToken('u1');
+        const { token } = await issuePasswordResetToken(EMAIL);
+
+        const updated = await resetPassword(token, NEW_PASSWORD);
+
+        const user = mockUsers.get(EMAIL);
+        expect(updated.password).toBeUndefined();
+        expect(user.password).toBe(NEW_PASSWORD); // El hash lo calcula el pre-save del modelo User.
+        expect(user.security).toEqual({ failed_login_attempts: 0, lock_until: null });
+        expect(user).not.toHaveProperty('reset_password_token');
+        expect(user).not.toHaveProperty('verification_token');
+    });
+
+    test('el token de recuperación se usa una sola vez', async () => {
+        const { token } = await issuePasswordResetToken(EMAIL);
+        await resetPassword(token, NEW_PASSWORD);
+
+        await expectAuthError(resetPassword(token, 'otra-clave'), 'INVALID_TOKEN', 400);
+        expect(mockUsers.get(EMAIL).password).toBe(NEW_PASSWORD);
+    });
+
+    test('rechaza un token vencido', async () => {
+        const { token } = await issuePasswordResetToken(EMAIL);
+        mockUsers.get(EMAIL).reset_password_expires = new Date(Date.now() - 1000);
+
+        await expectAuthError(resetPassword(token, NEW_PASSWORD), 'INVALID_TOKEN', 400);
+        expect(mockUsers.get(EMAIL).password).toBe(passwordHash);
+    });
+
+    test('un token nuevo invalida el anterior', async () => {
+        const { token: first } = await issuePasswordResetToken(EMAIL);
+        const { token: second } = await issuePasswordResetToken(EMAIL);
+
+        await expectAuthError(resetPassword(first, NEW_PASSWORD), 'INVALID_TOKEN', 400);
+        await expect(resetPassword(second, NEW_PASSWORD)).resolves.toMatchObject({ _id: 'u1' });
+    });
+
+    test('sin contraseña nueva rechaza el pedido sin consumir el token', async () => {
+        const { token } = await issuePasswordResetToken(EMAIL);
+
+        await expectAuthError(resetPassword(token, ''), 'INVALID_PASSWORD', 400);
+        expect(mockUsers.get(EMAIL).reset_password_token).toBe(hash(token));
+        await expect(resetPassword(token, NEW_PASSWORD)).resolves.toMatchObject({ _id: 'u1' });
+    });
+});